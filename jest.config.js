@@ -2,6 +2,8 @@ module.exports = {
     testEnvironment: 'node',
     roots: ['<rootDir>/tests'],
     testMatch: ['**/*.test.js'],
+    // Benchmarks seed thousands of documents; run them with npm run test:benchmark
+    testPathIgnorePatterns: ['/node_modules/', '<rootDir>/tests/benchmark/'],
     setupFilesAfterEnv: ['<rootDir>/tests/setup/testSetup.js'],
     collectCoverageFrom: [
         'src/**/*.js',
@@ -1,11 +1,22 @@
 require('dotenv').config();
 const app = require('./src/app');
 const connectDB = require('./src/config/database');
+const AuthService = require('./src/services/authService');
+const WebhookService = require('./src/services/webhookService');
+const RecurringBookingService = require('./src/services/recurringBookingService');
 
 const PORT = process.env.PORT || 3000;
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then make sure an admin account exists
+connectDB()
+    .then(() => AuthService.ensureBootstrapAdmin())
+    .catch((error) => console.error('❌ Admin bootstrap failed:', error.message));
+
+// Send queued webhook deliveries in the background
+WebhookService.startDispatcher();
+
+// Book recurring bookings' occurrences up to the horizon in the background
+RecurringBookingService.startGenerator();
 
 // Start server
 app.listen(PORT, () => {
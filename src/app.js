@@ -3,8 +3,19 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 
+const authRoutes = require('./routes/authRoutes');
 const vehicleRoutes = require('./routes/vehicleRoutes');
 const bookingRoutes = require('./routes/bookingRoutes');
+const quoteRoutes = require('./routes/quoteRoutes');
+const tariffRoutes = require('./routes/tariffRoutes');
+const driverRoutes = require('./routes/driverRoutes');
+const feedRoutes = require('./routes/feedRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const invoiceRoutes = require('./routes/invoiceRoutes');
+const trackRoutes = require('./routes/trackRoutes');
+const recurringBookingRoutes = require('./routes/recurringBookingRoutes');
 // Destructure the middleware function from the exported object
 const { errorMiddleware } = require('./middleware/errorMiddleware');
 
@@ -19,7 +30,8 @@ app.use(cors({
     credentials: true
 }));
 
-// Logging
+// Logging; access tokens passed as ?accessToken= are kept out of the log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]accessToken=)[^&]*/g, '$1[REDACTED]'));
 app.use(morgan('combined'));
 
 // Body parsing middleware
@@ -51,8 +63,19 @@ const mountRoute = (path, router) => {
 };
 
 // API routes (use safe mounting)
+mountRoute('/api/auth', authRoutes);
 mountRoute('/api/vehicles', vehicleRoutes);
 mountRoute('/api/bookings', bookingRoutes);
+mountRoute('/api/quotes', quoteRoutes);
+mountRoute('/api/tariffs', tariffRoutes);
+mountRoute('/api/drivers', driverRoutes);
+mountRoute('/api/feeds', feedRoutes);
+mountRoute('/api/events', eventRoutes);
+mountRoute('/api/webhooks', webhookRoutes);
+mountRoute('/api/customers', customerRoutes);
+mountRoute('/api/invoices', invoiceRoutes);
+mountRoute('/api/track', trackRoutes);
+mountRoute('/api/recurring-bookings', recurringBookingRoutes);
 
 // 404 handler (keeps your existing inline handler)
 app.use('*', (req, res) => {
@@ -0,0 +1,55 @@
+/**
+ * Authentication configuration.
+ * Every value can be overridden through environment variables.
+ */
+const ROLES = {
+    ADMIN: 'admin',
+    DISPATCHER: 'dispatcher',
+    CUSTOMER: 'customer',
+    DRIVER: 'driver',
+    // Telematics units that report vehicle positions
+    DEVICE: 'device'
+};
+
+// Environments where the built-in development secrets may be used
+const DEVELOPMENT_ENVIRONMENTS = ['development', 'test'];
+
+/**
+ * Read a secret from the environment, falling back to a public development
+ * value only in development and test so a deploy without it fails at startup
+ * instead of accepting forged signatures
+ *
+ * @param {Array} names - Environment variables to read, in order of preference
+ * @param {string} developmentValue - Value used in development and test
+ * @returns {string} - Secret
+ */
+const readSecret = (names, developmentValue) => {
+    const name = names.find(candidate => process.env[candidate]);
+    if (name) {
+        return process.env[name];
+    }
+
+    const environment = process.env.NODE_ENV || 'development';
+    if (!DEVELOPMENT_ENVIRONMENTS.includes(environment)) {
+        throw new Error(`${names.join(' or ')} must be set when NODE_ENV is ${environment}`);
+    }
+    return developmentValue;
+};
+
+module.exports = {
+    ROLES,
+    readSecret,
+
+    // HS256 signing secret - required outside development and test
+    jwtSecret: readSecret(['JWT_SECRET'], 'fleetlink-dev-secret'),
+    jwtAlgorithm: 'HS256',
+    jwtIssuer: 'fleetlink',
+
+    // Token lifetimes (any value accepted by jsonwebtoken's expiresIn)
+    accessTokenTtl: process.env.JWT_ACCESS_TTL || '15m',
+    refreshTokenTtl: process.env.JWT_REFRESH_TTL || '7d',
+
+    // bcrypt cost factor for password hashes
+    passwordSaltRounds: parseInt(process.env.PASSWORD_SALT_ROUNDS, 10) || 10,
+    minPasswordLength: 8
+};
@@ -0,0 +1,38 @@
+/**
+ * Booking configuration.
+ * Every value can be overridden through environment variables.
+ */
+const { readSecret } = require('./auth');
+const { toInteger } = require('./env');
+
+module.exports = {
+    // How long a booking lock (per vehicle, driver or customer) is held before it is considered stale;
+    // the holder renews it every third of the lease while it works
+    lockLeaseMs: toInteger(process.env.BOOKING_LOCK_LEASE_MS, 10000),
+
+    // How long a request waits for a busy lock before giving up
+    lockWaitTimeoutMs: toInteger(process.env.BOOKING_LOCK_WAIT_MS, 5000),
+
+    // Delay between lock acquisition attempts
+    lockRetryDelayMs: toInteger(process.env.BOOKING_LOCK_RETRY_MS, 25),
+
+    // Bookings cannot be cancelled or rescheduled within this many hours of their start
+    changeCutoffHours: toInteger(process.env.BOOKING_CHANGE_CUTOFF_HOURS, 2),
+
+    // Alternative slot suggestions: scan step, how far either side to scan, and how many to return
+    suggestionStepMinutes: toInteger(process.env.SUGGESTION_STEP_MINUTES, 30),
+    suggestionSearchHours: toInteger(process.env.SUGGESTION_SEARCH_HOURS, 48),
+    suggestionCount: toInteger(process.env.SUGGESTION_COUNT, 5),
+
+    // Vehicle calendars: range shown when none is given, and the longest range allowed
+    calendarDefaultDays: toInteger(process.env.CALENDAR_DEFAULT_DAYS, 7),
+    calendarMaxDays: toInteger(process.env.CALENDAR_MAX_DAYS, 31),
+
+    // Delivery OTPs: digits, wrong attempts before a lockout, and how long the lockout lasts
+    deliveryOtpDigits: 6,
+    deliveryOtpMaxAttempts: toInteger(process.env.DELIVERY_OTP_MAX_ATTEMPTS, 5),
+    deliveryOtpLockoutMinutes: toInteger(process.env.DELIVERY_OTP_LOCKOUT_MINUTES, 15),
+
+    // HMAC key delivery OTPs are hashed with
+    deliveryOtpSecret: readSecret(['DELIVERY_OTP_SECRET', 'JWT_SECRET'], 'fleetlink-dev-otp-secret')
+};
@@ -0,0 +1,16 @@
+/**
+ * Automatic dispatch configuration.
+ * Every value can be overridden through environment variables.
+ */
+const { toInteger } = require('./env');
+
+module.exports = {
+    // Scoring strategy used when a request does not name one
+    defaultStrategy: process.env.DISPATCH_DEFAULT_STRATEGY || 'smallest-fit',
+
+    // Days either side of the trip that count towards a vehicle's utilisation
+    utilisationWindowDays: toInteger(process.env.DISPATCH_UTILISATION_WINDOW_DAYS, 7),
+
+    // Number of runners-up reported alongside the chosen vehicle
+    maxRunnersUp: toInteger(process.env.DISPATCH_MAX_RUNNERS_UP, 5)
+};
@@ -0,0 +1,20 @@
+/**
+ * Driver hours-of-service policy.
+ * Every value can be overridden through environment variables.
+ */
+const pricingConfig = require('./pricing');
+const { toNumber } = require('./env');
+
+module.exports = {
+    // Maximum driving hours in one local calendar day
+    maxDailyHours: toNumber(process.env.HOS_MAX_DAILY_HOURS, 10),
+
+    // Maximum driving hours in one local calendar week (Monday to Sunday)
+    maxWeeklyHours: toNumber(process.env.HOS_MAX_WEEKLY_HOURS, 56),
+
+    // Minimum rest between the end of one trip and the start of the next
+    minRestHours: toNumber(process.env.HOS_MIN_REST_HOURS, 1),
+
+    // Local time zone that day and week boundaries follow (same as pricing, IST by default)
+    timezoneOffsetMinutes: pricingConfig.timezoneOffsetMinutes
+};
@@ -0,0 +1,33 @@
+/**
+ * Helpers for reading configuration values from environment variables.
+ * A missing, malformed or non-positive value falls back to the default.
+ */
+
+/**
+ * Read a positive number, fractions allowed
+ *
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+const toNumber = (value, fallback) => {
+    const num = parseFloat(value);
+    return isNaN(num) || num <= 0 ? fallback : num;
+};
+
+/**
+ * Read a positive whole number; fractions are truncated
+ *
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+const toInteger = (value, fallback) => {
+    const num = parseInt(value, 10);
+    return isNaN(num) || num <= 0 ? fallback : num;
+};
+
+module.exports = {
+    toNumber,
+    toInteger
+};
@@ -0,0 +1,27 @@
+/**
+ * Real-time event stream configuration.
+ * Every value can be overridden through environment variables.
+ */
+const { toInteger } = require('./env');
+
+// Event types published on the stream
+const EVENT_TYPES = {
+    BOOKING_CREATED: 'booking.created',
+    BOOKING_STATUS_CHANGED: 'booking.status_changed',
+    BOOKING_CANCELLED: 'booking.cancelled',
+    VEHICLE_STATUS_CHANGED: 'vehicle.status_changed',
+    VEHICLE_LOCATION_UPDATED: 'vehicle.location_updated'
+};
+
+module.exports = {
+    EVENT_TYPES,
+
+    // Recent events kept in memory so reconnecting clients can resume
+    bufferSize: toInteger(process.env.EVENTS_BUFFER_SIZE, 1000),
+
+    // Comment line sent on idle streams so proxies keep them open
+    heartbeatMs: toInteger(process.env.EVENTS_HEARTBEAT_MS, 25000),
+
+    // Reconnect delay suggested to clients
+    retryMs: toInteger(process.env.EVENTS_RETRY_MS, 3000)
+};
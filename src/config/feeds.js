@@ -0,0 +1,19 @@
+/**
+ * Calendar (ICS) feed configuration.
+ * Every value can be overridden through environment variables.
+ */
+const { toInteger } = require('./env');
+
+module.exports = {
+    // Domain part of event UIDs; keep it stable so calendars recognise updated events
+    uidDomain: process.env.ICS_UID_DOMAIN || 'fleetlink.local',
+
+    // Days of past bookings kept in a feed
+    pastDays: toInteger(process.env.ICS_FEED_PAST_DAYS, 30),
+
+    // Most bookings a single feed returns
+    maxEvents: toInteger(process.env.ICS_FEED_MAX_EVENTS, 500),
+
+    // Random bytes in a feed token
+    tokenBytes: 24
+};
@@ -0,0 +1,18 @@
+/**
+ * Bulk import configuration.
+ * Every value can be overridden through environment variables.
+ */
+const { toInteger } = require('./env');
+
+module.exports = {
+    // Largest accepted file, and most data rows in one file
+    maxFileSizeBytes: toInteger(process.env.IMPORT_MAX_FILE_SIZE_MB, 5) * 1024 * 1024,
+    maxRows: toInteger(process.env.IMPORT_MAX_ROWS, 1000),
+
+    // Accepted file formats by extension
+    formats: {
+        '.csv': 'csv',
+        '.xlsx': 'xlsx',
+        '.json': 'json'
+    }
+};
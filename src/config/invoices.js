@@ -0,0 +1,30 @@
+/**
+ * Invoicing configuration.
+ * Every value can be overridden through environment variables.
+ */
+const { toInteger } = require('./env');
+
+module.exports = {
+    // Invoice numbers read <prefix>/<financial year>/<sequence>, e.g. INV/2026-27/00042
+    numberPrefix: process.env.INVOICE_NUMBER_PREFIX || 'INV',
+
+    // Digits the sequence is zero-padded to
+    sequenceDigits: 5,
+
+    // Month (1-12) the financial year starts in; numbering restarts every year
+    financialYearStartMonth: Math.min(toInteger(process.env.INVOICE_FY_START_MONTH, 4), 12),
+
+    // Days until an invoice is due, unless the customer has their own terms
+    paymentTermsDays: toInteger(process.env.INVOICE_PAYMENT_TERMS_DAYS, 15),
+
+    // Invoice per-booking customers as soon as a booking is completed
+    invoiceOnCompletion: process.env.INVOICE_ON_COMPLETION !== 'false',
+
+    // Seller details printed on invoices. The GSTIN state code decides between
+    // CGST + SGST (same state as the customer) and IGST (different state)
+    supplier: {
+        name: process.env.INVOICE_SUPPLIER_NAME || 'FleetLink Logistics',
+        gstin: process.env.INVOICE_SUPPLIER_GSTIN || '',
+        address: process.env.INVOICE_SUPPLIER_ADDRESS || ''
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * Proof-of-delivery configuration.
+ * Every value can be overridden through environment variables.
+ */
+const path = require('path');
+const { toInteger } = require('./env');
+
+module.exports = {
+    // Storage adapter POD files are written to (see services/fileStorage)
+    storageAdapter: process.env.POD_STORAGE_ADAPTER || 'local',
+
+    // Directory the local adapter stores files under
+    localStorageDir: process.env.POD_STORAGE_DIR || path.join(process.cwd(), 'uploads', 'pod'),
+
+    // Largest accepted file, and photos accepted alongside the signature
+    maxFileSizeBytes: toInteger(process.env.POD_MAX_FILE_SIZE_MB, 5) * 1024 * 1024,
+    maxPhotos: toInteger(process.env.POD_MAX_PHOTOS, 5),
+
+    // Image types accepted for signatures and photos
+    allowedContentTypes: ['image/jpeg', 'image/png', 'image/webp'],
+
+    // How far ahead of the server clock a device's delivery time may be
+    maxClockSkewMinutes: toInteger(process.env.POD_MAX_CLOCK_SKEW_MINUTES, 5)
+};
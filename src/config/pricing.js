@@ -0,0 +1,41 @@
+/**
+ * Pricing configuration.
+ * Default tariffs apply when no active Tariff is stored for a vehicle class.
+ */
+const { readSecret } = require('./auth');
+const { toNumber } = require('./env');
+
+// Offsets may be zero (UTC) or negative, so only a missing or malformed value falls back
+const toOffsetMinutes = (value, fallback) => {
+    const num = parseInt(value, 10);
+    return isNaN(num) ? fallback : num;
+};
+
+const defaultTariff = (overrides) => ({
+    currency: 'INR',
+    minimumFare: 0,
+    nightSurcharge: { percent: 10, startHour: 22, endHour: 6 },
+    weekendSurchargePercent: 5,
+    waitingChargePerHour: 200,
+    freeWaitingMinutes: 30,
+    gstPercent: 12,
+    discounts: [],
+    ...overrides
+});
+
+module.exports = {
+    defaultTariffs: {
+        'Light Vehicle': defaultTariff({ name: 'Default Light Vehicle', baseFare: 500, perKmRate: 10, minimumFare: 800 }),
+        'Medium Vehicle': defaultTariff({ name: 'Default Medium Vehicle', baseFare: 800, perKmRate: 18, minimumFare: 1500 }),
+        'Heavy Vehicle': defaultTariff({ name: 'Default Heavy Vehicle', baseFare: 1500, perKmRate: 30, minimumFare: 3000 })
+    },
+
+    // Local time zone used for night and weekend surcharges (IST by default)
+    timezoneOffsetMinutes: toOffsetMinutes(process.env.PRICING_TZ_OFFSET_MINUTES, 330),
+
+    // How long a quote can be accepted for
+    quoteTtlMinutes: toNumber(process.env.QUOTE_TTL_MINUTES, 30),
+
+    // HMAC secret used to sign quotes
+    quoteSecret: readSecret(['QUOTE_SECRET', 'JWT_SECRET'], 'fleetlink-dev-quote-secret')
+};
@@ -0,0 +1,20 @@
+/**
+ * Recurring booking configuration.
+ * Every value can be overridden through environment variables.
+ */
+const pricingConfig = require('./pricing');
+const { toInteger } = require('./env');
+
+module.exports = {
+    // How far ahead occurrences are materialised as bookings
+    horizonDays: toInteger(process.env.RECURRING_HORIZON_DAYS, 14),
+
+    // How often the generator tops series up to the horizon
+    generatorIntervalMs: toInteger(process.env.RECURRING_GENERATOR_INTERVAL_MS, 60 * 60 * 1000),
+
+    // Occurrences that could not be booked kept on a series
+    maxRecordedConflicts: 50,
+
+    // Local time zone schedules are read in (same as pricing, IST by default)
+    timezoneOffsetMinutes: pricingConfig.timezoneOffsetMinutes
+};
@@ -0,0 +1,39 @@
+const path = require('path');
+const { toNumber } = require('./env');
+
+/**
+ * Routing configuration used for distance and duration estimates.
+ * Every value can be overridden through environment variables.
+ */
+module.exports = {
+    // Bundled pincode directory (pincode, officeName, district, state, latitude, longitude)
+    pincodeDataPath: process.env.PINCODE_DATA_PATH || path.join(__dirname, '../data/pincodes.csv'),
+
+    // Valid pincodes missing from the directory are rejected unless
+    // PINCODE_ESTIMATE_UNKNOWN=true, which estimates their location from their neighbours
+    estimateUnknownPincodes: process.env.PINCODE_ESTIMATE_UNKNOWN === 'true',
+
+    // Multiplier applied to straight-line distance to approximate road distance
+    roadFactor: toNumber(process.env.ROAD_FACTOR, 1.3),
+
+    // Average speed in km/h per vehicle class (see Vehicle `type` virtual)
+    averageSpeedKmph: {
+        'Light Vehicle': toNumber(process.env.AVG_SPEED_LIGHT_KMPH, 50),
+        'Medium Vehicle': toNumber(process.env.AVG_SPEED_MEDIUM_KMPH, 45),
+        'Heavy Vehicle': toNumber(process.env.AVG_SPEED_HEAVY_KMPH, 40)
+    },
+
+    // Used when the vehicle class is not known
+    defaultVehicleType: 'Medium Vehicle',
+
+    // Minimum billable/schedulable ride duration in hours
+    minimumDurationHours: 0.5,
+
+    // Loading/unloading time spent at each intermediate stop of a multi-stop route
+    stopDwellMinutes: parseInt(process.env.STOP_DWELL_MINUTES, 10) >= 0
+        ? parseInt(process.env.STOP_DWELL_MINUTES, 10)
+        : 15,
+
+    // Maximum number of stops on a single booking
+    maxStops: 20
+};
@@ -0,0 +1,26 @@
+/**
+ * Live vehicle tracking configuration.
+ * Every value can be overridden through environment variables.
+ */
+const { toInteger } = require('./env');
+
+module.exports = {
+    // Position pings older than this are deleted automatically
+    retentionDays: toInteger(process.env.TRACKING_RETENTION_DAYS, 90),
+
+    // A last-known position older than this is reported as stale
+    staleMinutes: toInteger(process.env.TRACKING_STALE_MINUTES, 15),
+
+    // Longest breadcrumb trail range, and most points returned for one
+    maxTrackHours: toInteger(process.env.TRACKING_MAX_TRACK_HOURS, 168),
+    maxTrackPoints: toInteger(process.env.TRACKING_MAX_TRACK_POINTS, 5000),
+
+    // Most pings accepted in one request
+    maxPingsPerRequest: toInteger(process.env.TRACKING_MAX_PINGS_PER_REQUEST, 500),
+
+    // Tolerated device clock drift into the future
+    maxClockSkewMinutes: 5,
+
+    // Bytes of randomness in public tracking link tokens
+    publicTokenBytes: 24
+};
@@ -0,0 +1,37 @@
+/**
+ * Outbound webhook configuration.
+ * Every value can be overridden through environment variables.
+ */
+const { EVENT_TYPES } = require('./events');
+const { toInteger } = require('./env');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENT_TYPES = [
+    EVENT_TYPES.BOOKING_CREATED,
+    EVENT_TYPES.BOOKING_STATUS_CHANGED,
+    EVENT_TYPES.BOOKING_CANCELLED
+];
+
+module.exports = {
+    WEBHOOK_EVENT_TYPES,
+
+    // Attempts before a delivery is dead-lettered
+    maxAttempts: toInteger(process.env.WEBHOOK_MAX_ATTEMPTS, 8),
+
+    // Delay before the first retry, doubled after every failed attempt up to the cap
+    retryBaseSeconds: toInteger(process.env.WEBHOOK_RETRY_BASE_SECONDS, 30),
+    retryMaxSeconds: toInteger(process.env.WEBHOOK_RETRY_MAX_SECONDS, 6 * 60 * 60),
+
+    // How long a receiver has to respond
+    timeoutMs: toInteger(process.env.WEBHOOK_TIMEOUT_MS, 10000),
+
+    // How often the dispatcher looks for due deliveries, and deliveries sent per run
+    pollIntervalMs: toInteger(process.env.WEBHOOK_POLL_INTERVAL_MS, 5000),
+    batchSize: toInteger(process.env.WEBHOOK_BATCH_SIZE, 50),
+
+    // Days delivered and dead deliveries stay in the log
+    deliveryRetentionDays: toInteger(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 30),
+
+    // Bytes of randomness in generated signing secrets
+    secretBytes: 32
+};
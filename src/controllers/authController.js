@@ -0,0 +1,125 @@
+const AuthService = require('../services/authService');
+
+class AuthController {
+    /**
+     * Log in with email and password
+     * POST /api/auth/login
+     */
+    static async login(req, res) {
+        try {
+            const { email, password } = req.body;
+
+            if (!email || !password) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'email and password are required'
+                });
+            }
+
+            const { user, accessToken, refreshToken, expiresIn } = await AuthService.login(email, password);
+
+            res.status(200).json({
+                success: true,
+                message: 'Logged in successfully',
+                data: { user, accessToken, refreshToken, expiresIn }
+            });
+
+        } catch (error) {
+            res.status(error.statusCode || 500).json({
+                error: 'Login failed',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Exchange a refresh token for a new token pair
+     * POST /api/auth/refresh
+     */
+    static async refresh(req, res) {
+        try {
+            const { refreshToken } = req.body;
+
+            if (!refreshToken) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'refreshToken is required'
+                });
+            }
+
+            const result = await AuthService.refreshTokens(refreshToken);
+
+            res.status(200).json({
+                success: true,
+                message: 'Tokens refreshed successfully',
+                data: result
+            });
+
+        } catch (error) {
+            res.status(error.statusCode || 500).json({
+                error: 'Token refresh failed',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Revoke all tokens of the current user
+     * POST /api/auth/logout
+     */
+    static async logout(req, res) {
+        try {
+            await AuthService.revokeTokens(req.user._id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Logged out successfully'
+            });
+
+        } catch (error) {
+            res.status(500).json({
+                error: 'Logout failed',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get the current user
+     * GET /api/auth/me
+     */
+    static async getCurrentUser(req, res) {
+        res.status(200).json({
+            success: true,
+            message: 'User fetched successfully',
+            data: req.user
+        });
+    }
+
+    /**
+     * Create a user account
+     * POST /api/auth/users
+     */
+    static async createUser(req, res) {
+        try {
+            const { name, email, password, role, customerId, vehicleId } = req.body;
+
+            const user = await AuthService.createUser({ name, email, password, role, customerId, vehicleId });
+
+            res.status(201).json({
+                success: true,
+                message: 'User created successfully',
+                data: user
+            });
+
+        } catch (error) {
+            res.status(error.statusCode || 500).json({
+                error: 'User creation failed',
+                message: error.message,
+                ...(error.details && error.details.length > 0 && { details: error.details })
+            });
+        }
+    }
+}
+
+module.exports = AuthController;
@@ -1,4 +1,38 @@
 const BookingService = require('../services/bookingService');
+const DispatchService = require('../services/dispatchService');
+const BookingImportService = require('../services/bookingImportService');
+const DriverService = require('../services/driverService');
+const ProofOfDeliveryService = require('../services/proofOfDeliveryService');
+const DeliveryOtpService = require('../services/deliveryOtpService');
+const TrackingService = require('../services/trackingService');
+const { isCustomer, canAccessCustomer } = require('../middleware/authMiddleware');
+const { isValidObjectId } = require('../utils/validation');
+const { ROLES } = require('../config/auth');
+
+/**
+ * Send a 403 response for bookings outside the customer's scope
+ */
+const sendForbidden = (res, message = 'You can only access your own bookings') => {
+    res.status(403).json({
+        error: 'Access forbidden',
+        message
+    });
+};
+
+/**
+ * Whether the user is a driver other than the one assigned to the booking
+ */
+const isOtherDriver = async (req, booking) => {
+    if (req.user.role !== ROLES.DRIVER) {
+        return false;
+    }
+    if (!booking.driverId) {
+        return true;
+    }
+
+    const driver = await DriverService.getDriverById(booking.driverId);
+    return !driver.userId || driver.userId.toString() !== req.user._id.toString();
+};
 
 class BookingController {
     /**
@@ -7,7 +41,18 @@ class BookingController {
      */
     static async createBooking(req, res) {
         try {
-            const { vehicleId, fromPincode, toPincode, startTime, customerId } = req.body;
+            const { vehicleId, startTime, quoteId, stops } = req.body;
+            let { fromPincode, toPincode } = req.body;
+
+            // Customers always book for themselves
+            const customerId = isCustomer(req) ? req.user.customerId : req.body.customerId;
+
+            // Multi-stop bookings take their endpoints from the stops
+            const isMultiStop = Array.isArray(stops) && stops.length > 0;
+            if (isMultiStop) {
+                fromPincode = stops[0].pincode;
+                toPincode = stops[stops.length - 1].pincode;
+            }
 
             // Basic validation
             if (!vehicleId || !fromPincode || !toPincode || !startTime || !customerId) {
@@ -22,15 +67,31 @@ class BookingController {
                 fromPincode: fromPincode.trim(),
                 toPincode: toPincode.trim(),
                 startTime: startTime.trim(),
-                customerId: customerId.trim()
+                customerId: String(customerId).trim()
             };
 
+            if (quoteId) {
+                bookingData.quoteId = String(quoteId).trim();
+            }
+
+            if (isMultiStop) {
+                bookingData.stops = stops.map(stop => ({
+                    pincode: String(stop.pincode).trim(),
+                    type: stop.type,
+                    ...(stop.loadKg !== undefined && { loadKg: Number(stop.loadKg) }),
+                    ...(stop.windowStart && { windowStart: stop.windowStart }),
+                    ...(stop.windowEnd && { windowEnd: stop.windowEnd })
+                }));
+            }
+
             const booking = await BookingService.createBooking(bookingData);
 
+            // The delivery OTP is only ever shown here, to pass on to the recipient
             res.status(201).json({
                 success: true,
                 message: 'Booking created successfully',
-                data: booking
+                data: booking,
+                deliveryOtp: booking.$locals.deliveryOtp
             });
 
         } catch (error) {
@@ -39,7 +100,9 @@ class BookingController {
             if (error.message.includes('not found')) {
                 statusCode = 404;
             } else if (error.message.includes('no longer available') ||
-                error.message.includes('conflict')) {
+                error.message.includes('conflict') ||
+                error.message.includes('already been used') ||
+                error.message.includes('Cannot book')) {
                 statusCode = 409;
             }
 
@@ -50,17 +113,120 @@ class BookingController {
         }
     }
 
+    /**
+     * Book the best available vehicle for a load
+     * POST /api/bookings/auto
+     */
+    static async autoDispatch(req, res) {
+        try {
+            const { capacityRequired, fromPincode, toPincode, startTime, strategy, driverId } = req.body;
+
+            // Customers always book for themselves
+            const customerId = isCustomer(req) ? req.user.customerId : req.body.customerId;
+
+            const { booking, dispatch } = await DispatchService.autoDispatch({
+                capacityRequired: Number(capacityRequired),
+                fromPincode: fromPincode.trim(),
+                toPincode: toPincode.trim(),
+                startTime: startTime.trim(),
+                customerId: String(customerId).trim(),
+                ...(strategy && { strategy: strategy.trim() }),
+                // Only staff pick drivers
+                ...(driverId && !isCustomer(req) && { driverId })
+            });
+
+            res.status(201).json({
+                success: true,
+                message: `Booking created with ${dispatch.strategy.name} dispatch`,
+                data: booking,
+                dispatch,
+                deliveryOtp: booking.$locals.deliveryOtp
+            });
+
+        } catch (error) {
+            let statusCode = 400;
+
+            if (error.message.includes('not found')) {
+                statusCode = 404;
+            } else if (error.message.includes('No vehicle available') ||
+                error.message.includes('no longer available') ||
+                error.message.includes('conflict') ||
+                error.message.includes('Cannot book')) {
+                statusCode = 409;
+            }
+
+            res.status(statusCode).json({
+                error: 'Automatic dispatch failed',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Import bookings from a .csv, .xlsx or .json file, or check them with dryRun
+     * POST /api/bookings/import
+     */
+    static async importBookings(req, res) {
+        try {
+            const records = await BookingImportService.parseFile(req.file);
+
+            const report = await BookingImportService.importBookings(records, {
+                dryRun: String(req.body.dryRun) === 'true',
+                mode: req.body.mode || 'all-or-nothing',
+                // Customers always book for themselves
+                ...(isCustomer(req) && { customerId: req.user.customerId })
+            });
+
+            const { summary } = report;
+            let statusCode = 201;
+            let message = `${summary.created} of ${summary.total} booking(s) imported`;
+
+            if (report.dryRun) {
+                statusCode = 200;
+                message = `Dry run: ${summary.valid} of ${summary.total} row(s) can be booked`;
+            } else if (!report.committed) {
+                statusCode = summary.invalid > 0 ? 400 : 409;
+                message = summary.invalid > 0
+                    ? `Nothing imported: ${summary.invalid} row(s) are invalid`
+                    : 'Nothing imported: a booking failed and the import was rolled back';
+            }
+
+            res.status(statusCode).json({
+                success: report.dryRun || report.committed,
+                message,
+                data: report
+            });
+
+        } catch (error) {
+            res.status(400).json({
+                error: 'Booking import failed',
+                message: error.message
+            });
+        }
+    }
+
     /**
      * Get all bookings
      * GET /api/bookings
      */
     static async getAllBookings(req, res) {
         try {
-            const { customerId, vehicleId, status, startDate, endDate } = req.query;
+            const { customerId, vehicleId, driverId, recurringBookingId, status, startDate, endDate } = req.query;
+
+            if (customerId && !isValidObjectId(customerId)) {
+                return res.status(400).json({
+                    error: 'Invalid ID format',
+                    message: 'The provided customerId is not a valid MongoDB ObjectId'
+                });
+            }
 
             const filters = {};
             if (customerId) filters.customerId = customerId;
+            // Customers are always scoped to their own bookings
+            if (isCustomer(req)) filters.customerId = req.user.customerId;
             if (vehicleId) filters.vehicleId = vehicleId;
+            if (driverId) filters.driverId = driverId;
+            if (recurringBookingId) filters.recurringBookingId = recurringBookingId;
             if (status) filters.status = status;
             if (startDate) filters.startDate = startDate;
             if (endDate) filters.endDate = endDate;
@@ -92,6 +258,13 @@ class BookingController {
             const { id } = req.params;
             const booking = await BookingService.getBookingById(id);
 
+            if (!canAccessCustomer(req, booking.customerId)) {
+                return sendForbidden(res);
+            }
+            if (await isOtherDriver(req, booking)) {
+                return sendForbidden(res, 'You can only access bookings assigned to you');
+            }
+
             res.status(200).json({
                 success: true,
                 message: 'Booking fetched successfully',
@@ -114,7 +287,7 @@ class BookingController {
     static async updateBookingStatus(req, res) {
         try {
             const { id } = req.params;
-            const { status, notes } = req.body;
+            const { status, notes, reason, otp } = req.body;
 
             if (!status) {
                 return res.status(400).json({
@@ -131,10 +304,19 @@ class BookingController {
                 });
             }
 
+            // Drivers only for the bookings they drive
+            if (req.user.role === ROLES.DRIVER && await isOtherDriver(req, await BookingService.getBookingById(id))) {
+                return sendForbidden(res, 'You can only update bookings assigned to you');
+            }
+
             const additionalData = {};
             if (notes) additionalData.notes = notes;
 
-            const booking = await BookingService.updateBookingStatus(id, status, additionalData);
+            const booking = await BookingService.updateBookingStatus(id, status, additionalData, {
+                actor: req.user,
+                reason: typeof reason === 'string' ? reason : undefined,
+                otp: typeof otp === 'string' || typeof otp === 'number' ? String(otp) : undefined
+            });
 
             res.status(200).json({
                 success: true,
@@ -143,7 +325,20 @@ class BookingController {
             });
 
         } catch (error) {
-            const statusCode = error.message.includes('not found') ? 404 : 500;
+            let statusCode = 500;
+
+            if (error.message.includes('not found')) {
+                statusCode = 404;
+            } else if (error.message.includes('Delivery OTP locked')) {
+                statusCode = 429;
+            } else if (error.message.includes('delivery OTP') || error.message.includes('Delivery OTP')) {
+                statusCode = 400;
+            } else if (error.message.includes('Invalid status transition') ||
+                error.message.includes('conflict') ||
+                error.message.includes('Cannot')) {
+                statusCode = 409;
+            }
+
             res.status(statusCode).json({
                 error: 'Failed to update booking status',
                 message: error.message
@@ -151,6 +346,148 @@ class BookingController {
         }
     }
 
+    /**
+     * Record the proof of delivery of a booking (multipart upload)
+     * POST /api/bookings/:id/pod
+     */
+    static async recordProofOfDelivery(req, res) {
+        try {
+            const { id } = req.params;
+            const { recipientName, lat, lng, deliveredAt } = req.body;
+
+            // Drivers only for the bookings they drive
+            const booking = await BookingService.getBookingById(id);
+            if (await isOtherDriver(req, booking)) {
+                return sendForbidden(res, 'You can only record deliveries of bookings assigned to you');
+            }
+
+            const updatedBooking = await ProofOfDeliveryService.recordProofOfDelivery(
+                id,
+                { recipientName: recipientName.trim(), lat, lng, deliveredAt },
+                { signature: req.files.signature[0], photos: req.files.photos || [] },
+                req.user
+            );
+
+            res.status(201).json({
+                success: true,
+                message: 'Proof of delivery recorded successfully',
+                data: updatedBooking
+            });
+
+        } catch (error) {
+            let statusCode = 400;
+            if (error.message.includes('not found')) statusCode = 404;
+            else if (error.message.includes('Cannot')) statusCode = 409;
+
+            res.status(statusCode).json({
+                error: 'Failed to record proof of delivery',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Download a signature or photo of a booking's proof of delivery
+     * GET /api/bookings/:id/pod/files/:fileId
+     */
+    static async getProofOfDeliveryFile(req, res) {
+        try {
+            const booking = await BookingService.getBookingById(req.params.id);
+
+            if (!canAccessCustomer(req, booking.customerId)) {
+                return sendForbidden(res);
+            }
+            if (await isOtherDriver(req, booking)) {
+                return sendForbidden(res, 'You can only access deliveries of bookings assigned to you');
+            }
+
+            const { file, stream } = await ProofOfDeliveryService.getProofOfDeliveryFile(booking, req.params.fileId);
+
+            res.set({
+                'Content-Type': file.contentType,
+                'Content-Length': file.size,
+                'Cache-Control': 'private, max-age=300'
+            });
+            res.status(200);
+            stream.on('error', () => res.destroy());
+            stream.pipe(res);
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to fetch proof of delivery file',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Issue a new delivery OTP, replacing the old one and clearing any lockout
+     * POST /api/bookings/:id/delivery-otp
+     */
+    static async reissueDeliveryOtp(req, res) {
+        try {
+            const { id } = req.params;
+
+            if (isCustomer(req)) {
+                const existingBooking = await BookingService.getBookingById(id);
+                if (!canAccessCustomer(req, existingBooking.customerId)) {
+                    return sendForbidden(res);
+                }
+            }
+
+            const { otp } = await DeliveryOtpService.reissueOtp(id);
+
+            res.status(201).json({
+                success: true,
+                message: 'Delivery OTP issued successfully',
+                data: { deliveryOtp: otp }
+            });
+
+        } catch (error) {
+            let statusCode = 400;
+            if (error.message.includes('not found')) statusCode = 404;
+            else if (error.message.includes('Cannot')) statusCode = 409;
+
+            res.status(statusCode).json({
+                error: 'Failed to issue delivery OTP',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Replace the booking's public tracking link, revoking the old one
+     * POST /api/bookings/:id/tracking-token
+     */
+    static async rotateTrackingToken(req, res) {
+        try {
+            const { id } = req.params;
+
+            if (isCustomer(req)) {
+                const existingBooking = await BookingService.getBookingById(id);
+                if (!canAccessCustomer(req, existingBooking.customerId)) {
+                    return sendForbidden(res);
+                }
+            }
+
+            const booking = await TrackingService.rotatePublicToken(id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Tracking link replaced successfully',
+                data: { trackingToken: booking.trackingToken }
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to replace tracking link',
+                message: error.message
+            });
+        }
+    }
+
     /**
      * Cancel booking
      * PATCH /api/bookings/:id/cancel
@@ -160,7 +497,14 @@ class BookingController {
             const { id } = req.params;
             const { reason } = req.body;
 
-            const booking = await BookingService.cancelBooking(id, reason);
+            if (isCustomer(req)) {
+                const existingBooking = await BookingService.getBookingById(id);
+                if (!canAccessCustomer(req, existingBooking.customerId)) {
+                    return sendForbidden(res);
+                }
+            }
+
+            const booking = await BookingService.cancelBooking(id, reason, req.user);
 
             res.status(200).json({
                 success: true,
@@ -173,7 +517,9 @@ class BookingController {
 
             if (error.message.includes('not found')) {
                 statusCode = 404;
-            } else if (error.message.includes('Cannot cancel')) {
+            } else if (error.message.includes('Cannot cancel') ||
+                error.message.includes('Invalid status transition') ||
+                error.message.includes('conflict')) {
                 statusCode = 409;
             }
 
@@ -184,6 +530,127 @@ class BookingController {
         }
     }
 
+    /**
+     * Reschedule booking
+     * PATCH /api/bookings/:id/reschedule
+     */
+    static async rescheduleBooking(req, res) {
+        try {
+            const { id } = req.params;
+            const { startTime, fromPincode, toPincode, vehicleId, quoteId, reason } = req.body;
+
+            if (isCustomer(req)) {
+                const existingBooking = await BookingService.getBookingById(id);
+                if (!canAccessCustomer(req, existingBooking.customerId)) {
+                    return sendForbidden(res);
+                }
+            }
+
+            const changes = { startTime: String(startTime).trim() };
+            if (fromPincode) changes.fromPincode = String(fromPincode).trim();
+            if (toPincode) changes.toPincode = String(toPincode).trim();
+            if (vehicleId) changes.vehicleId = String(vehicleId).trim();
+            if (quoteId) changes.quoteId = String(quoteId).trim();
+            if (reason) changes.reason = reason;
+
+            const booking = await BookingService.rescheduleBooking(id, changes, req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Booking rescheduled successfully',
+                data: booking
+            });
+
+        } catch (error) {
+            let statusCode = 400;
+
+            if (error.message.includes('not found')) {
+                statusCode = 404;
+            } else if (error.message.includes('Cannot') ||
+                error.message.includes('no longer available') ||
+                error.message.includes('conflict')) {
+                statusCode = 409;
+            }
+
+            res.status(statusCode).json({
+                error: 'Failed to reschedule booking',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Assign a driver to a booking
+     * PUT /api/bookings/:id/driver
+     */
+    static async assignDriver(req, res) {
+        try {
+            const { id } = req.params;
+            const { driverId } = req.body;
+
+            if (!driverId || !isValidObjectId(driverId)) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'driverId is required and must be a valid MongoDB ObjectId'
+                });
+            }
+
+            const booking = await BookingService.assignDriver(id, driverId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Driver assigned successfully',
+                data: booking
+            });
+
+        } catch (error) {
+            let statusCode = 400;
+
+            if (error.message.includes('not found')) {
+                statusCode = 404;
+            } else if (error.message.includes('Cannot assign') ||
+                error.message.includes('conflict')) {
+                statusCode = 409;
+            }
+
+            res.status(statusCode).json({
+                error: 'Failed to assign driver',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Remove the driver from a booking
+     * DELETE /api/bookings/:id/driver
+     */
+    static async unassignDriver(req, res) {
+        try {
+            const { id } = req.params;
+            const booking = await BookingService.unassignDriver(id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Driver unassigned successfully',
+                data: booking
+            });
+
+        } catch (error) {
+            let statusCode = 400;
+
+            if (error.message.includes('not found')) {
+                statusCode = 404;
+            } else if (error.message.includes('Cannot unassign')) {
+                statusCode = 409;
+            }
+
+            res.status(statusCode).json({
+                error: 'Failed to unassign driver',
+                message: error.message
+            });
+        }
+    }
+
     /**
      * Get customer bookings
      * GET /api/bookings/customer/:customerId
@@ -193,6 +660,10 @@ class BookingController {
             const { customerId } = req.params;
             const { limit, offset, status } = req.query;
 
+            if (!canAccessCustomer(req, customerId)) {
+                return sendForbidden(res);
+            }
+
             const options = {};
             if (limit) options.limit = parseInt(limit);
             if (offset) options.offset = parseInt(offset);
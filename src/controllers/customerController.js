@@ -0,0 +1,171 @@
+const CustomerService = require('../services/customerService');
+const { canAccessCustomer } = require('../middleware/authMiddleware');
+
+/**
+ * Send a 403 response for customers other than the user's own
+ */
+const sendForbidden = (res) => {
+    res.status(403).json({
+        error: 'Access forbidden',
+        message: 'You can only access your own customer account'
+    });
+};
+
+class CustomerController {
+    /**
+     * Create a customer
+     * POST /api/customers
+     */
+    static async createCustomer(req, res) {
+        try {
+            const customer = await CustomerService.createCustomer(req.body);
+
+            res.status(201).json({
+                success: true,
+                message: 'Customer created successfully',
+                data: customer
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('conflict') ? 409 : 400;
+            res.status(statusCode).json({
+                error: 'Customer creation failed',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get all customers
+     * GET /api/customers
+     */
+    static async getCustomers(req, res) {
+        try {
+            const { status, search } = req.query;
+
+            const filters = {};
+            if (status) filters.status = status;
+            if (search) filters.search = search;
+
+            const customers = await CustomerService.getCustomers(filters);
+
+            res.status(200).json({
+                success: true,
+                message: 'Customers fetched successfully',
+                data: customers,
+                count: customers.length
+            });
+
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to fetch customers',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get customer by ID
+     * GET /api/customers/:id
+     */
+    static async getCustomerById(req, res) {
+        try {
+            if (!canAccessCustomer(req, req.params.id)) {
+                return sendForbidden(res);
+            }
+
+            const customer = await CustomerService.getCustomerById(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Customer fetched successfully',
+                data: customer
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to fetch customer',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Update a customer
+     * PUT /api/customers/:id
+     */
+    static async updateCustomer(req, res) {
+        try {
+            const customer = await CustomerService.updateCustomer(req.params.id, req.body);
+
+            res.status(200).json({
+                success: true,
+                message: 'Customer updated successfully',
+                data: customer
+            });
+
+        } catch (error) {
+            let statusCode = 400;
+            if (error.message.includes('not found')) statusCode = 404;
+            else if (error.message.includes('conflict')) statusCode = 409;
+
+            res.status(statusCode).json({
+                error: 'Failed to update customer',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Close a customer
+     * DELETE /api/customers/:id
+     */
+    static async closeCustomer(req, res) {
+        try {
+            const customer = await CustomerService.closeCustomer(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Customer closed successfully',
+                data: customer
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to close customer',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get a customer's credit limit and outstanding bookings value
+     * GET /api/customers/:id/credit
+     */
+    static async getCreditSummary(req, res) {
+        try {
+            if (!canAccessCustomer(req, req.params.id)) {
+                return sendForbidden(res);
+            }
+
+            const credit = await CustomerService.getCreditSummary(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Customer credit fetched successfully',
+                data: credit
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to fetch customer credit',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = CustomerController;
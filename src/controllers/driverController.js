@@ -0,0 +1,183 @@
+const DriverService = require('../services/driverService');
+const { ROLES } = require('../config/auth');
+
+class DriverController {
+    /**
+     * Create a new driver
+     * POST /api/drivers
+     */
+    static async createDriver(req, res) {
+        try {
+            const driver = await DriverService.createDriver(req.body);
+
+            res.status(201).json({
+                success: true,
+                message: 'Driver created successfully',
+                data: driver
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('already exists') ? 409 : 400;
+            res.status(statusCode).json({
+                error: 'Driver creation failed',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get all drivers
+     * GET /api/drivers
+     */
+    static async getAllDrivers(req, res) {
+        try {
+            const { status, licenceClass, homePincode } = req.query;
+
+            const filters = {};
+            if (status) filters.status = status;
+            if (licenceClass) filters.licenceClass = licenceClass;
+            if (homePincode) filters.homePincode = homePincode;
+
+            const drivers = await DriverService.getAllDrivers(filters);
+
+            res.status(200).json({
+                success: true,
+                message: 'Drivers fetched successfully',
+                data: drivers,
+                count: drivers.length
+            });
+
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to fetch drivers',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get driver by ID
+     * GET /api/drivers/:id
+     */
+    static async getDriverById(req, res) {
+        try {
+            const driver = await DriverService.getDriverById(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Driver fetched successfully',
+                data: driver
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to fetch driver',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get hours used and remaining under the hours-of-service policy
+     * GET /api/drivers/:id/hours
+     */
+    static async getDriverHours(req, res) {
+        try {
+            const { id } = req.params;
+            const { startDate, endDate } = req.query;
+
+            // Drivers can only see their own hours
+            if (req.user.role === ROLES.DRIVER) {
+                const driver = await DriverService.getDriverById(id);
+                if (!driver.userId || driver.userId.toString() !== req.user._id.toString()) {
+                    return res.status(403).json({
+                        error: 'Access forbidden',
+                        message: 'You can only access your own hours'
+                    });
+                }
+            }
+
+            const dateRange = {};
+            if (startDate) dateRange.startDate = startDate;
+            if (endDate) dateRange.endDate = endDate;
+
+            const hours = await DriverService.getDriverHours(id, dateRange);
+
+            res.status(200).json({
+                success: true,
+                message: 'Driver hours fetched successfully',
+                data: hours
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 400;
+            res.status(statusCode).json({
+                error: 'Failed to fetch driver hours',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Update a driver
+     * PUT /api/drivers/:id
+     */
+    static async updateDriver(req, res) {
+        try {
+            const driver = await DriverService.updateDriver(req.params.id, req.body);
+
+            res.status(200).json({
+                success: true,
+                message: 'Driver updated successfully',
+                data: driver
+            });
+
+        } catch (error) {
+            let statusCode = 400;
+
+            if (error.message.includes('not found')) {
+                statusCode = 404;
+            } else if (error.message.includes('already exists')) {
+                statusCode = 409;
+            }
+
+            res.status(statusCode).json({
+                error: 'Failed to update driver',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Deactivate a driver
+     * DELETE /api/drivers/:id
+     */
+    static async deactivateDriver(req, res) {
+        try {
+            const driver = await DriverService.deactivateDriver(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Driver deactivated successfully',
+                data: driver
+            });
+
+        } catch (error) {
+            let statusCode = 400;
+
+            if (error.message.includes('not found')) {
+                statusCode = 404;
+            } else if (error.message.includes('Cannot deactivate')) {
+                statusCode = 409;
+            }
+
+            res.status(statusCode).json({
+                error: 'Failed to deactivate driver',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = DriverController;
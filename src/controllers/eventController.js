@@ -0,0 +1,54 @@
+const EventService = require('../services/eventService');
+const eventsConfig = require('../config/events');
+const { isCustomer } = require('../middleware/authMiddleware');
+
+/**
+ * Format an event as a Server-Sent Events message
+ */
+const toSseMessage = (event) => (
+    (event.id ? `id: ${event.id}\n` : '') +
+    `event: ${event.type}\n` +
+    `data: ${JSON.stringify(event)}\n\n`
+);
+
+class EventController {
+    /**
+     * Stream booking and vehicle events as Server-Sent Events
+     * GET /api/events
+     */
+    static streamEvents(req, res) {
+        const { vehicleId, customerId, types } = req.query;
+
+        const filters = {};
+        if (vehicleId) filters.vehicleId = vehicleId;
+        if (customerId) filters.customerId = customerId;
+        if (types) filters.types = String(types).split(',').map(type => type.trim());
+
+        // Customers only receive events about their own bookings
+        if (isCustomer(req)) {
+            filters.customerId = req.user.customerId;
+        }
+
+        // EventSource sends Last-Event-ID when it reconnects
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${eventsConfig.retryMs}\n\n`);
+
+        const unsubscribe = EventService.subscribe(filters, event => res.write(toSseMessage(event)), lastEventId);
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), eventsConfig.heartbeatMs);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    }
+}
+
+module.exports = EventController;
@@ -0,0 +1,153 @@
+const CalendarFeedService = require('../services/calendarFeedService');
+const { isCustomer, canAccessCustomer } = require('../middleware/authMiddleware');
+
+/**
+ * Send a 403 response for feeds outside the customer's scope
+ */
+const sendForbidden = (res) => {
+    res.status(403).json({
+        error: 'Access forbidden',
+        message: 'You can only manage feeds of your own bookings'
+    });
+};
+
+/**
+ * Whether the user may manage a feed: customers only their own customer feeds
+ */
+const canAccessFeed = (req, scope, subjectId) => (
+    !isCustomer(req) || (scope === 'customer' && canAccessCustomer(req, subjectId))
+);
+
+/**
+ * Subscription URL of a feed token
+ */
+const buildFeedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/feeds/${token}.ics`;
+
+class FeedController {
+    /**
+     * Create a calendar feed and return its secret subscription URL
+     * POST /api/feeds
+     */
+    static async createFeed(req, res) {
+        try {
+            const { scope, subjectId } = req.body;
+
+            if (!canAccessFeed(req, scope, subjectId)) {
+                return sendForbidden(res);
+            }
+
+            const { feed, token } = await CalendarFeedService.createFeed(req.body, req.user);
+
+            res.status(201).json({
+                success: true,
+                message: 'Calendar feed created successfully. Keep the URL secret; it cannot be shown again',
+                data: {
+                    feed,
+                    token,
+                    url: buildFeedUrl(req, token)
+                }
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 400;
+            res.status(statusCode).json({
+                error: 'Calendar feed creation failed',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get calendar feeds
+     * GET /api/feeds
+     */
+    static async getFeeds(req, res) {
+        try {
+            const { scope, subjectId, includeRevoked } = req.query;
+
+            const filters = {};
+            if (scope) filters.scope = scope;
+            if (subjectId) filters.subjectId = subjectId;
+            if (includeRevoked === 'true') filters.includeRevoked = true;
+
+            // Customers only see the feeds of their own bookings
+            if (isCustomer(req)) {
+                filters.scope = 'customer';
+                filters.subjectId = req.user.customerId;
+            }
+
+            const feeds = await CalendarFeedService.getFeeds(filters);
+
+            res.status(200).json({
+                success: true,
+                message: 'Calendar feeds fetched successfully',
+                data: feeds,
+                count: feeds.length
+            });
+
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to fetch calendar feeds',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Revoke a calendar feed
+     * DELETE /api/feeds/:id
+     */
+    static async revokeFeed(req, res) {
+        try {
+            const { id } = req.params;
+
+            if (isCustomer(req)) {
+                const existingFeed = await CalendarFeedService.getFeedById(id);
+                if (!canAccessFeed(req, existingFeed.scope, existingFeed.subjectId)) {
+                    return sendForbidden(res);
+                }
+            }
+
+            const feed = await CalendarFeedService.revokeFeed(id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Calendar feed revoked successfully',
+                data: feed
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to revoke calendar feed',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Serve the iCalendar document of a feed; the token is the credential
+     * GET /api/feeds/:token.ics
+     */
+    static async getFeedCalendar(req, res) {
+        try {
+            const { feed, body } = await CalendarFeedService.renderFeed(req.params.token);
+
+            res.set({
+                'Content-Type': 'text/calendar; charset=utf-8',
+                'Content-Disposition': `inline; filename="fleetlink-${feed.scope}-${feed.subjectId}.ics"`,
+                'Cache-Control': 'private, max-age=300'
+            });
+            res.status(200).send(body);
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to fetch calendar feed',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = FeedController;
@@ -0,0 +1,180 @@
+const InvoiceService = require('../services/invoiceService');
+const { isCustomer, canAccessCustomer } = require('../middleware/authMiddleware');
+const { isValidObjectId } = require('../utils/validation');
+
+/**
+ * Send a 403 response for invoices of other customers
+ */
+const sendForbidden = (res) => {
+    res.status(403).json({
+        error: 'Access forbidden',
+        message: 'You can only access your own invoices'
+    });
+};
+
+class InvoiceController {
+    /**
+     * Invoice a completed booking, or a customer's billing period
+     * POST /api/invoices
+     */
+    static async createInvoice(req, res) {
+        try {
+            const { bookingId, customerId, periodStart, periodEnd } = req.body;
+
+            const invoice = bookingId
+                ? await InvoiceService.createBookingInvoice(bookingId, req.user)
+                : await InvoiceService.createPeriodInvoice(customerId, periodStart, periodEnd, req.user);
+
+            res.status(201).json({
+                success: true,
+                message: 'Invoice created successfully',
+                data: invoice
+            });
+
+        } catch (error) {
+            let statusCode = 400;
+            if (error.message.includes('not found')) statusCode = 404;
+            else if (error.message.includes('Cannot') || error.message.includes('conflict')) statusCode = 409;
+
+            res.status(statusCode).json({
+                error: 'Invoice creation failed',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get invoices
+     * GET /api/invoices
+     */
+    static async getInvoices(req, res) {
+        try {
+            const { customerId, status, from, to, limit, offset } = req.query;
+
+            if (customerId && !isValidObjectId(customerId)) {
+                return res.status(400).json({
+                    error: 'Invalid ID format',
+                    message: 'The provided customerId is not a valid MongoDB ObjectId'
+                });
+            }
+
+            const filters = {};
+            if (customerId) filters.customerId = customerId;
+            if (status) filters.status = status;
+            if (from) filters.from = from;
+            if (to) filters.to = to;
+            if (limit !== undefined) filters.limit = parseInt(limit, 10);
+            if (offset !== undefined) filters.offset = parseInt(offset, 10);
+
+            // Customers only see their own invoices
+            if (isCustomer(req)) {
+                filters.customerId = req.user.customerId;
+            }
+
+            const result = await InvoiceService.getInvoices(filters);
+
+            res.status(200).json({
+                success: true,
+                message: 'Invoices fetched successfully',
+                data: result.invoices,
+                count: result.invoices.length,
+                pagination: {
+                    total: result.total,
+                    limit: filters.limit || 20,
+                    offset: filters.offset || 0,
+                    hasMore: result.hasMore
+                }
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('Invalid') ? 400 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to fetch invoices',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get invoice by ID
+     * GET /api/invoices/:id
+     */
+    static async getInvoiceById(req, res) {
+        try {
+            const invoice = await InvoiceService.getInvoiceById(req.params.id);
+
+            if (isCustomer(req) && !canAccessCustomer(req, invoice.customerId)) {
+                return sendForbidden(res);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Invoice fetched successfully',
+                data: invoice
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to fetch invoice',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Download an invoice as a PDF
+     * GET /api/invoices/:id/pdf
+     */
+    static async getInvoicePdf(req, res) {
+        try {
+            const { invoice, pdf } = await InvoiceService.renderPdf(req.params.id);
+
+            if (isCustomer(req) && !canAccessCustomer(req, invoice.customerId)) {
+                return sendForbidden(res);
+            }
+
+            res.set({
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `attachment; filename="${invoice.number.replace(/\//g, '-')}.pdf"`,
+                'Content-Length': pdf.length
+            });
+            res.status(200).send(pdf);
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to render invoice',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Void an invoice
+     * POST /api/invoices/:id/void
+     */
+    static async voidInvoice(req, res) {
+        try {
+            const invoice = await InvoiceService.voidInvoice(req.params.id, req.body.reason, req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Invoice voided successfully',
+                data: invoice
+            });
+
+        } catch (error) {
+            let statusCode = 500;
+            if (error.message.includes('not found')) statusCode = 404;
+            else if (error.message.includes('Cannot')) statusCode = 409;
+
+            res.status(statusCode).json({
+                error: 'Failed to void invoice',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = InvoiceController;
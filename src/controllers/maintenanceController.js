@@ -0,0 +1,150 @@
+const MaintenanceService = require('../services/maintenanceService');
+
+/**
+ * Map a maintenance service error to an HTTP status code
+ */
+const getErrorStatus = (error, fallback = 400) => {
+    if (error.message.includes('not found')) return 404;
+    if (error.message.includes('conflict')) return 409;
+    return fallback;
+};
+
+class MaintenanceController {
+    /**
+     * Schedule a maintenance window
+     * POST /api/vehicles/:id/maintenance
+     */
+    static async createWindow(req, res) {
+        try {
+            const { id } = req.params;
+            const { startTime, endTime, type, notes } = req.body;
+
+            const { maintenanceWindow, conflictingBookings } = await MaintenanceService.createWindow(
+                id,
+                { startTime, endTime, type, notes },
+                req.user
+            );
+
+            res.status(201).json({
+                success: true,
+                message: conflictingBookings.length > 0
+                    ? `Maintenance window created; ${conflictingBookings.length} confirmed booking(s) overlap and need reassignment`
+                    : 'Maintenance window created successfully',
+                data: maintenanceWindow,
+                conflictingBookings
+            });
+
+        } catch (error) {
+            res.status(getErrorStatus(error)).json({
+                error: 'Maintenance window creation failed',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get maintenance windows of a vehicle
+     * GET /api/vehicles/:id/maintenance
+     */
+    static async getWindows(req, res) {
+        try {
+            const { id } = req.params;
+            const { from, to } = req.query;
+
+            const filters = {};
+            if (from) filters.from = from;
+            if (to) filters.to = to;
+
+            const windows = await MaintenanceService.getWindows(id, filters);
+
+            res.status(200).json({
+                success: true,
+                message: 'Maintenance windows fetched successfully',
+                data: windows,
+                count: windows.length
+            });
+
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to fetch maintenance windows',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get a maintenance window
+     * GET /api/vehicles/:id/maintenance/:windowId
+     */
+    static async getWindowById(req, res) {
+        try {
+            const { id, windowId } = req.params;
+            const maintenanceWindow = await MaintenanceService.getWindowById(id, windowId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Maintenance window fetched successfully',
+                data: maintenanceWindow
+            });
+
+        } catch (error) {
+            res.status(getErrorStatus(error, 500)).json({
+                error: 'Failed to fetch maintenance window',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Update a maintenance window
+     * PUT /api/vehicles/:id/maintenance/:windowId
+     */
+    static async updateWindow(req, res) {
+        try {
+            const { id, windowId } = req.params;
+
+            const { maintenanceWindow, conflictingBookings } = await MaintenanceService.updateWindow(
+                id,
+                windowId,
+                req.body
+            );
+
+            res.status(200).json({
+                success: true,
+                message: 'Maintenance window updated successfully',
+                data: maintenanceWindow,
+                conflictingBookings
+            });
+
+        } catch (error) {
+            res.status(getErrorStatus(error)).json({
+                error: 'Failed to update maintenance window',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Delete a maintenance window
+     * DELETE /api/vehicles/:id/maintenance/:windowId
+     */
+    static async deleteWindow(req, res) {
+        try {
+            const { id, windowId } = req.params;
+            await MaintenanceService.deleteWindow(id, windowId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Maintenance window deleted successfully'
+            });
+
+        } catch (error) {
+            res.status(getErrorStatus(error, 500)).json({
+                error: 'Failed to delete maintenance window',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = MaintenanceController;
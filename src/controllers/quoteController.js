@@ -0,0 +1,101 @@
+const PricingService = require('../services/pricingService');
+const { isCustomer, canAccessCustomer } = require('../middleware/authMiddleware');
+const { validateStops } = require('../utils/validation');
+
+class QuoteController {
+    /**
+     * Create a signed quote
+     * POST /api/quotes
+     */
+    static async createQuote(req, res) {
+        try {
+            const { vehicleId, vehicleType, capacityKg, fromPincode, toPincode, stops, startTime, waitingMinutes, discountCode } = req.body;
+
+            // Customers always quote for themselves
+            const customerId = isCustomer(req) ? req.user.customerId : req.body.customerId;
+
+            if (!customerId || !startTime || (!stops && (!fromPincode || !toPincode))) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'customerId, startTime, and either stops or fromPincode and toPincode are required'
+                });
+            }
+
+            if (stops !== undefined) {
+                const stopErrors = validateStops(stops);
+                if (stopErrors.length > 0) {
+                    return res.status(400).json({
+                        error: 'Validation failed',
+                        message: 'Invalid stops',
+                        details: stopErrors
+                    });
+                }
+            }
+
+            const quote = await PricingService.createQuote({
+                customerId: String(customerId).trim(),
+                vehicleId,
+                vehicleType,
+                capacityKg,
+                ...(fromPincode && { fromPincode: String(fromPincode).trim() }),
+                ...(toPincode && { toPincode: String(toPincode).trim() }),
+                ...(stops && {
+                    stops: stops.map(stop => ({
+                        pincode: String(stop.pincode).trim(),
+                        type: stop.type,
+                        ...(stop.loadKg !== undefined && { loadKg: Number(stop.loadKg) })
+                    }))
+                }),
+                startTime,
+                waitingMinutes,
+                discountCode
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Quote created successfully',
+                data: quote
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 400;
+            res.status(statusCode).json({
+                error: 'Quote creation failed',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get quote by ID
+     * GET /api/quotes/:id
+     */
+    static async getQuoteById(req, res) {
+        try {
+            const { id } = req.params;
+            const quote = await PricingService.getQuoteById(id);
+
+            if (!canAccessCustomer(req, quote.customerId)) {
+                return res.status(403).json({
+                    error: 'Access forbidden',
+                    message: 'You can only access your own quotes'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Quote fetched successfully',
+                data: quote
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to fetch quote',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = QuoteController;
@@ -0,0 +1,231 @@
+const RecurringBookingService = require('../services/recurringBookingService');
+const { isCustomer, canAccessCustomer } = require('../middleware/authMiddleware');
+const { isValidObjectId } = require('../utils/validation');
+
+/**
+ * Send a 403 response for recurring bookings of other customers
+ */
+const sendForbidden = (res) => {
+    res.status(403).json({
+        error: 'Access forbidden',
+        message: 'You can only access your own recurring bookings'
+    });
+};
+
+/**
+ * Status code for a failed change to a recurring booking
+ */
+const toStatusCode = (error) => {
+    if (error.message.includes('not found')) return 404;
+    if (error.message.includes('Cannot')) return 409;
+    return 400;
+};
+
+class RecurringBookingController {
+    /**
+     * Create a recurring booking and book its first occurrences
+     * POST /api/recurring-bookings
+     */
+    static async createRecurringBooking(req, res) {
+        try {
+            // Customers always book for themselves
+            const customerId = isCustomer(req) ? req.user.customerId : req.body.customerId;
+
+            if (!customerId) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'customerId is required'
+                });
+            }
+
+            const { recurringBooking, generation } = await RecurringBookingService.createRecurringBooking({
+                ...req.body,
+                customerId: String(customerId),
+                fromPincode: String(req.body.fromPincode).trim(),
+                toPincode: String(req.body.toPincode).trim()
+            }, req.user);
+
+            res.status(201).json({
+                success: true,
+                message: `Recurring booking created with ${generation.created.length} booking(s); ${generation.conflicts.length} occurrence(s) could not be booked`,
+                data: recurringBooking,
+                generation
+            });
+
+        } catch (error) {
+            res.status(toStatusCode(error)).json({
+                error: 'Recurring booking creation failed',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get recurring bookings
+     * GET /api/recurring-bookings
+     */
+    static async getRecurringBookings(req, res) {
+        try {
+            const { customerId, status } = req.query;
+
+            if (customerId && !isValidObjectId(customerId)) {
+                return res.status(400).json({
+                    error: 'Invalid ID format',
+                    message: 'The provided customerId is not a valid MongoDB ObjectId'
+                });
+            }
+
+            const filters = {};
+            if (customerId) filters.customerId = customerId;
+            if (status) filters.status = status;
+
+            // Customers only see their own recurring bookings
+            if (isCustomer(req)) {
+                filters.customerId = req.user.customerId;
+            }
+
+            const recurringBookings = await RecurringBookingService.getRecurringBookings(filters);
+
+            res.status(200).json({
+                success: true,
+                message: 'Recurring bookings fetched successfully',
+                data: recurringBookings,
+                count: recurringBookings.length
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('Invalid') ? 400 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to fetch recurring bookings',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get recurring booking by ID
+     * GET /api/recurring-bookings/:id
+     */
+    static async getRecurringBookingById(req, res) {
+        try {
+            const recurringBooking = await RecurringBookingService.getRecurringBookingById(req.params.id);
+
+            if (!canAccessCustomer(req, recurringBooking.customerId)) {
+                return sendForbidden(res);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Recurring booking fetched successfully',
+                data: recurringBooking
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to fetch recurring booking',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Change a recurring booking; applies to occurrences after the change cutoff
+     * PUT /api/recurring-bookings/:id
+     */
+    static async updateRecurringBooking(req, res) {
+        try {
+            const { id } = req.params;
+
+            if (isCustomer(req)) {
+                const existing = await RecurringBookingService.getRecurringBookingById(id);
+                if (!canAccessCustomer(req, existing.customerId)) {
+                    return sendForbidden(res);
+                }
+            }
+
+            const changes = { ...req.body };
+            delete changes.customerId;
+            if (changes.fromPincode !== undefined) changes.fromPincode = String(changes.fromPincode).trim();
+            if (changes.toPincode !== undefined) changes.toPincode = String(changes.toPincode).trim();
+
+            const result = await RecurringBookingService.updateRecurringBooking(id, changes, req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Recurring booking updated successfully',
+                data: result.recurringBooking,
+                cancelledBookings: result.cancelledBookings,
+                generation: result.generation
+            });
+
+        } catch (error) {
+            res.status(toStatusCode(error)).json({
+                error: 'Failed to update recurring booking',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Cancel a recurring booking; applies to occurrences after the change cutoff
+     * DELETE /api/recurring-bookings/:id
+     */
+    static async cancelRecurringBooking(req, res) {
+        try {
+            const { id } = req.params;
+            const { reason } = req.body || {};
+
+            if (isCustomer(req)) {
+                const existing = await RecurringBookingService.getRecurringBookingById(id);
+                if (!canAccessCustomer(req, existing.customerId)) {
+                    return sendForbidden(res);
+                }
+            }
+
+            const result = await RecurringBookingService.cancelRecurringBooking(
+                id,
+                typeof reason === 'string' ? reason : '',
+                req.user
+            );
+
+            res.status(200).json({
+                success: true,
+                message: 'Recurring booking cancelled successfully',
+                data: result.recurringBooking,
+                cancelledBookings: result.cancelledBookings
+            });
+
+        } catch (error) {
+            res.status(toStatusCode(error)).json({
+                error: 'Failed to cancel recurring booking',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Book a recurring booking's occurrences up to the horizon now
+     * POST /api/recurring-bookings/:id/generate
+     */
+    static async generateOccurrences(req, res) {
+        try {
+            const generation = await RecurringBookingService.generateOccurrences(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: `${generation.created.length} booking(s) created; ${generation.conflicts.length} occurrence(s) could not be booked`,
+                data: generation
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to generate recurring bookings',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = RecurringBookingController;
@@ -0,0 +1,125 @@
+const PricingService = require('../services/pricingService');
+
+class TariffController {
+    /**
+     * Create a tariff
+     * POST /api/tariffs
+     */
+    static async createTariff(req, res) {
+        try {
+            const tariff = await PricingService.createTariff(req.body);
+
+            res.status(201).json({
+                success: true,
+                message: 'Tariff created successfully',
+                data: tariff
+            });
+
+        } catch (error) {
+            res.status(400).json({
+                error: 'Tariff creation failed',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get all tariffs
+     * GET /api/tariffs
+     */
+    static async getAllTariffs(req, res) {
+        try {
+            const { vehicleType, isActive } = req.query;
+
+            const filters = {};
+            if (vehicleType) filters.vehicleType = vehicleType;
+            if (isActive !== undefined) filters.isActive = isActive === 'true';
+
+            const tariffs = await PricingService.getAllTariffs(filters);
+
+            res.status(200).json({
+                success: true,
+                message: 'Tariffs fetched successfully',
+                data: tariffs,
+                count: tariffs.length
+            });
+
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to fetch tariffs',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get tariff by ID
+     * GET /api/tariffs/:id
+     */
+    static async getTariffById(req, res) {
+        try {
+            const tariff = await PricingService.getTariffById(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Tariff fetched successfully',
+                data: tariff
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to fetch tariff',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Update a tariff
+     * PUT /api/tariffs/:id
+     */
+    static async updateTariff(req, res) {
+        try {
+            const tariff = await PricingService.updateTariff(req.params.id, req.body);
+
+            res.status(200).json({
+                success: true,
+                message: 'Tariff updated successfully',
+                data: tariff
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 400;
+            res.status(statusCode).json({
+                error: 'Failed to update tariff',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Deactivate a tariff
+     * DELETE /api/tariffs/:id
+     */
+    static async deactivateTariff(req, res) {
+        try {
+            const tariff = await PricingService.deactivateTariff(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Tariff deactivated successfully',
+                data: tariff
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to deactivate tariff',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = TariffController;
@@ -0,0 +1,127 @@
+const TrackingService = require('../services/trackingService');
+const { ROLES } = require('../config/auth');
+
+/**
+ * Whether the user may report positions for the vehicle
+ * Devices only for the vehicle they are bound to, drivers only while
+ * driving its in-progress booking; staff for any vehicle
+ */
+const canReportFor = async (req, vehicleId) => {
+    if (req.user.role === ROLES.DEVICE) {
+        return Boolean(req.user.vehicleId) && req.user.vehicleId.toString() === vehicleId;
+    }
+    if (req.user.role === ROLES.DRIVER) {
+        return TrackingService.isDrivingVehicle(vehicleId, req.user._id);
+    }
+    return true;
+};
+
+class TrackingController {
+    /**
+     * Record position pings from a telematics device
+     * POST /api/vehicles/:id/positions
+     */
+    static async recordPositions(req, res) {
+        try {
+            const { id } = req.params;
+            const pings = Array.isArray(req.body.pings) ? req.body.pings : [req.body];
+
+            if (!(await canReportFor(req, id))) {
+                return res.status(403).json({
+                    error: 'Access forbidden',
+                    message: 'You can only report positions for the vehicle you are assigned to'
+                });
+            }
+
+            const result = await TrackingService.recordPositions(id, pings);
+
+            res.status(201).json({
+                success: true,
+                message: 'Positions recorded successfully',
+                data: result
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 400;
+            res.status(statusCode).json({
+                error: 'Failed to record positions',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get the last-known position of a vehicle
+     * GET /api/vehicles/:id/location
+     */
+    static async getLastKnownPosition(req, res) {
+        try {
+            const location = await TrackingService.getLastKnownPosition(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Vehicle location fetched successfully',
+                data: location
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') || error.message.includes('No position') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to fetch vehicle location',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get the breadcrumb trail of a vehicle
+     * GET /api/vehicles/:id/track
+     */
+    static async getTrack(req, res) {
+        try {
+            const { id } = req.params;
+            const { from, to } = req.query;
+
+            const track = await TrackingService.getTrack(id, { from, to });
+
+            res.status(200).json({
+                success: true,
+                message: 'Vehicle track fetched successfully',
+                data: track
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 400;
+            res.status(statusCode).json({
+                error: 'Failed to fetch vehicle track',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Public tracking page of a booking; the secret token authenticates
+     * GET /api/track/:token
+     */
+    static async getPublicTracking(req, res) {
+        try {
+            const tracking = await TrackingService.getPublicTracking(req.params.token);
+
+            res.set('Cache-Control', 'no-store');
+            res.status(200).json({
+                success: true,
+                message: 'Tracking details fetched successfully',
+                data: tracking
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to fetch tracking details',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = TrackingController;
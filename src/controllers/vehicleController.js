@@ -1,4 +1,14 @@
+const { pipeline } = require('stream');
 const VehicleService = require('../services/vehicleService');
+const CalendarService = require('../services/calendarService');
+const VehicleSyncService = require('../services/vehicleSyncService');
+
+// Response types of the export formats
+const EXPORT_CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8'
+};
 
 class VehicleController {
     /**
@@ -72,6 +82,82 @@ class VehicleController {
         }
     }
 
+    /**
+     * Create or update vehicles by registrationNumber from a .csv, .xlsx or
+     * .json file, or check them with dryRun
+     * POST /api/vehicles/import
+     */
+    static async importVehicles(req, res) {
+        try {
+            const records = await VehicleSyncService.parseFile(req.file);
+
+            const report = await VehicleSyncService.importVehicles(records, {
+                dryRun: String(req.body.dryRun) === 'true'
+            });
+
+            const { summary } = report;
+            const rejected = summary.invalid + summary.failed;
+            let message = `${summary.created} vehicle(s) created, ${summary.updated} updated, ${summary.unchanged} unchanged`;
+            if (report.dryRun) {
+                message = `Dry run: ${summary.valid} of ${summary.total} row(s) can be imported`;
+            } else if (rejected > 0) {
+                message += `; ${rejected} row(s) not imported`;
+            }
+
+            // Nothing could be imported from the file
+            const statusCode = summary.valid === 0 ? 400 : 200;
+
+            res.status(statusCode).json({
+                success: statusCode === 200 && (report.dryRun || rejected === 0),
+                message,
+                data: report
+            });
+
+        } catch (error) {
+            res.status(400).json({
+                error: 'Vehicle import failed',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Stream the vehicles matching the getAllVehicles filters as CSV, JSON or NDJSON
+     * GET /api/vehicles/export
+     */
+    static async exportVehicles(req, res) {
+        try {
+            const { status, minCapacity, format = 'csv' } = req.query;
+
+            const filters = {};
+            if (status) filters.status = status;
+            if (minCapacity) filters.minCapacity = minCapacity;
+
+            const stream = VehicleSyncService.exportVehicles(filters, format);
+
+            res.set({
+                'Content-Type': EXPORT_CONTENT_TYPES[format],
+                'Content-Disposition': `attachment; filename="vehicles.${format}"`,
+                'Cache-Control': 'no-store'
+            });
+            res.status(200);
+            // Headers are already sent by the time a read fails, so a failure
+            // (or the client going away) ends both streams and closes the cursor
+            pipeline(stream, res, (error) => {
+                if (error) {
+                    console.error('Vehicle export failed:', error.message);
+                }
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('Invalid') ? 400 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to export vehicles',
+                message: error.message
+            });
+        }
+    }
+
     /**
      * Get vehicle by ID
      * GET /api/vehicles/:id
@@ -102,7 +188,7 @@ class VehicleController {
      */
     static async findAvailableVehicles(req, res) {
         try {
-            const { capacityRequired, fromPincode, toPincode, startTime } = req.query;
+            const { capacityRequired, fromPincode, toPincode, startTime, sortBy, sortOrder, limit, offset } = req.query;
 
             // Validate required parameters
             if (!capacityRequired || !fromPincode || !toPincode || !startTime) {
@@ -119,14 +205,26 @@ class VehicleController {
                 startTime: startTime.trim()
             };
 
-            const availableVehicles = await VehicleService.findAvailableVehicles(criteria);
+            const options = {};
+            if (sortBy) options.sortBy = sortBy;
+            if (sortOrder) options.sortOrder = sortOrder;
+            if (limit) options.limit = parseInt(limit);
+            if (offset) options.offset = parseInt(offset);
+
+            const result = await VehicleService.searchAvailableVehicles(criteria, options);
 
             res.status(200).json({
                 success: true,
                 message: 'Available vehicles fetched successfully',
-                data: availableVehicles,
-                count: availableVehicles.length,
-                searchCriteria: criteria
+                data: result.vehicles,
+                count: result.vehicles.length,
+                searchCriteria: criteria,
+                pagination: {
+                    total: result.total,
+                    limit: options.limit || null,
+                    offset: options.offset || 0,
+                    hasMore: result.hasMore
+                }
             });
 
         } catch (error) {
@@ -137,6 +235,71 @@ class VehicleController {
         }
     }
 
+    /**
+     * Suggest alternative start times when no vehicle is free
+     * GET /api/vehicles/available/suggestions
+     */
+    static async suggestAvailableSlots(req, res) {
+        try {
+            const { capacityRequired, fromPincode, toPincode, startTime, stepMinutes, count, searchHours } = req.query;
+
+            const criteria = {
+                capacityRequired: Number(capacityRequired),
+                fromPincode: fromPincode.trim(),
+                toPincode: toPincode.trim(),
+                startTime: startTime.trim()
+            };
+
+            const limits = {
+                stepMinutes: { value: stepMinutes, min: 5, max: 1440 },
+                count: { value: count, min: 1, max: 50 },
+                searchHours: { value: searchHours, min: 1, max: 336 }
+            };
+
+            const options = {};
+            const errors = [];
+            for (const [name, { value, min, max }] of Object.entries(limits)) {
+                if (value === undefined) continue;
+                const num = Number(value);
+                if (!Number.isInteger(num) || num < min || num > max) {
+                    errors.push(`${name} must be an integer between ${min} and ${max}`);
+                } else {
+                    options[name] = num;
+                }
+            }
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'Invalid suggestion options',
+                    details: errors
+                });
+            }
+
+            const result = await VehicleService.suggestAvailableSlots(criteria, options);
+
+            res.status(200).json({
+                success: true,
+                message: result.suggestions.length > 0
+                    ? 'Alternative slots fetched successfully'
+                    : 'No alternative slots found in the search range',
+                data: result.suggestions,
+                count: result.suggestions.length,
+                searchCriteria: {
+                    ...criteria,
+                    stepMinutes: result.stepMinutes,
+                    searchHours: result.searchHours
+                }
+            });
+
+        } catch (error) {
+            res.status(400).json({
+                error: 'Failed to suggest available slots',
+                message: error.message
+            });
+        }
+    }
+
     /**
      * Update vehicle status
      * PATCH /api/vehicles/:id/status
@@ -208,6 +371,62 @@ class VehicleController {
         }
     }
 
+    /**
+     * Get the timeline of a vehicle: bookings, maintenance and free gaps
+     * GET /api/vehicles/:id/calendar
+     */
+    static async getVehicleCalendar(req, res) {
+        try {
+            const { id } = req.params;
+            const { from, to } = req.query;
+
+            const calendar = await CalendarService.getVehicleCalendar(id, { from, to });
+
+            res.status(200).json({
+                success: true,
+                message: 'Vehicle calendar fetched successfully',
+                data: calendar
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 400;
+            res.status(statusCode).json({
+                error: 'Failed to fetch vehicle calendar',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get the timelines of the fleet for a Gantt-style board
+     * GET /api/vehicles/calendar
+     */
+    static async getFleetCalendar(req, res) {
+        try {
+            const { from, to, status, minCapacity, maxCapacity } = req.query;
+
+            const filters = {};
+            if (status) filters.status = status;
+            if (minCapacity) filters.minCapacity = minCapacity;
+            if (maxCapacity) filters.maxCapacity = maxCapacity;
+
+            const calendar = await CalendarService.getFleetCalendar(filters, { from, to });
+
+            res.status(200).json({
+                success: true,
+                message: 'Fleet calendar fetched successfully',
+                data: calendar,
+                count: calendar.vehicles.length
+            });
+
+        } catch (error) {
+            res.status(400).json({
+                error: 'Failed to fetch fleet calendar',
+                message: error.message
+            });
+        }
+    }
+
     /**
      * Delete vehicle (soft delete)
      * DELETE /api/vehicles/:id
@@ -0,0 +1,197 @@
+const WebhookService = require('../services/webhookService');
+
+class WebhookController {
+    /**
+     * Register a webhook and return its signing secret
+     * POST /api/webhooks
+     */
+    static async createWebhook(req, res) {
+        try {
+            const { webhook, secret } = await WebhookService.createWebhook(req.body, req.user);
+
+            res.status(201).json({
+                success: true,
+                message: 'Webhook created successfully. Keep the secret safe; it cannot be shown again',
+                data: {
+                    webhook,
+                    secret
+                }
+            });
+
+        } catch (error) {
+            res.status(400).json({
+                error: 'Webhook creation failed',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get all webhooks
+     * GET /api/webhooks
+     */
+    static async getWebhooks(req, res) {
+        try {
+            const { isActive, customerId } = req.query;
+
+            const filters = {};
+            if (isActive !== undefined) filters.isActive = isActive === 'true';
+            if (customerId) filters.customerId = customerId;
+
+            const webhooks = await WebhookService.getWebhooks(filters);
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhooks fetched successfully',
+                data: webhooks,
+                count: webhooks.length
+            });
+
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to fetch webhooks',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get webhook by ID
+     * GET /api/webhooks/:id
+     */
+    static async getWebhookById(req, res) {
+        try {
+            const webhook = await WebhookService.getWebhookById(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhook fetched successfully',
+                data: webhook
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to fetch webhook',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Update a webhook
+     * PUT /api/webhooks/:id
+     */
+    static async updateWebhook(req, res) {
+        try {
+            const webhook = await WebhookService.updateWebhook(req.params.id, req.body);
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhook updated successfully',
+                data: webhook
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 400;
+            res.status(statusCode).json({
+                error: 'Failed to update webhook',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Deactivate a webhook
+     * DELETE /api/webhooks/:id
+     */
+    static async deactivateWebhook(req, res) {
+        try {
+            const webhook = await WebhookService.deactivateWebhook(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhook deactivated successfully',
+                data: webhook
+            });
+
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            res.status(statusCode).json({
+                error: 'Failed to deactivate webhook',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get the delivery log of a webhook
+     * GET /api/webhooks/:id/deliveries
+     */
+    static async getDeliveries(req, res) {
+        try {
+            const { status, limit, offset } = req.query;
+
+            const options = {};
+            if (status) options.status = status;
+            if (limit !== undefined) options.limit = parseInt(limit, 10);
+            if (offset !== undefined) options.offset = parseInt(offset, 10);
+
+            const result = await WebhookService.getDeliveries(req.params.id, options);
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhook deliveries fetched successfully',
+                data: result.deliveries,
+                count: result.deliveries.length,
+                pagination: {
+                    total: result.total,
+                    limit: options.limit || 20,
+                    offset: options.offset || 0,
+                    hasMore: result.hasMore
+                }
+            });
+
+        } catch (error) {
+            let statusCode = 500;
+            if (error.message.includes('not found')) statusCode = 404;
+            else if (error.message.includes('Invalid')) statusCode = 400;
+
+            res.status(statusCode).json({
+                error: 'Failed to fetch webhook deliveries',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Send a delivery again now
+     * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+     */
+    static async redeliver(req, res) {
+        try {
+            const delivery = await WebhookService.redeliver(req.params.id, req.params.deliveryId);
+            const delivered = delivery.status === 'delivered';
+
+            res.status(200).json({
+                success: true,
+                message: delivered
+                    ? 'Webhook redelivered successfully'
+                    : `Redelivery failed: ${delivery.lastError}`,
+                data: delivery
+            });
+
+        } catch (error) {
+            let statusCode = 500;
+            if (error.message.includes('not found')) statusCode = 404;
+            else if (error.message.includes('Cannot')) statusCode = 409;
+
+            res.status(statusCode).json({
+                error: 'Failed to redeliver webhook',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = WebhookController;
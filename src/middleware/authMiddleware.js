@@ -0,0 +1,75 @@
+const AuthService = require('../services/authService');
+const { ROLES } = require('../config/auth');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errorHandler');
+
+/**
+ * Middleware to authenticate requests with a Bearer access token
+ * Sets req.user to the authenticated user
+ */
+const authenticate = async (req, res, next) => {
+    try {
+        const header = req.get('Authorization') || '';
+        const [scheme, token] = header.split(' ');
+
+        if (scheme !== 'Bearer' || !token) {
+            return next(new UnauthorizedError('Authentication token is required'));
+        }
+
+        req.user = await AuthService.authenticateAccessToken(token);
+        next();
+    } catch (error) {
+        next(error instanceof UnauthorizedError ? error : new UnauthorizedError('Authentication failed'));
+    }
+};
+
+/**
+ * Middleware to accept the access token as an accessToken query parameter
+ * For clients that cannot set headers, such as the browser EventSource.
+ * Must run before authenticate; a header, if present, wins
+ */
+const acceptQueryToken = (req, res, next) => {
+    if (!req.get('Authorization') && typeof req.query.accessToken === 'string') {
+        req.headers.authorization = `Bearer ${req.query.accessToken}`;
+    }
+    next();
+};
+
+/**
+ * Middleware factory to restrict a route to the given roles
+ * Must run after authenticate
+ */
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return next(new UnauthorizedError('Authentication token is required'));
+    }
+
+    if (!roles.includes(req.user.role)) {
+        return next(new ForbiddenError(`This action requires one of the roles: ${roles.join(', ')}`));
+    }
+
+    next();
+};
+
+/**
+ * Check whether the authenticated user is a customer
+ */
+const isCustomer = (req) => Boolean(req.user) && req.user.role === ROLES.CUSTOMER;
+
+/**
+ * Check whether the authenticated user may access a customer's data
+ * Staff roles can access any customer; customers only themselves
+ */
+const canAccessCustomer = (req, customerId) => {
+    if (!isCustomer(req)) {
+        return true;
+    }
+    return Boolean(customerId) && String(req.user.customerId) === String(customerId._id || customerId);
+};
+
+module.exports = {
+    authenticate,
+    acceptQueryToken,
+    authorize,
+    isCustomer,
+    canAccessCustomer
+};
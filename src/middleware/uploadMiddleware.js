@@ -0,0 +1,105 @@
+const path = require('path');
+const multer = require('multer');
+const podConfig = require('../config/pod');
+const importConfig = require('../config/imports');
+
+/**
+ * Messages for multer's limit errors
+ *
+ * @param {Object} error - Upload error
+ * @param {Object} limits - { maxFileSizeBytes, expectedFiles } describing the upload
+ */
+const describeUploadError = (error, { maxFileSizeBytes, expectedFiles }) => {
+    switch (error.code) {
+        case 'LIMIT_FILE_SIZE':
+            return `Files cannot exceed ${maxFileSizeBytes / (1024 * 1024)} MB`;
+        case 'LIMIT_UNEXPECTED_FILE':
+            return `Unexpected file field ${error.field}: send ${expectedFiles}`;
+        default:
+            return error.message;
+    }
+};
+
+/**
+ * Wrap a multer upload so its errors are answered as validation failures
+ *
+ * @param {Function} upload - Multer middleware
+ * @param {string} message - Message of the 400 response
+ * @param {Object} limits - { maxFileSizeBytes, expectedFiles } describing the upload
+ */
+const answerUploadErrors = (upload, message, limits) => (req, res, next) => {
+    upload(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message,
+                details: [describeUploadError(error, limits)]
+            });
+        }
+        next();
+    });
+};
+
+// Files are kept in memory and handed to the storage adapter by the service
+const podUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: podConfig.maxFileSizeBytes,
+        files: podConfig.maxPhotos + 1
+    },
+    fileFilter: (req, file, callback) => {
+        if (!podConfig.allowedContentTypes.includes(file.mimetype)) {
+            const error = new Error(
+                `File ${file.originalname} must be one of: ${podConfig.allowedContentTypes.join(', ')}`
+            );
+            error.code = 'UNSUPPORTED_FILE_TYPE';
+            return callback(error);
+        }
+        callback(null, true);
+    }
+}).fields([
+    { name: 'signature', maxCount: 1 },
+    { name: 'photos', maxCount: podConfig.maxPhotos }
+]);
+
+// Import files are small enough to parse from memory
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: importConfig.maxFileSizeBytes,
+        files: 1
+    },
+    fileFilter: (req, file, callback) => {
+        if (!importConfig.formats[path.extname(file.originalname).toLowerCase()]) {
+            const error = new Error(
+                `File ${file.originalname} must be one of: ${Object.keys(importConfig.formats).join(', ')}`
+            );
+            error.code = 'UNSUPPORTED_FILE_TYPE';
+            return callback(error);
+        }
+        callback(null, true);
+    }
+}).single('file');
+
+/**
+ * Middleware to parse a multipart proof-of-delivery upload
+ * Upload errors are answered as validation failures
+ */
+const uploadProofOfDelivery = answerUploadErrors(podUpload, 'Invalid proof of delivery upload', {
+    maxFileSizeBytes: podConfig.maxFileSizeBytes,
+    expectedFiles: `one signature and at most ${podConfig.maxPhotos} photos`
+});
+
+/**
+ * Middleware to parse a multipart import file upload in the file field
+ * Upload errors are answered as validation failures
+ */
+const uploadImportFile = answerUploadErrors(importUpload, 'Invalid import upload', {
+    maxFileSizeBytes: importConfig.maxFileSizeBytes,
+    expectedFiles: `one ${Object.keys(importConfig.formats).join(', ')} file in the file field`
+});
+
+module.exports = {
+    uploadProofOfDelivery,
+    uploadImportFile
+};
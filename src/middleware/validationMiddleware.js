@@ -1,10 +1,23 @@
 const mongoose = require('mongoose');
+const {
+    validateStops,
+    isValidEmail,
+    isValidPhoneNumber,
+    isValidGstin,
+    isValidHttpUrl,
+    isValidPincode
+} = require('../utils/validation');
+const { isValidCoordinate } = require('../utils/geo');
+const trackingConfig = require('../config/tracking');
+const { EVENT_TYPES } = require('../config/events');
+const { WEBHOOK_EVENT_TYPES } = require('../config/webhooks');
+const { parseRule, parseLocalDate, validateSchedule } = require('../utils/recurrence');
 
 /**
  * Middleware to validate vehicle creation data
  */
 const validateVehicleCreation = (req, res, next) => {
-    const { name, capacityKg, tyres } = req.body;
+    const { name, capacityKg, tyres, registrationNumber } = req.body;
     const errors = [];
 
     // Check required fields
@@ -32,6 +45,10 @@ const validateVehicleCreation = (req, res, next) => {
         }
     }
 
+    if (registrationNumber !== undefined && typeof registrationNumber !== 'string') {
+        errors.push('RegistrationNumber must be a string');
+    }
+
     if (errors.length > 0) {
         return res.status(400).json({
             error: 'Validation failed',
@@ -47,9 +64,19 @@ const validateVehicleCreation = (req, res, next) => {
  * Middleware to validate booking creation data
  */
 const validateBookingCreation = (req, res, next) => {
-    const { vehicleId, fromPincode, toPincode, startTime, customerId } = req.body;
+    const { vehicleId, startTime, customerId, quoteId, stops } = req.body;
+    let { fromPincode, toPincode } = req.body;
     const errors = [];
 
+    // Multi-stop bookings take their endpoints from the stops
+    if (stops !== undefined) {
+        errors.push(...validateStops(stops));
+        if (Array.isArray(stops) && stops.length > 0) {
+            fromPincode = stops[0].pincode;
+            toPincode = stops[stops.length - 1].pincode;
+        }
+    }
+
     // Check required fields
     if (!vehicleId || typeof vehicleId !== 'string' || vehicleId.trim().length === 0) {
         errors.push('VehicleId is required and must be a non-empty string');
@@ -57,18 +84,23 @@ const validateBookingCreation = (req, res, next) => {
         errors.push('VehicleId must be a valid MongoDB ObjectId');
     }
 
-    if (!customerId || typeof customerId !== 'string' || customerId.trim().length === 0) {
-        errors.push('CustomerId is required and must be a non-empty string');
+    // Customers book for themselves - their customerId comes from the token
+    const isCustomerRequest = req.user && req.user.role === 'customer';
+    if (!isCustomerRequest && !mongoose.Types.ObjectId.isValid(customerId)) {
+        errors.push('CustomerId is required and must be a valid customer ID');
+    }
+
+    if (quoteId !== undefined && !mongoose.Types.ObjectId.isValid(quoteId)) {
+        errors.push('QuoteId must be a valid MongoDB ObjectId');
     }
 
     // Validate pincodes
-    const pincodeRegex = /^\d{6}$/;
-    if (!fromPincode || !pincodeRegex.test(fromPincode)) {
-        errors.push('FromPincode is required and must be exactly 6 digits');
+    if (!isValidPincode(fromPincode)) {
+        errors.push('FromPincode is required and must be a string of exactly 6 digits');
     }
 
-    if (!toPincode || !pincodeRegex.test(toPincode)) {
-        errors.push('ToPincode is required and must be exactly 6 digits');
+    if (!isValidPincode(toPincode)) {
+        errors.push('ToPincode is required and must be a string of exactly 6 digits');
     }
 
     // Validate start time
@@ -76,7 +108,7 @@ const validateBookingCreation = (req, res, next) => {
         errors.push('StartTime is required');
     } else {
         const start = new Date(startTime);
-        if (isNaN(start.getTime())) {
+        if (typeof startTime !== 'string' || isNaN(start.getTime())) {
             errors.push('StartTime must be a valid ISO date string');
         } else if (start <= new Date()) {
             errors.push('StartTime must be in the future');
@@ -94,6 +126,156 @@ const validateBookingCreation = (req, res, next) => {
     next();
 };
 
+/**
+ * Middleware to validate automatic dispatch requests
+ */
+const validateAutoDispatch = (req, res, next) => {
+    const { capacityRequired, fromPincode, toPincode, startTime, customerId, strategy, driverId } = req.body;
+    const errors = [];
+
+    if (!capacityRequired || isNaN(Number(capacityRequired))) {
+        errors.push('CapacityRequired is required and must be a number');
+    } else if (Number(capacityRequired) < 1) {
+        errors.push('CapacityRequired must be greater than 0');
+    }
+
+    const isCustomerRequest = req.user && req.user.role === 'customer';
+    if (!isCustomerRequest && !mongoose.Types.ObjectId.isValid(customerId)) {
+        errors.push('CustomerId is required and must be a valid customer ID');
+    }
+
+    if (!isValidPincode(fromPincode)) {
+        errors.push('FromPincode is required and must be a string of exactly 6 digits');
+    }
+
+    if (!isValidPincode(toPincode)) {
+        errors.push('ToPincode is required and must be a string of exactly 6 digits');
+    }
+
+    if (!startTime) {
+        errors.push('StartTime is required');
+    } else {
+        const start = new Date(startTime);
+        if (typeof startTime !== 'string' || isNaN(start.getTime())) {
+            errors.push('StartTime must be a valid ISO date string');
+        } else if (start <= new Date()) {
+            errors.push('StartTime must be in the future');
+        }
+    }
+
+    if (strategy !== undefined && typeof strategy !== 'string') {
+        errors.push('Strategy must be a string');
+    }
+
+    if (driverId !== undefined && !mongoose.Types.ObjectId.isValid(driverId)) {
+        errors.push('DriverId must be a valid MongoDB ObjectId');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid dispatch request',
+            details: errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Middleware to validate booking reschedule data
+ */
+const validateBookingReschedule = (req, res, next) => {
+    const { startTime, fromPincode, toPincode, vehicleId, quoteId, reason } = req.body;
+    const errors = [];
+
+    if (!startTime) {
+        errors.push('StartTime is required');
+    } else {
+        const start = new Date(startTime);
+        if (typeof startTime !== 'string' || isNaN(start.getTime())) {
+            errors.push('StartTime must be a valid ISO date string');
+        } else if (start <= new Date()) {
+            errors.push('StartTime must be in the future');
+        }
+    }
+
+    if (fromPincode !== undefined && !isValidPincode(fromPincode)) {
+        errors.push('FromPincode must be a string of exactly 6 digits');
+    }
+
+    if (toPincode !== undefined && !isValidPincode(toPincode)) {
+        errors.push('ToPincode must be a string of exactly 6 digits');
+    }
+
+    if (vehicleId !== undefined && !mongoose.Types.ObjectId.isValid(vehicleId)) {
+        errors.push('VehicleId must be a valid MongoDB ObjectId');
+    }
+
+    if (quoteId !== undefined && !mongoose.Types.ObjectId.isValid(quoteId)) {
+        errors.push('QuoteId must be a valid MongoDB ObjectId');
+    }
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+        errors.push('Reason must be a string of at most 500 characters');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid reschedule data',
+            details: errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Middleware to validate driver creation data
+ */
+const validateDriverCreation = (req, res, next) => {
+    const { name, phone, licenceNumber, licenceClass, licenceExpiry, homePincode } = req.body;
+    const errors = [];
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        errors.push('Name is required and must be a non-empty string');
+    } else if (name.trim().length > 100) {
+        errors.push('Name cannot exceed 100 characters');
+    }
+
+    if (!isValidPhoneNumber(phone)) {
+        errors.push('Phone is required and must be a valid 10-digit mobile number');
+    }
+
+    if (!licenceNumber || typeof licenceNumber !== 'string' || licenceNumber.trim().length === 0) {
+        errors.push('LicenceNumber is required and must be a non-empty string');
+    }
+
+    const validLicenceClasses = ['LMV', 'MGV', 'HGV'];
+    if (!validLicenceClasses.includes(licenceClass)) {
+        errors.push(`LicenceClass must be one of: ${validLicenceClasses.join(', ')}`);
+    }
+
+    if (!licenceExpiry || isNaN(new Date(licenceExpiry).getTime())) {
+        errors.push('LicenceExpiry is required and must be a valid ISO date string');
+    }
+
+    if (!isValidPincode(homePincode)) {
+        errors.push('HomePincode is required and must be a string of exactly 6 digits');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid driver data',
+            details: errors
+        });
+    }
+
+    next();
+};
+
 /**
  * Middleware to validate MongoDB ObjectId
  */
@@ -110,6 +292,609 @@ const validateObjectId = (req, res, next) => {
     next();
 };
 
+/**
+ * Middleware factory to validate a named MongoDB ObjectId route parameter
+ */
+const validateObjectIdParam = (param) => (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params[param])) {
+        return res.status(400).json({
+            error: 'Invalid ID format',
+            message: `The provided ${param} is not a valid MongoDB ObjectId`
+        });
+    }
+
+    next();
+};
+
+/**
+ * Middleware to validate maintenance window creation data
+ */
+const validateMaintenanceWindow = (req, res, next) => {
+    const { startTime, endTime, type, notes } = req.body;
+    const errors = [];
+
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    if (!startTime || isNaN(start.getTime())) {
+        errors.push('StartTime is required and must be a valid ISO date string');
+    }
+
+    if (!endTime || isNaN(end.getTime())) {
+        errors.push('EndTime is required and must be a valid ISO date string');
+    } else if (end <= new Date()) {
+        errors.push('EndTime must be in the future');
+    }
+
+    if (errors.length === 0 && end <= start) {
+        errors.push('EndTime must be after StartTime');
+    }
+
+    const validTypes = ['service', 'repair', 'inspection', 'other'];
+    if (type !== undefined && !validTypes.includes(type)) {
+        errors.push(`Type must be one of: ${validTypes.join(', ')}`);
+    }
+
+    if (notes !== undefined && (typeof notes !== 'string' || notes.length > 500)) {
+        errors.push('Notes must be a string of at most 500 characters');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid maintenance window data',
+            details: errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Middleware to validate telematics position pings
+ * Accepts a single ping or { pings: [...] }
+ */
+const validatePositionPings = (req, res, next) => {
+    const pings = Array.isArray(req.body.pings) ? req.body.pings : [req.body];
+    const errors = [];
+
+    if (pings.length === 0 || pings.length > trackingConfig.maxPingsPerRequest) {
+        errors.push(`Between 1 and ${trackingConfig.maxPingsPerRequest} pings can be sent at once`);
+    }
+
+    const latestAllowed = Date.now() + trackingConfig.maxClockSkewMinutes * 60 * 1000;
+
+    pings.slice(0, trackingConfig.maxPingsPerRequest).forEach((ping, index) => {
+        const prefix = pings.length > 1 ? `Ping ${index + 1}: ` : '';
+        const { lat, lng, speed, heading, timestamp } = ping || {};
+
+        if (!isValidCoordinate(lat, lng)) {
+            errors.push(`${prefix}lat and lng are required and must be valid coordinates`);
+        }
+
+        if (speed !== undefined && (typeof speed !== 'number' || speed < 0)) {
+            errors.push(`${prefix}speed must be a non-negative number (km/h)`);
+        }
+
+        if (heading !== undefined && (typeof heading !== 'number' || heading < 0 || heading > 360)) {
+            errors.push(`${prefix}heading must be a number between 0 and 360`);
+        }
+
+        const recordedAt = new Date(timestamp);
+        if (!timestamp || isNaN(recordedAt.getTime())) {
+            errors.push(`${prefix}timestamp is required and must be a valid ISO date string`);
+        } else if (recordedAt.getTime() > latestAllowed) {
+            errors.push(`${prefix}timestamp cannot be in the future`);
+        }
+    });
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid position data',
+            details: errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Middleware to validate proof-of-delivery uploads
+ * Runs after the multipart parser, so fields arrive as strings
+ */
+const validateProofOfDelivery = (req, res, next) => {
+    const { recipientName, lat, lng, deliveredAt } = req.body;
+    const files = req.files || {};
+    const errors = [];
+
+    if (!recipientName || typeof recipientName !== 'string' ||
+        recipientName.trim().length === 0 || recipientName.trim().length > 100) {
+        errors.push('RecipientName is required and must be a non-empty string of at most 100 characters');
+    }
+
+    const toCoordinate = (value) => (value === undefined || value === '' ? NaN : Number(value));
+    if (!isValidCoordinate(toCoordinate(lat), toCoordinate(lng))) {
+        errors.push('lat and lng are required and must be valid coordinates');
+    }
+
+    if (deliveredAt !== undefined && isNaN(new Date(deliveredAt).getTime())) {
+        errors.push('DeliveredAt must be a valid ISO date string');
+    }
+
+    if (!files.signature || files.signature.length === 0) {
+        errors.push('A signature image is required in the signature field');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid proof of delivery data',
+            details: errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Middleware to validate calendar feed creation data
+ */
+const validateCalendarFeed = (req, res, next) => {
+    const { scope, subjectId, name } = req.body;
+    const errors = [];
+
+    const validScopes = ['vehicle', 'driver', 'customer'];
+    if (!validScopes.includes(scope)) {
+        errors.push(`Scope is required and must be one of: ${validScopes.join(', ')}`);
+    }
+
+    if (!subjectId || typeof subjectId !== 'string' || subjectId.trim().length === 0) {
+        errors.push('SubjectId is required and must be a non-empty string');
+    } else if (validScopes.includes(scope) && !mongoose.Types.ObjectId.isValid(subjectId)) {
+        errors.push(`SubjectId must be a valid ${scope} ID`);
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+        errors.push('Name must be a string of at most 100 characters');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid calendar feed data',
+            details: errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Middleware to validate customer data
+ * name is required when creating and optional when updating
+ */
+const validateCustomer = (req, res, next) => {
+    const {
+        name, gstin, billingAddress, contacts, creditLimit, billingCycle, paymentTermsDays, requiresProofOfDelivery, status
+    } = req.body;
+    const isCreation = req.method === 'POST';
+    const errors = [];
+
+    if ((isCreation || name !== undefined) &&
+        (!name || typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 150)) {
+        errors.push('Name is required and must be a non-empty string of at most 150 characters');
+    }
+
+    if (gstin !== undefined && gstin !== null && !isValidGstin(String(gstin).trim().toUpperCase())) {
+        errors.push('GSTIN must be a valid 15-character GST identification number');
+    }
+
+    if (billingAddress !== undefined) {
+        if (!billingAddress || typeof billingAddress !== 'object') {
+            errors.push('BillingAddress must be an object');
+        } else {
+            ['line1', 'city', 'state'].forEach(field => {
+                if (!billingAddress[field] || typeof billingAddress[field] !== 'string') {
+                    errors.push(`BillingAddress: ${field} is required`);
+                }
+            });
+            if (!/^\d{6}$/.test(billingAddress.pincode)) {
+                errors.push('BillingAddress: pincode must be exactly 6 digits');
+            }
+        }
+    }
+
+    if (contacts !== undefined) {
+        if (!Array.isArray(contacts)) {
+            errors.push('Contacts must be an array');
+        } else {
+            contacts.forEach((contact, index) => {
+                const label = `Contact ${index + 1}`;
+
+                if (!contact || typeof contact !== 'object') {
+                    errors.push(`${label} must be an object`);
+                    return;
+                }
+
+                if (!contact.name || typeof contact.name !== 'string') {
+                    errors.push(`${label}: name is required`);
+                }
+
+                if (!contact.email && !contact.phone) {
+                    errors.push(`${label}: an email or a phone number is required`);
+                }
+
+                if (contact.email && !isValidEmail(contact.email)) {
+                    errors.push(`${label}: email must be a valid email address`);
+                }
+
+                if (contact.phone && !isValidPhoneNumber(contact.phone)) {
+                    errors.push(`${label}: phone must be a valid 10-digit mobile number`);
+                }
+            });
+        }
+    }
+
+    if (creditLimit !== undefined && creditLimit !== null && (typeof creditLimit !== 'number' || creditLimit < 0)) {
+        errors.push('CreditLimit must be a non-negative number, or null for no limit');
+    }
+
+    const validBillingCycles = ['per-booking', 'periodic'];
+    if (billingCycle !== undefined && !validBillingCycles.includes(billingCycle)) {
+        errors.push(`BillingCycle must be one of: ${validBillingCycles.join(', ')}`);
+    }
+
+    if (paymentTermsDays !== undefined && paymentTermsDays !== null &&
+        (!Number.isInteger(paymentTermsDays) || paymentTermsDays < 0 || paymentTermsDays > 365)) {
+        errors.push('PaymentTermsDays must be a whole number of days between 0 and 365, or null for the default');
+    }
+
+    if (requiresProofOfDelivery !== undefined && typeof requiresProofOfDelivery !== 'boolean') {
+        errors.push('RequiresProofOfDelivery must be a boolean');
+    }
+
+    const validStatuses = ['active', 'suspended', 'closed'];
+    if (status !== undefined && !validStatuses.includes(status)) {
+        errors.push(`Status must be one of: ${validStatuses.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid customer data',
+            details: errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Middleware to validate invoice generation requests
+ * Either a bookingId, or a customerId with the billing period to invoice
+ */
+const validateInvoiceCreation = (req, res, next) => {
+    const { bookingId, customerId, periodStart, periodEnd } = req.body;
+    const errors = [];
+
+    if (bookingId !== undefined) {
+        if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+            errors.push('BookingId must be a valid MongoDB ObjectId');
+        }
+        if (customerId !== undefined || periodStart !== undefined || periodEnd !== undefined) {
+            errors.push('Provide either bookingId, or customerId with periodStart and periodEnd, not both');
+        }
+    } else {
+        if (!customerId || !mongoose.Types.ObjectId.isValid(customerId)) {
+            errors.push('CustomerId is required and must be a valid customer ID when no bookingId is given');
+        }
+
+        const start = new Date(periodStart);
+        const end = new Date(periodEnd);
+        if (!periodStart || isNaN(start.getTime())) {
+            errors.push('PeriodStart is required and must be a valid ISO date string');
+        }
+        if (!periodEnd || isNaN(end.getTime())) {
+            errors.push('PeriodEnd is required and must be a valid ISO date string');
+        } else if (!isNaN(start.getTime()) && end <= start) {
+            errors.push('PeriodEnd must be after periodStart');
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid invoice data',
+            details: errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Middleware to validate invoice void requests
+ */
+const validateInvoiceVoid = (req, res, next) => {
+    const { reason } = req.body;
+
+    if (!reason || typeof reason !== 'string' || reason.trim().length === 0 || reason.length > 500) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid void request',
+            details: ['Reason is required and must be a string of at most 500 characters']
+        });
+    }
+
+    next();
+};
+
+/**
+ * Middleware to validate bulk vehicle import options
+ * Run after the upload is parsed, as the options arrive as multipart fields
+ */
+const validateVehicleImport = (req, res, next) => {
+    const errors = [];
+
+    if (!req.file) {
+        errors.push('A .csv, .xlsx or .json file is required in the file field');
+    }
+
+    if (req.body.dryRun !== undefined && !['true', 'false'].includes(String(req.body.dryRun))) {
+        errors.push('DryRun must be true or false');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid vehicle import',
+            details: errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Middleware to validate vehicle export query parameters
+ */
+const validateVehicleExport = (req, res, next) => {
+    const { format, status, minCapacity } = req.query;
+    const errors = [];
+
+    const validFormats = ['csv', 'json', 'ndjson'];
+    if (format !== undefined && !validFormats.includes(format)) {
+        errors.push(`Format must be one of: ${validFormats.join(', ')}`);
+    }
+
+    const validStatuses = ['active', 'maintenance', 'retired'];
+    if (status !== undefined && !validStatuses.includes(status)) {
+        errors.push(`Status must be one of: ${validStatuses.join(', ')}`);
+    }
+
+    if (minCapacity !== undefined && isNaN(parseInt(minCapacity))) {
+        errors.push('MinCapacity must be a number');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid export query',
+            details: errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Middleware to validate bulk booking import options
+ * Run after the upload is parsed, as the options arrive as multipart fields
+ */
+const validateBookingImport = (req, res, next) => {
+    const { dryRun, mode } = req.body;
+    const errors = [];
+
+    if (!req.file) {
+        errors.push('A .csv, .xlsx or .json file is required in the file field');
+    }
+
+    if (dryRun !== undefined && !['true', 'false'].includes(String(dryRun))) {
+        errors.push('DryRun must be true or false');
+    }
+
+    const validModes = ['all-or-nothing', 'best-effort'];
+    if (mode !== undefined && !validModes.includes(mode)) {
+        errors.push(`Mode must be one of: ${validModes.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid booking import',
+            details: errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Middleware to validate recurring booking data
+ * The schedule is given as a schedule object, or as an RRULE with a time.
+ * Route, schedule and start date are required when creating and optional when updating
+ */
+const validateRecurringBooking = (req, res, next) => {
+    const {
+        customerId, fromPincode, toPincode, vehicleId, capacityRequired, strategy,
+        schedule, rrule, time, startDate, endDate, notes
+    } = req.body;
+    const isCreation = req.method === 'POST';
+    const errors = [];
+
+    if (customerId !== undefined && !mongoose.Types.ObjectId.isValid(customerId)) {
+        errors.push('CustomerId must be a valid customer ID');
+    }
+
+    [['fromPincode', fromPincode], ['toPincode', toPincode]].forEach(([field, pincode]) => {
+        if ((isCreation || pincode !== undefined) && !/^\d{6}$/.test(String(pincode).trim())) {
+            errors.push(`${field} is required and must be exactly 6 digits`);
+        }
+    });
+
+    if (vehicleId !== undefined && vehicleId !== null && !mongoose.Types.ObjectId.isValid(vehicleId)) {
+        errors.push('VehicleId must be a valid MongoDB ObjectId, or null for auto-assignment');
+    }
+
+    if (capacityRequired !== undefined && capacityRequired !== null &&
+        (typeof capacityRequired !== 'number' || capacityRequired <= 0)) {
+        errors.push('CapacityRequired must be a positive number of kg');
+    }
+
+    if (isCreation && !vehicleId && !capacityRequired) {
+        errors.push('A preferred vehicleId or the capacityRequired for auto-assignment is required');
+    }
+
+    if (strategy !== undefined && typeof strategy !== 'string') {
+        errors.push('Strategy must be a string');
+    }
+
+    if (schedule !== undefined && rrule !== undefined) {
+        errors.push('Provide either schedule or rrule, not both');
+    } else if (rrule !== undefined) {
+        if (typeof rrule !== 'string') {
+            errors.push('Rrule must be a string such as FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+        } else {
+            try {
+                // Updates may keep the current time, which the service checks again
+                const parsed = { ...parseRule(rrule), time: time || (isCreation ? undefined : '00:00') };
+                errors.push(...validateSchedule(parsed));
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+    } else if (schedule !== undefined) {
+        errors.push(...validateSchedule(isCreation || schedule === null ? schedule : { time: '00:00', ...schedule }));
+    } else if (isCreation) {
+        errors.push('Schedule or rrule is required');
+    }
+
+    if (time !== undefined && !/^([01]\d|2[0-3]):([0-5]\d)$/.test(String(time))) {
+        errors.push('Time must be a local time in HH:mm format');
+    }
+
+    if (isCreation && !parseLocalDate(startDate)) {
+        errors.push('StartDate is required and must be a YYYY-MM-DD date');
+    } else if (!isCreation && startDate !== undefined) {
+        errors.push('StartDate cannot be changed; create a new recurring booking instead');
+    }
+
+    if (endDate !== undefined && endDate !== null) {
+        const end = parseLocalDate(endDate);
+        if (!end) {
+            errors.push('EndDate must be a YYYY-MM-DD date, or null for no end');
+        } else if (startDate && parseLocalDate(startDate) && end < parseLocalDate(startDate)) {
+            errors.push('EndDate cannot be before startDate');
+        }
+    }
+
+    if (notes !== undefined && (typeof notes !== 'string' || notes.length > 500)) {
+        errors.push('Notes must be a string of at most 500 characters');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid recurring booking data',
+            details: errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Middleware to validate webhook data
+ * url and eventTypes are required when creating and optional when updating
+ */
+const validateWebhook = (req, res, next) => {
+    const { url, eventTypes, customerId, description, isActive } = req.body;
+    const isCreation = req.method === 'POST';
+    const errors = [];
+
+    if ((isCreation || url !== undefined) && !isValidHttpUrl(url)) {
+        errors.push('URL is required and must be an absolute http or https URL');
+    }
+
+    if (isCreation || eventTypes !== undefined) {
+        if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+            errors.push('EventTypes is required and must be a non-empty array');
+        } else {
+            const unknownTypes = eventTypes.filter(type => !WEBHOOK_EVENT_TYPES.includes(type));
+            if (unknownTypes.length > 0) {
+                errors.push(`Unknown event types: ${unknownTypes.join(', ')}. Valid types: ${WEBHOOK_EVENT_TYPES.join(', ')}`);
+            }
+        }
+    }
+
+    if (customerId && !mongoose.Types.ObjectId.isValid(customerId)) {
+        errors.push('CustomerId must be a valid customer ID');
+    }
+
+    if (description !== undefined && (typeof description !== 'string' || description.length > 200)) {
+        errors.push('Description must be a string of at most 200 characters');
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+        errors.push('IsActive must be a boolean');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid webhook data',
+            details: errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Middleware to validate event stream subscription filters
+ */
+const validateEventSubscription = (req, res, next) => {
+    const { vehicleId, customerId, types } = req.query;
+    const errors = [];
+
+    if (vehicleId !== undefined && !mongoose.Types.ObjectId.isValid(vehicleId)) {
+        errors.push('VehicleId must be a valid vehicle ID');
+    }
+
+    if (customerId !== undefined && !mongoose.Types.ObjectId.isValid(customerId)) {
+        errors.push('CustomerId must be a valid customer ID');
+    }
+
+    if (types !== undefined) {
+        const validTypes = Object.values(EVENT_TYPES);
+        const unknownTypes = String(types).split(',').filter(type => !validTypes.includes(type.trim()));
+        if (unknownTypes.length > 0) {
+            errors.push(`Unknown event types: ${unknownTypes.join(', ')}. Must be among: ${validTypes.join(', ')}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid event subscription',
+            details: errors
+        });
+    }
+
+    next();
+};
+
 /**
  * Middleware to validate query parameters for vehicle availability search
  */
@@ -123,12 +908,11 @@ const validateAvailabilityQuery = (req, res, next) => {
         errors.push('capacityRequired must be greater than 0');
     }
 
-    const pincodeRegex = /^\d{6}$/;
-    if (!fromPincode || !pincodeRegex.test(fromPincode)) {
+    if (!isValidPincode(fromPincode)) {
         errors.push('fromPincode is required and must be exactly 6 digits');
     }
 
-    if (!toPincode || !pincodeRegex.test(toPincode)) {
+    if (!isValidPincode(toPincode)) {
         errors.push('toPincode is required and must be exactly 6 digits');
     }
 
@@ -136,7 +920,7 @@ const validateAvailabilityQuery = (req, res, next) => {
         errors.push('startTime is required');
     } else {
         const start = new Date(startTime);
-        if (isNaN(start.getTime())) {
+        if (typeof startTime !== 'string' || isNaN(start.getTime())) {
             errors.push('startTime must be a valid ISO date string');
         } else if (start <= new Date()) {
             errors.push('startTime must be in the future');
@@ -188,8 +972,25 @@ const validatePagination = (req, res, next) => {
 
 module.exports = {
     validateVehicleCreation,
+    validateVehicleImport,
+    validateVehicleExport,
     validateBookingCreation,
+    validateAutoDispatch,
+    validateBookingReschedule,
+    validateBookingImport,
+    validateDriverCreation,
     validateObjectId,
+    validateObjectIdParam,
+    validateMaintenanceWindow,
+    validatePositionPings,
+    validateProofOfDelivery,
+    validateCalendarFeed,
+    validateCustomer,
+    validateInvoiceCreation,
+    validateInvoiceVoid,
+    validateRecurringBooking,
+    validateWebhook,
+    validateEventSubscription,
     validateAvailabilityQuery,
     validatePagination
 };
\ No newline at end of file
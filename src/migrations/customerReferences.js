@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+
+/**
+ * Migration: free-text customer IDs to Customer records
+ *
+ * Bookings, quotes, customer accounts, webhooks and customer calendar feeds
+ * used to hold whatever string the caller typed as the customer ID. Each
+ * distinct string becomes a Customer; strings that differ only in case and
+ * spacing ("ACME", "acme ") map to the same one. References are rewritten
+ * to the Customer's ObjectId and the original strings kept in legacyIds.
+ *
+ * Works on the raw collections, since the models now expect ObjectIds.
+ * Safe to run again: only string references are touched, and customers
+ * are matched by legacy ID or name before new ones are created.
+ * Open quotes were signed over the old string and have to be quoted again.
+ *
+ * Run with: npm run migrate:customers
+ */
+
+// Collections and fields holding customer references
+const REFERENCES = [
+    { collection: 'bookings', field: 'customerId' },
+    { collection: 'quotes', field: 'customerId' },
+    { collection: 'users', field: 'customerId' },
+    { collection: 'webhooks', field: 'customerId' }
+];
+
+/**
+ * Distinct string customer IDs across every referencing collection
+ */
+const collectLegacyIds = async (db) => {
+    const ids = new Set();
+
+    for (const { collection, field } of REFERENCES) {
+        const values = await db.collection(collection).distinct(field, { [field]: { $type: 'string' } });
+        values.forEach(value => ids.add(value));
+    }
+
+    // Customer feeds store the customer ID as their subject
+    const feedSubjects = await db.collection('calendarfeeds').distinct('subjectId', { scope: 'customer' });
+    feedSubjects
+        .filter(subjectId => !mongoose.Types.ObjectId.isValid(subjectId))
+        .forEach(subjectId => ids.add(subjectId));
+
+    return [...ids].filter(id => id.trim().length > 0);
+};
+
+/**
+ * Find or create the customer for a group of spelling variants
+ */
+const resolveCustomer = async (nameKey, variants) => {
+    const existing = await Customer.findOne({ $or: [{ legacyIds: { $in: variants } }, { nameKey }] });
+
+    if (existing) {
+        await Customer.updateOne({ _id: existing._id }, { $addToSet: { legacyIds: { $each: variants } } });
+        return { customer: existing, created: false };
+    }
+
+    // Name the customer after its most common spelling
+    const customer = await Customer.create({
+        name: variants[0].trim().replace(/\s+/g, ' '),
+        legacyIds: variants
+    });
+
+    return { customer, created: true };
+};
+
+/**
+ * Map legacy customer ID strings to Customer records and rewrite references
+ *
+ * @param {Object} db - Native database handle (defaults to the mongoose connection)
+ * @returns {Object} - { customersCreated, customersMatched, updated: { bookings, quotes, users, webhooks, calendarfeeds } }
+ */
+const migrateCustomerReferences = async (db = mongoose.connection.db) => {
+    const summary = {
+        customersCreated: 0,
+        customersMatched: 0,
+        updated: { calendarfeeds: 0 }
+    };
+    REFERENCES.forEach(({ collection }) => { summary.updated[collection] = 0; });
+
+    const legacyIds = await collectLegacyIds(db);
+
+    // Bookings per spelling, to pick the most used one as the customer name
+    const usage = new Map();
+    for (const id of legacyIds) {
+        usage.set(id, await db.collection('bookings').countDocuments({ customerId: id }));
+    }
+
+    const groups = new Map();
+    legacyIds.forEach(id => {
+        const key = Customer.normalizeName(id);
+        groups.set(key, [...(groups.get(key) || []), id]);
+    });
+
+    for (const [nameKey, variants] of groups) {
+        variants.sort((a, b) => usage.get(b) - usage.get(a));
+
+        const { customer, created } = await resolveCustomer(nameKey, variants);
+        if (created) {
+            summary.customersCreated += 1;
+        } else {
+            summary.customersMatched += 1;
+        }
+
+        for (const { collection, field } of REFERENCES) {
+            const result = await db.collection(collection).updateMany(
+                { [field]: { $in: variants } },
+                { $set: { [field]: customer._id } }
+            );
+            summary.updated[collection] += result.modifiedCount;
+        }
+
+        const feeds = await db.collection('calendarfeeds').updateMany(
+            { scope: 'customer', subjectId: { $in: variants } },
+            { $set: { subjectId: customer._id.toString() } }
+        );
+        summary.updated.calendarfeeds += feeds.modifiedCount;
+    }
+
+    return summary;
+};
+
+module.exports = { migrateCustomerReferences };
+
+if (require.main === module) {
+    require('dotenv').config();
+    const connectDB = require('../config/database');
+
+    connectDB()
+        .then(() => migrateCustomerReferences())
+        .then((summary) => {
+            console.log('✅ Customer migration complete:', JSON.stringify(summary, null, 2));
+            console.log('ℹ️ Differently named customers (e.g. "Acme" and "Acme Ltd") are not merged; review them in /api/customers');
+        })
+        .catch((error) => {
+            console.error('❌ Customer migration failed:', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.connection.close());
+}
@@ -1,4 +1,178 @@
 const mongoose = require('mongoose');
+const pricingSchema = require('./schemas/pricingSchema');
+
+const stopSchema = new mongoose.Schema({
+    sequence: {
+        type: Number,
+        required: true
+    },
+    pincode: {
+        type: String,
+        required: [true, 'Stop pincode is required'],
+        match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+    },
+    type: {
+        type: String,
+        enum: ['pickup', 'drop'],
+        required: [true, 'Stop type is required']
+    },
+    loadKg: {
+        type: Number,
+        default: 0,
+        min: [0, 'Stop load cannot be negative']
+    },
+    windowStart: Date,
+    windowEnd: Date,
+    estimatedArrival: Date,
+    estimatedDeparture: Date
+}, { _id: false });
+
+const legSchema = new mongoose.Schema({
+    sequence: Number,
+    fromPincode: String,
+    toPincode: String,
+    distanceKm: Number,
+    durationHours: Number,
+    departureTime: Date,
+    arrivalTime: Date,
+    onBoardLoadKg: Number
+}, { _id: false });
+
+// Slot a booking occupied before it was rescheduled
+const rescheduleSchema = new mongoose.Schema({
+    vehicleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle'
+    },
+    fromPincode: String,
+    toPincode: String,
+    startTime: Date,
+    endTime: Date,
+    estimatedRideDurationHours: Number,
+    rescheduledAt: {
+        type: Date,
+        default: Date.now
+    },
+    rescheduledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reason: {
+        type: String,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    }
+}, { _id: false });
+
+// Allowed booking status transitions; completed and cancelled are final
+const STATUS_TRANSITIONS = {
+    confirmed: ['in-progress', 'cancelled'],
+    'in-progress': ['completed', 'cancelled'],
+    completed: [],
+    cancelled: []
+};
+
+// One entry per status transition
+const statusChangeSchema = new mongoose.Schema({
+    from: {
+        type: String,
+        enum: Object.keys(STATUS_TRANSITIONS)
+    },
+    to: {
+        type: String,
+        enum: Object.keys(STATUS_TRANSITIONS),
+        required: true
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reason: {
+        type: String,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    }
+}, { _id: false });
+
+// A file stored through a storage adapter
+const storedFileSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    storage: { type: String, required: true },
+    originalName: String,
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true }
+});
+
+// Evidence captured by the driver at the drop
+const proofOfDeliverySchema = new mongoose.Schema({
+    recipientName: {
+        type: String,
+        required: [true, 'Recipient name is required'],
+        trim: true,
+        maxlength: [100, 'Recipient name cannot exceed 100 characters']
+    },
+    signature: {
+        type: storedFileSchema,
+        required: [true, 'Signature is required']
+    },
+    photos: [storedFileSchema],
+    location: {
+        lat: { type: Number, required: true, min: -90, max: 90 },
+        lng: { type: Number, required: true, min: -180, max: 180 }
+    },
+    // When the goods were handed over, as reported by the device
+    deliveredAt: {
+        type: Date,
+        required: true
+    },
+    capturedAt: {
+        type: Date,
+        default: Date.now
+    },
+    capturedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { _id: false });
+
+// One-time code the recipient hands the driver at the drop
+const deliveryOtpSchema = new mongoose.Schema({
+    // HMAC of the code; the code itself is only shown when issued
+    hash: {
+        type: String,
+        required: true
+    },
+    // Wrong codes since the last lockout
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: Date,
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    verifiedAt: Date
+}, { _id: false });
+
+// Webhook event of a booking change, written together with the change and
+// removed once its deliveries are queued
+const outboxEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    occurredAt: {
+        type: Date,
+        default: Date.now
+    }
+});
 
 const bookingSchema = new mongoose.Schema({
     vehicleId: {
@@ -7,9 +181,13 @@ const bookingSchema = new mongoose.Schema({
         required: [true, 'Vehicle ID is required']
     },
     customerId: {
-        type: String,
-        required: [true, 'Customer ID is required'],
-        trim: true
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: [true, 'Customer ID is required']
+    },
+    driverId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver'
     },
     fromPincode: {
         type: String,
@@ -42,11 +220,28 @@ const bookingSchema = new mongoose.Schema({
         required: [true, 'Estimated ride duration is required'],
         min: [0.1, 'Ride duration must be at least 0.1 hours']
     },
+    // Ordered waypoints for multi-stop bookings (first is fromPincode, last is toPincode)
+    stops: {
+        type: [stopSchema],
+        default: undefined
+    },
+    // Per-leg breakdown of the route
+    legs: [legSchema],
+    totalDistanceKm: {
+        type: Number,
+        min: [0, 'Distance cannot be negative']
+    },
+    peakLoadKg: {
+        type: Number,
+        min: [0, 'Load cannot be negative']
+    },
     status: {
         type: String,
-        enum: ['confirmed', 'in-progress', 'completed', 'cancelled'],
+        enum: Object.keys(STATUS_TRANSITIONS),
         default: 'confirmed'
     },
+    // Status transitions, oldest first
+    statusHistory: [statusChangeSchema],
     actualStartTime: {
         type: Date
     },
@@ -56,10 +251,50 @@ const bookingSchema = new mongoose.Schema({
     notes: {
         type: String,
         maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    // Price agreed at booking time - never recalculated after tariff changes
+    pricing: {
+        type: pricingSchema
+    },
+    // Previous slots, oldest first
+    rescheduleHistory: [rescheduleSchema],
+    proofOfDelivery: {
+        type: proofOfDeliverySchema
+    },
+    // Secret of the public tracking link, GET /api/track/:token
+    trackingToken: {
+        type: String
+    },
+    deliveryOtp: {
+        type: deliveryOtpSchema
+    },
+    // Series the booking was generated from (recurring bookings only)
+    recurringBookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RecurringBooking'
+    },
+    // Invoice the booking is billed on; cleared when that invoice is voided
+    invoiceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice'
+    },
+    // Events not yet queued for webhooks; see WebhookService.sweepOutbox
+    webhookOutbox: {
+        type: [outboxEventSchema],
+        select: false
     }
 }, {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+        virtuals: true,
+        transform: (doc, ret) => {
+            if (ret.deliveryOtp) {
+                delete ret.deliveryOtp.hash;
+            }
+            delete ret.webhookOutbox;
+            return ret;
+        }
+    },
     toObject: { virtuals: true }
 });
 
@@ -67,6 +302,11 @@ const bookingSchema = new mongoose.Schema({
 bookingSchema.index({ vehicleId: 1, startTime: 1, endTime: 1 });
 bookingSchema.index({ customerId: 1, createdAt: -1 });
 bookingSchema.index({ status: 1 });
+bookingSchema.index({ driverId: 1, startTime: 1, endTime: 1 }, { sparse: true });
+bookingSchema.index({ customerId: 1, status: 1, actualEndTime: 1 });
+bookingSchema.index({ trackingToken: 1 }, { unique: true, sparse: true });
+bookingSchema.index({ recurringBookingId: 1, startTime: 1 }, { sparse: true });
+bookingSchema.index({ 'webhookOutbox.occurredAt': 1 });
 
 // Virtual for booking duration in hours
 bookingSchema.virtual('actualDurationHours').get(function () {
@@ -84,10 +324,17 @@ bookingSchema.pre('save', function (next) {
     next();
 });
 
-// Static method to find overlapping bookings
+// Static method to check whether a status change is allowed
+bookingSchema.statics.canTransition = function (fromStatus, toStatus) {
+    return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+bookingSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+// Static method to find overlapping bookings (vehicleId may be an array of IDs)
 bookingSchema.statics.findOverlappingBookings = function (vehicleId, startTime, endTime, excludeBookingId = null) {
     const query = {
-        vehicleId,
+        vehicleId: Array.isArray(vehicleId) ? { $in: vehicleId } : vehicleId,
         status: { $in: ['confirmed', 'in-progress'] }, // Only consider active bookings
         $or: [
             // Case 1: Existing booking starts before new booking ends AND existing booking ends after new booking starts
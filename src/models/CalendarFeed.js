@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// What a feed can be subscribed to
+const FEED_SCOPES = ['vehicle', 'driver', 'customer'];
+
+const calendarFeedSchema = new mongoose.Schema({
+    scope: {
+        type: String,
+        enum: {
+            values: FEED_SCOPES,
+            message: `Scope must be one of: ${FEED_SCOPES.join(', ')}`
+        },
+        required: [true, 'Feed scope is required']
+    },
+    // ID of the vehicle, driver or customer, depending on the scope
+    subjectId: {
+        type: String,
+        required: [true, 'Feed subject is required'],
+        trim: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Feed name cannot exceed 100 characters']
+    },
+    // SHA-256 of the secret token; the token itself is only shown once
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedAt: {
+        type: Date
+    },
+    lastAccessedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: (doc, ret) => {
+            delete ret.tokenHash;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+calendarFeedSchema.index({ scope: 1, subjectId: 1 });
+
+calendarFeedSchema.statics.FEED_SCOPES = FEED_SCOPES;
+
+// Virtual for whether the feed can still be fetched
+calendarFeedSchema.virtual('active').get(function () {
+    return !this.revokedAt;
+});
+
+module.exports = mongoose.model('CalendarFeed', calendarFeedSchema);
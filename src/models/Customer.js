@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const { isValidEmail, isValidPhoneNumber, isValidGstin } = require('../utils/validation');
+
+// Suspended and closed customers cannot book
+const CUSTOMER_STATUSES = ['active', 'suspended', 'closed'];
+
+// Invoiced for every completed booking, or per billing period on request
+const BILLING_CYCLES = ['per-booking', 'periodic'];
+
+/**
+ * Key customer names are compared by, so "ACME" and " acme" are the same customer
+ */
+const normalizeName = (name) => String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const addressSchema = new mongoose.Schema({
+    line1: {
+        type: String,
+        required: [true, 'Address line 1 is required'],
+        trim: true,
+        maxlength: [200, 'Address line cannot exceed 200 characters']
+    },
+    line2: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Address line cannot exceed 200 characters']
+    },
+    city: {
+        type: String,
+        required: [true, 'City is required'],
+        trim: true
+    },
+    state: {
+        type: String,
+        required: [true, 'State is required'],
+        trim: true
+    },
+    pincode: {
+        type: String,
+        required: [true, 'Pincode is required'],
+        trim: true,
+        match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+    },
+    country: {
+        type: String,
+        trim: true,
+        default: 'India'
+    }
+}, { _id: false });
+
+const contactSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Contact name is required'],
+        trim: true,
+        maxlength: [100, 'Contact name cannot exceed 100 characters']
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        validate: {
+            validator: isValidEmail,
+            message: 'Contact email must be a valid email address'
+        }
+    },
+    phone: {
+        type: String,
+        trim: true,
+        validate: {
+            validator: isValidPhoneNumber,
+            message: 'Contact phone must be a valid 10-digit mobile number'
+        }
+    },
+    role: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Contact role cannot exceed 50 characters']
+    },
+    isPrimary: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+const customerSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Customer name is required'],
+        trim: true,
+        maxlength: [150, 'Customer name cannot exceed 150 characters']
+    },
+    // Normalised name; unique so spelling variants cannot become separate customers
+    nameKey: {
+        type: String,
+        unique: true
+    },
+    gstin: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        validate: {
+            validator: isValidGstin,
+            message: 'GSTIN must be a valid 15-character GST identification number'
+        }
+    },
+    billingAddress: addressSchema,
+    contacts: [contactSchema],
+    // Most the customer may have booked and not yet completed; no limit when unset
+    creditLimit: {
+        type: Number,
+        min: [0, 'Credit limit cannot be negative']
+    },
+    billingCycle: {
+        type: String,
+        enum: {
+            values: BILLING_CYCLES,
+            message: `Billing cycle must be one of: ${BILLING_CYCLES.join(', ')}`
+        },
+        default: 'per-booking'
+    },
+    // Days until invoices are due; the configured default when unset
+    paymentTermsDays: {
+        type: Number,
+        min: [0, 'Payment terms cannot be negative'],
+        max: [365, 'Payment terms cannot exceed 365 days']
+    },
+    // Bookings cannot be completed without a proof of delivery
+    requiresProofOfDelivery: {
+        type: Boolean,
+        default: false
+    },
+    status: {
+        type: String,
+        enum: {
+            values: CUSTOMER_STATUSES,
+            message: `Status must be one of: ${CUSTOMER_STATUSES.join(', ')}`
+        },
+        default: 'active'
+    },
+    // Free-text customer IDs that bookings used before customers were records
+    legacyIds: [{
+        type: String
+    }]
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.nameKey;
+            return ret;
+        }
+    }
+});
+
+customerSchema.index({ gstin: 1 }, { unique: true, sparse: true });
+customerSchema.index({ status: 1 });
+customerSchema.index({ legacyIds: 1 });
+
+customerSchema.pre('validate', function (next) {
+    if (this.name) {
+        this.nameKey = normalizeName(this.name);
+    }
+
+    const invalidContact = this.contacts.find(contact => !contact.email && !contact.phone);
+    if (invalidContact) {
+        this.invalidate('contacts', `Contact ${invalidContact.name} needs an email or a phone number`);
+    }
+
+    next();
+});
+
+customerSchema.statics.CUSTOMER_STATUSES = CUSTOMER_STATUSES;
+customerSchema.statics.BILLING_CYCLES = BILLING_CYCLES;
+customerSchema.statics.normalizeName = normalizeName;
+
+module.exports = mongoose.model('Customer', customerSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { isValidPhoneNumber } = require('../utils/validation');
+
+// Vehicle classes each licence class may drive
+const LICENCE_CLASSES = {
+    LMV: ['Light Vehicle'],
+    MGV: ['Light Vehicle', 'Medium Vehicle'],
+    HGV: ['Light Vehicle', 'Medium Vehicle', 'Heavy Vehicle']
+};
+
+const driverSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Driver name is required'],
+        trim: true,
+        maxlength: [100, 'Driver name cannot exceed 100 characters']
+    },
+    phone: {
+        type: String,
+        required: [true, 'Phone number is required'],
+        trim: true,
+        validate: {
+            validator: isValidPhoneNumber,
+            message: 'Phone must be a valid 10-digit mobile number'
+        }
+    },
+    licenceNumber: {
+        type: String,
+        required: [true, 'Licence number is required'],
+        unique: true,
+        trim: true,
+        uppercase: true
+    },
+    licenceClass: {
+        type: String,
+        enum: {
+            values: Object.keys(LICENCE_CLASSES),
+            message: `Licence class must be one of: ${Object.keys(LICENCE_CLASSES).join(', ')}`
+        },
+        required: [true, 'Licence class is required']
+    },
+    licenceExpiry: {
+        type: Date,
+        required: [true, 'Licence expiry is required']
+    },
+    homePincode: {
+        type: String,
+        required: [true, 'Home pincode is required'],
+        trim: true,
+        match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+    },
+    status: {
+        type: String,
+        enum: ['active', 'on-leave', 'inactive'],
+        default: 'active'
+    },
+    // Login account for the driver, if any
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+driverSchema.index({ status: 1 });
+
+// Static method to check whether a licence class covers a vehicle class
+driverSchema.statics.canDrive = function (licenceClass, vehicleType) {
+    return (LICENCE_CLASSES[licenceClass] || []).includes(vehicleType);
+};
+
+driverSchema.statics.LICENCE_CLASSES = LICENCE_CLASSES;
+
+// Virtual for vehicle classes the driver may drive
+driverSchema.virtual('vehicleTypes').get(function () {
+    return LICENCE_CLASSES[this.licenceClass] || [];
+});
+
+// Method to check the licence is valid on a date
+driverSchema.methods.isLicenceValidOn = function (date) {
+    return this.licenceExpiry >= new Date(date);
+};
+
+module.exports = mongoose.model('Driver', driverSchema);
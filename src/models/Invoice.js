@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+// Void invoices keep their number, so numbering stays gap-free
+const INVOICE_STATUSES = ['issued', 'void'];
+
+// A single completed booking, or every completed booking of a customer in a billing period
+const INVOICE_KINDS = ['booking', 'period'];
+
+const lineItemSchema = new mongoose.Schema({
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    code: { type: String, required: true },
+    label: { type: String, required: true },
+    // GST rate (percent) the line is taxed at
+    taxRate: { type: Number, default: 0 },
+    amount: { type: Number, required: true }
+}, { _id: false });
+
+const taxSchema = new mongoose.Schema({
+    code: { type: String, required: true },
+    label: { type: String, required: true },
+    rate: { type: Number, required: true },
+    taxableAmount: { type: Number, required: true },
+    amount: { type: Number, required: true }
+}, { _id: false });
+
+// Trip details printed against each booking
+const bookingSummarySchema = new mongoose.Schema({
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    fromPincode: String,
+    toPincode: String,
+    startTime: Date,
+    actualStartTime: Date,
+    actualEndTime: Date,
+    distanceKm: Number,
+    waitingMinutes: Number
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+    number: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Numbering series (prefix and financial year) and position in it
+    series: {
+        type: String,
+        required: true
+    },
+    sequence: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    kind: {
+        type: String,
+        enum: INVOICE_KINDS,
+        required: true
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: [true, 'Customer ID is required']
+    },
+    // Customer details as they were when the invoice was issued
+    customer: {
+        name: String,
+        gstin: String,
+        billingAddress: {
+            line1: String,
+            line2: String,
+            city: String,
+            state: String,
+            pincode: String,
+            country: String
+        }
+    },
+    bookingIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    }],
+    bookings: [bookingSummarySchema],
+    periodStart: Date,
+    periodEnd: Date,
+    issueDate: {
+        type: Date,
+        required: true
+    },
+    dueDate: {
+        type: Date,
+        required: true
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    lineItems: [lineItemSchema],
+    taxableAmount: { type: Number, required: true },
+    // Customer and supplier in different states pay IGST instead of CGST + SGST
+    interState: {
+        type: Boolean,
+        default: false
+    },
+    taxes: [taxSchema],
+    taxTotal: { type: Number, required: true },
+    total: { type: Number, required: true },
+    status: {
+        type: String,
+        enum: INVOICE_STATUSES,
+        default: 'issued'
+    },
+    voidedAt: Date,
+    voidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    voidReason: {
+        type: String,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+invoiceSchema.index({ series: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ customerId: 1, issueDate: -1 });
+invoiceSchema.index({ status: 1 });
+invoiceSchema.index({ bookingIds: 1 });
+
+invoiceSchema.statics.INVOICE_STATUSES = INVOICE_STATUSES;
+invoiceSchema.statics.INVOICE_KINDS = INVOICE_KINDS;
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// What a lock serialises writes for; the key is the ID within the scope
+const LOCK_SCOPES = {
+    VEHICLE: 'vehicle',
+    CUSTOMER: 'customer',
+    DRIVER: 'driver'
+};
+
+/**
+ * Lock document used to serialise writes per vehicle, customer or driver.
+ * A lock is held while `expiresAt` is in the future; stale locks are taken over.
+ */
+const lockSchema = new mongoose.Schema({
+    scope: {
+        type: String,
+        enum: Object.values(LOCK_SCOPES),
+        required: [true, 'Lock scope is required']
+    },
+    key: {
+        type: String,
+        required: [true, 'Lock key is required']
+    },
+    token: {
+        type: String,
+        required: [true, 'Lock token is required']
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Lock expiry is required']
+    }
+}, {
+    timestamps: true
+});
+
+// One lock document per scope and key - the unique index is what guarantees mutual exclusion
+lockSchema.index({ scope: 1, key: 1 }, { unique: true });
+
+// Let MongoDB clean up stale locks
+lockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 });
+
+lockSchema.statics.LOCK_SCOPES = LOCK_SCOPES;
+
+module.exports = mongoose.model('Lock', lockSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const maintenanceWindowSchema = new mongoose.Schema({
+    vehicleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: [true, 'Vehicle ID is required']
+    },
+    startTime: {
+        type: Date,
+        required: [true, 'Start time is required']
+    },
+    endTime: {
+        type: Date,
+        required: [true, 'End time is required']
+    },
+    type: {
+        type: String,
+        enum: ['service', 'repair', 'inspection', 'other'],
+        default: 'service'
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+maintenanceWindowSchema.index({ vehicleId: 1, startTime: 1, endTime: 1 });
+
+// Virtual for window length in hours
+maintenanceWindowSchema.virtual('durationHours').get(function () {
+    return (this.endTime - this.startTime) / (1000 * 60 * 60);
+});
+
+// Validation: End time must be after start time
+maintenanceWindowSchema.pre('save', function (next) {
+    if (this.endTime <= this.startTime) {
+        return next(new Error('End time must be after start time'));
+    }
+    next();
+});
+
+// Static method to find maintenance windows overlapping a time range (vehicleId may be an array of IDs)
+maintenanceWindowSchema.statics.findOverlappingWindows = function (vehicleId, startTime, endTime, excludeWindowId = null) {
+    const query = {
+        vehicleId: Array.isArray(vehicleId) ? { $in: vehicleId } : vehicleId,
+        startTime: { $lt: endTime },
+        endTime: { $gt: startTime }
+    };
+
+    if (excludeWindowId) {
+        query._id = { $ne: excludeWindowId };
+    }
+
+    return this.find(query);
+};
+
+module.exports = mongoose.model('MaintenanceWindow', maintenanceWindowSchema);
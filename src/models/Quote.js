@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const pricingSchema = require('./schemas/pricingSchema');
+
+const quoteStopSchema = new mongoose.Schema({
+    pincode: { type: String, required: true },
+    type: { type: String, enum: ['pickup', 'drop'], required: true },
+    loadKg: { type: Number, default: 0 }
+}, { _id: false });
+
+const quoteSchema = new mongoose.Schema({
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: [true, 'Customer ID is required']
+    },
+    vehicleType: {
+        type: String,
+        enum: ['Light Vehicle', 'Medium Vehicle', 'Heavy Vehicle'],
+        required: [true, 'Vehicle type is required']
+    },
+    vehicleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle'
+    },
+    fromPincode: {
+        type: String,
+        required: [true, 'From pincode is required'],
+        match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+    },
+    toPincode: {
+        type: String,
+        required: [true, 'To pincode is required'],
+        match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+    },
+    // Stop sequence for multi-stop quotes
+    stops: {
+        type: [quoteStopSchema],
+        default: undefined
+    },
+    startTime: {
+        type: Date,
+        required: [true, 'Start time is required']
+    },
+    estimatedRideDurationHours: {
+        type: Number,
+        required: [true, 'Estimated ride duration is required']
+    },
+    // Priced on an estimated location for a pincode missing from the directory
+    estimated: {
+        type: Boolean,
+        default: false
+    },
+    pricing: {
+        type: pricingSchema,
+        required: [true, 'Pricing is required']
+    },
+    status: {
+        type: String,
+        enum: ['open', 'accepted'],
+        default: 'open'
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required']
+    },
+    signature: {
+        type: String,
+        required: [true, 'Signature is required']
+    },
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+quoteSchema.index({ customerId: 1, createdAt: -1 });
+
+// Virtual for whether the quote can no longer be accepted
+quoteSchema.virtual('isExpired').get(function () {
+    return this.expiresAt <= new Date();
+});
+
+module.exports = mongoose.model('Quote', quoteSchema);
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const { WEEKDAYS, FREQUENCIES, formatRule, formatLocalDate } = require('../utils/recurrence');
+
+const RECURRING_STATUSES = ['active', 'cancelled', 'ended'];
+
+// RRULE-style schedule; time is the local start time of every occurrence
+const scheduleSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        required: [true, 'Schedule frequency is required'],
+        enum: {
+            values: FREQUENCIES,
+            message: `Schedule frequency must be one of: ${FREQUENCIES.join(', ')}`
+        }
+    },
+    interval: {
+        type: Number,
+        default: 1,
+        min: [1, 'Schedule interval must be at least 1']
+    },
+    // Weekly schedules: days of the week, defaulting to the start date's
+    byDay: [{
+        type: String,
+        enum: WEEKDAYS
+    }],
+    // Monthly schedules: days of the month (negative counts from the end), defaulting to the start date's
+    byMonthDay: [Number],
+    time: {
+        type: String,
+        required: [true, 'Schedule time is required'],
+        match: [/^([01]\d|2[0-3]):([0-5]\d)$/, 'Schedule time must be in HH:mm format']
+    }
+}, { _id: false });
+
+// An occurrence the generator could not book
+const conflictSchema = new mongoose.Schema({
+    occurrenceStart: {
+        type: Date,
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true
+    },
+    detectedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const recurringBookingSchema = new mongoose.Schema({
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: [true, 'Customer ID is required']
+    },
+    fromPincode: {
+        type: String,
+        required: [true, 'From pincode is required'],
+        match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+    },
+    toPincode: {
+        type: String,
+        required: [true, 'To pincode is required'],
+        match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+    },
+    // Preferred vehicle; without one every occurrence is auto-dispatched
+    vehicleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle'
+    },
+    // Load for auto-dispatch, also used when the preferred vehicle is taken
+    capacityRequired: {
+        type: Number,
+        min: [1, 'Capacity required must be at least 1 kg']
+    },
+    strategy: {
+        type: String,
+        trim: true
+    },
+    schedule: {
+        type: scheduleSchema,
+        required: [true, 'Schedule is required']
+    },
+    // Local midnights of the first and last day of the series (no end date: open-ended)
+    startDate: {
+        type: Date,
+        required: [true, 'Start date is required']
+    },
+    endDate: Date,
+    status: {
+        type: String,
+        enum: RECURRING_STATUSES,
+        default: 'active'
+    },
+    // Occurrences before this time have been materialised as bookings
+    generatedUntil: {
+        type: Date,
+        required: true
+    },
+    // Bumped on every edit so a generator run on the old definition cannot commit
+    revision: {
+        type: Number,
+        default: 0
+    },
+    conflicts: [conflictSchema],
+    lastGeneratedAt: Date,
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    cancelledAt: Date,
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+recurringBookingSchema.index({ status: 1, generatedUntil: 1 });
+recurringBookingSchema.index({ customerId: 1, createdAt: -1 });
+
+// Virtual for the schedule as an RRULE
+recurringBookingSchema.virtual('rrule').get(function () {
+    return this.schedule ? formatRule(this.schedule) : undefined;
+});
+
+// Virtuals for the local start and end dates as YYYY-MM-DD
+recurringBookingSchema.virtual('startDay').get(function () {
+    return this.startDate ? formatLocalDate(this.startDate) : undefined;
+});
+
+recurringBookingSchema.virtual('endDay').get(function () {
+    return this.endDate ? formatLocalDate(this.endDate) : null;
+});
+
+// Validation: the series needs a vehicle or a load to dispatch, and must not end before it starts
+recurringBookingSchema.pre('validate', function (next) {
+    if (!this.vehicleId && !this.capacityRequired) {
+        return next(new Error('A preferred vehicle or the capacity required for auto-assignment is required'));
+    }
+    if (this.endDate && this.endDate < this.startDate) {
+        return next(new Error('End date cannot be before start date'));
+    }
+    next();
+});
+
+recurringBookingSchema.statics.RECURRING_STATUSES = RECURRING_STATUSES;
+
+module.exports = mongoose.model('RecurringBooking', recurringBookingSchema);
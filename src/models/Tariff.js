@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const discountSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Discount code is required'],
+        trim: true,
+        uppercase: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    percent: {
+        type: Number,
+        required: [true, 'Discount percent is required'],
+        min: [0, 'Discount percent cannot be negative'],
+        max: [100, 'Discount percent cannot exceed 100']
+    },
+    maxAmount: {
+        type: Number,
+        min: [0, 'Maximum discount cannot be negative']
+    },
+    validFrom: Date,
+    validTo: Date,
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: false });
+
+const tariffSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Tariff name is required'],
+        trim: true,
+        maxlength: [100, 'Tariff name cannot exceed 100 characters']
+    },
+    vehicleType: {
+        type: String,
+        enum: ['Light Vehicle', 'Medium Vehicle', 'Heavy Vehicle'],
+        required: [true, 'Vehicle type is required']
+    },
+    currency: {
+        type: String,
+        default: 'INR',
+        uppercase: true,
+        trim: true
+    },
+    baseFare: {
+        type: Number,
+        required: [true, 'Base fare is required'],
+        min: [0, 'Base fare cannot be negative']
+    },
+    perKmRate: {
+        type: Number,
+        required: [true, 'Per km rate is required'],
+        min: [0, 'Per km rate cannot be negative']
+    },
+    minimumFare: {
+        type: Number,
+        default: 0,
+        min: [0, 'Minimum fare cannot be negative']
+    },
+    nightSurcharge: {
+        percent: { type: Number, default: 0, min: [0, 'Night surcharge cannot be negative'] },
+        startHour: { type: Number, default: 22, min: 0, max: 23 },
+        endHour: { type: Number, default: 6, min: 0, max: 23 }
+    },
+    weekendSurchargePercent: {
+        type: Number,
+        default: 0,
+        min: [0, 'Weekend surcharge cannot be negative']
+    },
+    waitingChargePerHour: {
+        type: Number,
+        default: 0,
+        min: [0, 'Waiting charge cannot be negative']
+    },
+    freeWaitingMinutes: {
+        type: Number,
+        default: 0,
+        min: [0, 'Free waiting minutes cannot be negative']
+    },
+    gstPercent: {
+        type: Number,
+        default: 12,
+        min: [0, 'GST cannot be negative'],
+        max: [28, 'GST cannot exceed 28%']
+    },
+    discounts: [discountSchema],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    effectiveFrom: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+tariffSchema.index({ vehicleType: 1, isActive: 1, effectiveFrom: -1 });
+
+// Static method to find the tariff in force for a vehicle class
+tariffSchema.statics.findActiveTariff = function (vehicleType, at = new Date()) {
+    return this.findOne({
+        vehicleType,
+        isActive: true,
+        effectiveFrom: { $lte: at }
+    }).sort({ effectiveFrom: -1 });
+};
+
+module.exports = mongoose.model('Tariff', tariffSchema);
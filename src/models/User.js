@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../config/auth');
+
+const userSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email must be a valid email address']
+    },
+    passwordHash: {
+        type: String,
+        required: [true, 'Password is required'],
+        select: false
+    },
+    role: {
+        type: String,
+        enum: Object.values(ROLES),
+        required: [true, 'Role is required']
+    },
+    // Customer a customer account books for
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: [
+            function () { return this.role === ROLES.CUSTOMER; },
+            'Customer ID is required for customer accounts'
+        ]
+    },
+    // Vehicle a device account reports positions for
+    vehicleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: [
+            function () { return this.role === ROLES.DEVICE; },
+            'Vehicle ID is required for device accounts'
+        ]
+    },
+    status: {
+        type: String,
+        enum: ['active', 'disabled'],
+        default: 'active'
+    },
+    // Incremented to revoke every token issued to the user
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    lastLoginAt: {
+        type: Date
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: (doc, ret) => {
+            delete ret.passwordHash;
+            delete ret.tokenVersion;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+userSchema.index({ role: 1 });
+
+module.exports = mongoose.model('User', userSchema);
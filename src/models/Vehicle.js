@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 
+// Vehicle classes by the largest capacity they cover, smallest first
+const VEHICLE_CLASSES = [
+    { type: 'Light Vehicle', maxCapacityKg: 1000 },
+    { type: 'Medium Vehicle', maxCapacityKg: 5000 },
+    { type: 'Heavy Vehicle', maxCapacityKg: Infinity }
+];
+
 const vehicleSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -40,11 +47,16 @@ const vehicleSchema = new mongoose.Schema({
 vehicleSchema.index({ capacityKg: 1 });
 vehicleSchema.index({ status: 1 });
 
+// Static method to derive vehicle type from capacity
+vehicleSchema.statics.getTypeForCapacity = function (capacityKg) {
+    return VEHICLE_CLASSES.find(({ maxCapacityKg }) => capacityKg <= maxCapacityKg).type;
+};
+
+vehicleSchema.statics.VEHICLE_CLASSES = VEHICLE_CLASSES;
+
 // Virtual for vehicle type based on capacity
 vehicleSchema.virtual('type').get(function () {
-    if (this.capacityKg <= 1000) return 'Light Vehicle';
-    if (this.capacityKg <= 5000) return 'Medium Vehicle';
-    return 'Heavy Vehicle';
+    return this.constructor.getTypeForCapacity(this.capacityKg);
 });
 
 // Pre-save middleware to generate registration number if not provided
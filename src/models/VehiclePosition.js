@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const trackingConfig = require('../config/tracking');
+
+// One telematics ping; kept append-only, time-series style
+const vehiclePositionSchema = new mongoose.Schema({
+    vehicleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: [true, 'Vehicle ID is required']
+    },
+    // GeoJSON point: coordinates are [longitude, latitude]
+    location: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point'
+        },
+        coordinates: {
+            type: [Number],
+            required: [true, 'Coordinates are required']
+        }
+    },
+    speedKmh: {
+        type: Number,
+        min: [0, 'Speed cannot be negative']
+    },
+    heading: {
+        type: Number,
+        min: [0, 'Heading must be between 0 and 360 degrees'],
+        max: [360, 'Heading must be between 0 and 360 degrees']
+    },
+    // Time the device took the reading
+    recordedAt: {
+        type: Date,
+        required: [true, 'Recorded time is required']
+    }
+}, {
+    timestamps: { createdAt: 'receivedAt', updatedAt: false },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+vehiclePositionSchema.index({ location: '2dsphere' });
+// One ping per vehicle and instant, so retried uploads are not stored twice
+vehiclePositionSchema.index({ vehicleId: 1, recordedAt: -1 }, { unique: true });
+vehiclePositionSchema.index({ recordedAt: 1 }, { expireAfterSeconds: trackingConfig.retentionDays * 24 * 60 * 60 });
+
+// Virtuals for latitude and longitude
+vehiclePositionSchema.virtual('latitude').get(function () {
+    return this.location && this.location.coordinates ? this.location.coordinates[1] : undefined;
+});
+
+vehiclePositionSchema.virtual('longitude').get(function () {
+    return this.location && this.location.coordinates ? this.location.coordinates[0] : undefined;
+});
+
+module.exports = mongoose.model('VehiclePosition', vehiclePositionSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENT_TYPES } = require('../config/webhooks');
+const { isValidHttpUrl } = require('../utils/validation');
+
+const webhookSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: [true, 'Webhook URL is required'],
+        trim: true,
+        validate: {
+            validator: isValidHttpUrl,
+            message: 'Webhook URL must be an absolute http or https URL'
+        }
+    },
+    eventTypes: {
+        type: [{
+            type: String,
+            enum: {
+                values: WEBHOOK_EVENT_TYPES,
+                message: `Event type must be one of: ${WEBHOOK_EVENT_TYPES.join(', ')}`
+            }
+        }],
+        validate: {
+            validator: (types) => types.length > 0,
+            message: 'At least one event type is required'
+        }
+    },
+    // Key of the HMAC-SHA256 signature on every delivery; only shown when created
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // Only deliver events of this customer's bookings (optional)
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.secret;
+            return ret;
+        }
+    }
+});
+
+webhookSchema.index({ isActive: 1, eventTypes: 1 });
+
+webhookSchema.statics.EVENT_TYPES = WEBHOOK_EVENT_TYPES;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
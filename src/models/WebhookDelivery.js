@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// pending deliveries are in the outbox, delivered and dead ones are final
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+const attemptSchema = new mongoose.Schema({
+    attemptedAt: {
+        type: Date,
+        required: true
+    },
+    statusCode: {
+        type: Number
+    },
+    error: {
+        type: String
+    },
+    durationMs: {
+        type: Number
+    },
+    // Whether the attempt was a manual redelivery
+    manual: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+    webhookId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: [true, 'Webhook ID is required']
+    },
+    eventId: {
+        type: String,
+        required: [true, 'Event ID is required']
+    },
+    eventType: {
+        type: String,
+        required: [true, 'Event type is required']
+    },
+    // Body POSTed to the webhook URL
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: {
+            values: DELIVERY_STATUSES,
+            message: `Status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+        },
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // When the dispatcher may next send a pending delivery; pushed ahead
+    // while an attempt is in flight so only one dispatcher sends it
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastAttemptAt: {
+        type: Date
+    },
+    lastStatusCode: {
+        type: Number
+    },
+    lastError: {
+        type: String
+    },
+    deliveredAt: {
+        type: Date
+    },
+    attemptLog: [attemptSchema],
+    // Set once the delivery is final; the log entry is removed afterwards
+    expiresAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+// One delivery of an event per webhook, however often the event is queued
+webhookDeliverySchema.index({ webhookId: 1, eventId: 1 }, { unique: true });
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+webhookDeliverySchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
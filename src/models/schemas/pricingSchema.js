@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Frozen price breakdown shared by quotes and bookings
+ */
+const lineItemSchema = new mongoose.Schema({
+    code: { type: String, required: true },
+    label: { type: String, required: true },
+    amount: { type: Number, required: true }
+}, { _id: false });
+
+const taxSchema = new mongoose.Schema({
+    code: { type: String, required: true },
+    label: { type: String, required: true },
+    rate: { type: Number, required: true },
+    amount: { type: Number, required: true }
+}, { _id: false });
+
+const pricingSchema = new mongoose.Schema({
+    quoteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quote'
+    },
+    tariffId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tariff'
+    },
+    tariffName: String,
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    distanceKm: Number,
+    lineItems: [lineItemSchema],
+    subtotal: { type: Number, required: true },
+    discount: {
+        code: String,
+        percent: Number,
+        amount: Number
+    },
+    taxableAmount: { type: Number, required: true },
+    taxes: [taxSchema],
+    total: { type: Number, required: true }
+}, { _id: false });
+
+module.exports = pricingSchema;
@@ -0,0 +1,23 @@
+const express = require('express');
+const AuthController = require('../controllers/authController');
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../config/auth');
+
+const router = express.Router();
+
+// POST /api/auth/login - Log in and receive access/refresh tokens
+router.post('/login', AuthController.login);
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', AuthController.refresh);
+
+// POST /api/auth/logout - Revoke all tokens of the current user
+router.post('/logout', authenticate, AuthController.logout);
+
+// GET /api/auth/me - Get the current user
+router.get('/me', authenticate, AuthController.getCurrentUser);
+
+// POST /api/auth/users - Create a user account (admin only)
+router.post('/users', authenticate, authorize(ROLES.ADMIN), AuthController.createUser);
+
+module.exports = router;
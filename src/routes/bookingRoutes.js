@@ -1,31 +1,98 @@
 const express = require('express');
 const BookingController = require('../controllers/bookingController');
-const { validateBookingCreation, validateObjectId } = require('../middleware/validationMiddleware');
+const {
+    validateBookingCreation,
+    validateAutoDispatch,
+    validateBookingReschedule,
+    validateBookingImport,
+    validateObjectId,
+    validateObjectIdParam,
+    validateProofOfDelivery
+} = require('../middleware/validationMiddleware');
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { uploadProofOfDelivery, uploadImportFile } = require('../middleware/uploadMiddleware');
+const { ROLES } = require('../config/auth');
 
 const router = express.Router();
 
-// POST /api/bookings - Create a new booking
-router.post('/', validateBookingCreation, BookingController.createBooking);
+const { ADMIN, DISPATCHER, CUSTOMER, DRIVER } = ROLES;
+
+// All booking routes require an authenticated user
+router.use(authenticate);
+
+// POST /api/bookings - Create a new booking (customers book for themselves)
+router.post('/', authorize(ADMIN, DISPATCHER, CUSTOMER), validateBookingCreation, BookingController.createBooking);
+
+// POST /api/bookings/auto - Book the best available vehicle for a load
+router.post('/auto', authorize(ADMIN, DISPATCHER, CUSTOMER), validateAutoDispatch, BookingController.autoDispatch);
+
+// POST /api/bookings/import - Import bookings from a .csv, .xlsx or .json file (multipart: file, dryRun, mode)
+router.post(
+    '/import',
+    authorize(ADMIN, DISPATCHER, CUSTOMER),
+    uploadImportFile,
+    validateBookingImport,
+    BookingController.importBookings
+);
 
 // GET /api/bookings/analytics - Get booking analytics (must come before other GET routes)
-router.get('/analytics', BookingController.getBookingAnalytics);
+router.get('/analytics', authorize(ADMIN, DISPATCHER), BookingController.getBookingAnalytics);
 
 // GET /api/bookings/customer/:customerId - Get customer bookings
-router.get('/customer/:customerId', BookingController.getCustomerBookings);
+router.get(
+    '/customer/:customerId',
+    validateObjectIdParam('customerId'),
+    authorize(ADMIN, DISPATCHER, CUSTOMER),
+    BookingController.getCustomerBookings
+);
+
+// GET /api/bookings - Get all bookings (customers only see their own)
+router.get('/', authorize(ADMIN, DISPATCHER, CUSTOMER), BookingController.getAllBookings);
+
+// GET /api/bookings/:id - Get booking by ID (customers and drivers only their own)
+router.get('/:id', validateObjectId, authorize(ADMIN, DISPATCHER, CUSTOMER, DRIVER), BookingController.getBookingById);
 
-// GET /api/bookings - Get all bookings
-router.get('/', BookingController.getAllBookings);
+// PATCH /api/bookings/:id/status - Update booking status (drivers only for bookings assigned to them)
+router.patch('/:id/status', validateObjectId, authorize(ADMIN, DISPATCHER, DRIVER), BookingController.updateBookingStatus);
 
-// GET /api/bookings/:id - Get booking by ID
-router.get('/:id', validateObjectId, BookingController.getBookingById);
+// POST /api/bookings/:id/pod - Record proof of delivery (multipart: signature, photos, recipientName, lat, lng, deliveredAt)
+router.post(
+    '/:id/pod',
+    validateObjectId,
+    authorize(ADMIN, DISPATCHER, DRIVER),
+    uploadProofOfDelivery,
+    validateProofOfDelivery,
+    BookingController.recordProofOfDelivery
+);
 
-// PATCH /api/bookings/:id/status - Update booking status
-router.patch('/:id/status', validateObjectId, BookingController.updateBookingStatus);
+// GET /api/bookings/:id/pod/files/:fileId - Download a proof-of-delivery signature or photo
+router.get(
+    '/:id/pod/files/:fileId',
+    validateObjectId,
+    validateObjectIdParam('fileId'),
+    authorize(ADMIN, DISPATCHER, CUSTOMER, DRIVER),
+    BookingController.getProofOfDeliveryFile
+);
+
+// POST /api/bookings/:id/delivery-otp - Issue a new delivery OTP (clears a lockout)
+router.post('/:id/delivery-otp', validateObjectId, authorize(ADMIN, DISPATCHER, CUSTOMER), BookingController.reissueDeliveryOtp);
+
+// POST /api/bookings/:id/tracking-token - Replace the public tracking link
+router.post('/:id/tracking-token', validateObjectId, authorize(ADMIN, DISPATCHER, CUSTOMER), BookingController.rotateTrackingToken);
 
 // PATCH /api/bookings/:id/cancel - Cancel booking
-router.patch('/:id/cancel', validateObjectId, BookingController.cancelBooking);
+router.patch('/:id/cancel', validateObjectId, authorize(ADMIN, DISPATCHER, CUSTOMER), BookingController.cancelBooking);
+
+// PATCH /api/bookings/:id/reschedule - Move booking to a new slot
+router.patch('/:id/reschedule', validateObjectId, authorize(ADMIN, DISPATCHER, CUSTOMER), validateBookingReschedule, BookingController.rescheduleBooking);
+
+// PUT /api/bookings/:id/driver - Assign a driver to a booking
+router.put('/:id/driver', validateObjectId, authorize(ADMIN, DISPATCHER), BookingController.assignDriver);
+
+// DELETE /api/bookings/:id/driver - Remove the driver from a booking
+router.delete('/:id/driver', validateObjectId, authorize(ADMIN, DISPATCHER), BookingController.unassignDriver);
 
 // DELETE /api/bookings/:id - Delete booking
-router.delete('/:id', validateObjectId, BookingController.deleteBooking);
+router.delete('/:id', validateObjectId, authorize(ADMIN), BookingController.deleteBooking);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const CustomerController = require('../controllers/customerController');
+const { validateObjectId, validateCustomer } = require('../middleware/validationMiddleware');
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../config/auth');
+
+const router = express.Router();
+
+const { ADMIN, DISPATCHER, CUSTOMER } = ROLES;
+
+// All customer routes require an authenticated user
+router.use(authenticate);
+
+// POST /api/customers - Create a customer
+router.post('/', authorize(ADMIN, DISPATCHER), validateCustomer, CustomerController.createCustomer);
+
+// GET /api/customers - Get all customers
+router.get('/', authorize(ADMIN, DISPATCHER), CustomerController.getCustomers);
+
+// GET /api/customers/:id - Get customer by ID (customers only their own)
+router.get('/:id', validateObjectId, authorize(ADMIN, DISPATCHER, CUSTOMER), CustomerController.getCustomerById);
+
+// PUT /api/customers/:id - Update a customer
+router.put('/:id', validateObjectId, authorize(ADMIN, DISPATCHER), validateCustomer, CustomerController.updateCustomer);
+
+// DELETE /api/customers/:id - Close a customer
+router.delete('/:id', validateObjectId, authorize(ADMIN), CustomerController.closeCustomer);
+
+// GET /api/customers/:id/credit - Credit limit and outstanding bookings value (customers only their own)
+router.get('/:id/credit', validateObjectId, authorize(ADMIN, DISPATCHER, CUSTOMER), CustomerController.getCreditSummary);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const DriverController = require('../controllers/driverController');
+const { validateDriverCreation, validateObjectId } = require('../middleware/validationMiddleware');
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../config/auth');
+
+const router = express.Router();
+
+const { ADMIN, DISPATCHER, DRIVER } = ROLES;
+
+// All driver routes require an authenticated user
+router.use(authenticate);
+
+// POST /api/drivers - Create a new driver
+router.post('/', authorize(ADMIN, DISPATCHER), validateDriverCreation, DriverController.createDriver);
+
+// GET /api/drivers - Get all drivers
+router.get('/', authorize(ADMIN, DISPATCHER), DriverController.getAllDrivers);
+
+// GET /api/drivers/:id - Get driver by ID
+router.get('/:id', validateObjectId, authorize(ADMIN, DISPATCHER), DriverController.getDriverById);
+
+// GET /api/drivers/:id/hours - Get hours used and remaining (drivers see their own)
+router.get('/:id/hours', validateObjectId, authorize(ADMIN, DISPATCHER, DRIVER), DriverController.getDriverHours);
+
+// PUT /api/drivers/:id - Update a driver
+router.put('/:id', validateObjectId, authorize(ADMIN, DISPATCHER), DriverController.updateDriver);
+
+// DELETE /api/drivers/:id - Deactivate a driver
+router.delete('/:id', validateObjectId, authorize(ADMIN), DriverController.deactivateDriver);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const EventController = require('../controllers/eventController');
+const { validateEventSubscription } = require('../middleware/validationMiddleware');
+const { authenticate, authorize, acceptQueryToken } = require('../middleware/authMiddleware');
+const { ROLES } = require('../config/auth');
+
+const router = express.Router();
+
+const { ADMIN, DISPATCHER, CUSTOMER } = ROLES;
+
+// Event routes require an authenticated user; the token may also come as ?accessToken=
+router.use(acceptQueryToken, authenticate);
+
+// GET /api/events - Server-Sent Events stream (vehicleId, customerId, types; resumes from Last-Event-ID)
+router.get('/', authorize(ADMIN, DISPATCHER, CUSTOMER), validateEventSubscription, EventController.streamEvents);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const FeedController = require('../controllers/feedController');
+const { validateCalendarFeed, validateObjectId } = require('../middleware/validationMiddleware');
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../config/auth');
+
+const router = express.Router();
+
+const { ADMIN, DISPATCHER, CUSTOMER } = ROLES;
+
+// GET /api/feeds/:token.ics - iCalendar feed; calendar clients send no headers, so the secret token authenticates
+router.get('/:token.ics', FeedController.getFeedCalendar);
+
+// All other feed routes require an authenticated user
+router.use(authenticate);
+
+// POST /api/feeds - Create a feed for a vehicle, driver or customer
+router.post('/', authorize(ADMIN, DISPATCHER, CUSTOMER), validateCalendarFeed, FeedController.createFeed);
+
+// GET /api/feeds - Get feeds (customers see their own)
+router.get('/', authorize(ADMIN, DISPATCHER, CUSTOMER), FeedController.getFeeds);
+
+// DELETE /api/feeds/:id - Revoke a feed
+router.delete('/:id', validateObjectId, authorize(ADMIN, DISPATCHER, CUSTOMER), FeedController.revokeFeed);
+
+module.exports = router;
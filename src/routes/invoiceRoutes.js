@@ -0,0 +1,34 @@
+const express = require('express');
+const InvoiceController = require('../controllers/invoiceController');
+const {
+    validateObjectId,
+    validateInvoiceCreation,
+    validateInvoiceVoid,
+    validatePagination
+} = require('../middleware/validationMiddleware');
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../config/auth');
+
+const router = express.Router();
+
+const { ADMIN, DISPATCHER, CUSTOMER } = ROLES;
+
+// All invoice routes require an authenticated user
+router.use(authenticate);
+
+// POST /api/invoices - Invoice a completed booking, or a customer's billing period
+router.post('/', authorize(ADMIN, DISPATCHER), validateInvoiceCreation, InvoiceController.createInvoice);
+
+// GET /api/invoices - Get invoices (customers only their own)
+router.get('/', authorize(ADMIN, DISPATCHER, CUSTOMER), validatePagination, InvoiceController.getInvoices);
+
+// GET /api/invoices/:id - Get invoice by ID (customers only their own)
+router.get('/:id', validateObjectId, authorize(ADMIN, DISPATCHER, CUSTOMER), InvoiceController.getInvoiceById);
+
+// GET /api/invoices/:id/pdf - Download an invoice as a PDF (customers only their own)
+router.get('/:id/pdf', validateObjectId, authorize(ADMIN, DISPATCHER, CUSTOMER), InvoiceController.getInvoicePdf);
+
+// POST /api/invoices/:id/void - Void an invoice; its bookings can be invoiced again
+router.post('/:id/void', validateObjectId, authorize(ADMIN), validateInvoiceVoid, InvoiceController.voidInvoice);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const QuoteController = require('../controllers/quoteController');
+const { validateObjectId } = require('../middleware/validationMiddleware');
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../config/auth');
+
+const router = express.Router();
+
+const { ADMIN, DISPATCHER, CUSTOMER } = ROLES;
+
+// All quote routes require an authenticated user
+router.use(authenticate);
+
+// POST /api/quotes - Create a signed quote
+router.post('/', authorize(ADMIN, DISPATCHER, CUSTOMER), QuoteController.createQuote);
+
+// GET /api/quotes/:id - Get quote by ID
+router.get('/:id', validateObjectId, authorize(ADMIN, DISPATCHER, CUSTOMER), QuoteController.getQuoteById);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const RecurringBookingController = require('../controllers/recurringBookingController');
+const { validateObjectId, validateRecurringBooking } = require('../middleware/validationMiddleware');
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../config/auth');
+
+const router = express.Router();
+
+const { ADMIN, DISPATCHER, CUSTOMER } = ROLES;
+
+// All recurring booking routes require an authenticated user
+router.use(authenticate);
+
+// POST /api/recurring-bookings - Create a recurring booking and book its occurrences up to the horizon
+router.post('/', authorize(ADMIN, DISPATCHER, CUSTOMER), validateRecurringBooking, RecurringBookingController.createRecurringBooking);
+
+// GET /api/recurring-bookings - Get recurring bookings (customers only their own)
+router.get('/', authorize(ADMIN, DISPATCHER, CUSTOMER), RecurringBookingController.getRecurringBookings);
+
+// GET /api/recurring-bookings/:id - Get recurring booking by ID (customers only their own)
+router.get('/:id', validateObjectId, authorize(ADMIN, DISPATCHER, CUSTOMER), RecurringBookingController.getRecurringBookingById);
+
+// PUT /api/recurring-bookings/:id - Change a recurring booking from the change cutoff on
+router.put(
+    '/:id',
+    validateObjectId,
+    authorize(ADMIN, DISPATCHER, CUSTOMER),
+    validateRecurringBooking,
+    RecurringBookingController.updateRecurringBooking
+);
+
+// DELETE /api/recurring-bookings/:id - Cancel a recurring booking and its occurrences after the change cutoff
+router.delete('/:id', validateObjectId, authorize(ADMIN, DISPATCHER, CUSTOMER), RecurringBookingController.cancelRecurringBooking);
+
+// POST /api/recurring-bookings/:id/generate - Book occurrences up to the horizon now
+router.post('/:id/generate', validateObjectId, authorize(ADMIN, DISPATCHER), RecurringBookingController.generateOccurrences);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const TariffController = require('../controllers/tariffController');
+const { validateObjectId } = require('../middleware/validationMiddleware');
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../config/auth');
+
+const router = express.Router();
+
+const { ADMIN, DISPATCHER } = ROLES;
+
+// All tariff routes require an authenticated staff user
+router.use(authenticate, authorize(ADMIN, DISPATCHER));
+
+// POST /api/tariffs - Create a tariff
+router.post('/', authorize(ADMIN), TariffController.createTariff);
+
+// GET /api/tariffs - Get all tariffs
+router.get('/', TariffController.getAllTariffs);
+
+// GET /api/tariffs/:id - Get tariff by ID
+router.get('/:id', validateObjectId, TariffController.getTariffById);
+
+// PUT /api/tariffs/:id - Update a tariff
+router.put('/:id', validateObjectId, authorize(ADMIN), TariffController.updateTariff);
+
+// DELETE /api/tariffs/:id - Deactivate a tariff
+router.delete('/:id', validateObjectId, authorize(ADMIN), TariffController.deactivateTariff);
+
+module.exports = router;
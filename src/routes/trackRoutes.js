@@ -0,0 +1,9 @@
+const express = require('express');
+const TrackingController = require('../controllers/trackingController');
+
+const router = express.Router();
+
+// GET /api/track/:token - Public booking tracking; shared with recipients, so the secret token authenticates
+router.get('/:token', TrackingController.getPublicTracking);
+
+module.exports = router;
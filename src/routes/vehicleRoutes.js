@@ -1,28 +1,87 @@
 const express = require('express');
 const VehicleController = require('../controllers/vehicleController');
-const { validateVehicleCreation, validateObjectId } = require('../middleware/validationMiddleware');
+const MaintenanceController = require('../controllers/maintenanceController');
+const TrackingController = require('../controllers/trackingController');
+const {
+    validateVehicleCreation,
+    validateVehicleImport,
+    validateVehicleExport,
+    validateObjectId,
+    validateObjectIdParam,
+    validateMaintenanceWindow,
+    validatePositionPings,
+    validateAvailabilityQuery,
+    validatePagination
+} = require('../middleware/validationMiddleware');
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { uploadImportFile } = require('../middleware/uploadMiddleware');
+const { ROLES } = require('../config/auth');
 
 const router = express.Router();
 
+const { ADMIN, DISPATCHER, CUSTOMER, DRIVER, DEVICE } = ROLES;
+
+// All vehicle routes require an authenticated user
+router.use(authenticate);
+
 // POST /api/vehicles - Create a new vehicle
-router.post('/', validateVehicleCreation, VehicleController.createVehicle);
+router.post('/', authorize(ADMIN, DISPATCHER), validateVehicleCreation, VehicleController.createVehicle);
+
+// POST /api/vehicles/import - Create or update vehicles by registrationNumber from a .csv, .xlsx or .json file (multipart: file, dryRun)
+router.post('/import', authorize(ADMIN, DISPATCHER), uploadImportFile, validateVehicleImport, VehicleController.importVehicles);
+
+// GET /api/vehicles/export - Stream vehicles as CSV, JSON or NDJSON (format, status, minCapacity; must come before /:id route)
+router.get('/export', authorize(ADMIN, DISPATCHER), validateVehicleExport, VehicleController.exportVehicles);
 
-// GET /api/vehicles/available - Find available vehicles (must come before /:id route)
-router.get('/available', VehicleController.findAvailableVehicles);
+// GET /api/vehicles/available - Find available vehicles, sorted and paginated (must come before /:id route)
+router.get('/available', authorize(ADMIN, DISPATCHER, CUSTOMER), validateAvailabilityQuery, validatePagination, VehicleController.findAvailableVehicles);
+
+// GET /api/vehicles/available/suggestions - Nearest alternative start times with free vehicles
+router.get('/available/suggestions', authorize(ADMIN, DISPATCHER, CUSTOMER), validateAvailabilityQuery, VehicleController.suggestAvailableSlots);
+
+// GET /api/vehicles/calendar - Timelines of the fleet (must come before /:id route)
+router.get('/calendar', authorize(ADMIN, DISPATCHER), VehicleController.getFleetCalendar);
 
 // GET /api/vehicles - Get all vehicles
-router.get('/', VehicleController.getAllVehicles);
+router.get('/', authorize(ADMIN, DISPATCHER), VehicleController.getAllVehicles);
 
 // GET /api/vehicles/:id - Get vehicle by ID
-router.get('/:id', validateObjectId, VehicleController.getVehicleById);
+router.get('/:id', validateObjectId, authorize(ADMIN, DISPATCHER), VehicleController.getVehicleById);
 
 // GET /api/vehicles/:id/utilization - Get vehicle utilization stats
-router.get('/:id/utilization', validateObjectId, VehicleController.getVehicleUtilization);
+router.get('/:id/utilization', validateObjectId, authorize(ADMIN, DISPATCHER), VehicleController.getVehicleUtilization);
+
+// GET /api/vehicles/:id/calendar - Timeline of bookings, maintenance and free gaps
+router.get('/:id/calendar', validateObjectId, authorize(ADMIN, DISPATCHER), VehicleController.getVehicleCalendar);
 
 // PATCH /api/vehicles/:id/status - Update vehicle status
-router.patch('/:id/status', validateObjectId, VehicleController.updateVehicleStatus);
+router.patch('/:id/status', validateObjectId, authorize(ADMIN, DISPATCHER), VehicleController.updateVehicleStatus);
+
+// POST /api/vehicles/:id/maintenance - Schedule a maintenance window
+router.post('/:id/maintenance', validateObjectId, authorize(ADMIN, DISPATCHER), validateMaintenanceWindow, MaintenanceController.createWindow);
+
+// GET /api/vehicles/:id/maintenance - Get maintenance windows of a vehicle
+router.get('/:id/maintenance', validateObjectId, authorize(ADMIN, DISPATCHER), MaintenanceController.getWindows);
+
+// GET /api/vehicles/:id/maintenance/:windowId - Get a maintenance window
+router.get('/:id/maintenance/:windowId', validateObjectId, validateObjectIdParam('windowId'), authorize(ADMIN, DISPATCHER), MaintenanceController.getWindowById);
+
+// PUT /api/vehicles/:id/maintenance/:windowId - Update a maintenance window
+router.put('/:id/maintenance/:windowId', validateObjectId, validateObjectIdParam('windowId'), authorize(ADMIN, DISPATCHER), MaintenanceController.updateWindow);
+
+// DELETE /api/vehicles/:id/maintenance/:windowId - Delete a maintenance window
+router.delete('/:id/maintenance/:windowId', validateObjectId, validateObjectIdParam('windowId'), authorize(ADMIN, DISPATCHER), MaintenanceController.deleteWindow);
+
+// POST /api/vehicles/:id/positions - Record telematics position pings (one or { pings: [...] })
+router.post('/:id/positions', validateObjectId, authorize(ADMIN, DISPATCHER, DRIVER, DEVICE), validatePositionPings, TrackingController.recordPositions);
+
+// GET /api/vehicles/:id/location - Last-known position, with progress of an in-progress booking
+router.get('/:id/location', validateObjectId, authorize(ADMIN, DISPATCHER), TrackingController.getLastKnownPosition);
+
+// GET /api/vehicles/:id/track - Breadcrumb trail over a time range
+router.get('/:id/track', validateObjectId, authorize(ADMIN, DISPATCHER), TrackingController.getTrack);
 
 // DELETE /api/vehicles/:id - Delete vehicle
-router.delete('/:id', validateObjectId, VehicleController.deleteVehicle);
+router.delete('/:id', validateObjectId, authorize(ADMIN), VehicleController.deleteVehicle);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
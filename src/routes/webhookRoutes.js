@@ -0,0 +1,43 @@
+const express = require('express');
+const WebhookController = require('../controllers/webhookController');
+const {
+    validateObjectId,
+    validateObjectIdParam,
+    validateWebhook,
+    validatePagination
+} = require('../middleware/validationMiddleware');
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../config/auth');
+
+const router = express.Router();
+
+// Webhooks are integration settings, managed by admins only
+router.use(authenticate, authorize(ROLES.ADMIN));
+
+// POST /api/webhooks - Register a webhook
+router.post('/', validateWebhook, WebhookController.createWebhook);
+
+// GET /api/webhooks - Get all webhooks
+router.get('/', WebhookController.getWebhooks);
+
+// GET /api/webhooks/:id - Get webhook by ID
+router.get('/:id', validateObjectId, WebhookController.getWebhookById);
+
+// PUT /api/webhooks/:id - Update a webhook
+router.put('/:id', validateObjectId, validateWebhook, WebhookController.updateWebhook);
+
+// DELETE /api/webhooks/:id - Deactivate a webhook
+router.delete('/:id', validateObjectId, WebhookController.deactivateWebhook);
+
+// GET /api/webhooks/:id/deliveries - Delivery log of a webhook
+router.get('/:id/deliveries', validateObjectId, validatePagination, WebhookController.getDeliveries);
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/redeliver - Send a delivery again now
+router.post(
+    '/:id/deliveries/:deliveryId/redeliver',
+    validateObjectId,
+    validateObjectIdParam('deliveryId'),
+    WebhookController.redeliver
+);
+
+module.exports = router;
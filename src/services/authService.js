@@ -0,0 +1,263 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Customer = require('../models/Customer');
+const Vehicle = require('../models/Vehicle');
+const authConfig = require('../config/auth');
+const { isValidEmail, isValidObjectId } = require('../utils/validation');
+const { UnauthorizedError, ValidationError, ConflictError, NotFoundError } = require('../utils/errorHandler');
+
+class AuthService {
+    /**
+     * Create a new user account
+     *
+     * @param {Object} userData - { name, email, password, role, customerId, vehicleId }
+     * @returns {Object} - Created user
+     */
+    static async createUser(userData) {
+        const { name, email, password, role, customerId, vehicleId } = userData;
+        const errors = [];
+
+        if (!name || typeof name !== 'string' || name.trim().length === 0) {
+            errors.push('Name is required and must be a non-empty string');
+        }
+
+        if (!isValidEmail(email)) {
+            errors.push('Email must be a valid email address');
+        }
+
+        if (!password || typeof password !== 'string' || password.length < authConfig.minPasswordLength) {
+            errors.push(`Password must be at least ${authConfig.minPasswordLength} characters`);
+        }
+
+        if (!Object.values(authConfig.ROLES).includes(role)) {
+            errors.push(`Role must be one of: ${Object.values(authConfig.ROLES).join(', ')}`);
+        }
+
+        const isCustomerAccount = role === authConfig.ROLES.CUSTOMER;
+        if (isCustomerAccount && !isValidObjectId(customerId)) {
+            errors.push('Customer ID is required for customer accounts and must be a valid customer ID');
+        }
+
+        const isDeviceAccount = role === authConfig.ROLES.DEVICE;
+        if (isDeviceAccount && !isValidObjectId(vehicleId)) {
+            errors.push('Vehicle ID is required for device accounts and must be a valid vehicle ID');
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid user data', errors);
+        }
+
+        if (isCustomerAccount && !(await Customer.exists({ _id: customerId }))) {
+            throw new NotFoundError('Customer');
+        }
+
+        if (isDeviceAccount && !(await Vehicle.exists({ _id: vehicleId }))) {
+            throw new NotFoundError('Vehicle');
+        }
+
+        try {
+            const passwordHash = await bcrypt.hash(password, authConfig.passwordSaltRounds);
+
+            const user = new User({
+                name: name.trim(),
+                email,
+                passwordHash,
+                role,
+                ...(isCustomerAccount && { customerId }),
+                ...(isDeviceAccount && { vehicleId })
+            });
+
+            await user.save();
+            return user;
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new ConflictError('User with this email already exists');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Authenticate with email and password
+     *
+     * @param {string} email - User email
+     * @param {string} password - Plain text password
+     * @returns {Object} - { user, accessToken, refreshToken }
+     */
+    static async login(email, password) {
+        const user = await User.findOne({ email: String(email).toLowerCase().trim() })
+            .select('+passwordHash');
+
+        // Same message for unknown users and wrong passwords to avoid account enumeration
+        if (!user || !(await bcrypt.compare(String(password), user.passwordHash))) {
+            throw new UnauthorizedError('Invalid email or password');
+        }
+
+        if (user.status !== 'active') {
+            throw new UnauthorizedError('User account is disabled');
+        }
+
+        user.lastLoginAt = new Date();
+        await user.save();
+
+        return {
+            user,
+            ...this.generateTokens(user)
+        };
+    }
+
+    /**
+     * Exchange a refresh token for a new token pair
+     *
+     * @param {string} refreshToken - Refresh token
+     * @returns {Object} - { user, accessToken, refreshToken }
+     */
+    static async refreshTokens(refreshToken) {
+        const payload = this.verifyToken(refreshToken, 'refresh');
+        const user = await this.getActiveUser(payload);
+
+        return {
+            user,
+            ...this.generateTokens(user)
+        };
+    }
+
+    /**
+     * Resolve the user behind an access token
+     *
+     * @param {string} accessToken - Access token
+     * @returns {Object} - User
+     */
+    static async authenticateAccessToken(accessToken) {
+        const payload = this.verifyToken(accessToken, 'access');
+        return this.getActiveUser(payload);
+    }
+
+    /**
+     * Revoke all tokens issued to a user
+     *
+     * @param {string} userId - User ID
+     * @returns {boolean} - Success status
+     */
+    static async revokeTokens(userId) {
+        const result = await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+        return result.modifiedCount === 1;
+    }
+
+    /**
+     * Issue an access/refresh token pair for a user
+     *
+     * @param {Object} user - User document
+     * @returns {Object} - { accessToken, refreshToken, expiresIn }
+     */
+    static generateTokens(user) {
+        const claims = {
+            role: user.role,
+            tokenVersion: user.tokenVersion,
+            ...(user.customerId && { customerId: user.customerId.toString() })
+        };
+
+        const signOptions = {
+            algorithm: authConfig.jwtAlgorithm,
+            issuer: authConfig.jwtIssuer,
+            subject: user._id.toString()
+        };
+
+        const accessToken = jwt.sign(
+            { ...claims, type: 'access' },
+            authConfig.jwtSecret,
+            { ...signOptions, expiresIn: authConfig.accessTokenTtl }
+        );
+
+        const refreshToken = jwt.sign(
+            { tokenVersion: user.tokenVersion, type: 'refresh' },
+            authConfig.jwtSecret,
+            { ...signOptions, expiresIn: authConfig.refreshTokenTtl }
+        );
+
+        return {
+            accessToken,
+            refreshToken,
+            expiresIn: authConfig.accessTokenTtl
+        };
+    }
+
+    /**
+     * Verify a token signature, expiry and type
+     *
+     * @param {string} token - JWT
+     * @param {string} expectedType - 'access' or 'refresh'
+     * @returns {Object} - Token payload
+     */
+    static verifyToken(token, expectedType) {
+        let payload;
+
+        try {
+            payload = jwt.verify(token, authConfig.jwtSecret, {
+                algorithms: [authConfig.jwtAlgorithm],
+                issuer: authConfig.jwtIssuer
+            });
+        } catch (error) {
+            throw new UnauthorizedError(
+                error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token'
+            );
+        }
+
+        if (payload.type !== expectedType) {
+            throw new UnauthorizedError('Invalid token type');
+        }
+
+        return payload;
+    }
+
+    /**
+     * Load the user for a verified token payload, rejecting revoked tokens
+     *
+     * @param {Object} payload - Token payload
+     * @returns {Object} - User
+     */
+    static async getActiveUser(payload) {
+        const user = await User.findById(payload.sub);
+
+        if (!user || user.status !== 'active') {
+            throw new UnauthorizedError('User no longer has access');
+        }
+
+        if (user.tokenVersion !== payload.tokenVersion) {
+            throw new UnauthorizedError('Token has been revoked');
+        }
+
+        return user;
+    }
+
+    /**
+     * Create the initial admin account from ADMIN_EMAIL/ADMIN_PASSWORD
+     * when no admin exists yet
+     *
+     * @returns {Object|null} - Created admin or null
+     */
+    static async ensureBootstrapAdmin() {
+        const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+        if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+            return null;
+        }
+
+        const existingAdmin = await User.exists({ role: authConfig.ROLES.ADMIN });
+        if (existingAdmin) {
+            return null;
+        }
+
+        const admin = await this.createUser({
+            name: 'Administrator',
+            email: ADMIN_EMAIL,
+            password: ADMIN_PASSWORD,
+            role: authConfig.ROLES.ADMIN
+        });
+
+        console.log(`🔐 Bootstrap admin created: ${admin.email}`);
+        return admin;
+    }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,251 @@
+const Vehicle = require('../models/Vehicle');
+const BookingService = require('./bookingService');
+const CustomerService = require('./customerService');
+const PincodeService = require('./pincodeService');
+const RideCalculationService = require('./rideCalculationService');
+const { readImportFile } = require('../utils/importFile');
+const { validateBookingData } = require('../utils/validation');
+
+const IMPORT_MODES = ['all-or-nothing', 'best-effort'];
+
+// Columns read from every row; customerId may come from the user instead
+const COLUMNS = ['vehicleId', 'customerId', 'fromPincode', 'toPincode', 'startTime'];
+const REQUIRED_COLUMNS = COLUMNS.filter(column => column !== 'customerId');
+
+/**
+ * Strip the 'Error creating booking: ' style prefixes services add
+ */
+const rootMessage = (error) => error.message.replace(/^(Error [a-z ]+: )+/, '');
+
+/**
+ * Memoise an async lookup by key, remembering failures too
+ */
+const cached = (lookup) => {
+    const results = new Map();
+    return (key) => {
+        if (!results.has(key)) {
+            results.set(key, lookup(key));
+        }
+        return results.get(key);
+    };
+};
+
+class BookingImportService {
+    /**
+     * Read booking rows from an uploaded .csv, .xlsx or .json file
+     *
+     * @param {Object} file - { buffer, originalname }
+     * @returns {Array} - Row objects keyed by the header row
+     */
+    static async parseFile(file) {
+        try {
+            return await readImportFile(file, REQUIRED_COLUMNS);
+        } catch (error) {
+            throw new Error(`Error reading import file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate booking rows and, unless it is a dry run, book them
+     * Every row is checked with validateBookingData, against the vehicle,
+     * customer and pincode directory, against existing bookings and
+     * maintenance, and against earlier rows of the same file for the same
+     * vehicle. In all-or-nothing mode nothing is booked unless every row is
+     * valid, and bookings already made are cancelled if a later one fails;
+     * in best-effort mode every valid row is booked
+     *
+     * @param {Array} records - Rows with the COLUMNS fields
+     * @param {Object} options - { dryRun, mode, customerId } where customerId
+     *   (for customer users) replaces the customerId of every row
+     * @returns {Object} - { dryRun, mode, committed, summary, rows }
+     */
+    static async importBookings(records, options = {}) {
+        try {
+            const { dryRun = false, mode = 'all-or-nothing', customerId } = options;
+
+            if (!IMPORT_MODES.includes(mode)) {
+                throw new Error(`Invalid mode: use one of ${IMPORT_MODES.join(', ')}`);
+            }
+
+            const rows = await this.checkRows(records, customerId);
+            const invalid = rows.filter(row => row.status === 'invalid').length;
+            let committed = false;
+
+            if (!dryRun) {
+                if (mode === 'all-or-nothing' && invalid > 0) {
+                    rows.filter(row => row.status === 'valid').forEach(row => { row.status = 'skipped'; });
+                } else {
+                    committed = await this.bookRows(rows, mode);
+                }
+            }
+
+            const count = (status) => rows.filter(row => row.status === status).length;
+
+            return {
+                dryRun,
+                mode,
+                committed,
+                summary: {
+                    total: rows.length,
+                    valid: dryRun ? count('valid') : rows.length - invalid,
+                    invalid,
+                    created: count('created'),
+                    failed: count('failed'),
+                    skipped: count('skipped') + count('rolled-back')
+                },
+                rows: rows.map(({ data, ...row }) => row)
+            };
+        } catch (error) {
+            throw new Error(`Error importing bookings: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check every row without booking anything
+     *
+     * @param {Array} records - Rows with the COLUMNS fields
+     * @param {string} customerId - Customer every row is booked for (optional)
+     * @returns {Array} - { row, status: valid | invalid, errors, data, vehicleId, startTime, endTime }
+     */
+    static async checkRows(records, customerId = null) {
+        const findVehicle = cached(id => Vehicle.findById(id));
+        const findCustomer = cached(id => CustomerService.getBookableCustomer(id).then(() => null, rootMessage));
+
+        // Slots taken by earlier valid rows, by vehicle
+        const slotsByVehicle = new Map();
+        const results = [];
+
+        for (const [index, record] of records.entries()) {
+            const data = {};
+            COLUMNS.forEach(column => { data[column] = String(record[column] || '').trim(); });
+            if (customerId) {
+                data.customerId = String(customerId);
+            }
+
+            // Header row is row 1
+            const result = { row: index + 2, status: 'invalid', errors: [], data, vehicleId: data.vehicleId || null };
+            results.push(result);
+
+            const { errors } = validateBookingData(data);
+            if (errors.length > 0) {
+                result.errors = errors;
+                continue;
+            }
+
+            const startTime = new Date(data.startTime);
+            result.startTime = startTime;
+
+            const vehicle = await findVehicle(data.vehicleId);
+            if (!vehicle) {
+                result.errors.push('Vehicle not found');
+            } else if (vehicle.status !== 'active') {
+                result.errors.push('Vehicle is not available for booking');
+            }
+
+            const customerError = await findCustomer(data.customerId);
+            if (customerError) {
+                result.errors.push(customerError);
+            }
+
+            [data.fromPincode, data.toPincode].forEach((pincode) => {
+                try {
+                    PincodeService.getPincode(pincode);
+                } catch (error) {
+                    result.errors.push(error.message);
+                }
+            });
+
+            if (result.errors.length > 0) {
+                continue;
+            }
+
+            try {
+                const { endTime } = RideCalculationService.planRoute(
+                    [{ pincode: data.fromPincode, type: 'pickup' }, { pincode: data.toPincode, type: 'drop' }],
+                    startTime,
+                    vehicle.type
+                );
+                result.endTime = endTime;
+
+                await BookingService.assertSlotAvailable(vehicle._id, startTime, endTime);
+            } catch (error) {
+                result.errors.push(rootMessage(error));
+                continue;
+            }
+
+            const slots = slotsByVehicle.get(data.vehicleId) || [];
+            const clash = slots.find(slot => slot.startTime < result.endTime && startTime < slot.endTime);
+            if (clash) {
+                result.errors.push(`Conflicts with row ${clash.row}, which books the same vehicle for an overlapping time slot`);
+                continue;
+            }
+
+            slots.push(result);
+            slotsByVehicle.set(data.vehicleId, slots);
+            result.status = 'valid';
+        }
+
+        return results;
+    }
+
+    /**
+     * Book the valid rows in file order
+     *
+     * @param {Array} rows - Checked rows
+     * @param {string} mode - all-or-nothing or best-effort
+     * @returns {boolean} - Whether the bookings were kept
+     */
+    static async bookRows(rows, mode) {
+        const created = [];
+
+        for (const row of rows.filter(candidate => candidate.status === 'valid')) {
+            try {
+                const booking = await BookingService.createBooking(row.data);
+                row.status = 'created';
+                row.bookingId = booking._id;
+                row.endTime = booking.endTime;
+                row.trackingToken = booking.trackingToken;
+                // Only shown here, to pass on to the recipient
+                row.deliveryOtp = booking.$locals.deliveryOtp;
+                created.push(row);
+            } catch (error) {
+                row.status = 'failed';
+                row.errors = [rootMessage(error)];
+
+                if (mode === 'all-or-nothing') {
+                    // Do not leave part of the file booked. The bookings were
+                    // already announced, so they are cancelled rather than removed
+                    await this.rollBack(created, row);
+                    rows.filter(rest => rest.status === 'valid').forEach(rest => { rest.status = 'skipped'; });
+                    return false;
+                }
+            }
+        }
+
+        return created.length > 0;
+    }
+
+    /**
+     * Cancel the bookings of rows created before a row failed
+     * A booking that cannot be cancelled keeps its row as created, with the error
+     *
+     * @param {Array} created - Rows booked so far
+     * @param {Object} failed - Row that failed
+     */
+    static async rollBack(created, failed) {
+        for (const done of created) {
+            try {
+                await BookingService.updateBookingStatus(done.bookingId, 'cancelled', {}, {
+                    reason: `Import rolled back: row ${failed.row} failed`
+                });
+                done.status = 'rolled-back';
+                delete done.trackingToken;
+                delete done.deliveryOtp;
+            } catch (error) {
+                done.errors = [`Could not be rolled back: ${rootMessage(error)}`];
+            }
+        }
+    }
+}
+
+module.exports = BookingImportService;
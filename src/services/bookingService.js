@@ -1,23 +1,64 @@
+const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
 const Vehicle = require('../models/Vehicle');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const Driver = require('../models/Driver');
+const { LOCK_SCOPES } = require('../models/Lock');
 const RideCalculationService = require('./rideCalculationService');
+const PincodeService = require('./pincodeService');
+const LockService = require('./lockService');
+const PricingService = require('./pricingService');
+const DriverService = require('./driverService');
+const CustomerService = require('./customerService');
+const EventService = require('./eventService');
+const WebhookService = require('./webhookService');
+const InvoiceService = require('./invoiceService');
+const ProofOfDeliveryService = require('./proofOfDeliveryService');
+const DeliveryOtpService = require('./deliveryOtpService');
+const TrackingService = require('./trackingService');
+const bookingConfig = require('../config/booking');
+const { EVENT_TYPES } = require('../config/events');
+
+/**
+ * Webhook outbox entry for an event about a booking
+ */
+const toOutboxEvent = (type, booking, extra = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    type,
+    data: EventService.toBookingEventData(booking, extra),
+    occurredAt: new Date()
+});
 
 class BookingService {
     /**
      * Create a new booking with conflict checking
+     * The booking gets a public tracking token and a delivery OTP; the plain
+     * OTP is only available once, as booking.$locals.deliveryOtp
      * 
-     * @param {Object} bookingData - Booking data
+     * @param {Object} bookingData - Booking data; a driverId assigns that driver
+     *   in the same write, after checking it under the driver's lock
      * @returns {Object} - Created booking
      */
     static async createBooking(bookingData) {
         try {
-            const { vehicleId, fromPincode, toPincode, startTime, customerId } = bookingData;
+            const { vehicleId, startTime, customerId, quoteId, stops, recurringBookingId, driverId } = bookingData;
+            let { fromPincode, toPincode } = bookingData;
+
+            // Multi-stop bookings take their endpoints from the stops
+            const isMultiStop = Array.isArray(stops) && stops.length > 0;
+            if (isMultiStop) {
+                fromPincode = stops[0].pincode;
+                toPincode = stops[stops.length - 1].pincode;
+            }
 
             // Validate required fields
             if (!vehicleId || !fromPincode || !toPincode || !startTime || !customerId) {
                 throw new Error('All booking fields are required');
             }
 
+            // Suspended and closed customers cannot book
+            const customer = await CustomerService.getBookableCustomer(customerId);
+
             // Validate vehicle exists and is active
             const vehicle = await Vehicle.findById(vehicleId);
             if (!vehicle) {
@@ -28,12 +69,21 @@ class BookingService {
                 throw new Error('Vehicle is not available for booking');
             }
 
+            const driver = driverId ? await Driver.findById(driverId) : null;
+            if (driverId && !driver) {
+                throw new Error('Driver not found');
+            }
+
             // Validate pincodes
             if (!RideCalculationService.isValidPincode(fromPincode) ||
                 !RideCalculationService.isValidPincode(toPincode)) {
                 throw new Error('Invalid pincode format. Pincodes must be 6 digits.');
             }
 
+            // Fail fast on pincodes missing from the directory
+            PincodeService.getPincode(fromPincode);
+            PincodeService.getPincode(toPincode);
+
             // Validate start time
             const bookingStartTime = new Date(startTime);
             if (isNaN(bookingStartTime.getTime())) {
@@ -44,45 +94,106 @@ class BookingService {
                 throw new Error('Start time must be in the future');
             }
 
-            // Calculate ride duration and end time
-            const estimatedRideDurationHours = RideCalculationService.calculateEstimatedDuration(
-                fromPincode,
-                toPincode
-            );
-
-            const bookingEndTime = RideCalculationService.calculateEndTime(
+            // Plan the route across all legs: ride duration, end time and on-board load
+            const route = RideCalculationService.planRoute(
+                isMultiStop ? stops : [{ pincode: fromPincode, type: 'pickup' }, { pincode: toPincode, type: 'drop' }],
                 bookingStartTime,
-                estimatedRideDurationHours
+                vehicle.type
             );
 
-            // CRITICAL: Re-verify vehicle availability to prevent race conditions
-            const overlappingBookings = await Booking.findOverlappingBookings(
-                vehicleId,
-                bookingStartTime,
-                bookingEndTime
-            );
-
-            if (overlappingBookings.length > 0) {
-                throw new Error('Vehicle is no longer available for the requested time slot');
+            if (route.peakLoadKg > vehicle.capacityKg) {
+                throw new Error(`Peak on-board load of ${route.peakLoadKg} kg exceeds vehicle capacity of ${vehicle.capacityKg} kg`);
             }
 
-            // Create booking
-            const booking = new Booking({
-                vehicleId,
-                customerId,
-                fromPincode,
-                toPincode,
-                startTime: bookingStartTime,
-                endTime: bookingEndTime,
-                estimatedRideDurationHours,
-                status: 'confirmed'
-            });
+            const { estimatedRideDurationHours, endTime: bookingEndTime } = route;
+
+            // CRITICAL: Check and insert under a per-vehicle lock so concurrent
+            // requests for the same vehicle cannot both pass the overlap check;
+            // a driver booked with it is checked under the driver's lock too
+            const booking = await LockService.withLock(LOCK_SCOPES.VEHICLE, vehicleId, async (lock) => (
+                this.withDriverLock(driver && driver._id, async (driverLock) => {
+                    await this.assertSlotAvailable(vehicleId, bookingStartTime, bookingEndTime);
+
+                    if (driver) {
+                        await DriverService.assertDriverEligible(driver, {
+                            vehicleType: vehicle.type,
+                            startTime: bookingStartTime,
+                            endTime: bookingEndTime
+                        });
+                    }
+
+                    // Freeze the agreed price: from the quote if one was given,
+                    // otherwise from the tariff in force now
+                    let pricing;
+                    if (quoteId) {
+                        const quote = await PricingService.acceptQuote(quoteId, {
+                            customerId,
+                            vehicleId,
+                            vehicleType: vehicle.type,
+                            fromPincode,
+                            toPincode,
+                            stops: isMultiStop ? route.stops : undefined,
+                            startTime: bookingStartTime
+                        });
+                        pricing = { ...quote.pricing.toObject(), quoteId: quote._id };
+                    } else {
+                        const tariff = await PricingService.getActiveTariff(vehicle.type, bookingStartTime);
+                        pricing = PricingService.priceTrip(tariff, {
+                            distanceKm: route.totalDistanceKm,
+                            startTime: bookingStartTime
+                        });
+                    }
 
-            await booking.save();
+                    const newBooking = new Booking({
+                        vehicleId,
+                        customerId,
+                        fromPincode,
+                        toPincode,
+                        startTime: bookingStartTime,
+                        endTime: bookingEndTime,
+                        estimatedRideDurationHours,
+                        ...(isMultiStop && { stops: route.stops, peakLoadKg: route.peakLoadKg }),
+                        legs: route.legs,
+                        totalDistanceKm: route.totalDistanceKm,
+                        status: 'confirmed',
+                        pricing,
+                        trackingToken: TrackingService.generatePublicToken(),
+                        ...(recurringBookingId && { recurringBookingId }),
+                        ...(driver && { driverId: driver._id })
+                    });
+
+                    const { otp, deliveryOtp } = DeliveryOtpService.createOtp(newBooking._id);
+                    newBooking.deliveryOtp = deliveryOtp;
+                    newBooking.$locals.deliveryOtp = otp;
+                    newBooking.webhookOutbox = [toOutboxEvent(EVENT_TYPES.BOOKING_CREATED, newBooking)];
+
+                    try {
+                        await CustomerService.withinCreditLimit(customer, pricing.total, async (creditLock) => {
+                            for (const held of [lock, driverLock, creditLock].filter(Boolean)) {
+                                await held.assertHeld();
+                            }
+                            await newBooking.save();
+                        });
+                    } catch (error) {
+                        if (quoteId) {
+                            await PricingService.releaseQuote(quoteId);
+                        }
+                        throw error;
+                    }
+
+                    if (quoteId) {
+                        await PricingService.linkQuoteToBooking(quoteId, newBooking._id);
+                    }
+
+                    return newBooking;
+                })
+            ));
 
             // Populate vehicle details
             await booking.populate('vehicleId');
 
+            await this.publishEvents(booking, booking.webhookOutbox);
+
             return booking;
 
         } catch (error) {
@@ -131,6 +242,14 @@ class BookingService {
                 query.vehicleId = filters.vehicleId;
             }
 
+            if (filters.driverId) {
+                query.driverId = filters.driverId;
+            }
+
+            if (filters.recurringBookingId) {
+                query.recurringBookingId = filters.recurringBookingId;
+            }
+
             if (filters.status) {
                 query.status = filters.status;
             }
@@ -153,14 +272,34 @@ class BookingService {
 
     /**
      * Update booking status
+     * Only transitions in Booking.STATUS_TRANSITIONS are allowed, and each
+     * one is appended to statusHistory
      * 
      * @param {string} bookingId - Booking ID
      * @param {string} status - New status
      * @param {Object} additionalData - Additional update data
+     * @param {Object} transition - { actor, reason } recorded in statusHistory,
+     *   and the delivery otp required to complete the booking
      * @returns {Object} - Updated booking
      */
-    static async updateBookingStatus(bookingId, status, additionalData = {}) {
+    static async updateBookingStatus(bookingId, status, additionalData = {}, transition = {}) {
         try {
+            const { actor, reason, otp } = transition;
+
+            const booking = await Booking.findById(bookingId);
+            if (!booking) {
+                throw new Error('Booking not found');
+            }
+
+            if (!Booking.canTransition(booking.status, status)) {
+                throw new Error(`Invalid status transition from ${booking.status} to ${status}`);
+            }
+
+            if (status === 'completed') {
+                await ProofOfDeliveryService.assertCanComplete(booking);
+                await DeliveryOtpService.verifyOtp(booking, otp);
+            }
+
             const updateData = { status, ...additionalData };
 
             // Add timestamps for status changes
@@ -172,17 +311,48 @@ class BookingService {
                 updateData.actualEndTime = new Date();
             }
 
-            const booking = await Booking.findByIdAndUpdate(
-                bookingId,
-                updateData,
+            const updated = { ...booking.toObject(), ...updateData };
+            const events = [
+                toOutboxEvent(EVENT_TYPES.BOOKING_STATUS_CHANGED, updated, { previousStatus: booking.status })
+            ];
+            if (status === 'cancelled') {
+                events.push(toOutboxEvent(EVENT_TYPES.BOOKING_CANCELLED, updated, {
+                    previousStatus: booking.status,
+                    reason: reason || null
+                }));
+            }
+
+            // Conditional on the current status so concurrent changes cannot
+            // both apply a transition from the same state
+            const updatedBooking = await Booking.findOneAndUpdate(
+                { _id: bookingId, status: booking.status },
+                {
+                    $set: updateData,
+                    $push: {
+                        statusHistory: {
+                            from: booking.status,
+                            to: status,
+                            changedAt: new Date(),
+                            ...(actor && { changedBy: actor._id }),
+                            ...(reason && { reason })
+                        },
+                        webhookOutbox: { $each: events }
+                    }
+                },
                 { new: true, runValidators: true }
             ).populate('vehicleId');
 
-            if (!booking) {
-                throw new Error('Booking not found');
+            if (!updatedBooking) {
+                throw new Error('Booking status update conflict: status changed concurrently, please retry');
             }
 
-            return booking;
+            await this.publishEvents(updatedBooking, events);
+
+            if (status === 'completed') {
+                await InvoiceService.invoiceCompletedBooking(updatedBooking);
+            }
+
+            return updatedBooking;
         } catch (error) {
             throw new Error(`Error updating booking: ${error.message}`);
         }
@@ -193,9 +363,10 @@ class BookingService {
      * 
      * @param {string} bookingId - Booking ID
      * @param {string} reason - Cancellation reason
+     * @param {Object} actor - User cancelling the booking (optional)
      * @returns {Object} - Updated booking
      */
-    static async cancelBooking(bookingId, reason = '') {
+    static async cancelBooking(bookingId, reason = '', actor = null) {
         try {
             const booking = await Booking.findById(bookingId);
 
@@ -212,18 +383,13 @@ class BookingService {
             }
 
             // Check if booking can be cancelled (e.g., not too close to start time)
-            const now = new Date();
-            const timeDiff = booking.startTime.getTime() - now.getTime();
-            const hoursDiff = timeDiff / (1000 * 60 * 60);
-
-            if (hoursDiff < 2) {
-                throw new Error('Cannot cancel booking less than 2 hours before start time');
-            }
+            this.assertOutsideChangeCutoff(booking, 'cancel');
 
             const updatedBooking = await this.updateBookingStatus(
                 bookingId,
                 'cancelled',
-                { notes: reason ? `Cancelled: ${reason}` : 'Cancelled by user' }
+                {},
+                { actor, reason: reason || 'Cancelled by user' }
             );
 
             return updatedBooking;
@@ -232,22 +398,359 @@ class BookingService {
         }
     }
 
+    /**
+     * Move a confirmed booking to a new slot, optionally changing its
+     * pincodes or vehicle. The trip is re-planned and the previous slot is
+     * kept in rescheduleHistory. The agreed price stays frozen: it only
+     * changes through a quote for the new terms (quoteId), which a change of
+     * route or vehicle class requires, and a higher price is credit-checked.
+     *
+     * @param {string} bookingId - Booking ID
+     * @param {Object} changes - { startTime, fromPincode, toPincode, vehicleId, quoteId, reason }
+     * @param {Object} actor - User making the change (optional)
+     * @returns {Object} - Rescheduled booking
+     */
+    static async rescheduleBooking(bookingId, changes, actor = null) {
+        try {
+            const { startTime, vehicleId, quoteId, reason } = changes;
+
+            const booking = await Booking.findById(bookingId);
+
+            if (!booking) {
+                throw new Error('Booking not found');
+            }
+
+            if (booking.status !== 'confirmed') {
+                throw new Error(`Cannot reschedule ${booking.status} booking`);
+            }
+
+            this.assertOutsideChangeCutoff(booking, 'reschedule');
+
+            const isMultiStop = Array.isArray(booking.stops) && booking.stops.length > 0;
+            if (isMultiStop && (changes.fromPincode || changes.toPincode)) {
+                throw new Error('Pincodes of a multi-stop booking cannot be changed when rescheduling');
+            }
+
+            const fromPincode = changes.fromPincode || booking.fromPincode;
+            const toPincode = changes.toPincode || booking.toPincode;
+
+            if (!RideCalculationService.isValidPincode(fromPincode) ||
+                !RideCalculationService.isValidPincode(toPincode)) {
+                throw new Error('Invalid pincode format. Pincodes must be 6 digits.');
+            }
+
+            PincodeService.getPincode(fromPincode);
+            PincodeService.getPincode(toPincode);
+
+            const newStartTime = new Date(startTime);
+            if (!startTime || isNaN(newStartTime.getTime())) {
+                throw new Error('Invalid start time format');
+            }
+
+            if (newStartTime <= new Date()) {
+                throw new Error('Start time must be in the future');
+            }
+
+            const targetVehicleId = vehicleId || booking.vehicleId;
+            const vehicle = await Vehicle.findById(targetVehicleId);
+            if (!vehicle) {
+                throw new Error('Vehicle not found');
+            }
+
+            if (vehicle.status !== 'active') {
+                throw new Error('Vehicle is not available for booking');
+            }
+
+            const currentVehicle = vehicle._id.equals(booking.vehicleId) ? vehicle : await Vehicle.findById(booking.vehicleId);
+            const routeChanged = fromPincode !== booking.fromPincode || toPincode !== booking.toPincode;
+            const classChanged = !currentVehicle || currentVehicle.type !== vehicle.type;
+            if (!quoteId && (routeChanged || classChanged)) {
+                throw new Error('A new route or vehicle class changes the price: pass quoteId with a quote for the new terms');
+            }
+
+            const route = RideCalculationService.planRoute(
+                isMultiStop
+                    ? booking.stops.map(stop => {
+                        const { pincode, type, loadKg, windowStart, windowEnd } = stop.toObject();
+                        return { pincode, type, loadKg, windowStart, windowEnd };
+                    })
+                    : [{ pincode: fromPincode, type: 'pickup' }, { pincode: toPincode, type: 'drop' }],
+                newStartTime,
+                vehicle.type
+            );
+
+            if (route.peakLoadKg > vehicle.capacityKg) {
+                throw new Error(`Peak on-board load of ${route.peakLoadKg} kg exceeds vehicle capacity of ${vehicle.capacityKg} kg`);
+            }
+
+            // Saved only if nobody changed the booking since it was read, so a
+            // concurrent status change is not overwritten
+            const unchangedSince = booking.updatedAt;
+
+            // Vehicle before driver before customer, the order every caller locks in
+            const rescheduledBooking = await LockService.withLock(LOCK_SCOPES.VEHICLE, vehicle._id, async (lock) => (
+                this.withDriverLock(booking.driverId, async (driverLock) => {
+                    // The booking's own slot must not count as a conflict
+                    await this.assertSlotAvailable(vehicle._id, newStartTime, route.endTime, booking._id);
+
+                    // An assigned driver must still be able to take the moved trip
+                    if (booking.driverId) {
+                        const driver = await Driver.findById(booking.driverId);
+                        if (driver) {
+                            await DriverService.assertDriverEligible(driver, {
+                                vehicleType: vehicle.type,
+                                startTime: newStartTime,
+                                endTime: route.endTime,
+                                excludeBookingId: booking._id
+                            });
+                        }
+                    }
+
+                    // Re-price only from a quote for the new terms
+                    let pricing;
+                    if (quoteId) {
+                        const quote = await PricingService.acceptQuote(quoteId, {
+                            customerId: booking.customerId,
+                            vehicleId: vehicle._id,
+                            vehicleType: vehicle.type,
+                            fromPincode,
+                            toPincode,
+                            stops: isMultiStop ? route.stops : undefined,
+                            startTime: newStartTime
+                        });
+                        pricing = { ...quote.pricing.toObject(), quoteId: quote._id };
+                    }
+
+                    booking.rescheduleHistory.push({
+                        vehicleId: booking.vehicleId,
+                        fromPincode: booking.fromPincode,
+                        toPincode: booking.toPincode,
+                        startTime: booking.startTime,
+                        endTime: booking.endTime,
+                        estimatedRideDurationHours: booking.estimatedRideDurationHours,
+                        ...(actor && { rescheduledBy: actor._id }),
+                        ...(reason && { reason })
+                    });
+
+                    booking.set({
+                        vehicleId: vehicle._id,
+                        fromPincode,
+                        toPincode,
+                        startTime: newStartTime,
+                        endTime: route.endTime,
+                        estimatedRideDurationHours: route.estimatedRideDurationHours,
+                        ...(isMultiStop && { stops: route.stops, peakLoadKg: route.peakLoadKg }),
+                        legs: route.legs,
+                        totalDistanceKm: route.totalDistanceKm
+                    });
+
+                    const save = async (creditLock = null) => {
+                        for (const held of [lock, driverLock, creditLock].filter(Boolean)) {
+                            await held.assertHeld();
+                        }
+
+                        booking.$where = { status: 'confirmed', updatedAt: unchangedSince };
+                        try {
+                            await booking.save();
+                        } catch (error) {
+                            if (error instanceof mongoose.Error.DocumentNotFoundError) {
+                                throw new Error('Reschedule conflict: the booking was changed concurrently, please retry');
+                            }
+                            throw error;
+                        }
+                    };
+
+                    try {
+                        // The booking already counts towards the outstanding amount at its old price
+                        const increase = pricing ? pricing.total - ((booking.pricing && booking.pricing.total) || 0) : 0;
+                        if (pricing) {
+                            booking.pricing = pricing;
+                        }
+
+                        if (increase > 0) {
+                            const customer = await CustomerService.getBookableCustomer(booking.customerId);
+                            await CustomerService.withinCreditLimit(customer, increase, save);
+                        } else {
+                            await save();
+                        }
+                    } catch (error) {
+                        if (quoteId) {
+                            await PricingService.releaseQuote(quoteId);
+                        }
+                        throw error;
+                    }
+
+                    if (quoteId) {
+                        await PricingService.linkQuoteToBooking(quoteId, booking._id);
+                    }
+
+                    return booking;
+                })
+            ));
+
+            await rescheduledBooking.populate('vehicleId');
+
+            return rescheduledBooking;
+
+        } catch (error) {
+            throw new Error(`Error rescheduling booking: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run a function under a driver's lock, or without one when the booking
+     * has no driver; fn receives the lock's { assertHeld } or null
+     *
+     * @param {string} driverId - Driver ID (optional)
+     * @param {Function} fn - Async function to run
+     * @returns {*} - Result of fn
+     */
+    static async withDriverLock(driverId, fn) {
+        return driverId ? LockService.withLock(LOCK_SCOPES.DRIVER, driverId, fn) : fn(null);
+    }
+
+    /**
+     * Assign a driver to a confirmed booking
+     *
+     * @param {string} bookingId - Booking ID
+     * @param {string} driverId - Driver ID
+     * @returns {Object} - Updated booking
+     */
+    static async assignDriver(bookingId, driverId) {
+        try {
+            const booking = await Booking.findById(bookingId).populate('vehicleId');
+            if (!booking) {
+                throw new Error('Booking not found');
+            }
+
+            if (booking.status !== 'confirmed') {
+                throw new Error(`Cannot assign driver to ${booking.status} booking`);
+            }
+
+            const driver = await Driver.findById(driverId);
+            if (!driver) {
+                throw new Error('Driver not found');
+            }
+
+            // Serialise assignments of the same driver so two bookings cannot
+            // both pass the eligibility check for overlapping trips
+            await LockService.withLock(LOCK_SCOPES.DRIVER, driver._id, async (lock) => {
+                await DriverService.assertDriverEligible(driver, {
+                    vehicleType: booking.vehicleId.type,
+                    startTime: booking.startTime,
+                    endTime: booking.endTime,
+                    excludeBookingId: booking._id
+                });
+
+                await lock.assertHeld();
+
+                const result = await Booking.updateOne(
+                    { _id: booking._id, status: 'confirmed' },
+                    { driverId: driver._id }
+                );
+
+                if (result.matchedCount === 0) {
+                    throw new Error('Driver assignment conflict: booking status changed, please retry');
+                }
+            });
+
+            return await Booking.findById(booking._id).populate('vehicleId').populate('driverId');
+
+        } catch (error) {
+            throw new Error(`Error assigning driver: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove the driver from a booking
+     *
+     * @param {string} bookingId - Booking ID
+     * @returns {Object} - Updated booking
+     */
+    static async unassignDriver(bookingId) {
+        try {
+            const booking = await Booking.findById(bookingId);
+            if (!booking) {
+                throw new Error('Booking not found');
+            }
+
+            if (booking.status !== 'confirmed') {
+                throw new Error(`Cannot unassign driver from ${booking.status} booking`);
+            }
+
+            return await Booking.findByIdAndUpdate(
+                bookingId,
+                { $unset: { driverId: 1 } },
+                { new: true }
+            ).populate('vehicleId');
+
+        } catch (error) {
+            throw new Error(`Error unassigning driver: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reject a slot that overlaps another booking or a maintenance window
+     * of the vehicle. Call while holding the vehicle lock.
+     *
+     * @param {string} vehicleId - Vehicle ID
+     * @param {Date} startTime - Slot start
+     * @param {Date} endTime - Slot end
+     * @param {string} excludeBookingId - Booking to ignore (optional)
+     */
+    static async assertSlotAvailable(vehicleId, startTime, endTime, excludeBookingId = null) {
+        const overlappingBookings = await Booking.findOverlappingBookings(
+            vehicleId,
+            startTime,
+            endTime,
+            excludeBookingId
+        );
+
+        if (overlappingBookings.length > 0) {
+            throw new Error('Vehicle is no longer available for the requested time slot');
+        }
+
+        const maintenanceWindows = await MaintenanceWindow.findOverlappingWindows(vehicleId, startTime, endTime);
+
+        if (maintenanceWindows.length > 0) {
+            throw new Error('Maintenance conflict: vehicle is scheduled for maintenance during the requested time slot');
+        }
+    }
+
+    /**
+     * Reject changes to a booking that starts within the change cutoff
+     *
+     * @param {Object} booking - Booking document
+     * @param {string} action - Action named in the error, e.g. 'cancel'
+     */
+    static assertOutsideChangeCutoff(booking, action) {
+        const hoursUntilStart = (booking.startTime.getTime() - Date.now()) / (1000 * 60 * 60);
+
+        if (hoursUntilStart < bookingConfig.changeCutoffHours) {
+            throw new Error(`Cannot ${action} booking less than ${bookingConfig.changeCutoffHours} hours before start time`);
+        }
+    }
+
     /**
      * Get customer booking history
      * 
      * @param {string} customerId - Customer ID
-     * @param {Object} options - Query options
+     * @param {Object} options - Query options: { limit, offset, status, endingAfter }
      * @returns {Array} - Customer bookings
      */
     static async getCustomerBookings(customerId, options = {}) {
         try {
-            const { limit = 10, offset = 0, status } = options;
+            const { limit = 10, offset = 0, status, endingAfter } = options;
 
             const query = { customerId };
             if (status) {
                 query.status = status;
             }
 
+            if (endingAfter) {
+                query.endTime = { $gt: new Date(endingAfter) };
+            }
+
             const bookings = await Booking.find(query)
                 .populate('vehicleId')
                 .sort({ createdAt: -1 })
@@ -321,6 +824,29 @@ class BookingService {
         }
     }
 
+    /**
+     * Publish the events of a booking change to stream subscribers and
+     * queue them for webhooks
+     * The events were saved in the booking's webhook outbox with the change,
+     * so a failure to queue is logged and left to WebhookService.sweepOutbox
+     * rather than failing the request
+     *
+     * @param {Object} booking - Booking document
+     * @param {Array} events - Outbox entries of the change
+     */
+    static async publishEvents(booking, events) {
+        events.forEach(event => EventService.publish(event.type, event.data, {
+            vehicleId: booking.vehicleId,
+            customerId: booking.customerId
+        }));
+
+        try {
+            await WebhookService.queueOutboxEvents(booking._id, events);
+        } catch (error) {
+            console.error(`Failed to queue webhooks for booking ${booking._id}:`, error.message);
+        }
+    }
+
     /**
      * Delete booking (hard delete - use with caution)
      * 
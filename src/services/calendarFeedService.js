@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const CalendarFeed = require('../models/CalendarFeed');
+const Vehicle = require('../models/Vehicle');
+const Driver = require('../models/Driver');
+const Customer = require('../models/Customer');
+const Booking = require('../models/Booking');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const BookingService = require('./bookingService');
+const feedConfig = require('../config/feeds');
+const { buildCalendar } = require('../utils/ics');
+const { isValidObjectId } = require('../utils/validation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SHA-256 of a feed token, as stored on the feed
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+class CalendarFeedService {
+    /**
+     * Create a feed and its secret token
+     *
+     * @param {Object} feedData - { scope, subjectId, name }
+     * @param {Object} actor - User creating the feed (optional)
+     * @returns {Object} - { feed, token }; the token cannot be retrieved again
+     */
+    static async createFeed(feedData, actor = null) {
+        try {
+            const { scope, subjectId, name } = feedData;
+
+            const subject = await this.getSubject(scope, subjectId);
+            const token = crypto.randomBytes(feedConfig.tokenBytes).toString('hex');
+
+            const feed = new CalendarFeed({
+                scope,
+                subjectId: String(subjectId),
+                name: name || subject.name,
+                tokenHash: hashToken(token),
+                ...(actor && { createdBy: actor._id })
+            });
+
+            await feed.save();
+            return { feed, token };
+
+        } catch (error) {
+            throw new Error(`Error creating calendar feed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get feeds with optional filtering
+     *
+     * @param {Object} filters - { scope, subjectId, includeRevoked }
+     * @returns {Array} - Feeds, newest first
+     */
+    static async getFeeds(filters = {}) {
+        try {
+            const query = {};
+
+            if (filters.scope) query.scope = filters.scope;
+            if (filters.subjectId) query.subjectId = String(filters.subjectId);
+            if (!filters.includeRevoked) query.revokedAt = null;
+
+            return await CalendarFeed.find(query).sort({ createdAt: -1 });
+        } catch (error) {
+            throw new Error(`Error fetching calendar feeds: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get feed by ID
+     *
+     * @param {string} feedId - Feed ID
+     * @returns {Object} - Feed
+     */
+    static async getFeedById(feedId) {
+        try {
+            const feed = await CalendarFeed.findById(feedId);
+            if (!feed) {
+                throw new Error('Calendar feed not found');
+            }
+            return feed;
+        } catch (error) {
+            throw new Error(`Error fetching calendar feed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Revoke a feed so its token stops working
+     *
+     * @param {string} feedId - Feed ID
+     * @returns {Object} - Revoked feed
+     */
+    static async revokeFeed(feedId) {
+        try {
+            const feed = await CalendarFeed.findOneAndUpdate(
+                { _id: feedId, revokedAt: null },
+                { revokedAt: new Date() },
+                { new: true }
+            );
+
+            if (!feed) {
+                throw new Error('Calendar feed not found or already revoked');
+            }
+
+            return feed;
+        } catch (error) {
+            throw new Error(`Error revoking calendar feed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Render the iCalendar document of the feed a token belongs to
+     *
+     * @param {string} token - Secret feed token
+     * @returns {Object} - { feed, body }
+     */
+    static async renderFeed(token) {
+        try {
+            const feed = await CalendarFeed.findOne({ tokenHash: hashToken(token), revokedAt: null });
+            if (!feed) {
+                throw new Error('Calendar feed not found');
+            }
+
+            const since = new Date(Date.now() - feedConfig.pastDays * DAY_MS);
+            const events = await this.getFeedEvents(feed, since);
+
+            await CalendarFeed.updateOne({ _id: feed._id }, { lastAccessedAt: new Date() });
+
+            return {
+                feed,
+                body: buildCalendar({ name: feed.name || `FleetLink ${feed.scope} ${feed.subjectId}`, events })
+            };
+
+        } catch (error) {
+            throw new Error(`Error rendering calendar feed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Events of a feed: its bookings ending after a date, and for a vehicle
+     * feed also its maintenance windows
+     *
+     * @param {Object} feed - Feed document
+     * @param {Date} since - Leave out events that ended before this
+     * @returns {Array} - Event objects for buildCalendar
+     */
+    static async getFeedEvents(feed, since) {
+        const recentBookings = (query) => Booking.find({ ...query, endTime: { $gt: since } })
+            .populate('vehicleId')
+            .sort({ startTime: 1 })
+            .limit(feedConfig.maxEvents);
+
+        if (feed.scope === 'customer') {
+            const { bookings } = await BookingService.getCustomerBookings(feed.subjectId, {
+                limit: feedConfig.maxEvents,
+                endingAfter: since
+            });
+            return bookings.map(booking => this.toBookingEvent(booking));
+        }
+
+        if (feed.scope === 'driver') {
+            const bookings = await recentBookings({ driverId: feed.subjectId });
+            return bookings.map(booking => this.toBookingEvent(booking));
+        }
+
+        const [bookings, maintenanceWindows] = await Promise.all([
+            recentBookings({ vehicleId: feed.subjectId }),
+            MaintenanceWindow.find({ vehicleId: feed.subjectId, endTime: { $gt: since } })
+                .populate('vehicleId')
+                .sort({ startTime: 1 })
+        ]);
+
+        return [
+            ...bookings.map(booking => this.toBookingEvent(booking)),
+            ...maintenanceWindows.map(maintenanceWindow => this.toMaintenanceEvent(maintenanceWindow))
+        ];
+    }
+
+    /**
+     * Event of a booking; cancelled bookings stay in the feed as cancelled
+     * events so subscribed calendars remove them
+     */
+    static toBookingEvent(booking) {
+        const vehicle = booking.vehicleId && booking.vehicleId.name ? booking.vehicleId : null;
+        const stops = booking.stops && booking.stops.length > 0
+            ? `\nStops: ${booking.stops.map(stop => stop.pincode).join(' → ')}`
+            : '';
+
+        return {
+            uid: `booking-${booking._id}@${feedConfig.uidDomain}`,
+            stamp: booking.updatedAt || booking.createdAt || new Date(),
+            lastModified: booking.updatedAt,
+            start: booking.startTime,
+            end: booking.endTime,
+            summary: `FL ${vehicle ? vehicle.name : 'vehicle'} → ${booking.toPincode}`,
+            description: [
+                `Booking ${booking._id}`,
+                `Customer: ${booking.customerId}`,
+                `Route: ${booking.fromPincode} → ${booking.toPincode}`,
+                vehicle && `Vehicle: ${vehicle.name} (${vehicle.registrationNumber})`,
+                `Status: ${booking.status}`
+            ].filter(Boolean).join('\n') + stops,
+            location: booking.fromPincode,
+            status: booking.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+            // Bumped on every reschedule or status change so clients take the update
+            sequence: (booking.rescheduleHistory || []).length + (booking.statusHistory || []).length
+        };
+    }
+
+    /**
+     * Event of a maintenance window
+     */
+    static toMaintenanceEvent(maintenanceWindow) {
+        const vehicle = maintenanceWindow.vehicleId && maintenanceWindow.vehicleId.name ? maintenanceWindow.vehicleId : null;
+
+        return {
+            uid: `maintenance-${maintenanceWindow._id}@${feedConfig.uidDomain}`,
+            stamp: maintenanceWindow.updatedAt || maintenanceWindow.createdAt || new Date(),
+            lastModified: maintenanceWindow.updatedAt,
+            start: maintenanceWindow.startTime,
+            end: maintenanceWindow.endTime,
+            summary: `FL ${vehicle ? vehicle.name : 'vehicle'} maintenance (${maintenanceWindow.type})`,
+            description: maintenanceWindow.notes,
+            status: 'CONFIRMED'
+        };
+    }
+
+    /**
+     * Check the subject of a feed exists
+     *
+     * @param {string} scope - vehicle, driver or customer
+     * @param {string} subjectId - Vehicle, driver or customer ID
+     * @returns {Object} - { name } to label the feed with
+     */
+    static async getSubject(scope, subjectId) {
+        if (!CalendarFeed.FEED_SCOPES.includes(scope)) {
+            throw new Error(`Scope must be one of: ${CalendarFeed.FEED_SCOPES.join(', ')}`);
+        }
+
+        if (!subjectId) {
+            throw new Error('Feed subject is required');
+        }
+
+        if (!isValidObjectId(subjectId)) {
+            throw new Error(`Invalid ${scope} ID format`);
+        }
+
+        const models = { vehicle: Vehicle, driver: Driver, customer: Customer };
+        const subject = await models[scope].findById(subjectId);
+        if (!subject) {
+            throw new Error(`${scope.charAt(0).toUpperCase()}${scope.slice(1)} not found`);
+        }
+
+        return { name: `FleetLink ${subject.name}` };
+    }
+}
+
+module.exports = CalendarFeedService;
@@ -0,0 +1,188 @@
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const bookingConfig = require('../config/booking');
+const { buildTimeline, summariseTimeline } = require('../utils/timeline');
+const { roundHours } = require('../utils/hoursOfService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+class CalendarService {
+    /**
+     * Timeline of a vehicle's bookings, maintenance and free gaps
+     *
+     * @param {string} vehicleId - Vehicle ID
+     * @param {Object} range - { from, to }, defaults to the configured number of days from now
+     * @returns {Object} - Vehicle calendar
+     */
+    static async getVehicleCalendar(vehicleId, range = {}) {
+        try {
+            const { from, to } = this.parseCalendarRange(range);
+
+            const vehicle = await Vehicle.findById(vehicleId);
+            if (!vehicle) {
+                throw new Error('Vehicle not found');
+            }
+
+            const [calendar] = await this.buildCalendars([vehicle], from, to);
+            return { from, to, ...calendar };
+
+        } catch (error) {
+            throw new Error(`Error fetching vehicle calendar: ${error.message}`);
+        }
+    }
+
+    /**
+     * Timelines of many vehicles at once, for a fleet board
+     *
+     * @param {Object} filters - { status, minCapacity, maxCapacity }
+     * @param {Object} range - { from, to }
+     * @returns {Object} - { from, to, vehicles }
+     */
+    static async getFleetCalendar(filters = {}, range = {}) {
+        try {
+            const { from, to } = this.parseCalendarRange(range);
+
+            // Retired vehicles are left off the board unless asked for
+            const query = { status: filters.status || { $ne: 'retired' } };
+
+            if (filters.minCapacity !== undefined || filters.maxCapacity !== undefined) {
+                const minCapacity = filters.minCapacity !== undefined ? Number(filters.minCapacity) : 0;
+                const maxCapacity = filters.maxCapacity !== undefined ? Number(filters.maxCapacity) : Infinity;
+
+                if (isNaN(minCapacity) || isNaN(maxCapacity) || minCapacity > maxCapacity) {
+                    throw new Error('Invalid capacity range');
+                }
+
+                query.capacityKg = { $gte: minCapacity };
+                if (maxCapacity !== Infinity) {
+                    query.capacityKg.$lte = maxCapacity;
+                }
+            }
+
+            const vehicles = await Vehicle.find(query).sort({ name: 1, _id: 1 });
+
+            return {
+                from,
+                to,
+                vehicles: await this.buildCalendars(vehicles, from, to)
+            };
+
+        } catch (error) {
+            throw new Error(`Error fetching fleet calendar: ${error.message}`);
+        }
+    }
+
+    /**
+     * Calendars of a list of vehicles, loading all their bookings and
+     * maintenance in the range with one query each
+     *
+     * @param {Array} vehicles - Vehicle documents
+     * @param {Date} from - Range start
+     * @param {Date} to - Range end
+     * @returns {Array} - One calendar per vehicle, in the same order
+     */
+    static async buildCalendars(vehicles, from, to) {
+        if (vehicles.length === 0) {
+            return [];
+        }
+
+        const vehicleIds = vehicles.map(vehicle => vehicle._id);
+
+        const [bookings, maintenanceWindows] = await Promise.all([
+            Booking.find({
+                vehicleId: { $in: vehicleIds },
+                status: { $ne: 'cancelled' },
+                startTime: { $lt: to },
+                endTime: { $gt: from }
+            }),
+            MaintenanceWindow.findOverlappingWindows(vehicleIds, from, to)
+        ]);
+
+        const periodsByVehicle = new Map(vehicleIds.map(vehicleId => [vehicleId.toString(), []]));
+
+        for (const booking of bookings) {
+            periodsByVehicle.get(booking.vehicleId.toString()).push(this.toBookingPeriod(booking));
+        }
+
+        for (const maintenanceWindow of maintenanceWindows) {
+            periodsByVehicle.get(maintenanceWindow.vehicleId.toString()).push(this.toMaintenancePeriod(maintenanceWindow));
+        }
+
+        return vehicles.map(vehicle => {
+            const timeline = buildTimeline(periodsByVehicle.get(vehicle._id.toString()), from, to);
+
+            return {
+                vehicleId: vehicle._id,
+                vehicleName: vehicle.name,
+                registrationNumber: vehicle.registrationNumber,
+                capacityKg: vehicle.capacityKg,
+                vehicleType: vehicle.type,
+                status: vehicle.status,
+                summary: summariseTimeline(timeline, from, to),
+                timeline
+            };
+        });
+    }
+
+    /**
+     * Timeline period of a booking
+     */
+    static toBookingPeriod(booking) {
+        return {
+            type: 'booking',
+            start: booking.startTime,
+            end: booking.endTime,
+            durationHours: roundHours((booking.endTime - booking.startTime) / HOUR_MS),
+            bookingId: booking._id,
+            status: booking.status,
+            customerId: booking.customerId,
+            driverId: booking.driverId || null,
+            fromPincode: booking.fromPincode,
+            toPincode: booking.toPincode
+        };
+    }
+
+    /**
+     * Timeline period of a maintenance window
+     */
+    static toMaintenancePeriod(maintenanceWindow) {
+        return {
+            type: 'maintenance',
+            start: maintenanceWindow.startTime,
+            end: maintenanceWindow.endTime,
+            durationHours: roundHours((maintenanceWindow.endTime - maintenanceWindow.startTime) / HOUR_MS),
+            maintenanceWindowId: maintenanceWindow._id,
+            maintenanceType: maintenanceWindow.type,
+            notes: maintenanceWindow.notes
+        };
+    }
+
+    /**
+     * Parse and validate a calendar range
+     *
+     * @param {Object} range - { from, to }
+     * @returns {Object} - { from, to } as Dates
+     */
+    static parseCalendarRange(range = {}) {
+        const from = range.from ? new Date(range.from) : new Date();
+        const to = range.to ? new Date(range.to) : new Date(from.getTime() + bookingConfig.calendarDefaultDays * DAY_MS);
+
+        if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+            throw new Error('Invalid date range format');
+        }
+
+        if (to <= from) {
+            throw new Error('End date must be after start date');
+        }
+
+        if (to - from > bookingConfig.calendarMaxDays * DAY_MS) {
+            throw new Error(`Date range cannot exceed ${bookingConfig.calendarMaxDays} days`);
+        }
+
+        return { from, to };
+    }
+}
+
+module.exports = CalendarService;
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Booking = require('../models/Booking');
+const { LOCK_SCOPES } = require('../models/Lock');
+const LockService = require('./lockService');
+
+// Bookings counted against a customer's credit limit, with completed
+// bookings that are not invoiced yet. Invoiced work is not counted:
+// payments are not tracked here, so receivables are for accounts to chase
+const OPEN_BOOKING_STATUSES = ['confirmed', 'in-progress'];
+
+// Fields a customer can be created or updated with
+const UPDATABLE_FIELDS = [
+    'name', 'gstin', 'billingAddress', 'contacts', 'creditLimit', 'billingCycle', 'paymentTermsDays',
+    'requiresProofOfDelivery', 'status'
+];
+
+/**
+ * Treat null and empty values as unset, so an unset GSTIN never collides
+ * in the unique index and a null credit limit means no limit
+ */
+const toFieldValue = (value) => (value === null || value === '' ? undefined : value);
+
+/**
+ * Escape a string for use in a regular expression
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Turn a duplicate key error into a readable conflict
+ */
+const toConflictError = (error) => {
+    if (error.code === 11000) {
+        const field = Object.keys(error.keyPattern || {})[0] === 'gstin' ? 'GSTIN' : 'name';
+        return new Error(`Customer conflict: a customer with this ${field} already exists`);
+    }
+    return error;
+};
+
+class CustomerService {
+    /**
+     * Create a customer
+     *
+     * @param {Object} customerData - Any of UPDATABLE_FIELDS; name is required
+     * @returns {Object} - Created customer
+     */
+    static async createCustomer(customerData) {
+        try {
+            const customer = new Customer();
+            UPDATABLE_FIELDS
+                .filter(field => customerData[field] !== undefined)
+                .forEach(field => customer.set(field, toFieldValue(customerData[field])));
+
+            await customer.save();
+            return customer;
+        } catch (error) {
+            throw new Error(`Error creating customer: ${toConflictError(error).message}`);
+        }
+    }
+
+    /**
+     * Get customers with optional filtering
+     *
+     * @param {Object} filters - { status, search } where search matches the name or GSTIN
+     * @returns {Array} - Customers sorted by name
+     */
+    static async getCustomers(filters = {}) {
+        try {
+            const query = {};
+            if (filters.status) query.status = filters.status;
+
+            if (filters.search) {
+                const pattern = escapeRegExp(Customer.normalizeName(filters.search));
+                query.$or = [
+                    { nameKey: { $regex: pattern } },
+                    { gstin: { $regex: pattern, $options: 'i' } }
+                ];
+            }
+
+            return await Customer.find(query).sort({ nameKey: 1 });
+        } catch (error) {
+            throw new Error(`Error fetching customers: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get customer by ID
+     *
+     * @param {string} customerId - Customer ID
+     * @returns {Object} - Customer
+     */
+    static async getCustomerById(customerId) {
+        try {
+            const customer = await Customer.findById(customerId);
+            if (!customer) {
+                throw new Error('Customer not found');
+            }
+            return customer;
+        } catch (error) {
+            throw new Error(`Error fetching customer: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a customer
+     * Saved as a document so the name key and contacts are validated again
+     *
+     * @param {string} customerId - Customer ID
+     * @param {Object} updateData - Any of UPDATABLE_FIELDS
+     * @returns {Object} - Updated customer
+     */
+    static async updateCustomer(customerId, updateData) {
+        try {
+            const customer = await Customer.findById(customerId);
+            if (!customer) {
+                throw new Error('Customer not found');
+            }
+
+            UPDATABLE_FIELDS
+                .filter(field => updateData[field] !== undefined)
+                .forEach(field => customer.set(field, toFieldValue(updateData[field])));
+
+            await customer.save();
+            return customer;
+        } catch (error) {
+            throw new Error(`Error updating customer: ${toConflictError(error).message}`);
+        }
+    }
+
+    /**
+     * Close a customer (soft delete); their bookings are kept
+     *
+     * @param {string} customerId - Customer ID
+     * @returns {Object} - Updated customer
+     */
+    static async closeCustomer(customerId) {
+        return this.updateCustomer(customerId, { status: 'closed' });
+    }
+
+    /**
+     * Value of a customer's open bookings and of completed bookings not
+     * yet invoiced
+     *
+     * @param {string} customerId - Customer ID
+     * @returns {Object} - { amount, openBookings } where openBookings counts both
+     */
+    static async getOutstanding(customerId) {
+        const [result] = await Booking.aggregate([
+            {
+                $match: {
+                    customerId: new mongoose.Types.ObjectId(String(customerId)),
+                    $or: [
+                        { status: { $in: OPEN_BOOKING_STATUSES } },
+                        { status: 'completed', invoiceId: null }
+                    ]
+                }
+            },
+            {
+                $group: {
+                    _id: null,
+                    amount: { $sum: { $ifNull: ['$pricing.total', 0] } },
+                    openBookings: { $sum: 1 }
+                }
+            }
+        ]);
+
+        return {
+            amount: result ? Math.round(result.amount * 100) / 100 : 0,
+            openBookings: result ? result.openBookings : 0
+        };
+    }
+
+    /**
+     * Credit limit, outstanding value and headroom of a customer
+     *
+     * @param {string} customerId - Customer ID
+     * @returns {Object} - { customerId, creditLimit, outstanding, openBookings, available }
+     */
+    static async getCreditSummary(customerId) {
+        try {
+            const customer = await Customer.findById(customerId);
+            if (!customer) {
+                throw new Error('Customer not found');
+            }
+
+            const outstanding = await this.getOutstanding(customer._id);
+            const hasLimit = customer.creditLimit !== undefined && customer.creditLimit !== null;
+
+            return {
+                customerId: customer._id,
+                creditLimit: hasLimit ? customer.creditLimit : null,
+                outstanding: outstanding.amount,
+                openBookings: outstanding.openBookings,
+                available: hasLimit ? Math.round((customer.creditLimit - outstanding.amount) * 100) / 100 : null
+            };
+        } catch (error) {
+            throw new Error(`Error fetching customer credit: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a customer that may place bookings
+     *
+     * @param {string} customerId - Customer ID
+     * @returns {Object} - Customer
+     */
+    static async getBookableCustomer(customerId) {
+        const customer = await Customer.findById(customerId);
+        if (!customer) {
+            throw new Error('Customer not found');
+        }
+
+        if (customer.status !== 'active') {
+            throw new Error(`Cannot book for customer: account is ${customer.status}`);
+        }
+
+        return customer;
+    }
+
+    /**
+     * Check a new booking keeps a customer within their credit limit
+     *
+     * @param {Object} customer - Customer document
+     * @param {number} amount - Total of the new booking
+     */
+    static async assertWithinCreditLimit(customer, amount) {
+        if (customer.creditLimit === undefined || customer.creditLimit === null) {
+            return;
+        }
+
+        const outstanding = await this.getOutstanding(customer._id);
+        if (outstanding.amount + amount > customer.creditLimit) {
+            throw new Error(
+                `Cannot book for customer: credit limit of ${customer.creditLimit} exceeded ` +
+                `(outstanding ${outstanding.amount}, booking ${amount})`
+            );
+        }
+    }
+
+    /**
+     * Check a booking amount against a customer's credit limit and save it
+     * The check and the write run under a lock on the customer, so bookings
+     * placed at the same time (e.g. on different vehicles) cannot together
+     * exceed the limit
+     *
+     * @param {Object} customer - Customer document
+     * @param {number} amount - Amount the write adds to the outstanding value
+     * @param {Function} write - Async function saving the booking; receives
+     *   { assertHeld } to re-verify the customer lock before it writes
+     * @returns {*} - Result of write
+     */
+    static async withinCreditLimit(customer, amount, write) {
+        return LockService.withLock(LOCK_SCOPES.CUSTOMER, customer._id, async (lock) => {
+            await this.assertWithinCreditLimit(customer, amount);
+            return write(lock);
+        });
+    }
+}
+
+module.exports = CustomerService;
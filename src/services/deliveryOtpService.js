@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const bookingConfig = require('../config/booking');
+
+// Bookings a new delivery OTP can be issued for
+const OTP_STATUSES = ['confirmed', 'in-progress'];
+
+/**
+ * HMAC of a booking's delivery OTP, as stored on the booking
+ */
+const hashOtp = (bookingId, otp) => crypto
+    .createHmac('sha256', bookingConfig.deliveryOtpSecret)
+    .update(`${bookingId}:${otp}`)
+    .digest('hex');
+
+/**
+ * Error for an OTP locked until a given time
+ */
+const lockedError = (lockedUntil) => new Error(
+    `Delivery OTP locked after too many incorrect attempts; try again after ${lockedUntil.toISOString()}`
+);
+
+class DeliveryOtpService {
+    /**
+     * Generate a delivery OTP for a booking
+     *
+     * @param {ObjectId} bookingId - Booking ID the OTP is bound to
+     * @returns {Object} - { otp, deliveryOtp } where deliveryOtp is stored on the booking
+     */
+    static createOtp(bookingId) {
+        const digits = bookingConfig.deliveryOtpDigits;
+        const otp = crypto.randomInt(0, 10 ** digits).toString().padStart(digits, '0');
+
+        return {
+            otp,
+            deliveryOtp: {
+                hash: hashOtp(bookingId, otp),
+                attempts: 0,
+                issuedAt: new Date()
+            }
+        };
+    }
+
+    /**
+     * Replace a booking's delivery OTP, e.g. when the recipient lost it
+     * Clears any lockout
+     *
+     * @param {string} bookingId - Booking ID
+     * @returns {Object} - { booking, otp }; the OTP cannot be retrieved again
+     */
+    static async reissueOtp(bookingId) {
+        try {
+            const booking = await Booking.findById(bookingId);
+            if (!booking) {
+                throw new Error('Booking not found');
+            }
+
+            if (!OTP_STATUSES.includes(booking.status)) {
+                throw new Error(`Cannot issue a delivery OTP for a ${booking.status} booking`);
+            }
+
+            // Set on its own rather than saving the booking, which would
+            // validate every field again (a started booking's start time is past)
+            const { otp, deliveryOtp } = this.createOtp(booking._id);
+            const updatedBooking = await Booking.findOneAndUpdate(
+                { _id: booking._id, status: { $in: OTP_STATUSES } },
+                { $set: { deliveryOtp } },
+                { new: true }
+            );
+
+            if (!updatedBooking) {
+                throw new Error('Cannot issue a delivery OTP: booking status changed, please retry');
+            }
+
+            return { booking: updatedBooking, otp };
+        } catch (error) {
+            throw new Error(`Error issuing delivery OTP: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check the OTP the driver submitted to complete a booking
+     * Every wrong code counts towards the attempt limit; reaching it locks
+     * the OTP for the lockout period. Bookings created before delivery OTPs
+     * existed have none and pass
+     *
+     * @param {Object} booking - Booking document
+     * @param {string} otp - Code given by the recipient
+     */
+    static async verifyOtp(booking, otp) {
+        const state = booking.deliveryOtp;
+        if (!state || !state.hash) {
+            return;
+        }
+
+        const now = new Date();
+        if (state.lockedUntil && state.lockedUntil > now) {
+            throw lockedError(state.lockedUntil);
+        }
+
+        if (otp === undefined || otp === null || String(otp).trim() === '') {
+            throw new Error('Delivery OTP is required to complete this booking');
+        }
+
+        const expected = Buffer.from(state.hash, 'hex');
+        const actual = Buffer.from(hashOtp(booking._id, String(otp).trim()), 'hex');
+        if (crypto.timingSafeEqual(expected, actual)) {
+            await Booking.updateOne(
+                { _id: booking._id },
+                { $set: { 'deliveryOtp.verifiedAt': now, 'deliveryOtp.attempts': 0 } }
+            );
+            return;
+        }
+
+        // Count the miss atomically, unless a concurrent miss has just locked the OTP
+        const updated = await Booking.findOneAndUpdate(
+            {
+                _id: booking._id,
+                'deliveryOtp.hash': state.hash,
+                $or: [{ 'deliveryOtp.lockedUntil': null }, { 'deliveryOtp.lockedUntil': { $lte: now } }]
+            },
+            { $inc: { 'deliveryOtp.attempts': 1 } },
+            { new: true }
+        );
+
+        if (!updated) {
+            const current = await Booking.findById(booking._id).select('deliveryOtp');
+            throw lockedError(current.deliveryOtp.lockedUntil || now);
+        }
+
+        const attemptsLeft = bookingConfig.deliveryOtpMaxAttempts - updated.deliveryOtp.attempts;
+        if (attemptsLeft <= 0) {
+            const lockedUntil = new Date(now.getTime() + bookingConfig.deliveryOtpLockoutMinutes * 60 * 1000);
+            await Booking.updateOne(
+                { _id: booking._id, 'deliveryOtp.hash': state.hash },
+                { $set: { 'deliveryOtp.lockedUntil': lockedUntil, 'deliveryOtp.attempts': 0 } }
+            );
+            throw lockedError(lockedUntil);
+        }
+
+        throw new Error(`Invalid delivery OTP: ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left`);
+    }
+}
+
+module.exports = DeliveryOtpService;
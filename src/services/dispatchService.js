@@ -0,0 +1,170 @@
+const Driver = require('../models/Driver');
+const VehicleService = require('./vehicleService');
+const BookingService = require('./bookingService');
+const DriverService = require('./driverService');
+const CustomerService = require('./customerService');
+const dispatchConfig = require('../config/dispatch');
+const { getStrategy } = require('./dispatchStrategies');
+
+/**
+ * Order scored candidates: lowest score first, unscored last,
+ * then smaller vehicles, then oldest vehicle id for a stable result
+ */
+const compareScored = (a, b) => {
+    if (a.score === null || b.score === null) {
+        if (a.score !== b.score) return a.score === null ? 1 : -1;
+    } else if (a.score !== b.score) {
+        return a.score - b.score;
+    }
+
+    if (a.candidate.capacityKg !== b.candidate.capacityKg) {
+        return a.candidate.capacityKg - b.candidate.capacityKg;
+    }
+
+    return a.candidate._id.toString().localeCompare(b.candidate._id.toString());
+};
+
+/**
+ * Booking errors that mean the vehicle's slot was taken since the search;
+ * driver and customer errors would fail on every candidate alike
+ */
+const isSlotTaken = (error) => (
+    error.message.includes('no longer available') ||
+    error.message.includes('Booking conflict') ||
+    error.message.includes('Maintenance conflict') ||
+    error.message.includes('Lock conflict: the vehicle')
+);
+
+/**
+ * Summary of a scored candidate for the response
+ */
+const toScoreSummary = ({ candidate, score }) => ({
+    vehicleId: candidate._id,
+    vehicleName: candidate.name,
+    registrationNumber: candidate.registrationNumber,
+    capacityKg: candidate.capacityKg,
+    vehicleType: candidate.type,
+    estimatedCost: candidate.routeInfo.estimatedCost,
+    score: score === null ? null : Math.round(score * 100) / 100
+});
+
+class DispatchService {
+    /**
+     * Book the best available vehicle for a load
+     * Candidates are ranked by the scoring strategy and booked best-first;
+     * a candidate taken by a concurrent booking falls through to the next.
+     * A requested driver is checked and assigned in the same write as the
+     * booking, so a driver who cannot take the trip leaves nothing behind
+     *
+     * @param {Object} request - { capacityRequired, fromPincode, toPincode, startTime, customerId, strategy, driverId,
+     *   recurringBookingId }
+     * @returns {Object} - { booking, dispatch: { strategy, chosen, runnersUp } }
+     */
+    static async autoDispatch(request) {
+        try {
+            const { capacityRequired, fromPincode, toPincode, startTime, customerId, driverId, recurringBookingId } = request;
+
+            if (!customerId) {
+                throw new Error('customerId is required');
+            }
+
+            // Fail before searching when the customer cannot book at all
+            await CustomerService.getBookableCustomer(customerId);
+
+            const strategy = getStrategy(request.strategy || dispatchConfig.defaultStrategy);
+            const criteria = { capacityRequired, fromPincode, toPincode, startTime };
+
+            let driver = null;
+            if (driverId) {
+                driver = await Driver.findById(driverId);
+                if (!driver) {
+                    throw new Error('Driver not found');
+                }
+            }
+
+            let candidates = await VehicleService.findAvailableVehicles(criteria);
+
+            // With a driver requested, only vehicles that driver may take qualify.
+            // Every candidate has the same trip times, so the check only differs
+            // by vehicle class
+            if (driver && candidates.length > 0) {
+                const { requestedStartTime, requestedEndTime } = candidates[0].searchCriteria;
+                const eligibleTypes = new Set();
+
+                for (const vehicleType of new Set(candidates.map(candidate => candidate.type))) {
+                    try {
+                        await DriverService.assertDriverEligible(driver, {
+                            vehicleType,
+                            startTime: requestedStartTime,
+                            endTime: requestedEndTime
+                        });
+                        eligibleTypes.add(vehicleType);
+                    } catch (error) {
+                        // The driver cannot take this class
+                    }
+                }
+
+                candidates = candidates.filter(candidate => eligibleTypes.has(candidate.type));
+            }
+
+            if (candidates.length === 0) {
+                throw new Error('No vehicle available for the requested load and time slot');
+            }
+
+            const scores = await strategy.score(candidates, criteria);
+            const scored = candidates.map((candidate, index) => ({
+                candidate,
+                score: scores[index] === undefined ? null : scores[index]
+            }));
+
+            scored.sort(compareScored);
+
+            let booking = null;
+            let chosenIndex = -1;
+
+            for (let index = 0; index < scored.length && !booking; index++) {
+                try {
+                    booking = await BookingService.createBooking({
+                        vehicleId: scored[index].candidate._id.toString(),
+                        customerId,
+                        fromPincode,
+                        toPincode,
+                        startTime,
+                        recurringBookingId,
+                        ...(driver && { driverId: driver._id.toString() })
+                    });
+                    chosenIndex = index;
+                } catch (error) {
+                    if (!isSlotTaken(error)) {
+                        throw error;
+                    }
+                }
+            }
+
+            if (!booking) {
+                throw new Error('No vehicle available for the requested load and time slot: all candidates were just booked');
+            }
+
+            if (driver) {
+                await booking.populate('driverId');
+            }
+
+            return {
+                booking,
+                dispatch: {
+                    strategy: { name: strategy.name, description: strategy.description, unit: strategy.unit },
+                    chosen: toScoreSummary(scored[chosenIndex]),
+                    runnersUp: scored
+                        .filter((entry, index) => index !== chosenIndex)
+                        .slice(0, dispatchConfig.maxRunnersUp)
+                        .map(toScoreSummary)
+                }
+            };
+
+        } catch (error) {
+            throw new Error(`Error dispatching booking: ${error.message}`);
+        }
+    }
+}
+
+module.exports = DispatchService;
@@ -0,0 +1,123 @@
+const Booking = require('../models/Booking');
+const RideCalculationService = require('./rideCalculationService');
+const dispatchConfig = require('../config/dispatch');
+
+/**
+ * Vehicle scoring strategies for automatic dispatch.
+ *
+ * A strategy scores all candidates from VehicleService.findAvailableVehicles
+ * at once: score(candidates, criteria) resolves to an array of scores in
+ * candidate order, each a number (lower is better) or null when the strategy
+ * cannot score the vehicle, which ranks it last. Strategies that need stored
+ * data should fetch it for all candidates in one query.
+ * Register new strategies with registerStrategy.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const strategies = new Map();
+
+/**
+ * Add or replace a scoring strategy
+ *
+ * @param {string} name - Strategy name used in requests
+ * @param {Object} strategy - { description, unit, score }
+ */
+const registerStrategy = (name, strategy) => {
+    if (typeof strategy.score !== 'function') {
+        throw new Error(`Strategy ${name} must provide a score function`);
+    }
+    strategies.set(name, { name, ...strategy });
+};
+
+/**
+ * Get a registered strategy by name
+ */
+const getStrategy = (name) => {
+    const strategy = strategies.get(name);
+    if (!strategy) {
+        throw new Error(`Unknown dispatch strategy: ${name}. Use one of: ${[...strategies.keys()].join(', ')}`);
+    }
+    return strategy;
+};
+
+/**
+ * Names and descriptions of the registered strategies
+ */
+const listStrategies = () => [...strategies.values()].map(({ name, description, unit }) => ({ name, description, unit }));
+
+registerStrategy('smallest-fit', {
+    description: 'Smallest vehicle that fits the load',
+    unit: 'spare kg',
+    score: async (candidates, criteria) => candidates.map(candidate => candidate.capacityKg - criteria.capacityRequired)
+});
+
+registerStrategy('lowest-cost', {
+    description: 'Lowest estimated fare for the trip',
+    unit: 'INR',
+    score: async (candidates) => candidates.map(candidate => candidate.routeInfo.estimatedCost)
+});
+
+registerStrategy('nearest', {
+    description: 'Shortest empty run from the vehicle\'s last drop-off to the pickup',
+    unit: 'km',
+    score: async (candidates, criteria) => {
+        // Last drop-off of every candidate in one query
+        const lastTrips = await Booking.aggregate([
+            {
+                $match: {
+                    vehicleId: { $in: candidates.map(candidate => candidate._id) },
+                    status: { $in: ['confirmed', 'in-progress', 'completed'] },
+                    endTime: { $lte: new Date(criteria.startTime) }
+                }
+            },
+            { $sort: { endTime: -1 } },
+            { $group: { _id: '$vehicleId', toPincode: { $first: '$toPincode' } } }
+        ]);
+        const lastDropOffs = new Map(lastTrips.map(trip => [trip._id.toString(), trip.toPincode]));
+
+        return candidates.map(candidate => {
+            const lastDropOff = lastDropOffs.get(candidate._id.toString());
+
+            // No earlier trip: the vehicle's position is unknown
+            if (!lastDropOff) {
+                return null;
+            }
+
+            return RideCalculationService.calculateEstimatedDistance(lastDropOff, criteria.fromPincode);
+        });
+    }
+});
+
+registerStrategy('least-utilised', {
+    description: 'Fewest booked hours around the trip date',
+    unit: 'hours',
+    score: async (candidates, criteria) => {
+        const startTime = new Date(criteria.startTime);
+        const windowMs = dispatchConfig.utilisationWindowDays * DAY_MS;
+
+        // Booked hours of every candidate in one query
+        const utilisation = await Booking.aggregate([
+            {
+                $match: {
+                    vehicleId: { $in: candidates.map(candidate => candidate._id) },
+                    status: { $in: ['confirmed', 'in-progress', 'completed'] },
+                    startTime: {
+                        $gte: new Date(startTime.getTime() - windowMs),
+                        $lt: new Date(startTime.getTime() + windowMs)
+                    }
+                }
+            },
+            { $group: { _id: '$vehicleId', hours: { $sum: '$estimatedRideDurationHours' } } }
+        ]);
+        const bookedHours = new Map(utilisation.map(entry => [entry._id.toString(), entry.hours]));
+
+        return candidates.map(candidate => bookedHours.get(candidate._id.toString()) || 0);
+    }
+});
+
+module.exports = {
+    registerStrategy,
+    getStrategy,
+    listStrategies
+};
@@ -0,0 +1,276 @@
+const Driver = require('../models/Driver');
+const Booking = require('../models/Booking');
+const PincodeService = require('./pincodeService');
+const driverConfig = require('../config/drivers');
+const { getTripInterval, startOfWeek, summariseHours, findViolations } = require('../utils/hoursOfService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_HOURS_RANGE_DAYS = 92;
+
+// Bookings that count towards a driver's hours
+const DRIVING_STATUSES = ['confirmed', 'in-progress', 'completed'];
+
+const DRIVER_FIELDS = ['name', 'phone', 'licenceNumber', 'licenceClass', 'licenceExpiry', 'homePincode', 'status', 'userId'];
+
+class DriverService {
+    /**
+     * Create a new driver
+     *
+     * @param {Object} driverData - Driver data
+     * @returns {Object} - Created driver
+     */
+    static async createDriver(driverData) {
+        try {
+            if (driverData.homePincode) {
+                PincodeService.getPincode(driverData.homePincode);
+            }
+
+            const driver = new Driver(this.pickDriverFields(driverData));
+            await driver.save();
+            return driver;
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new Error('Driver with this licence number already exists');
+            }
+            throw new Error(`Error creating driver: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get all drivers with optional filtering
+     *
+     * @param {Object} filters - { status, licenceClass, homePincode }
+     * @returns {Array} - Array of drivers
+     */
+    static async getAllDrivers(filters = {}) {
+        try {
+            const query = {};
+
+            if (filters.status) query.status = filters.status;
+            if (filters.licenceClass) query.licenceClass = filters.licenceClass;
+            if (filters.homePincode) query.homePincode = filters.homePincode;
+
+            return await Driver.find(query).sort({ name: 1 });
+        } catch (error) {
+            throw new Error(`Error fetching drivers: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get driver by ID
+     *
+     * @param {string} driverId - Driver ID
+     * @returns {Object} - Driver
+     */
+    static async getDriverById(driverId) {
+        try {
+            const driver = await Driver.findById(driverId);
+            if (!driver) {
+                throw new Error('Driver not found');
+            }
+            return driver;
+        } catch (error) {
+            throw new Error(`Error fetching driver: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a driver
+     *
+     * @param {string} driverId - Driver ID
+     * @param {Object} updateData - Fields to update
+     * @returns {Object} - Updated driver
+     */
+    static async updateDriver(driverId, updateData) {
+        try {
+            if (updateData.homePincode) {
+                PincodeService.getPincode(updateData.homePincode);
+            }
+
+            const driver = await Driver.findByIdAndUpdate(
+                driverId,
+                this.pickDriverFields(updateData),
+                { new: true, runValidators: true }
+            );
+
+            if (!driver) {
+                throw new Error('Driver not found');
+            }
+
+            return driver;
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new Error('Driver with this licence number already exists');
+            }
+            throw new Error(`Error updating driver: ${error.message}`);
+        }
+    }
+
+    /**
+     * Deactivate a driver (soft delete)
+     *
+     * @param {string} driverId - Driver ID
+     * @returns {Object} - Updated driver
+     */
+    static async deactivateDriver(driverId) {
+        try {
+            const upcomingBookings = await Booking.countDocuments({
+                driverId,
+                status: { $in: ['confirmed', 'in-progress'] }
+            });
+
+            if (upcomingBookings > 0) {
+                throw new Error('Cannot deactivate driver with active bookings');
+            }
+
+            return await this.updateDriver(driverId, { status: 'inactive' });
+        } catch (error) {
+            throw new Error(`Error deactivating driver: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check a driver may take a trip: active, licensed for the vehicle class,
+     * licence valid for the whole trip, no overlapping assignment and within
+     * the hours-of-service policy
+     *
+     * @param {Object} driver - Driver document
+     * @param {Object} trip - { vehicleType, startTime, endTime, excludeBookingId }
+     */
+    static async assertDriverEligible(driver, trip) {
+        const { vehicleType, startTime, endTime, excludeBookingId } = trip;
+
+        if (driver.status !== 'active') {
+            throw new Error('Driver is not available for assignment');
+        }
+
+        if (!Driver.canDrive(driver.licenceClass, vehicleType)) {
+            throw new Error(`Driver licence class ${driver.licenceClass} does not cover ${vehicleType}`);
+        }
+
+        if (!driver.isLicenceValidOn(endTime)) {
+            throw new Error('Driver licence is not valid on the trip date');
+        }
+
+        const query = {
+            driverId: driver._id,
+            status: { $in: ['confirmed', 'in-progress'] },
+            startTime: { $lt: endTime },
+            endTime: { $gt: startTime }
+        };
+
+        if (excludeBookingId) {
+            query._id = { $ne: excludeBookingId };
+        }
+
+        const overlappingBookings = await Booking.find(query);
+        if (overlappingBookings.length > 0) {
+            throw new Error('Driver conflict: driver is already assigned to an overlapping booking');
+        }
+
+        // Hours of service: daily and weekly caps, and rest between trips
+        const intervals = await this.getDrivingIntervals(
+            driver._id,
+            startOfWeek(startTime),
+            new Date(startOfWeek(endTime).getTime() + 7 * DAY_MS),
+            excludeBookingId
+        );
+
+        const violations = findViolations(intervals, { start: new Date(startTime), end: new Date(endTime) });
+        if (violations.length > 0) {
+            throw new Error(`Hours-of-service conflict: ${violations.join('; ')}`);
+        }
+    }
+
+    /**
+     * Hours a driver has used and has remaining per day and week
+     *
+     * @param {string} driverId - Driver ID
+     * @param {Object} dateRange - { startDate, endDate }, defaults to the current week
+     * @returns {Object} - Policy, totals and per-day/per-week breakdown
+     */
+    static async getDriverHours(driverId, dateRange = {}) {
+        try {
+            const driver = await Driver.findById(driverId);
+            if (!driver) {
+                throw new Error('Driver not found');
+            }
+
+            const from = dateRange.startDate ? new Date(dateRange.startDate) : startOfWeek(new Date());
+            const to = dateRange.endDate ? new Date(dateRange.endDate) : new Date(from.getTime() + 7 * DAY_MS);
+
+            if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+                throw new Error('Invalid date range format');
+            }
+
+            if (to <= from) {
+                throw new Error('End date must be after start date');
+            }
+
+            if (to - from > MAX_HOURS_RANGE_DAYS * DAY_MS) {
+                throw new Error(`Date range cannot exceed ${MAX_HOURS_RANGE_DAYS} days`);
+            }
+
+            // Whole weeks, so weekly totals include trips outside the range
+            const intervals = await this.getDrivingIntervals(
+                driver._id,
+                startOfWeek(from),
+                new Date(startOfWeek(to).getTime() + 7 * DAY_MS)
+            );
+
+            return {
+                driverId: driver._id,
+                driverName: driver.name,
+                from,
+                to,
+                policy: {
+                    maxDailyHours: driverConfig.maxDailyHours,
+                    maxWeeklyHours: driverConfig.maxWeeklyHours,
+                    minRestHours: driverConfig.minRestHours
+                },
+                ...summariseHours(intervals, from, to)
+            };
+
+        } catch (error) {
+            throw new Error(`Error fetching driver hours: ${error.message}`);
+        }
+    }
+
+    /**
+     * Driving intervals of a driver's trips that may fall inside a range
+     *
+     * @param {string} driverId - Driver ID
+     * @param {Date} from - Range start
+     * @param {Date} to - Range end
+     * @param {string} excludeBookingId - Booking to leave out (optional)
+     * @returns {Array} - [{ start, end }]
+     */
+    static async getDrivingIntervals(driverId, from, to, excludeBookingId = null) {
+        const query = {
+            driverId,
+            status: { $in: DRIVING_STATUSES },
+            // Trips starting a day early may still run into the range
+            startTime: { $gte: new Date(from.getTime() - DAY_MS), $lt: to }
+        };
+
+        if (excludeBookingId) {
+            query._id = { $ne: excludeBookingId };
+        }
+
+        const bookings = await Booking.find(query)
+            .select('startTime estimatedRideDurationHours actualStartTime actualEndTime');
+
+        return bookings.map(booking => getTripInterval(booking));
+    }
+
+    /**
+     * Keep only the fields a caller may set on a driver
+     */
+    static pickDriverFields(data) {
+        return DRIVER_FIELDS.reduce((fields, key) => (
+            data[key] !== undefined ? { ...fields, [key]: data[key] } : fields
+        ), {});
+    }
+}
+
+module.exports = DriverService;
@@ -0,0 +1,143 @@
+const { EventEmitter } = require('events');
+const eventsConfig = require('../config/events');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Identifies this process's stream; event IDs from another stream (e.g.
+// before a restart) cannot be resumed from
+const streamId = Date.now().toString(36);
+let sequence = 0;
+
+// Most recent events, oldest first
+const buffer = [];
+
+/**
+ * Parse an event ID into its stream and sequence number
+ */
+const parseEventId = (eventId) => {
+    const [stream, seq] = String(eventId).split('-');
+    const number = parseInt(seq, 10);
+    return stream && !isNaN(number) ? { stream, sequence: number } : null;
+};
+
+/**
+ * Whether an event passes subscription filters
+ */
+const matchesFilters = (event, filters) => (
+    (!filters.vehicleId || event.vehicleId === String(filters.vehicleId)) &&
+    (!filters.customerId || event.customerId === String(filters.customerId)) &&
+    (!filters.types || filters.types.length === 0 || filters.types.includes(event.type))
+);
+
+/**
+ * ID of a possibly populated reference
+ */
+const refId = (value) => {
+    if (!value) return null;
+    return String(value._id || value);
+};
+
+class EventService {
+    /**
+     * Publish an event to every matching subscriber
+     *
+     * @param {string} type - One of EVENT_TYPES
+     * @param {Object} data - Event payload
+     * @param {Object} scope - { vehicleId, customerId } subscribers can filter on
+     * @returns {Object} - Published event
+     */
+    static publish(type, data, scope = {}) {
+        sequence += 1;
+
+        const event = {
+            id: `${streamId}-${sequence}`,
+            type,
+            occurredAt: new Date(),
+            vehicleId: refId(scope.vehicleId),
+            customerId: refId(scope.customerId),
+            data
+        };
+
+        buffer.push(event);
+        if (buffer.length > eventsConfig.bufferSize) {
+            buffer.shift();
+        }
+
+        emitter.emit('event', event);
+        return event;
+    }
+
+    /**
+     * Subscribe to events, first replaying buffered events after a last
+     * event ID. When the ID cannot be resumed from (another stream, or
+     * older than the buffer) a stream.reset event is sent instead, telling
+     * the client to reload its state
+     *
+     * @param {Object} filters - { vehicleId, customerId, types }
+     * @param {Function} listener - Called with each event
+     * @param {string} lastEventId - Last event ID the client received (optional)
+     * @returns {Function} - Unsubscribe
+     */
+    static subscribe(filters, listener, lastEventId = null) {
+        const deliver = (event) => {
+            try {
+                listener(event);
+            } catch (error) {
+                // A failing subscriber must not affect the publisher or other subscribers
+                console.error('Event subscriber failed:', error.message);
+            }
+        };
+
+        if (lastEventId) {
+            const last = parseEventId(lastEventId);
+            const oldest = buffer.length > 0 ? parseEventId(buffer[0].id).sequence : sequence + 1;
+
+            if (!last || last.stream !== streamId || last.sequence < oldest - 1 || last.sequence > sequence) {
+                deliver({
+                    id: null,
+                    type: 'stream.reset',
+                    occurredAt: new Date(),
+                    data: { reason: 'Events since the last event ID are no longer available' }
+                });
+            } else {
+                buffer
+                    .filter(event => parseEventId(event.id).sequence > last.sequence && matchesFilters(event, filters))
+                    .forEach(deliver);
+            }
+        }
+
+        const handler = (event) => {
+            if (matchesFilters(event, filters)) {
+                deliver(event);
+            }
+        };
+
+        emitter.on('event', handler);
+        return () => emitter.off('event', handler);
+    }
+
+    /**
+     * Payload of an event about a booking
+     *
+     * @param {Object} booking - Booking document or plain object
+     * @param {Object} extra - Additional payload fields
+     * @returns {Object} - Event data
+     */
+    static toBookingEventData(booking, extra = {}) {
+        return {
+            bookingId: refId(booking._id),
+            vehicleId: refId(booking.vehicleId),
+            driverId: refId(booking.driverId),
+            customerId: refId(booking.customerId),
+            status: booking.status,
+            fromPincode: booking.fromPincode,
+            toPincode: booking.toPincode,
+            startTime: booking.startTime,
+            endTime: booking.endTime,
+            ...extra
+        };
+    }
+}
+
+module.exports = EventService;
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const podConfig = require('../config/pod');
+
+/**
+ * Storage adapters for uploaded files.
+ *
+ * An adapter stores file contents under a key chosen by the caller:
+ * save(key, buffer, contentType) resolves once the file is stored,
+ * read(key) resolves to a readable stream and remove(key) deletes the
+ * file (resolving even when it does not exist). Register new adapters,
+ * e.g. for object storage, with registerAdapter.
+ */
+
+const adapters = new Map();
+
+/**
+ * Add or replace a storage adapter
+ *
+ * @param {string} name - Adapter name used in configuration
+ * @param {Object} adapter - { save, read, remove }
+ */
+const registerAdapter = (name, adapter) => {
+    ['save', 'read', 'remove'].forEach((method) => {
+        if (typeof adapter[method] !== 'function') {
+            throw new Error(`Storage adapter ${name} must provide a ${method} function`);
+        }
+    });
+    adapters.set(name, { name, ...adapter });
+};
+
+/**
+ * Get a registered adapter by name
+ */
+const getAdapter = (name) => {
+    const adapter = adapters.get(name);
+    if (!adapter) {
+        throw new Error(`Unknown storage adapter: ${name}. Use one of: ${[...adapters.keys()].join(', ')}`);
+    }
+    return adapter;
+};
+
+/**
+ * Resolve a key inside the local storage directory, refusing keys that escape it
+ */
+const resolveLocalPath = (key) => {
+    const root = path.resolve(podConfig.localStorageDir);
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+};
+
+registerAdapter('local', {
+    save: async (key, buffer) => {
+        const filePath = resolveLocalPath(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+    read: async (key) => {
+        const filePath = resolveLocalPath(key);
+        await fs.promises.access(filePath);
+        return fs.createReadStream(filePath);
+    },
+    remove: async (key) => {
+        await fs.promises.rm(resolveLocalPath(key), { force: true });
+    }
+});
+
+module.exports = {
+    registerAdapter,
+    getAdapter
+};
@@ -0,0 +1,480 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Booking = require('../models/Booking');
+const Customer = require('../models/Customer');
+const Tariff = require('../models/Tariff');
+const PricingService = require('./pricingService');
+const invoiceConfig = require('../config/invoices');
+const { roundCurrency, toLocalTime } = require('../utils/fareCalculator');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+
+// Attempts at taking the next number when concurrent invoices race for it
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Numbering series of an issue date, e.g. INV/2026-27 for a financial year starting in April
+ */
+const getSeries = (issueDate) => {
+    const local = toLocalTime(issueDate);
+    const startMonth = invoiceConfig.financialYearStartMonth;
+    const startYear = local.getUTCMonth() + 1 >= startMonth ? local.getUTCFullYear() : local.getUTCFullYear() - 1;
+
+    const year = startMonth === 1 ? String(startYear) : `${startYear}-${String(startYear + 1).slice(-2)}`;
+    return `${invoiceConfig.numberPrefix}/${year}`;
+};
+
+/**
+ * Minutes a completed trip took beyond its estimated ride duration
+ */
+const getWaitingMinutes = (booking) => {
+    if (!booking.actualStartTime || !booking.actualEndTime) return 0;
+
+    const actualMinutes = (booking.actualEndTime - booking.actualStartTime) / (60 * 1000);
+    return Math.max(0, Math.round(actualMinutes - booking.estimatedRideDurationHours * 60));
+};
+
+/**
+ * Two-digit state code a GSTIN starts with
+ */
+const getStateCode = (gstin) => (gstin ? String(gstin).slice(0, 2) : null);
+
+class InvoiceService {
+    /**
+     * Invoice a single completed booking
+     *
+     * @param {string} bookingId - Booking ID
+     * @param {Object} actor - User issuing the invoice (optional)
+     * @returns {Object} - Created invoice
+     */
+    static async createBookingInvoice(bookingId, actor = null) {
+        try {
+            const invoiceId = new mongoose.Types.ObjectId();
+
+            // Claim the booking first so it can never end up on two invoices
+            const booking = await Booking.findOneAndUpdate(
+                { _id: bookingId, status: 'completed', invoiceId: null },
+                { $set: { invoiceId } },
+                { new: true }
+            ).populate('vehicleId');
+
+            if (!booking) {
+                const existing = await Booking.findById(bookingId);
+                if (!existing) {
+                    throw new Error('Booking not found');
+                }
+                if (existing.status !== 'completed') {
+                    throw new Error(`Cannot invoice a ${existing.status} booking; only completed bookings are invoiced`);
+                }
+                throw new Error('Cannot invoice booking: it is already on an invoice');
+            }
+
+            return await this.issueInvoice(invoiceId, {
+                kind: 'booking',
+                customerId: booking.customerId,
+                bookings: [booking],
+                actor
+            });
+        } catch (error) {
+            throw new Error(`Error creating invoice: ${error.message}`);
+        }
+    }
+
+    /**
+     * Invoice every completed, not yet invoiced booking of a customer that
+     * ended within a billing period
+     *
+     * @param {string} customerId - Customer ID
+     * @param {Date} periodStart - Start of the period (inclusive)
+     * @param {Date} periodEnd - End of the period (exclusive)
+     * @param {Object} actor - User issuing the invoice (optional)
+     * @returns {Object} - Created invoice
+     */
+    static async createPeriodInvoice(customerId, periodStart, periodEnd, actor = null) {
+        try {
+            const start = new Date(periodStart);
+            const end = new Date(periodEnd);
+            if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+                throw new Error('Invalid billing period dates');
+            }
+            if (end <= start) {
+                throw new Error('Billing period end must be after its start');
+            }
+
+            const customer = await Customer.findById(customerId);
+            if (!customer) {
+                throw new Error('Customer not found');
+            }
+
+            const invoiceId = new mongoose.Types.ObjectId();
+            await Booking.updateMany(
+                {
+                    customerId: customer._id,
+                    status: 'completed',
+                    invoiceId: null,
+                    actualEndTime: { $gte: start, $lt: end }
+                },
+                { $set: { invoiceId } }
+            );
+
+            // Only the bookings this call claimed, not ones a concurrent run took
+            const bookings = await Booking.find({ invoiceId })
+                .sort({ actualEndTime: 1 })
+                .populate('vehicleId');
+
+            if (bookings.length === 0) {
+                throw new Error('Cannot invoice period: no completed bookings left to invoice in it');
+            }
+
+            return await this.issueInvoice(invoiceId, {
+                kind: 'period',
+                customerId: customer._id,
+                bookings,
+                periodStart: start,
+                periodEnd: end,
+                actor
+            });
+        } catch (error) {
+            throw new Error(`Error creating invoice: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build and number an invoice for claimed bookings, releasing them if that fails
+     *
+     * @param {ObjectId} invoiceId - ID the bookings were claimed with
+     * @param {Object} details - { kind, customerId, bookings, periodStart, periodEnd, actor }
+     * @returns {Object} - Created invoice
+     */
+    static async issueInvoice(invoiceId, details) {
+        const { kind, customerId, bookings, periodStart, periodEnd, actor } = details;
+
+        try {
+            const customer = await Customer.findById(customerId);
+            if (!customer) {
+                throw new Error('Customer not found');
+            }
+
+            const lineItems = [];
+            const summaries = [];
+            for (const booking of bookings) {
+                const { lines, waitingMinutes } = await this.buildBookingLines(booking);
+                lineItems.push(...lines);
+                summaries.push({
+                    bookingId: booking._id,
+                    fromPincode: booking.fromPincode,
+                    toPincode: booking.toPincode,
+                    startTime: booking.startTime,
+                    actualStartTime: booking.actualStartTime,
+                    actualEndTime: booking.actualEndTime,
+                    distanceKm: booking.totalDistanceKm,
+                    waitingMinutes
+                });
+            }
+
+            const supplierState = getStateCode(invoiceConfig.supplier.gstin);
+            const customerState = getStateCode(customer.gstin);
+            const interState = Boolean(supplierState && customerState && supplierState !== customerState);
+            const totals = this.calculateTotals(lineItems, interState);
+
+            const issueDate = new Date();
+            const paymentTermsDays = customer.paymentTermsDays !== undefined && customer.paymentTermsDays !== null
+                ? customer.paymentTermsDays
+                : invoiceConfig.paymentTermsDays;
+
+            return await this.insertWithNextNumber({
+                _id: invoiceId,
+                kind,
+                customerId: customer._id,
+                customer: {
+                    name: customer.name,
+                    gstin: customer.gstin,
+                    billingAddress: customer.billingAddress ? customer.billingAddress.toObject() : undefined
+                },
+                bookingIds: bookings.map(booking => booking._id),
+                bookings: summaries,
+                periodStart,
+                periodEnd,
+                issueDate,
+                dueDate: new Date(issueDate.getTime() + paymentTermsDays * DAY_MS),
+                currency: bookings[0].pricing ? bookings[0].pricing.currency : 'INR',
+                lineItems,
+                interState,
+                ...totals,
+                ...(actor && { createdBy: actor._id })
+            });
+        } catch (error) {
+            await Booking.updateMany({ invoiceId }, { $unset: { invoiceId: 1 } });
+            throw error;
+        }
+    }
+
+    /**
+     * Line items of one booking: the fare as agreed at booking time, with
+     * waiting time charged on the actual trip rather than the quoted estimate
+     *
+     * @param {Object} booking - Completed booking with vehicleId populated
+     * @returns {Object} - { lines, waitingMinutes }
+     */
+    static async buildBookingLines(booking) {
+        const pricing = booking.pricing || { lineItems: [], taxes: [] };
+        const taxRate = (pricing.taxes || []).reduce((sum, tax) => sum + tax.rate, 0);
+        const line = (code, label, amount) => ({ bookingId: booking._id, code, label, taxRate, amount: roundCurrency(amount) });
+
+        const lines = (pricing.lineItems || [])
+            .filter(item => item.code !== 'WAITING')
+            .map(item => line(item.code, item.label, item.amount));
+
+        if (pricing.discount && pricing.discount.amount > 0) {
+            lines.push(line('DISCOUNT', `Discount (${pricing.discount.code})`, -pricing.discount.amount));
+        }
+
+        const waitingMinutes = getWaitingMinutes(booking);
+        const tariff = await this.getBookingTariff(booking);
+
+        if (tariff && tariff.waitingChargePerHour > 0) {
+            const freeMinutes = tariff.freeWaitingMinutes || 0;
+            const billableMinutes = Math.max(0, waitingMinutes - freeMinutes);
+
+            if (billableMinutes > 0) {
+                lines.push(line(
+                    'WAITING',
+                    `Waiting time (${billableMinutes} min beyond ${freeMinutes} free @ ${tariff.waitingChargePerHour}/hr)`,
+                    billableMinutes / 60 * tariff.waitingChargePerHour
+                ));
+            }
+        }
+
+        return { lines, waitingMinutes };
+    }
+
+    /**
+     * Tariff a booking was priced with, or the one in force for its vehicle class
+     *
+     * @param {Object} booking - Booking with vehicleId populated
+     * @returns {Object|null} - Tariff, or null when it cannot be determined
+     */
+    static async getBookingTariff(booking) {
+        if (booking.pricing && booking.pricing.tariffId) {
+            const tariff = await Tariff.findById(booking.pricing.tariffId);
+            if (tariff) return tariff;
+        }
+
+        const vehicle = booking.vehicleId;
+        if (!vehicle || !vehicle.type) return null;
+
+        return PricingService.getActiveTariff(vehicle.type, booking.startTime);
+    }
+
+    /**
+     * Taxable amount, GST breakdown and total of a set of line items.
+     * GST is split into CGST and SGST within a state and charged as IGST across states
+     *
+     * @param {Array} lineItems - Line items with taxRate and amount
+     * @param {boolean} interState - Whether supplier and customer are in different states
+     * @returns {Object} - { taxableAmount, taxes, taxTotal, total }
+     */
+    static calculateTotals(lineItems, interState = false) {
+        const taxableByRate = new Map();
+        lineItems.forEach((item) => {
+            taxableByRate.set(item.taxRate, (taxableByRate.get(item.taxRate) || 0) + item.amount);
+        });
+
+        const taxes = [];
+        [...taxableByRate.entries()]
+            .filter(([rate, taxable]) => rate > 0 && taxable > 0)
+            .sort(([a], [b]) => a - b)
+            .forEach(([rate, taxable]) => {
+                const taxableAmount = roundCurrency(taxable);
+
+                if (interState) {
+                    taxes.push({ code: 'IGST', label: `IGST (${rate}%)`, rate, taxableAmount, amount: roundCurrency(taxableAmount * rate / 100) });
+                    return;
+                }
+
+                const halfRate = rate / 2;
+                const halfAmount = roundCurrency(taxableAmount * halfRate / 100);
+                taxes.push(
+                    { code: 'CGST', label: `CGST (${halfRate}%)`, rate: halfRate, taxableAmount, amount: halfAmount },
+                    { code: 'SGST', label: `SGST (${halfRate}%)`, rate: halfRate, taxableAmount, amount: halfAmount }
+                );
+            });
+
+        const taxableAmount = roundCurrency(lineItems.reduce((sum, item) => sum + item.amount, 0));
+        const taxTotal = roundCurrency(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+
+        return {
+            taxableAmount,
+            taxes,
+            taxTotal,
+            total: roundCurrency(taxableAmount + taxTotal)
+        };
+    }
+
+    /**
+     * Insert an invoice under the next number of its series.
+     * Invoices are never deleted, so taking the highest number plus one keeps
+     * numbering gap-free; the unique index turns a race into a retry
+     *
+     * @param {Object} invoiceData - Invoice fields, with issueDate set
+     * @returns {Object} - Created invoice
+     */
+    static async insertWithNextNumber(invoiceData) {
+        const series = getSeries(invoiceData.issueDate);
+
+        for (let attempt = 0; attempt < MAX_NUMBERING_ATTEMPTS; attempt++) {
+            const last = await Invoice.findOne({ series }).sort({ sequence: -1 }).select('sequence');
+            const sequence = last ? last.sequence + 1 : 1;
+
+            try {
+                return await Invoice.create({
+                    ...invoiceData,
+                    series,
+                    sequence,
+                    number: `${series}/${String(sequence).padStart(invoiceConfig.sequenceDigits, '0')}`
+                });
+            } catch (error) {
+                const isNumberTaken = error.code === 11000 && error.keyPattern &&
+                    (error.keyPattern.sequence || error.keyPattern.number);
+                if (!isNumberTaken) {
+                    throw error;
+                }
+            }
+        }
+
+        throw new Error('Invoice numbering conflict: too many concurrent invoices, please retry');
+    }
+
+    /**
+     * Invoice a just-completed booking if its customer is billed per booking.
+     * Failures are logged, never thrown: completing the booking must not fail
+     *
+     * @param {Object} booking - Completed booking
+     * @returns {Object|null} - Created invoice, or null
+     */
+    static async invoiceCompletedBooking(booking) {
+        if (!invoiceConfig.invoiceOnCompletion) return null;
+
+        try {
+            const customer = await Customer.findById(booking.customerId);
+            if (!customer || customer.billingCycle !== 'per-booking') return null;
+
+            return await this.createBookingInvoice(booking._id);
+        } catch (error) {
+            console.error(`Failed to invoice booking ${booking._id}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get invoices with optional filtering
+     *
+     * @param {Object} filters - { customerId, status, from, to, limit, offset } where from/to bound the issue date
+     * @returns {Object} - { invoices, total, hasMore }
+     */
+    static async getInvoices(filters = {}) {
+        try {
+            const { customerId, status, from, to, limit = 20, offset = 0 } = filters;
+
+            if (status && !Invoice.INVOICE_STATUSES.includes(status)) {
+                throw new Error(`Invalid invoice status: must be one of ${Invoice.INVOICE_STATUSES.join(', ')}`);
+            }
+
+            const query = {};
+            if (customerId) query.customerId = customerId;
+            if (status) query.status = status;
+            if (from || to) {
+                query.issueDate = {};
+                [['$gte', from], ['$lt', to]]
+                    .filter(([, value]) => value)
+                    .forEach(([operator, value]) => {
+                        const date = new Date(value);
+                        if (isNaN(date.getTime())) {
+                            throw new Error(`Invalid date: ${value}`);
+                        }
+                        query.issueDate[operator] = date;
+                    });
+            }
+
+            const [invoices, total] = await Promise.all([
+                Invoice.find(query).sort({ issueDate: -1, sequence: -1 }).skip(offset).limit(limit),
+                Invoice.countDocuments(query)
+            ]);
+
+            return { invoices, total, hasMore: offset + invoices.length < total };
+        } catch (error) {
+            throw new Error(`Error fetching invoices: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get invoice by ID
+     *
+     * @param {string} invoiceId - Invoice ID
+     * @returns {Object} - Invoice
+     */
+    static async getInvoiceById(invoiceId) {
+        try {
+            const invoice = await Invoice.findById(invoiceId);
+            if (!invoice) {
+                throw new Error('Invoice not found');
+            }
+            return invoice;
+        } catch (error) {
+            throw new Error(`Error fetching invoice: ${error.message}`);
+        }
+    }
+
+    /**
+     * Void an invoice. It keeps its number; its bookings can be invoiced again
+     *
+     * @param {string} invoiceId - Invoice ID
+     * @param {string} reason - Why the invoice is voided
+     * @param {Object} actor - User voiding the invoice (optional)
+     * @returns {Object} - Voided invoice
+     */
+    static async voidInvoice(invoiceId, reason, actor = null) {
+        try {
+            const invoice = await Invoice.findOneAndUpdate(
+                { _id: invoiceId, status: 'issued' },
+                {
+                    $set: {
+                        status: 'void',
+                        voidedAt: new Date(),
+                        voidReason: reason,
+                        ...(actor && { voidedBy: actor._id })
+                    }
+                },
+                { new: true, runValidators: true }
+            );
+
+            if (!invoice) {
+                const existing = await Invoice.findById(invoiceId);
+                if (!existing) {
+                    throw new Error('Invoice not found');
+                }
+                throw new Error('Cannot void invoice: it is already void');
+            }
+
+            await Booking.updateMany({ invoiceId: invoice._id }, { $unset: { invoiceId: 1 } });
+
+            return invoice;
+        } catch (error) {
+            throw new Error(`Error voiding invoice: ${error.message}`);
+        }
+    }
+
+    /**
+     * Render an invoice as a PDF
+     *
+     * @param {string} invoiceId - Invoice ID
+     * @returns {Object} - { invoice, pdf } where pdf is a Buffer
+     */
+    static async renderPdf(invoiceId) {
+        const invoice = await this.getInvoiceById(invoiceId);
+        return { invoice, pdf: renderInvoicePdf(invoice, invoiceConfig.supplier) };
+    }
+}
+
+module.exports = InvoiceService;
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const Lock = require('../models/Lock');
+const bookingConfig = require('../config/booking');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Lock filter for a scope and key; keys may be ObjectIds or strings
+ */
+const toLockKey = (scope, key) => ({ scope, key: String(key) });
+
+/**
+ * Service providing mutual exclusion for writes per vehicle, customer or driver
+ * Scopes are Lock.LOCK_SCOPES; locks of different scopes never block each
+ * other. Callers that nest locks take them in the order vehicle, driver,
+ * customer so two requests cannot wait on each other
+ */
+class LockService {
+    /**
+     * Try to acquire a lock once
+     *
+     * @param {string} scope - One of Lock.LOCK_SCOPES
+     * @param {string} key - ID within the scope
+     * @returns {string|null} - Lock token if acquired, null if the lock is held
+     */
+    static async tryAcquire(scope, key) {
+        // Mutual exclusion relies on the unique index, so make sure it is built
+        await Lock.init();
+
+        const now = new Date();
+        const token = crypto.randomUUID();
+
+        try {
+            // Matches a missing or stale lock; if a live lock exists the upsert
+            // hits the unique scope/key index and fails with a duplicate key error
+            await Lock.findOneAndUpdate(
+                { ...toLockKey(scope, key), expiresAt: { $lte: now } },
+                { $set: { token, expiresAt: new Date(now.getTime() + bookingConfig.lockLeaseMs) } },
+                { upsert: true, new: true }
+            );
+            return token;
+        } catch (error) {
+            if (error.code === 11000) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Acquire a lock, waiting for it to become free
+     *
+     * @param {string} scope - One of Lock.LOCK_SCOPES
+     * @param {string} key - ID within the scope
+     * @param {Object} options - { waitTimeoutMs, retryDelayMs }
+     * @returns {string} - Lock token
+     */
+    static async acquire(scope, key, options = {}) {
+        const {
+            waitTimeoutMs = bookingConfig.lockWaitTimeoutMs,
+            retryDelayMs = bookingConfig.lockRetryDelayMs
+        } = options;
+        const deadline = Date.now() + waitTimeoutMs;
+
+        for (;;) {
+            const token = await this.tryAcquire(scope, key);
+            if (token) {
+                return token;
+            }
+
+            if (Date.now() >= deadline) {
+                throw new Error(`Lock conflict: the ${scope} is busy with another request, please retry`);
+            }
+
+            // Jitter avoids waiting requests retrying in lockstep
+            await sleep(retryDelayMs + Math.floor(Math.random() * retryDelayMs));
+        }
+    }
+
+    /**
+     * Release a lock held with the given token
+     *
+     * @param {string} scope - One of Lock.LOCK_SCOPES
+     * @param {string} key - ID within the scope
+     * @param {string} token - Token returned by acquire
+     * @returns {boolean} - True if the lock was released
+     */
+    static async release(scope, key, token) {
+        const result = await Lock.deleteOne({ ...toLockKey(scope, key), token });
+        return result.deletedCount === 1;
+    }
+
+    /**
+     * Extend the lease of a lock held with the given token
+     *
+     * @param {string} scope - One of Lock.LOCK_SCOPES
+     * @param {string} key - ID within the scope
+     * @param {string} token - Token returned by acquire
+     * @returns {boolean} - True if the lock was still held and has been extended
+     */
+    static async renew(scope, key, token) {
+        const now = new Date();
+        const result = await Lock.updateOne(
+            { ...toLockKey(scope, key), token, expiresAt: { $gt: now } },
+            { $set: { expiresAt: new Date(now.getTime() + bookingConfig.lockLeaseMs) } }
+        );
+        return result.matchedCount === 1;
+    }
+
+    /**
+     * Fencing check: throw unless the lock is still held with the given token
+     * Call it right before the write the lock protects, so a holder whose
+     * lease ran out (and was taken over) cannot write
+     *
+     * @param {string} scope - One of Lock.LOCK_SCOPES
+     * @param {string} key - ID within the scope
+     * @param {string} token - Token returned by acquire
+     */
+    static async assertHeld(scope, key, token) {
+        if (!(await this.renew(scope, key, token))) {
+            throw new Error(`Lock conflict: the ${scope} lock expired before the change was saved, please retry`);
+        }
+    }
+
+    /**
+     * Run a function while holding a lock
+     * The lease is renewed while fn runs; fn receives { assertHeld } to
+     * re-verify the lock before it writes
+     *
+     * @param {string} scope - One of Lock.LOCK_SCOPES
+     * @param {string} key - ID within the scope
+     * @param {Function} fn - Async function to run under the lock
+     * @returns {*} - Result of fn
+     */
+    static async withLock(scope, key, fn) {
+        const token = await this.acquire(scope, key);
+
+        const renewal = setInterval(() => {
+            this.renew(scope, key, token).catch(error => console.error(`Lock renewal failed (${scope}):`, error.message));
+        }, Math.max(Math.floor(bookingConfig.lockLeaseMs / 3), 1));
+        renewal.unref();
+
+        try {
+            return await fn({ assertHeld: () => this.assertHeld(scope, key, token) });
+        } finally {
+            clearInterval(renewal);
+            await this.release(scope, key, token);
+        }
+    }
+}
+
+module.exports = LockService;
@@ -0,0 +1,212 @@
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const { LOCK_SCOPES } = require('../models/Lock');
+const LockService = require('./lockService');
+
+const WINDOW_FIELDS = ['startTime', 'endTime', 'type', 'notes'];
+
+class MaintenanceService {
+    /**
+     * Schedule a maintenance window for a vehicle
+     * Confirmed bookings in the window are returned so dispatch can reassign them
+     *
+     * @param {string} vehicleId - Vehicle ID
+     * @param {Object} windowData - { startTime, endTime, type, notes }
+     * @param {Object} actor - User scheduling the window (optional)
+     * @returns {Object} - { maintenanceWindow, conflictingBookings }
+     */
+    static async createWindow(vehicleId, windowData, actor = null) {
+        try {
+            const vehicle = await Vehicle.findById(vehicleId);
+            if (!vehicle) {
+                throw new Error('Vehicle not found');
+            }
+
+            const { startTime, endTime } = this.parseTimeRange(windowData.startTime, windowData.endTime);
+
+            // Under the vehicle lock so a booking cannot slip into the window
+            // between the checks and the insert
+            return await LockService.withLock(LOCK_SCOPES.VEHICLE, vehicle._id, async (lock) => {
+                await this.assertNoOverlappingWindow(vehicle._id, startTime, endTime);
+
+                const maintenanceWindow = new MaintenanceWindow({
+                    ...this.pickWindowFields(windowData),
+                    vehicleId: vehicle._id,
+                    startTime,
+                    endTime,
+                    ...(actor && { createdBy: actor._id })
+                });
+
+                await lock.assertHeld();
+                await maintenanceWindow.save();
+
+                const conflictingBookings = await this.findConflictingBookings(vehicle._id, startTime, endTime);
+
+                return { maintenanceWindow, conflictingBookings };
+            });
+
+        } catch (error) {
+            throw new Error(`Error creating maintenance window: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the maintenance windows of a vehicle
+     *
+     * @param {string} vehicleId - Vehicle ID
+     * @param {Object} filters - { from, to } to limit the time range
+     * @returns {Array} - Maintenance windows ordered by start time
+     */
+    static async getWindows(vehicleId, filters = {}) {
+        try {
+            const query = { vehicleId };
+
+            if (filters.from) query.endTime = { $gt: new Date(filters.from) };
+            if (filters.to) query.startTime = { $lt: new Date(filters.to) };
+
+            return await MaintenanceWindow.find(query).sort({ startTime: 1 });
+        } catch (error) {
+            throw new Error(`Error fetching maintenance windows: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a maintenance window of a vehicle
+     *
+     * @param {string} vehicleId - Vehicle ID
+     * @param {string} windowId - Maintenance window ID
+     * @returns {Object} - Maintenance window
+     */
+    static async getWindowById(vehicleId, windowId) {
+        try {
+            const maintenanceWindow = await MaintenanceWindow.findOne({ _id: windowId, vehicleId });
+            if (!maintenanceWindow) {
+                throw new Error('Maintenance window not found');
+            }
+            return maintenanceWindow;
+        } catch (error) {
+            throw new Error(`Error fetching maintenance window: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a maintenance window
+     *
+     * @param {string} vehicleId - Vehicle ID
+     * @param {string} windowId - Maintenance window ID
+     * @param {Object} updateData - Fields to update
+     * @returns {Object} - { maintenanceWindow, conflictingBookings }
+     */
+    static async updateWindow(vehicleId, windowId, updateData) {
+        try {
+            const maintenanceWindow = await MaintenanceWindow.findOne({ _id: windowId, vehicleId });
+            if (!maintenanceWindow) {
+                throw new Error('Maintenance window not found');
+            }
+
+            const { startTime, endTime } = this.parseTimeRange(
+                updateData.startTime || maintenanceWindow.startTime,
+                updateData.endTime || maintenanceWindow.endTime
+            );
+
+            return await LockService.withLock(LOCK_SCOPES.VEHICLE, maintenanceWindow.vehicleId, async (lock) => {
+                await this.assertNoOverlappingWindow(maintenanceWindow.vehicleId, startTime, endTime, maintenanceWindow._id);
+
+                maintenanceWindow.set({ ...this.pickWindowFields(updateData), startTime, endTime });
+                await lock.assertHeld();
+                await maintenanceWindow.save();
+
+                const conflictingBookings = await this.findConflictingBookings(
+                    maintenanceWindow.vehicleId,
+                    startTime,
+                    endTime
+                );
+
+                return { maintenanceWindow, conflictingBookings };
+            });
+
+        } catch (error) {
+            throw new Error(`Error updating maintenance window: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a maintenance window
+     *
+     * @param {string} vehicleId - Vehicle ID
+     * @param {string} windowId - Maintenance window ID
+     * @returns {boolean} - Success status
+     */
+    static async deleteWindow(vehicleId, windowId) {
+        try {
+            const maintenanceWindow = await MaintenanceWindow.findOneAndDelete({ _id: windowId, vehicleId });
+            if (!maintenanceWindow) {
+                throw new Error('Maintenance window not found');
+            }
+            return true;
+        } catch (error) {
+            throw new Error(`Error deleting maintenance window: ${error.message}`);
+        }
+    }
+
+    /**
+     * Confirmed bookings of a vehicle overlapping a time range
+     *
+     * @param {string} vehicleId - Vehicle ID
+     * @param {Date} startTime - Range start
+     * @param {Date} endTime - Range end
+     * @returns {Array} - Bookings ordered by start time
+     */
+    static async findConflictingBookings(vehicleId, startTime, endTime) {
+        return Booking.find({
+            vehicleId,
+            status: 'confirmed',
+            startTime: { $lt: endTime },
+            endTime: { $gt: startTime }
+        }).sort({ startTime: 1 });
+    }
+
+    /**
+     * Reject a time range that overlaps another window of the same vehicle
+     */
+    static async assertNoOverlappingWindow(vehicleId, startTime, endTime, excludeWindowId = null) {
+        const overlapping = await MaintenanceWindow.findOverlappingWindows(vehicleId, startTime, endTime, excludeWindowId);
+        if (overlapping.length > 0) {
+            throw new Error('Maintenance conflict: window overlaps an existing maintenance window');
+        }
+    }
+
+    /**
+     * Parse and validate a start/end pair
+     */
+    static parseTimeRange(start, end) {
+        const startTime = new Date(start);
+        const endTime = new Date(end);
+
+        if (!start || isNaN(startTime.getTime())) {
+            throw new Error('Invalid start time format');
+        }
+
+        if (!end || isNaN(endTime.getTime())) {
+            throw new Error('Invalid end time format');
+        }
+
+        if (endTime <= startTime) {
+            throw new Error('End time must be after start time');
+        }
+
+        return { startTime, endTime };
+    }
+
+    /**
+     * Keep only the fields a caller may set on a window
+     */
+    static pickWindowFields(data) {
+        return WINDOW_FIELDS.reduce((fields, key) => (
+            data[key] !== undefined ? { ...fields, [key]: data[key] } : fields
+        ), {});
+    }
+}
+
+module.exports = MaintenanceService;
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const routingConfig = require('../config/routing');
+const { parseCsv } = require('../utils/csv');
+const { haversineDistanceKm, isValidCoordinate } = require('../utils/geo');
+
+/**
+ * In-memory pincode directory loaded from the bundled CSV dataset
+ */
+
+let pincodeDirectory = null;
+
+// Estimated locations of pincodes missing from the directory
+let estimates = new Map();
+
+class PincodeService {
+    /**
+     * Load the pincode dataset into memory
+     *
+     * @param {string} filePath - Path to a CSV file (defaults to the configured dataset)
+     * @returns {number} - Number of pincodes loaded
+     */
+    static loadDataset(filePath = routingConfig.pincodeDataPath) {
+        try {
+            const records = parseCsv(fs.readFileSync(filePath, 'utf8'));
+            const directory = new Map();
+
+            for (const record of records) {
+                const latitude = parseFloat(record.latitude);
+                const longitude = parseFloat(record.longitude);
+
+                if (!/^\d{6}$/.test(record.pincode) || !isValidCoordinate(latitude, longitude)) {
+                    continue;
+                }
+
+                directory.set(record.pincode, {
+                    pincode: record.pincode,
+                    officeName: record.officeName,
+                    district: record.district,
+                    state: record.state,
+                    latitude,
+                    longitude
+                });
+            }
+
+            pincodeDirectory = directory;
+            estimates = new Map();
+            return directory.size;
+
+        } catch (error) {
+            throw new Error(`Error loading pincode dataset: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the loaded directory, loading the default dataset on first use
+     *
+     * @returns {Map} - Pincode directory
+     */
+    static getDirectory() {
+        if (!pincodeDirectory) {
+            this.loadDataset();
+        }
+        return pincodeDirectory;
+    }
+
+    /**
+     * Check whether a pincode exists in the directory
+     *
+     * @param {string} pincode - Pincode to look up
+     * @returns {boolean} - True if known
+     */
+    static isKnownPincode(pincode) {
+        return this.getDirectory().has(pincode);
+    }
+
+    /**
+     * Get location details for a pincode, estimated when it is not in the directory
+     *
+     * @param {string} pincode - Pincode to look up
+     * @returns {Object} - Pincode record with latitude and longitude
+     */
+    static getPincode(pincode) {
+        const record = this.getDirectory().get(pincode)
+            || (routingConfig.estimateUnknownPincodes && this.estimatePincode(pincode));
+        if (!record) {
+            throw new Error(`Unknown pincode: ${pincode} is not in the pincode directory`);
+        }
+        return record;
+    }
+
+    /**
+     * Approximate location of a pincode missing from the directory
+     * Pincodes are assigned geographically (region, sub-region, sorting
+     * district, ...), so the centre of the known pincodes sharing the longest
+     * prefix stands in for it. Records are marked `estimated`
+     *
+     * @param {string} pincode - 6-digit pincode
+     * @returns {Object|null} - Estimated record, or null when no known pincode shares its region digit
+     */
+    static estimatePincode(pincode) {
+        if (!/^\d{6}$/.test(pincode)) {
+            return null;
+        }
+
+        if (!estimates.has(pincode)) {
+            const known = [...this.getDirectory().values()];
+            let estimate = null;
+
+            for (let length = 5; length >= 1 && !estimate; length--) {
+                const prefix = pincode.slice(0, length);
+                const matches = known.filter(record => record.pincode.startsWith(prefix));
+
+                if (matches.length > 0) {
+                    const mean = (field) => matches.reduce((sum, record) => sum + record[field], 0) / matches.length;
+                    estimate = {
+                        pincode,
+                        officeName: null,
+                        district: null,
+                        state: matches.every(record => record.state === matches[0].state) ? matches[0].state : null,
+                        latitude: mean('latitude'),
+                        longitude: mean('longitude'),
+                        estimated: true
+                    };
+                }
+            }
+
+            estimates.set(pincode, estimate);
+        }
+
+        return estimates.get(pincode);
+    }
+
+    /**
+     * Straight-line (great-circle) distance between two pincodes
+     *
+     * @param {string} fromPincode - Source pincode
+     * @param {string} toPincode - Destination pincode
+     * @returns {number} - Distance in kilometers
+     */
+    static getStraightLineDistanceKm(fromPincode, toPincode) {
+        const from = this.getPincode(fromPincode);
+        const to = this.getPincode(toPincode);
+        return haversineDistanceKm(from, to);
+    }
+}
+
+module.exports = PincodeService;
@@ -0,0 +1,393 @@
+const crypto = require('crypto');
+const Tariff = require('../models/Tariff');
+const Quote = require('../models/Quote');
+const Vehicle = require('../models/Vehicle');
+const RideCalculationService = require('./rideCalculationService');
+const pricingConfig = require('../config/pricing');
+const { calculateFare } = require('../utils/fareCalculator');
+const { isValidObjectId } = require('../utils/validation');
+
+const VEHICLE_TYPES = ['Light Vehicle', 'Medium Vehicle', 'Heavy Vehicle'];
+
+// Fields a tariff can be created or updated with
+const UPDATABLE_FIELDS = [
+    'name', 'vehicleType', 'currency', 'baseFare', 'perKmRate', 'minimumFare', 'nightSurcharge',
+    'weekendSurchargePercent', 'waitingChargePerHour', 'freeWaitingMinutes', 'gstPercent', 'discounts',
+    'isActive', 'effectiveFrom'
+];
+
+/**
+ * The UPDATABLE_FIELDS given in data
+ */
+const pickUpdatableFields = (data) => Object.fromEntries(
+    UPDATABLE_FIELDS
+        .filter(field => data[field] !== undefined)
+        .map(field => [field, data[field]])
+);
+
+class PricingService {
+    /**
+     * Get the tariff in force for a vehicle class
+     * Falls back to the configured default tariff
+     *
+     * @param {string} vehicleType - Vehicle class
+     * @param {Date} at - Time the tariff must be effective at
+     * @returns {Object} - Tariff document or default tariff object
+     */
+    static async getActiveTariff(vehicleType, at = new Date()) {
+        try {
+            if (!VEHICLE_TYPES.includes(vehicleType)) {
+                throw new Error(`Unknown vehicle type: ${vehicleType}`);
+            }
+
+            const tariff = await Tariff.findActiveTariff(vehicleType, at);
+            return tariff || { ...pricingConfig.defaultTariffs[vehicleType], vehicleType, isDefault: true };
+        } catch (error) {
+            throw new Error(`Error fetching tariff: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the tariffs in force for every vehicle class
+     *
+     * @param {Date} at - Time the tariffs must be effective at
+     * @returns {Object} - Map of vehicle type to tariff
+     */
+    static async getActiveTariffs(at = new Date()) {
+        const tariffs = await Promise.all(VEHICLE_TYPES.map(type => this.getActiveTariff(type, at)));
+        return VEHICLE_TYPES.reduce((map, type, index) => ({ ...map, [type]: tariffs[index] }), {});
+    }
+
+    /**
+     * Price a trip against a tariff
+     *
+     * @param {Object} tariff - Tariff
+     * @param {Object} trip - { fromPincode, toPincode, distanceKm, startTime, waitingMinutes, discountCode }
+     *   distanceKm overrides the direct distance, e.g. for multi-stop routes
+     * @returns {Object} - Pricing breakdown ready to be frozen on a quote or booking
+     */
+    static priceTrip(tariff, trip) {
+        const distanceKm = trip.distanceKm !== undefined
+            ? trip.distanceKm
+            : RideCalculationService.calculateEstimatedDistance(trip.fromPincode, trip.toPincode);
+
+        return {
+            ...calculateFare(tariff, { ...trip, distanceKm }),
+            ...(tariff._id && { tariffId: tariff._id }),
+            tariffName: tariff.name,
+            distanceKm
+        };
+    }
+
+    /**
+     * Create a signed quote
+     *
+     * @param {Object} quoteData - { customerId, vehicleId | vehicleType | capacityKg, fromPincode, toPincode | stops, startTime, waitingMinutes, discountCode }
+     * @returns {Object} - Saved quote
+     */
+    static async createQuote(quoteData) {
+        try {
+            const { customerId, vehicleId, capacityKg, stops, startTime, waitingMinutes, discountCode } = quoteData;
+            let { vehicleType, fromPincode, toPincode } = quoteData;
+
+            // Multi-stop quotes take their endpoints from the stops
+            if (Array.isArray(stops) && stops.length > 0) {
+                fromPincode = stops[0].pincode;
+                toPincode = stops[stops.length - 1].pincode;
+            }
+
+            if (!customerId || !fromPincode || !toPincode || !startTime) {
+                throw new Error('customerId, fromPincode, toPincode and startTime are required');
+            }
+
+            if (!isValidObjectId(customerId)) {
+                throw new Error('Invalid customer ID format');
+            }
+
+            if (vehicleId) {
+                const vehicle = await Vehicle.findById(vehicleId);
+                if (!vehicle) {
+                    throw new Error('Vehicle not found');
+                }
+                vehicleType = vehicle.type;
+            } else if (!vehicleType && capacityKg) {
+                vehicleType = Vehicle.getTypeForCapacity(Number(capacityKg));
+            }
+
+            if (!vehicleType) {
+                throw new Error('vehicleId, vehicleType or capacityKg is required');
+            }
+
+            const quoteStartTime = new Date(startTime);
+            if (isNaN(quoteStartTime.getTime())) {
+                throw new Error('Invalid start time format');
+            }
+
+            if (quoteStartTime <= new Date()) {
+                throw new Error('Start time must be in the future');
+            }
+
+            if (waitingMinutes !== undefined && (isNaN(Number(waitingMinutes)) || Number(waitingMinutes) < 0)) {
+                throw new Error('Waiting minutes must be a non-negative number');
+            }
+
+            const route = RideCalculationService.planRoute(
+                stops || [{ pincode: fromPincode, type: 'pickup' }, { pincode: toPincode, type: 'drop' }],
+                quoteStartTime,
+                vehicleType
+            );
+
+            const tariff = await this.getActiveTariff(vehicleType, quoteStartTime);
+            const pricing = this.priceTrip(tariff, {
+                distanceKm: route.totalDistanceKm,
+                startTime: quoteStartTime,
+                waitingMinutes: Number(waitingMinutes) || 0,
+                discountCode
+            });
+
+            const quote = new Quote({
+                customerId,
+                vehicleType,
+                vehicleId,
+                fromPincode,
+                toPincode,
+                ...(stops && { stops: route.stops.map(({ pincode, type, loadKg }) => ({ pincode, type, loadKg })) }),
+                startTime: quoteStartTime,
+                estimatedRideDurationHours: route.estimatedRideDurationHours,
+                estimated: route.estimated,
+                pricing,
+                expiresAt: new Date(Date.now() + pricingConfig.quoteTtlMinutes * 60 * 1000),
+                signature: 'pending'
+            });
+
+            quote.signature = this.signQuote(quote);
+            await quote.save();
+
+            return quote;
+
+        } catch (error) {
+            throw new Error(`Error creating quote: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get quote by ID
+     *
+     * @param {string} quoteId - Quote ID
+     * @returns {Object} - Quote
+     */
+    static async getQuoteById(quoteId) {
+        try {
+            const quote = await Quote.findById(quoteId);
+            if (!quote) {
+                throw new Error('Quote not found');
+            }
+            return quote;
+        } catch (error) {
+            throw new Error(`Error fetching quote: ${error.message}`);
+        }
+    }
+
+    /**
+     * HMAC-SHA256 signature over the agreed terms of a quote
+     *
+     * @param {Object} quote - Quote document
+     * @returns {string} - Hex signature
+     */
+    static signQuote(quote) {
+        const terms = JSON.stringify([
+            quote._id.toString(),
+            quote.customerId.toString(),
+            quote.vehicleType,
+            quote.vehicleId ? quote.vehicleId.toString() : null,
+            quote.fromPincode,
+            quote.toPincode,
+            this.getRouteKey(quote.stops),
+            new Date(quote.startTime).toISOString(),
+            quote.pricing.currency,
+            quote.pricing.total,
+            new Date(quote.expiresAt).toISOString()
+        ]);
+
+        return crypto.createHmac('sha256', pricingConfig.quoteSecret).update(terms).digest('hex');
+    }
+
+    /**
+     * Canonical string for the stop sequence of a quote or booking
+     *
+     * @param {Array} stops - Stops (optional)
+     * @returns {string|null} - Route key, null for direct routes
+     */
+    static getRouteKey(stops) {
+        if (!stops || stops.length === 0) {
+            return null;
+        }
+        return stops.map(stop => `${stop.type}:${stop.pincode}:${stop.loadKg || 0}`).join('|');
+    }
+
+    /**
+     * Check a quote's signature against its stored terms
+     *
+     * @param {Object} quote - Quote document
+     * @returns {boolean} - True if the signature is valid
+     */
+    static verifyQuoteSignature(quote) {
+        const expected = Buffer.from(this.signQuote(quote), 'hex');
+        const actual = Buffer.from(quote.signature || '', 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Accept a quote for a booking, marking it as used
+     *
+     * @param {string} quoteId - Quote ID
+     * @param {Object} booking - { customerId, vehicleId, vehicleType, fromPincode, toPincode, stops, startTime }
+     * @returns {Object} - Accepted quote
+     */
+    static async acceptQuote(quoteId, booking) {
+        const quote = await Quote.findById(quoteId);
+
+        if (!quote) {
+            throw new Error('Quote not found');
+        }
+
+        if (!this.verifyQuoteSignature(quote)) {
+            throw new Error('Quote signature is invalid');
+        }
+
+        if (quote.status === 'accepted') {
+            throw new Error('Quote has already been used');
+        }
+
+        if (quote.isExpired) {
+            throw new Error('Quote has expired');
+        }
+
+        const mismatches = [];
+        if (quote.customerId.toString() !== String(booking.customerId)) mismatches.push('customerId');
+        if (quote.vehicleType !== booking.vehicleType) mismatches.push('vehicle type');
+        if (quote.vehicleId && quote.vehicleId.toString() !== booking.vehicleId.toString()) mismatches.push('vehicleId');
+        if (quote.fromPincode !== booking.fromPincode) mismatches.push('fromPincode');
+        if (quote.toPincode !== booking.toPincode) mismatches.push('toPincode');
+        if (this.getRouteKey(quote.stops) !== this.getRouteKey(booking.stops)) mismatches.push('stops');
+        if (quote.startTime.getTime() !== new Date(booking.startTime).getTime()) mismatches.push('startTime');
+
+        if (mismatches.length > 0) {
+            throw new Error(`Quote does not match booking: ${mismatches.join(', ')}`);
+        }
+
+        // Conditional update so a quote can only ever be accepted once
+        const acceptedQuote = await Quote.findOneAndUpdate(
+            { _id: quoteId, status: 'open', expiresAt: { $gt: new Date() } },
+            { status: 'accepted' },
+            { new: true }
+        );
+
+        if (!acceptedQuote) {
+            throw new Error('Quote has already been used');
+        }
+
+        return acceptedQuote;
+    }
+
+    /**
+     * Reopen an accepted quote whose booking could not be saved
+     *
+     * @param {string} quoteId - Quote ID
+     */
+    static async releaseQuote(quoteId) {
+        await Quote.updateOne({ _id: quoteId, bookingId: { $exists: false } }, { status: 'open' });
+    }
+
+    /**
+     * Link an accepted quote to the booking created from it
+     *
+     * @param {string} quoteId - Quote ID
+     * @param {string} bookingId - Booking ID
+     */
+    static async linkQuoteToBooking(quoteId, bookingId) {
+        await Quote.updateOne({ _id: quoteId }, { bookingId });
+    }
+
+    /**
+     * Create a tariff
+     *
+     * @param {Object} tariffData - Any of UPDATABLE_FIELDS
+     * @returns {Object} - Created tariff
+     */
+    static async createTariff(tariffData) {
+        const tariff = new Tariff(pickUpdatableFields(tariffData));
+        await tariff.save();
+        return tariff;
+    }
+
+    /**
+     * Get all tariffs with optional filtering
+     *
+     * @param {Object} filters - { vehicleType, isActive }
+     * @returns {Array} - Tariffs
+     */
+    static async getAllTariffs(filters = {}) {
+        try {
+            const query = {};
+            if (filters.vehicleType) query.vehicleType = filters.vehicleType;
+            if (filters.isActive !== undefined) query.isActive = filters.isActive;
+
+            return await Tariff.find(query).sort({ vehicleType: 1, effectiveFrom: -1 });
+        } catch (error) {
+            throw new Error(`Error fetching tariffs: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get tariff by ID
+     *
+     * @param {string} tariffId - Tariff ID
+     * @returns {Object} - Tariff
+     */
+    static async getTariffById(tariffId) {
+        try {
+            const tariff = await Tariff.findById(tariffId);
+            if (!tariff) {
+                throw new Error('Tariff not found');
+            }
+            return tariff;
+        } catch (error) {
+            throw new Error(`Error fetching tariff: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a tariff
+     * Frozen prices on quotes and bookings are not affected
+     *
+     * @param {string} tariffId - Tariff ID
+     * @param {Object} updateData - Any of UPDATABLE_FIELDS
+     * @returns {Object} - Updated tariff
+     */
+    static async updateTariff(tariffId, updateData) {
+        const tariff = await Tariff.findByIdAndUpdate(
+            tariffId,
+            { $set: pickUpdatableFields(updateData) },
+            { new: true, runValidators: true }
+        );
+
+        if (!tariff) {
+            throw new Error('Tariff not found');
+        }
+
+        return tariff;
+    }
+
+    /**
+     * Deactivate a tariff (soft delete)
+     *
+     * @param {string} tariffId - Tariff ID
+     * @returns {Object} - Updated tariff
+     */
+    static async deactivateTariff(tariffId) {
+        return this.updateTariff(tariffId, { isActive: false });
+    }
+}
+
+module.exports = PricingService;
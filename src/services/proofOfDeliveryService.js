@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Customer = require('../models/Customer');
+const { getAdapter } = require('./fileStorage');
+const podConfig = require('../config/pod');
+
+// File extensions of the accepted image types
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp'
+};
+
+// Bookings a proof of delivery can be recorded for
+const POD_STATUSES = ['in-progress', 'completed'];
+
+class ProofOfDeliveryService {
+    /**
+     * Record the proof of delivery of a booking and store its files
+     * A booking has at most one proof of delivery; it cannot be replaced
+     *
+     * @param {string} bookingId - Booking ID
+     * @param {Object} podData - { recipientName, lat, lng, deliveredAt }
+     * @param {Object} files - { signature, photos } with { buffer, originalname, mimetype, size } files
+     * @param {Object} actor - User recording the delivery (optional)
+     * @returns {Object} - Updated booking
+     */
+    static async recordProofOfDelivery(bookingId, podData, files, actor = null) {
+        const storedKeys = [];
+
+        try {
+            const booking = await Booking.findById(bookingId);
+            if (!booking) {
+                throw new Error('Booking not found');
+            }
+
+            if (!POD_STATUSES.includes(booking.status)) {
+                throw new Error(`Cannot record proof of delivery for a ${booking.status} booking`);
+            }
+
+            if (booking.proofOfDelivery) {
+                throw new Error('Cannot record proof of delivery: one is already recorded for this booking');
+            }
+
+            const deliveredAt = podData.deliveredAt ? new Date(podData.deliveredAt) : new Date();
+            if (isNaN(deliveredAt.getTime())) {
+                throw new Error('Invalid delivery time format');
+            }
+            if (deliveredAt.getTime() > Date.now() + podConfig.maxClockSkewMinutes * 60 * 1000) {
+                throw new Error('Delivery time cannot be in the future');
+            }
+            if (booking.actualStartTime && deliveredAt < booking.actualStartTime) {
+                throw new Error('Delivery time cannot be before the trip started');
+            }
+
+            if (!files.signature) {
+                throw new Error('Signature image is required');
+            }
+
+            const adapter = getAdapter(podConfig.storageAdapter);
+            const storeFile = async (file) => {
+                const key = `${booking._id}/${crypto.randomBytes(16).toString('hex')}${EXTENSIONS[file.mimetype] || ''}`;
+                await adapter.save(key, file.buffer, file.mimetype);
+                storedKeys.push(key);
+
+                return {
+                    key,
+                    storage: adapter.name,
+                    originalName: file.originalname,
+                    contentType: file.mimetype,
+                    size: file.size
+                };
+            };
+
+            const signature = await storeFile(files.signature);
+            const photos = [];
+            for (const photo of files.photos || []) {
+                photos.push(await storeFile(photo));
+            }
+
+            // Conditional so concurrent uploads cannot both record a proof
+            const updatedBooking = await Booking.findOneAndUpdate(
+                { _id: booking._id, proofOfDelivery: { $exists: false } },
+                {
+                    $set: {
+                        proofOfDelivery: {
+                            recipientName: podData.recipientName,
+                            signature,
+                            photos,
+                            location: { lat: Number(podData.lat), lng: Number(podData.lng) },
+                            deliveredAt,
+                            capturedAt: new Date(),
+                            ...(actor && { capturedBy: actor._id })
+                        }
+                    }
+                },
+                { new: true, runValidators: true }
+            ).populate('vehicleId');
+
+            if (!updatedBooking) {
+                throw new Error('Cannot record proof of delivery: one is already recorded for this booking');
+            }
+
+            return updatedBooking;
+        } catch (error) {
+            await this.removeFiles(storedKeys);
+            throw new Error(`Error recording proof of delivery: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open a signature or photo of a booking's proof of delivery
+     *
+     * @param {Object} booking - Booking document
+     * @param {string} fileId - ID of the signature or photo
+     * @returns {Object} - { file, stream } where file holds the stored metadata
+     */
+    static async getProofOfDeliveryFile(booking, fileId) {
+        try {
+            const pod = booking.proofOfDelivery;
+            if (!pod) {
+                throw new Error('Proof of delivery not found');
+            }
+
+            const file = [pod.signature, ...pod.photos].find(stored => stored._id.toString() === String(fileId));
+            if (!file) {
+                throw new Error('Proof of delivery file not found');
+            }
+
+            const stream = await getAdapter(file.storage).read(file.key);
+            return { file, stream };
+        } catch (error) {
+            throw new Error(`Error fetching proof of delivery file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check a booking may be completed: customers can require a proof of delivery first
+     *
+     * @param {Object} booking - Booking document
+     */
+    static async assertCanComplete(booking) {
+        if (booking.proofOfDelivery) {
+            return;
+        }
+
+        const customer = await Customer.findById(booking.customerId).select('requiresProofOfDelivery');
+        if (customer && customer.requiresProofOfDelivery) {
+            throw new Error('Cannot complete booking: the customer requires a proof of delivery first');
+        }
+    }
+
+    /**
+     * Remove stored files, logging rather than throwing on failure
+     *
+     * @param {Array} keys - Storage keys
+     */
+    static async removeFiles(keys) {
+        if (keys.length === 0) return;
+
+        const adapter = getAdapter(podConfig.storageAdapter);
+
+        for (const key of keys) {
+            try {
+                await adapter.remove(key);
+            } catch (error) {
+                console.error(`Failed to remove proof of delivery file ${key}:`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = ProofOfDeliveryService;
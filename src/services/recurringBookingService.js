@@ -0,0 +1,515 @@
+const RecurringBooking = require('../models/RecurringBooking');
+const Booking = require('../models/Booking');
+const Vehicle = require('../models/Vehicle');
+const BookingService = require('./bookingService');
+const DispatchService = require('./dispatchService');
+const CustomerService = require('./customerService');
+const PincodeService = require('./pincodeService');
+const { getStrategy } = require('./dispatchStrategies');
+const recurringConfig = require('../config/recurring');
+const bookingConfig = require('../config/booking');
+const { parseLocalDate, formatLocalDate, parseRule, validateSchedule, listOccurrences } = require('../utils/recurrence');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Fields of a series that can be changed after it is created
+const UPDATABLE_FIELDS = ['fromPincode', 'toPincode', 'vehicleId', 'capacityRequired', 'strategy', 'schedule', 'endDate', 'notes'];
+
+// Changes that leave the already booked occurrences as they are
+const NON_SCHEDULING_FIELDS = ['notes'];
+
+let generatorTimer = null;
+let generating = false;
+
+/**
+ * Schedule from request data: a schedule object, or an RRULE with a time
+ */
+const toSchedule = ({ schedule, rrule, time }) => {
+    const parsed = rrule ? { ...parseRule(rrule), time } : { ...schedule };
+
+    const errors = validateSchedule(parsed);
+    if (errors.length > 0) {
+        throw new Error(`Invalid schedule: ${errors.join('; ')}`);
+    }
+
+    return {
+        frequency: parsed.frequency,
+        interval: parsed.interval || 1,
+        byDay: parsed.byDay || [],
+        byMonthDay: parsed.byMonthDay || [],
+        time: parsed.time
+    };
+};
+
+/**
+ * Local date from request data, or null when none was given
+ */
+const toLocalDate = (value, label) => {
+    if (value === undefined || value === null || value === '') return null;
+
+    const date = parseLocalDate(value);
+    if (!date) {
+        throw new Error(`Invalid ${label}: use a YYYY-MM-DD date`);
+    }
+    return date;
+};
+
+/**
+ * Fail fast on series details every occurrence would be refused for
+ */
+const assertBookable = async ({ fromPincode, toPincode, vehicleId, strategy }) => {
+    if (fromPincode) PincodeService.getPincode(fromPincode);
+    if (toPincode) PincodeService.getPincode(toPincode);
+    if (strategy) getStrategy(strategy);
+
+    if (vehicleId && !(await Vehicle.exists({ _id: vehicleId }))) {
+        throw new Error('Vehicle not found');
+    }
+};
+
+/**
+ * End of a series: the midnight after its last day, or null when open-ended
+ */
+const seriesEnd = (series) => (series.endDate ? new Date(series.endDate.getTime() + DAY_MS) : null);
+
+class RecurringBookingService {
+    /**
+     * Create a recurring booking and book its occurrences up to the horizon
+     *
+     * @param {Object} seriesData - { customerId, fromPincode, toPincode, vehicleId, capacityRequired, strategy,
+     *   schedule | rrule + time, startDate, endDate, notes } with YYYY-MM-DD dates
+     * @param {Object} actor - User creating the series (optional)
+     * @returns {Object} - { recurringBooking, generation }
+     */
+    static async createRecurringBooking(seriesData, actor = null) {
+        try {
+            const { customerId, vehicleId } = seriesData;
+
+            // Suspended and closed customers cannot book
+            await CustomerService.getBookableCustomer(customerId);
+            await assertBookable(seriesData);
+
+            const startDate = toLocalDate(seriesData.startDate, 'start date');
+            if (!startDate) {
+                throw new Error('Start date is required');
+            }
+            if (startDate.getTime() + DAY_MS <= Date.now()) {
+                throw new Error('Start date cannot be in the past');
+            }
+
+            const recurringBooking = new RecurringBooking({
+                customerId,
+                fromPincode: seriesData.fromPincode,
+                toPincode: seriesData.toPincode,
+                vehicleId: vehicleId || undefined,
+                capacityRequired: seriesData.capacityRequired,
+                strategy: seriesData.strategy,
+                schedule: toSchedule(seriesData),
+                startDate,
+                endDate: toLocalDate(seriesData.endDate, 'end date') || undefined,
+                notes: seriesData.notes,
+                generatedUntil: new Date(),
+                ...(actor && { createdBy: actor._id })
+            });
+
+            await recurringBooking.save();
+
+            const generation = await this.generateOccurrences(recurringBooking._id);
+
+            return {
+                recurringBooking: await RecurringBooking.findById(recurringBooking._id),
+                generation
+            };
+        } catch (error) {
+            throw new Error(`Error creating recurring booking: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get recurring bookings with optional filtering
+     *
+     * @param {Object} filters - { customerId, status }
+     * @returns {Array} - Recurring bookings, newest first
+     */
+    static async getRecurringBookings(filters = {}) {
+        try {
+            const query = {};
+            if (filters.customerId) query.customerId = filters.customerId;
+
+            if (filters.status) {
+                if (!RecurringBooking.RECURRING_STATUSES.includes(filters.status)) {
+                    throw new Error(`Invalid status: use one of ${RecurringBooking.RECURRING_STATUSES.join(', ')}`);
+                }
+                query.status = filters.status;
+            }
+
+            return await RecurringBooking.find(query).sort({ createdAt: -1 });
+        } catch (error) {
+            throw new Error(`Error fetching recurring bookings: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get recurring booking by ID
+     *
+     * @param {string} recurringBookingId - Recurring booking ID
+     * @returns {Object} - Recurring booking
+     */
+    static async getRecurringBookingById(recurringBookingId) {
+        try {
+            const recurringBooking = await RecurringBooking.findById(recurringBookingId);
+            if (!recurringBooking) {
+                throw new Error('Recurring booking not found');
+            }
+            return recurringBooking;
+        } catch (error) {
+            throw new Error(`Error fetching recurring booking: ${error.message}`);
+        }
+    }
+
+    /**
+     * Change a recurring booking from now on
+     * Occurrences that have started, or start within the change cutoff, are
+     * kept as booked; later ones are cancelled and booked again to the new
+     * definition
+     *
+     * @param {string} recurringBookingId - Recurring booking ID
+     * @param {Object} changes - Any of UPDATABLE_FIELDS, or rrule + time for the schedule
+     * @param {Object} actor - User making the change (optional)
+     * @returns {Object} - { recurringBooking, cancelledBookings, generation }
+     */
+    static async updateRecurringBooking(recurringBookingId, changes, actor = null) {
+        try {
+            const recurringBooking = await RecurringBooking.findById(recurringBookingId);
+            if (!recurringBooking) {
+                throw new Error('Recurring booking not found');
+            }
+
+            if (recurringBooking.status !== 'active') {
+                throw new Error(`Cannot change a ${recurringBooking.status} recurring booking`);
+            }
+
+            const updates = { ...changes };
+
+            // A new schedule replaces the old one, keeping its time unless one is given
+            if (changes.rrule || changes.schedule || changes.time) {
+                const current = recurringBooking.schedule.toObject();
+                updates.schedule = toSchedule({
+                    rrule: changes.rrule,
+                    schedule: changes.schedule
+                        ? { time: changes.time || current.time, ...changes.schedule }
+                        : { ...current, time: changes.time || current.time },
+                    time: changes.time || current.time
+                });
+            }
+            if (changes.endDate !== undefined) {
+                updates.endDate = toLocalDate(changes.endDate, 'end date');
+            }
+            await assertBookable(updates);
+
+            const changedFields = UPDATABLE_FIELDS.filter(field => updates[field] !== undefined);
+            changedFields.forEach(field => recurringBooking.set(field, updates[field] === null ? undefined : updates[field]));
+
+            const reschedules = changedFields.some(field => !NON_SCHEDULING_FIELDS.includes(field));
+            let cancelledBookings = 0;
+            let generation = null;
+
+            if (reschedules) {
+                const boundary = new Date(Date.now() + bookingConfig.changeCutoffHours * HOUR_MS);
+                if (recurringBooking.generatedUntil > boundary) {
+                    recurringBooking.generatedUntil = boundary;
+                }
+                recurringBooking.revision += 1;
+                await recurringBooking.save();
+
+                cancelledBookings = await this.cancelFutureOccurrences(
+                    recurringBooking._id, boundary, 'Recurring booking changed', actor
+                );
+                generation = await this.generateOccurrences(recurringBooking._id);
+            } else {
+                await recurringBooking.save();
+            }
+
+            return {
+                recurringBooking: await RecurringBooking.findById(recurringBooking._id),
+                cancelledBookings,
+                generation
+            };
+        } catch (error) {
+            throw new Error(`Error updating recurring booking: ${error.message}`);
+        }
+    }
+
+    /**
+     * Cancel a recurring booking from now on
+     * Occurrences that have started, or start within the change cutoff, are kept
+     *
+     * @param {string} recurringBookingId - Recurring booking ID
+     * @param {string} reason - Cancellation reason recorded on the bookings
+     * @param {Object} actor - User cancelling (optional)
+     * @returns {Object} - { recurringBooking, cancelledBookings }
+     */
+    static async cancelRecurringBooking(recurringBookingId, reason = '', actor = null) {
+        try {
+            const recurringBooking = await RecurringBooking.findOneAndUpdate(
+                { _id: recurringBookingId, status: 'active' },
+                {
+                    $set: {
+                        status: 'cancelled',
+                        cancelledAt: new Date(),
+                        ...(actor && { cancelledBy: actor._id })
+                    },
+                    $inc: { revision: 1 }
+                },
+                { new: true }
+            );
+
+            if (!recurringBooking) {
+                const existing = await RecurringBooking.findById(recurringBookingId);
+                if (!existing) {
+                    throw new Error('Recurring booking not found');
+                }
+                throw new Error(`Cannot cancel a ${existing.status} recurring booking`);
+            }
+
+            const boundary = new Date(Date.now() + bookingConfig.changeCutoffHours * HOUR_MS);
+            const cancelledBookings = await this.cancelFutureOccurrences(
+                recurringBooking._id, boundary, reason || 'Recurring booking cancelled', actor
+            );
+
+            return { recurringBooking, cancelledBookings };
+        } catch (error) {
+            throw new Error(`Error cancelling recurring booking: ${error.message}`);
+        }
+    }
+
+    /**
+     * Cancel a series' confirmed bookings starting at or after a time
+     * Bookings that cannot be cancelled any more (e.g. started meanwhile) are left
+     *
+     * @param {ObjectId} recurringBookingId - Recurring booking ID
+     * @param {Date} from - Earliest start time cancelled
+     * @param {string} reason - Cancellation reason
+     * @param {Object} actor - User cancelling (optional)
+     * @returns {number} - Bookings cancelled
+     */
+    static async cancelFutureOccurrences(recurringBookingId, from, reason, actor = null) {
+        const bookings = await Booking.find({
+            recurringBookingId,
+            status: 'confirmed',
+            startTime: { $gte: from }
+        }).select('_id');
+
+        let cancelled = 0;
+        for (const booking of bookings) {
+            try {
+                await BookingService.cancelBooking(booking._id, reason, actor);
+                cancelled++;
+            } catch (error) {
+                console.error(`Failed to cancel occurrence ${booking._id} of recurring booking ${recurringBookingId}:`, error.message);
+            }
+        }
+
+        return cancelled;
+    }
+
+    /**
+     * Book a series' occurrences from where the last run stopped up to the horizon
+     * The range is claimed before booking, so concurrent runs never book an
+     * occurrence twice, and days that still have a booking of the series are
+     * skipped. Occurrences that cannot be booked are recorded as conflicts on
+     * the series and not retried
+     *
+     * @param {string} recurringBookingId - Recurring booking ID
+     * @param {Date} now - Current time
+     * @returns {Object} - { recurringBookingId, from, to, created, conflicts }
+     */
+    static async generateOccurrences(recurringBookingId, now = new Date()) {
+        try {
+            const series = await RecurringBooking.findById(recurringBookingId);
+            if (!series) {
+                throw new Error('Recurring booking not found');
+            }
+
+            const report = { recurringBookingId: series._id, from: null, to: null, created: [], conflicts: [] };
+            if (series.status !== 'active') {
+                return report;
+            }
+
+            const end = seriesEnd(series);
+            const from = new Date(Math.max(series.generatedUntil.getTime(), now.getTime()));
+            let to = new Date(now.getTime() + recurringConfig.horizonDays * DAY_MS);
+            if (end && end < to) {
+                to = end;
+            }
+
+            if (from < to) {
+                const claimed = await RecurringBooking.findOneAndUpdate(
+                    {
+                        _id: series._id,
+                        status: 'active',
+                        revision: series.revision,
+                        generatedUntil: series.generatedUntil
+                    },
+                    { $set: { generatedUntil: to, lastGeneratedAt: now } }
+                );
+
+                // Another run claimed the range, or the series changed meanwhile
+                if (!claimed) {
+                    return report;
+                }
+
+                report.from = from;
+                report.to = to;
+
+                // Days still booked under an earlier definition keep their trip
+                const kept = await Booking.find({
+                    recurringBookingId: series._id,
+                    status: { $ne: 'cancelled' },
+                    startTime: { $gte: new Date(from.getTime() - DAY_MS), $lt: to }
+                }).select('startTime');
+                const bookedDays = new Set(kept.map(booking => formatLocalDate(booking.startTime)));
+
+                for (const occurrenceStart of listOccurrences(series, from, to)) {
+                    if (bookedDays.has(formatLocalDate(occurrenceStart))) {
+                        continue;
+                    }
+
+                    try {
+                        const booking = await this.bookOccurrence(series, occurrenceStart);
+                        report.created.push({
+                            bookingId: booking._id,
+                            startTime: booking.startTime,
+                            vehicleId: booking.vehicleId && booking.vehicleId._id ? booking.vehicleId._id : booking.vehicleId
+                        });
+                    } catch (error) {
+                        report.conflicts.push({ occurrenceStart, reason: error.message });
+                    }
+                }
+            }
+
+            const update = {};
+            if (report.conflicts.length > 0) {
+                update.$push = {
+                    conflicts: {
+                        $each: report.conflicts.map(conflict => ({ ...conflict, detectedAt: now })),
+                        $slice: -recurringConfig.maxRecordedConflicts
+                    }
+                };
+            }
+            if (end && now >= end) {
+                update.$set = { status: 'ended' };
+            }
+            if (Object.keys(update).length > 0) {
+                await RecurringBooking.updateOne({ _id: series._id, status: 'active' }, update);
+            }
+
+            return report;
+        } catch (error) {
+            throw new Error(`Error generating recurring bookings: ${error.message}`);
+        }
+    }
+
+    /**
+     * Book one occurrence: on the preferred vehicle if it is free, otherwise
+     * (or without one) on the best vehicle automatic dispatch finds
+     *
+     * @param {Object} series - Recurring booking document
+     * @param {Date} startTime - Occurrence start time
+     * @returns {Object} - Created booking
+     */
+    static async bookOccurrence(series, startTime) {
+        const request = {
+            customerId: series.customerId.toString(),
+            fromPincode: series.fromPincode,
+            toPincode: series.toPincode,
+            startTime: startTime.toISOString(),
+            recurringBookingId: series._id
+        };
+
+        if (series.vehicleId) {
+            try {
+                return await BookingService.createBooking({ ...request, vehicleId: series.vehicleId.toString() });
+            } catch (error) {
+                if (!series.capacityRequired) {
+                    throw error;
+                }
+            }
+        }
+
+        const { booking } = await DispatchService.autoDispatch({
+            ...request,
+            capacityRequired: series.capacityRequired,
+            ...(series.strategy && { strategy: series.strategy })
+        });
+        return booking;
+    }
+
+    /**
+     * Top every active series up to the horizon
+     *
+     * @param {Date} now - Current time
+     * @returns {Array} - Generation report of every series that was due
+     */
+    static async generateDueOccurrences(now = new Date()) {
+        const horizon = new Date(now.getTime() + recurringConfig.horizonDays * DAY_MS);
+        const due = await RecurringBooking.find({ status: 'active', generatedUntil: { $lt: horizon } })
+            .select('_id')
+            .sort({ generatedUntil: 1 });
+
+        const reports = [];
+        for (const series of due) {
+            try {
+                reports.push(await this.generateOccurrences(series._id, now));
+            } catch (error) {
+                console.error(`Failed to generate recurring booking ${series._id}:`, error.message);
+            }
+        }
+
+        return reports;
+    }
+
+    /**
+     * Start generating occurrences in the background
+     */
+    static startGenerator() {
+        if (generatorTimer) {
+            return;
+        }
+
+        generatorTimer = setInterval(async () => {
+            // Skip a tick while the previous run is still booking
+            if (generating) {
+                return;
+            }
+
+            generating = true;
+            try {
+                const reports = await this.generateDueOccurrences();
+                reports
+                    .filter(report => report.conflicts.length > 0)
+                    .forEach(report => console.warn(
+                        `Recurring booking ${report.recurringBookingId}: ${report.conflicts.length} occurrence(s) could not be booked`
+                    ));
+            } catch (error) {
+                console.error('Recurring booking generation failed:', error.message);
+            } finally {
+                generating = false;
+            }
+        }, recurringConfig.generatorIntervalMs);
+
+        // Do not keep the process alive just for the generator
+        generatorTimer.unref();
+    }
+
+    /**
+     * Stop the background generator
+     */
+    static stopGenerator() {
+        clearInterval(generatorTimer);
+        generatorTimer = null;
+    }
+}
+
+module.exports = RecurringBookingService;
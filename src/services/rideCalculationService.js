@@ -1,3 +1,9 @@
+const Vehicle = require('../models/Vehicle');
+const PincodeService = require('./pincodeService');
+const routingConfig = require('../config/routing');
+const pricingConfig = require('../config/pricing');
+const { calculateFare } = require('../utils/fareCalculator');
+
 /**
  * Service for calculating ride duration and related metrics
  */
@@ -5,29 +11,26 @@
 class RideCalculationService {
     /**
      * Calculate estimated ride duration based on pincodes
-     * Note: This is a simplified placeholder logic as mentioned in requirements
+     * Duration is the road distance divided by the average speed of the vehicle class
      * 
      * @param {string} fromPincode - Source pincode (6 digits)
      * @param {string} toPincode - Destination pincode (6 digits)
+     * @param {string} vehicleType - Vehicle class (Light/Medium/Heavy Vehicle)
      * @returns {number} - Estimated duration in hours
      */
-    static calculateEstimatedDuration(fromPincode, toPincode) {
+    static calculateEstimatedDuration(fromPincode, toPincode, vehicleType = routingConfig.defaultVehicleType) {
         try {
             // Validate pincode format
             if (!this.isValidPincode(fromPincode) || !this.isValidPincode(toPincode)) {
                 throw new Error('Invalid pincode format. Pincodes must be 6 digits.');
             }
 
-            // Convert pincodes to numbers
-            const fromPin = parseInt(fromPincode);
-            const toPin = parseInt(toPincode);
-
-            // Calculate duration using the specified formula
-            // estimatedRideDurationHours = Math.abs(parseInt(toPincode) - parseInt(fromPincode)) % 24
-            const duration = Math.abs(toPin - fromPin) % 24;
+            const averageSpeed = this.getAverageSpeed(vehicleType);
+            const distance = this.getRoadDistanceKm(fromPincode, toPincode);
+            const duration = Math.round((distance / averageSpeed) * 100) / 100;
 
-            // Ensure minimum duration of 0.5 hours for practical purposes
-            return Math.max(duration, 0.5);
+            // Ensure minimum duration for loading/unloading on short hops
+            return Math.max(duration, routingConfig.minimumDurationHours);
 
         } catch (error) {
             throw new Error(`Error calculating ride duration: ${error.message}`);
@@ -43,7 +46,8 @@ class RideCalculationService {
      */
     static calculateEndTime(startTime, durationHours) {
         try {
-            const start = new Date(startTime);
+            // new Date(null) is the epoch, not an error
+            const start = startTime === null || startTime === undefined ? new Date(NaN) : new Date(startTime);
 
             if (isNaN(start.getTime())) {
                 throw new Error('Invalid start time format');
@@ -71,12 +75,36 @@ class RideCalculationService {
      */
     static isValidPincode(pincode) {
         const pincodeRegex = /^\d{6}$/;
-        return pincodeRegex.test(pincode);
+        return typeof pincode === 'string' && pincodeRegex.test(pincode);
+    }
+
+    /**
+     * Get the average speed for a vehicle class
+     * 
+     * @param {string} vehicleType - Vehicle class (Light/Medium/Heavy Vehicle)
+     * @returns {number} - Average speed in km/h
+     */
+    static getAverageSpeed(vehicleType = routingConfig.defaultVehicleType) {
+        const averageSpeed = routingConfig.averageSpeedKmph[vehicleType];
+        if (!averageSpeed) {
+            throw new Error(`Unknown vehicle type: ${vehicleType}`);
+        }
+        return averageSpeed;
     }
 
     /**
-     * Calculate distance estimate based on pincode difference
-     * This is also a simplified logic for demo purposes
+     * Road distance between two pincodes (haversine distance x road factor)
+     * 
+     * @param {string} fromPincode - Source pincode
+     * @param {string} toPincode - Destination pincode
+     * @returns {number} - Road distance in kilometers (unrounded)
+     */
+    static getRoadDistanceKm(fromPincode, toPincode) {
+        return PincodeService.getStraightLineDistanceKm(fromPincode, toPincode) * routingConfig.roadFactor;
+    }
+
+    /**
+     * Calculate estimated road distance between two pincodes
      * 
      * @param {string} fromPincode - Source pincode
      * @param {string} toPincode - Destination pincode
@@ -84,45 +112,196 @@ class RideCalculationService {
      */
     static calculateEstimatedDistance(fromPincode, toPincode) {
         try {
-            const duration = this.calculateEstimatedDuration(fromPincode, toPincode);
-
-            // Assume average speed of 50 km/h for estimation
-            const averageSpeed = 50;
+            if (!this.isValidPincode(fromPincode) || !this.isValidPincode(toPincode)) {
+                throw new Error('Invalid pincode format. Pincodes must be 6 digits.');
+            }
 
-            return Math.round(duration * averageSpeed);
+            return Math.round(this.getRoadDistanceKm(fromPincode, toPincode));
 
         } catch (error) {
             throw new Error(`Error calculating distance: ${error.message}`);
         }
     }
 
+    /**
+     * Plan a multi-stop route: per-leg distance and timing, stop ETAs and on-board load
+     * Dwell time is added at intermediate stops; arriving before a stop's window
+     * opens means waiting, arriving after it closes is an error.
+     * 
+     * @param {Array} stops - Ordered stops [{ pincode, type: 'pickup'|'drop', loadKg, windowStart, windowEnd }]
+     * @param {Date|string} startTime - Departure time from the first stop
+     * @param {string} vehicleType - Vehicle class (Light/Medium/Heavy Vehicle)
+     * @returns {Object} - { stops, legs, totalDistanceKm, estimatedRideDurationHours, endTime, peakLoadKg, estimated }
+     */
+    static planRoute(stops, startTime, vehicleType = routingConfig.defaultVehicleType) {
+        try {
+            if (!Array.isArray(stops) || stops.length < 2) {
+                throw new Error('A route needs at least 2 stops');
+            }
+
+            if (stops.length > routingConfig.maxStops) {
+                throw new Error(`A route cannot have more than ${routingConfig.maxStops} stops`);
+            }
+
+            const start = new Date(startTime);
+            if (isNaN(start.getTime())) {
+                throw new Error('Invalid start time format');
+            }
+
+            stops.forEach((stop, index) => {
+                const label = `Stop ${index + 1}`;
+                if (!this.isValidPincode(stop.pincode)) {
+                    throw new Error(`${label}: invalid pincode format. Pincodes must be 6 digits.`);
+                }
+                if (!['pickup', 'drop'].includes(stop.type)) {
+                    throw new Error(`${label}: type must be pickup or drop`);
+                }
+                if (stop.loadKg !== undefined && (typeof stop.loadKg !== 'number' || stop.loadKg < 0)) {
+                    throw new Error(`${label}: loadKg must be a non-negative number`);
+                }
+            });
+
+            if (stops[0].type !== 'pickup') {
+                throw new Error('The first stop must be a pickup');
+            }
+
+            if (stops[stops.length - 1].type !== 'drop') {
+                throw new Error('The last stop must be a drop');
+            }
+
+            const dwellMs = routingConfig.stopDwellMinutes * 60 * 1000;
+            const plannedStops = [];
+            const legs = [];
+            let cursor = start;
+            let onBoardLoadKg = 0;
+            let peakLoadKg = 0;
+            let totalDistanceKm = 0;
+
+            stops.forEach((stop, index) => {
+                const label = `Stop ${index + 1}`;
+                const windowStart = stop.windowStart ? new Date(stop.windowStart) : null;
+                const windowEnd = stop.windowEnd ? new Date(stop.windowEnd) : null;
+
+                if ((windowStart && isNaN(windowStart.getTime())) || (windowEnd && isNaN(windowEnd.getTime()))) {
+                    throw new Error(`${label}: invalid time window`);
+                }
+
+                if (windowStart && windowEnd && windowEnd <= windowStart) {
+                    throw new Error(`${label}: time window must end after it starts`);
+                }
+
+                // Wait for the window to open
+                const arrival = cursor;
+                const serviceStart = windowStart && windowStart > arrival ? windowStart : arrival;
+
+                if (windowEnd && serviceStart > windowEnd) {
+                    throw new Error(`${label} (${stop.pincode}) cannot be reached before its time window closes`);
+                }
+
+                const loadKg = stop.loadKg || 0;
+                onBoardLoadKg += stop.type === 'pickup' ? loadKg : -loadKg;
+                if (onBoardLoadKg < 0) {
+                    throw new Error(`${label} drops more load than is on board`);
+                }
+                peakLoadKg = Math.max(peakLoadKg, onBoardLoadKg);
+
+                const isIntermediate = index > 0 && index < stops.length - 1;
+                const departure = new Date(serviceStart.getTime() + (isIntermediate ? dwellMs : 0));
+
+                plannedStops.push({
+                    sequence: index + 1,
+                    pincode: stop.pincode,
+                    type: stop.type,
+                    loadKg,
+                    ...(windowStart && { windowStart }),
+                    ...(windowEnd && { windowEnd }),
+                    estimatedArrival: arrival,
+                    estimatedDeparture: departure
+                });
+
+                if (index === stops.length - 1) {
+                    cursor = arrival;
+                    return;
+                }
+
+                const nextStop = stops[index + 1];
+                const distanceKm = this.calculateEstimatedDistance(stop.pincode, nextStop.pincode);
+                const durationHours = this.calculateEstimatedDuration(stop.pincode, nextStop.pincode, vehicleType);
+                const legArrival = this.calculateEndTime(departure, durationHours);
+
+                legs.push({
+                    sequence: index + 1,
+                    fromPincode: stop.pincode,
+                    toPincode: nextStop.pincode,
+                    distanceKm,
+                    durationHours,
+                    departureTime: departure,
+                    arrivalTime: legArrival,
+                    onBoardLoadKg
+                });
+
+                totalDistanceKm += distanceKm;
+                cursor = legArrival;
+            });
+
+            if (onBoardLoadKg > 0) {
+                throw new Error(`${onBoardLoadKg} kg picked up is never dropped`);
+            }
+
+            const endTime = cursor;
+            const estimatedRideDurationHours = Math.round(((endTime - start) / (1000 * 60 * 60)) * 100) / 100;
+
+            return {
+                stops: plannedStops,
+                legs,
+                totalDistanceKm,
+                estimatedRideDurationHours,
+                endTime,
+                peakLoadKg,
+                // A stop outside the pincode directory was placed by estimate
+                estimated: stops.some(stop => !PincodeService.isKnownPincode(stop.pincode))
+            };
+
+        } catch (error) {
+            throw new Error(`Error planning route: ${error.message}`);
+        }
+    }
+
     /**
      * Get route information including duration, distance, and estimated cost
      * 
      * @param {string} fromPincode - Source pincode
      * @param {string} toPincode - Destination pincode
-     * @param {number} capacityKg - Vehicle capacity for cost calculation
+     * @param {number} capacityKg - Vehicle capacity, used to pick the vehicle class
+     * @param {Object} options - { startTime, tariff } (defaults to the configured tariff for the class)
      * @returns {Object} - Route information object
      */
-    static getRouteInfo(fromPincode, toPincode, capacityKg = 1000) {
+    static getRouteInfo(fromPincode, toPincode, capacityKg = 1000, options = {}) {
         try {
-            const duration = this.calculateEstimatedDuration(fromPincode, toPincode);
-            const distance = this.calculateEstimatedDistance(fromPincode, toPincode);
+            if (!this.isValidPincode(fromPincode) || !this.isValidPincode(toPincode)) {
+                throw new Error('Invalid pincode format. Pincodes must be 6 digits.');
+            }
 
-            // Simplified cost calculation: base rate + distance rate + capacity multiplier
-            const baseRate = 500; // Base rate in currency units
-            const perKmRate = 10; // Rate per kilometer
-            const capacityMultiplier = Math.max(1, capacityKg / 1000); // Scale with capacity
+            const vehicleType = Vehicle.getTypeForCapacity(capacityKg);
+            const duration = this.calculateEstimatedDuration(fromPincode, toPincode, vehicleType);
+            const distance = this.calculateEstimatedDistance(fromPincode, toPincode);
 
-            const estimatedCost = Math.round(baseRate + (distance * perKmRate * capacityMultiplier));
+            const tariff = options.tariff || pricingConfig.defaultTariffs[vehicleType];
+            const fare = calculateFare(tariff, {
+                distanceKm: distance,
+                startTime: options.startTime
+            });
 
             return {
                 fromPincode,
                 toPincode,
                 estimatedDurationHours: duration,
                 estimatedDistanceKm: distance,
-                estimatedCost,
-                route: `${fromPincode} → ${toPincode}`
+                estimatedCost: fare.total,
+                currency: fare.currency,
+                vehicleType,
+                route: `${fromPincode} → ${toPincode}`,
+                estimated: !PincodeService.isKnownPincode(fromPincode) || !PincodeService.isKnownPincode(toPincode)
             };
 
         } catch (error) {
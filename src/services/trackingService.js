@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const Driver = require('../models/Driver');
+const VehiclePosition = require('../models/VehiclePosition');
+const PincodeService = require('./pincodeService');
+const RideCalculationService = require('./rideCalculationService');
+const EventService = require('./eventService');
+const trackingConfig = require('../config/tracking');
+const routingConfig = require('../config/routing');
+const { EVENT_TYPES } = require('../config/events');
+const { trailDistanceKm, estimateProgress } = require('../utils/tracking');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Position in the shape returned by the API
+ */
+const toPoint = (position) => ({
+    latitude: position.latitude,
+    longitude: position.longitude,
+    speedKmh: position.speedKmh,
+    heading: position.heading,
+    recordedAt: position.recordedAt
+});
+
+class TrackingService {
+    /**
+     * Store position pings from a vehicle's telematics device
+     * Pings already stored for the same instant are skipped, so devices
+     * can safely retry an upload
+     *
+     * @param {string} vehicleId - Vehicle ID
+     * @param {Array} pings - [{ lat, lng, speed, heading, timestamp }]
+     * @returns {Object} - { accepted, duplicates }
+     */
+    static async recordPositions(vehicleId, pings) {
+        try {
+            const vehicle = await Vehicle.findById(vehicleId);
+            if (!vehicle) {
+                throw new Error('Vehicle not found');
+            }
+
+            const result = await VehiclePosition.bulkWrite(pings.map(ping => {
+                const recordedAt = new Date(ping.timestamp);
+
+                return {
+                    updateOne: {
+                        filter: { vehicleId: vehicle._id, recordedAt },
+                        update: {
+                            $setOnInsert: {
+                                vehicleId: vehicle._id,
+                                location: { type: 'Point', coordinates: [ping.lng, ping.lat] },
+                                speedKmh: ping.speed,
+                                heading: ping.heading,
+                                recordedAt
+                            }
+                        },
+                        upsert: true
+                    }
+                };
+            }), { ordered: false });
+
+            if (result.upsertedCount > 0) {
+                const latest = pings.reduce((newest, ping) => (
+                    new Date(ping.timestamp) > new Date(newest.timestamp) ? ping : newest
+                ));
+
+                EventService.publish(EVENT_TYPES.VEHICLE_LOCATION_UPDATED, {
+                    vehicleId: vehicle._id.toString(),
+                    latitude: latest.lat,
+                    longitude: latest.lng,
+                    speedKmh: latest.speed,
+                    heading: latest.heading,
+                    recordedAt: new Date(latest.timestamp)
+                }, { vehicleId: vehicle._id });
+            }
+
+            return {
+                accepted: result.upsertedCount,
+                duplicates: pings.length - result.upsertedCount
+            };
+
+        } catch (error) {
+            throw new Error(`Error recording vehicle positions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Whether a driver's login is the assigned driver of the vehicle's
+     * in-progress booking, and so may report positions for it
+     *
+     * @param {string} vehicleId - Vehicle ID
+     * @param {string} userId - User ID of the driver's login
+     * @returns {boolean}
+     */
+    static async isDrivingVehicle(vehicleId, userId) {
+        try {
+            const driver = await Driver.findOne({ userId }).select('_id');
+            if (!driver) {
+                return false;
+            }
+
+            const booking = await Booking.exists({ vehicleId, driverId: driver._id, status: 'in-progress' });
+            return Boolean(booking);
+
+        } catch (error) {
+            throw new Error(`Error checking the vehicle's driver: ${error.message}`);
+        }
+    }
+
+    /**
+     * Last-known position of a vehicle, with progress of its in-progress
+     * booking if it has one
+     *
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {Object} - { vehicleId, position, stale, activeBooking }
+     */
+    static async getLastKnownPosition(vehicleId) {
+        try {
+            const vehicle = await Vehicle.findById(vehicleId);
+            if (!vehicle) {
+                throw new Error('Vehicle not found');
+            }
+
+            const position = await VehiclePosition.findOne({ vehicleId: vehicle._id }).sort({ recordedAt: -1 });
+            if (!position) {
+                throw new Error('No position has been reported for this vehicle');
+            }
+
+            const booking = await Booking.findOne({ vehicleId: vehicle._id, status: 'in-progress' });
+
+            return {
+                vehicleId: vehicle._id,
+                vehicleName: vehicle.name,
+                position: toPoint(position),
+                stale: Date.now() - position.recordedAt.getTime() > trackingConfig.staleMinutes * MINUTE_MS,
+                activeBooking: booking ? this.getBookingProgress(booking, position, vehicle.type) : null
+            };
+
+        } catch (error) {
+            throw new Error(`Error fetching vehicle location: ${error.message}`);
+        }
+    }
+
+    /**
+     * Breadcrumb trail of a vehicle over a time range
+     *
+     * @param {string} vehicleId - Vehicle ID
+     * @param {Object} range - { from, to }, defaults to the last 24 hours
+     * @returns {Object} - { vehicleId, from, to, points, pointCount, distanceKm, truncated }
+     */
+    static async getTrack(vehicleId, range = {}) {
+        try {
+            const to = range.to ? new Date(range.to) : new Date();
+            const from = range.from ? new Date(range.from) : new Date(to.getTime() - 24 * HOUR_MS);
+
+            if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+                throw new Error('Invalid date range format');
+            }
+
+            if (to <= from) {
+                throw new Error('End date must be after start date');
+            }
+
+            if (to - from > trackingConfig.maxTrackHours * HOUR_MS) {
+                throw new Error(`Date range cannot exceed ${trackingConfig.maxTrackHours} hours`);
+            }
+
+            const vehicle = await Vehicle.findById(vehicleId);
+            if (!vehicle) {
+                throw new Error('Vehicle not found');
+            }
+
+            // One extra point tells whether the trail was cut short
+            const positions = await VehiclePosition.find({
+                vehicleId: vehicle._id,
+                recordedAt: { $gte: from, $lte: to }
+            })
+                .sort({ recordedAt: 1 })
+                .limit(trackingConfig.maxTrackPoints + 1);
+
+            const truncated = positions.length > trackingConfig.maxTrackPoints;
+            const points = positions.slice(0, trackingConfig.maxTrackPoints).map(toPoint);
+
+            return {
+                vehicleId: vehicle._id,
+                from,
+                to,
+                points,
+                pointCount: points.length,
+                distanceKm: Math.round(trailDistanceKm(points) * 100) / 100,
+                truncated
+            };
+
+        } catch (error) {
+            throw new Error(`Error fetching vehicle track: ${error.message}`);
+        }
+    }
+
+    /**
+     * New secret for a booking's public tracking link
+     *
+     * @returns {string} - URL-safe random token
+     */
+    static generatePublicToken() {
+        return crypto.randomBytes(trackingConfig.publicTokenBytes).toString('base64url');
+    }
+
+    /**
+     * Replace a booking's public tracking token, revoking the old link
+     * Also gives bookings created before tracking links existed their first one
+     *
+     * @param {string} bookingId - Booking ID
+     * @returns {Object} - Updated booking
+     */
+    static async rotatePublicToken(bookingId) {
+        try {
+            const booking = await Booking.findByIdAndUpdate(
+                bookingId,
+                { $set: { trackingToken: this.generatePublicToken() } },
+                { new: true }
+            ).populate('vehicleId');
+
+            if (!booking) {
+                throw new Error('Booking not found');
+            }
+
+            return booking;
+
+        } catch (error) {
+            throw new Error(`Error rotating tracking link: ${error.message}`);
+        }
+    }
+
+    /**
+     * Public view of a booking behind a tracking link
+     * Shared with recipients without an account, so it carries no customer
+     * or internal IDs; the vehicle's location is only shown while the
+     * booking is in progress
+     *
+     * @param {string} token - Public tracking token
+     * @returns {Object} - Status, schedule, ETA and last location
+     */
+    static async getPublicTracking(token) {
+        try {
+            const booking = typeof token === 'string' && token.length > 0
+                ? await Booking.findOne({ trackingToken: token }).populate('vehicleId', 'type')
+                : null;
+            if (!booking) {
+                throw new Error('Tracking link not found');
+            }
+
+            const tracking = {
+                status: booking.status,
+                vehicleType: booking.vehicleId ? booking.vehicleId.type : null,
+                fromPincode: booking.fromPincode,
+                toPincode: booking.toPincode,
+                scheduledStart: booking.startTime,
+                plannedEndTime: booking.endTime,
+                startedAt: booking.actualStartTime || null,
+                deliveredAt: booking.status === 'completed' ? booking.actualEndTime : null,
+                eta: booking.status === 'confirmed' ? booking.endTime : null,
+                delayMinutes: null,
+                progressPercent: booking.status === 'completed' ? 100 : null,
+                lastLocation: null
+            };
+
+            if (booking.status === 'in-progress' && booking.vehicleId) {
+                const position = await VehiclePosition.findOne({
+                    vehicleId: booking.vehicleId._id,
+                    recordedAt: { $gte: booking.actualStartTime || booking.startTime }
+                }).sort({ recordedAt: -1 });
+
+                if (position) {
+                    const progress = this.getBookingProgress(booking, position, booking.vehicleId.type);
+                    tracking.eta = progress.revisedEta;
+                    tracking.delayMinutes = progress.delayMinutes;
+                    tracking.progressPercent = progress.progressPercent;
+                    tracking.lastLocation = {
+                        latitude: position.latitude,
+                        longitude: position.longitude,
+                        recordedAt: position.recordedAt,
+                        stale: Date.now() - position.recordedAt.getTime() > trackingConfig.staleMinutes * MINUTE_MS
+                    };
+                } else {
+                    tracking.eta = booking.endTime;
+                }
+            }
+
+            return tracking;
+
+        } catch (error) {
+            throw new Error(`Error fetching tracking details: ${error.message}`);
+        }
+    }
+
+    /**
+     * Progress and revised ETA of a booking from a position
+     *
+     * @param {Object} booking - In-progress booking
+     * @param {Object} position - VehiclePosition document
+     * @param {string} vehicleType - Vehicle class, for the average speed
+     * @returns {Object} - Progress against the booking's destination
+     */
+    static getBookingProgress(booking, position, vehicleType) {
+        const legs = (booking.legs && booking.legs.length > 0
+            ? booking.legs
+            : [{
+                fromPincode: booking.fromPincode,
+                toPincode: booking.toPincode,
+                distanceKm: RideCalculationService.getRoadDistanceKm(booking.fromPincode, booking.toPincode)
+            }]
+        ).map(leg => ({
+            toPincode: leg.toPincode,
+            from: PincodeService.getPincode(leg.fromPincode),
+            to: PincodeService.getPincode(leg.toPincode),
+            distanceKm: leg.distanceKm
+        }));
+
+        const progress = estimateProgress({
+            position: { latitude: position.latitude, longitude: position.longitude, recordedAt: position.recordedAt },
+            legs,
+            averageSpeedKmph: RideCalculationService.getAverageSpeed(vehicleType),
+            roadFactor: routingConfig.roadFactor,
+            stopDwellMinutes: routingConfig.stopDwellMinutes
+        });
+
+        return {
+            bookingId: booking._id,
+            destinationPincode: booking.toPincode,
+            nextStopPincode: legs[progress.currentLegIndex].toPincode,
+            totalDistanceKm: progress.totalDistanceKm,
+            remainingDistanceKm: progress.remainingDistanceKm,
+            progressPercent: progress.progressPercent,
+            plannedEndTime: booking.endTime,
+            revisedEta: progress.eta,
+            delayMinutes: Math.round((progress.eta - booking.endTime) / MINUTE_MS)
+        };
+    }
+}
+
+module.exports = TrackingService;
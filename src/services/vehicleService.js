@@ -1,6 +1,35 @@
 const Vehicle = require('../models/Vehicle');
 const Booking = require('../models/Booking');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
 const RideCalculationService = require('./rideCalculationService');
+const PincodeService = require('./pincodeService');
+const PricingService = require('./pricingService');
+const EventService = require('./eventService');
+const bookingConfig = require('../config/booking');
+const { EVENT_TYPES } = require('../config/events');
+
+// Bookings that keep a vehicle from being booked again
+const BLOCKING_BOOKING_STATUSES = ['confirmed', 'in-progress'];
+
+// Fields an availability search can be sorted by
+const AVAILABILITY_SORT_FIELDS = ['capacityKg', 'name', 'createdAt', 'estimatedCost', 'estimatedRideDurationHours'];
+
+/**
+ * Query for the getAllVehicles filters (status, minCapacity)
+ */
+const buildVehicleQuery = (filters) => {
+    const query = {};
+
+    if (filters.status) {
+        query.status = filters.status;
+    }
+
+    if (filters.minCapacity) {
+        query.capacityKg = { $gte: parseInt(filters.minCapacity) };
+    }
+
+    return query;
+};
 
 class VehicleService {
     /**
@@ -30,24 +59,24 @@ class VehicleService {
      */
     static async getAllVehicles(filters = {}) {
         try {
-            const query = {};
-
-            // Add filters
-            if (filters.status) {
-                query.status = filters.status;
-            }
-
-            if (filters.minCapacity) {
-                query.capacityKg = { $gte: parseInt(filters.minCapacity) };
-            }
-
-            const vehicles = await Vehicle.find(query).sort({ createdAt: -1 });
+            const vehicles = await Vehicle.find(buildVehicleQuery(filters)).sort({ createdAt: -1 });
             return vehicles;
         } catch (error) {
             throw new Error(`Error fetching vehicles: ${error.message}`);
         }
     }
 
+    /**
+     * Cursor over the vehicles getAllVehicles returns, for exports too
+     * large to hold in memory
+     *
+     * @param {Object} filters - Filtering options, as for getAllVehicles
+     * @returns {Object} - Mongoose query cursor
+     */
+    static streamVehicles(filters = {}) {
+        return Vehicle.find(buildVehicleQuery(filters)).sort({ createdAt: -1 }).cursor();
+    }
+
     /**
      * Get vehicle by ID
      * 
@@ -71,94 +100,317 @@ class VehicleService {
      * Core logic for availability checking
      * 
      * @param {Object} criteria - Search criteria
+     * @param {Object} options - { sortBy, sortOrder, limit, offset }
      * @returns {Array} - Available vehicles with route info
      */
-    static async findAvailableVehicles(criteria) {
+    static async findAvailableVehicles(criteria, options = {}) {
+        const { vehicles } = await this.searchAvailableVehicles(criteria, options);
+        return vehicles;
+    }
+
+    /**
+     * Search available vehicles with sorting and pagination
+     * A single aggregation excludes vehicles with overlapping active bookings
+     * or maintenance, instead of one lookup per eligible vehicle
+     *
+     * @param {Object} criteria - Search criteria
+     * @param {Object} options - { sortBy, sortOrder, limit, offset }
+     * @returns {Object} - { vehicles, total, hasMore }
+     */
+    static async searchAvailableVehicles(criteria, options = {}) {
         try {
-            const { capacityRequired, fromPincode, toPincode, startTime } = criteria;
+            const { capacityRequired, fromPincode, toPincode, requestedStartTime } = this.parseSearchCriteria(criteria);
+            const { sortBy = 'capacityKg', sortOrder = 'asc', limit, offset = 0 } = options;
 
-            // Validate input
-            if (!capacityRequired || !fromPincode || !toPincode || !startTime) {
-                throw new Error('All search criteria are required');
+            if (!AVAILABILITY_SORT_FIELDS.includes(sortBy)) {
+                throw new Error(`Invalid sort field. Must be one of: ${AVAILABILITY_SORT_FIELDS.join(', ')}`);
             }
 
-            // Validate pincodes
-            if (!RideCalculationService.isValidPincode(fromPincode) ||
-                !RideCalculationService.isValidPincode(toPincode)) {
-                throw new Error('Invalid pincode format. Pincodes must be 6 digits.');
+            if (!['asc', 'desc'].includes(sortOrder)) {
+                throw new Error('Invalid sort order. Must be asc or desc');
             }
 
-            // Validate start time
-            const requestedStartTime = new Date(startTime);
-            if (isNaN(requestedStartTime.getTime())) {
-                throw new Error('Invalid start time format');
+            // Tariffs in force at the requested time, for cost estimates
+            const tariffs = await PricingService.getActiveTariffs(requestedStartTime);
+
+            // Duration, and so the requested slot, depends on the average
+            // speed of the vehicle class, so work it out once per class
+            const classes = Vehicle.VEHICLE_CLASSES.map(({ type, maxCapacityKg }) => {
+                const estimatedRideDurationHours = RideCalculationService.calculateEstimatedDuration(
+                    fromPincode,
+                    toPincode,
+                    type
+                );
+
+                return {
+                    type,
+                    maxCapacityKg,
+                    estimatedRideDurationHours,
+                    requestedEndTime: RideCalculationService.calculateEndTime(requestedStartTime, estimatedRideDurationHours),
+                    routeInfo: RideCalculationService.getRouteInfo(
+                        fromPincode,
+                        toPincode,
+                        maxCapacityKg,
+                        { startTime: requestedStartTime, tariff: tariffs[type] }
+                    )
+                };
+            });
+
+            const [result] = await Vehicle.aggregate(this.buildAvailabilityPipeline({
+                capacityRequired: Number(capacityRequired),
+                requestedStartTime,
+                classes,
+                sort: { [sortBy]: sortOrder === 'asc' ? 1 : -1, _id: 1 },
+                offset: Number(offset),
+                limit: limit ? Number(limit) : null
+            }));
+
+            const total = result.total.length > 0 ? result.total[0].count : 0;
+
+            const vehicles = result.vehicles.map(doc => {
+                const vehicle = Vehicle.hydrate(doc);
+                const vehicleClass = classes.find(({ type }) => type === vehicle.type);
+
+                return {
+                    ...vehicle.toObject(),
+                    estimatedRideDurationHours: vehicleClass.estimatedRideDurationHours,
+                    routeInfo: { ...vehicleClass.routeInfo },
+                    searchCriteria: {
+                        fromPincode,
+                        toPincode,
+                        requestedStartTime,
+                        requestedEndTime: vehicleClass.requestedEndTime
+                    }
+                };
+            });
+
+            return {
+                vehicles,
+                total,
+                hasMore: Number(offset) + vehicles.length < total
+            };
+
+        } catch (error) {
+            throw new Error(`Error finding available vehicles: ${error.message}`);
+        }
+    }
+
+    /**
+     * Aggregation pipeline for an availability search
+     *
+     * @param {Object} search - { capacityRequired, requestedStartTime, classes, sort, offset, limit }
+     * @returns {Array} - Pipeline producing one { vehicles, total } document
+     */
+    static buildAvailabilityPipeline({ capacityRequired, requestedStartTime, classes, sort, offset, limit }) {
+        // Value for the vehicle's class, looked up by the class index
+        const perClass = (value) => ({ $arrayElemAt: [classes.map(value), '$vehicleClass'] });
+
+        // Any record of a collection overlapping the vehicle's requested slot
+        const blockingLookup = (collection, query, as) => ({
+            $lookup: {
+                from: collection,
+                let: { vehicleId: '$_id', requestedEndTime: '$requestedEndTime' },
+                pipeline: [
+                    {
+                        $match: {
+                            ...query,
+                            endTime: { $gt: requestedStartTime },
+                            $expr: {
+                                $and: [
+                                    { $eq: ['$vehicleId', '$$vehicleId'] },
+                                    { $lt: ['$startTime', '$$requestedEndTime'] }
+                                ]
+                            }
+                        }
+                    },
+                    { $limit: 1 },
+                    { $project: { _id: 1 } }
+                ],
+                as
             }
+        });
 
-            if (requestedStartTime <= new Date()) {
-                throw new Error('Start time must be in the future');
+        const page = [{ $sort: sort }, { $skip: offset }];
+        if (limit) {
+            page.push({ $limit: limit });
+        }
+        page.push({
+            $project: {
+                vehicleClass: 0,
+                requestedEndTime: 0,
+                estimatedCost: 0,
+                estimatedRideDurationHours: 0,
+                blockingBookings: 0,
+                blockingMaintenance: 0
+            }
+        });
+
+        return [
+            { $match: { capacityKg: { $gte: capacityRequired }, status: 'active' } },
+            {
+                $addFields: {
+                    vehicleClass: {
+                        $switch: {
+                            branches: classes.slice(0, -1).map(({ maxCapacityKg }, index) => ({
+                                case: { $lte: ['$capacityKg', maxCapacityKg] },
+                                then: index
+                            })),
+                            default: classes.length - 1
+                        }
+                    }
+                }
+            },
+            {
+                $addFields: {
+                    requestedEndTime: perClass(({ requestedEndTime }) => requestedEndTime),
+                    estimatedRideDurationHours: perClass(({ estimatedRideDurationHours }) => estimatedRideDurationHours),
+                    estimatedCost: perClass(({ routeInfo }) => routeInfo.estimatedCost)
+                }
+            },
+            blockingLookup(Booking.collection.name, { status: { $in: BLOCKING_BOOKING_STATUSES } }, 'blockingBookings'),
+            blockingLookup(MaintenanceWindow.collection.name, {}, 'blockingMaintenance'),
+            { $match: { blockingBookings: { $size: 0 }, blockingMaintenance: { $size: 0 } } },
+            {
+                $facet: {
+                    vehicles: page,
+                    total: [{ $count: 'count' }]
+                }
             }
+        ];
+    }
 
-            // Calculate ride duration and end time
-            const estimatedRideDurationHours = RideCalculationService.calculateEstimatedDuration(
-                fromPincode,
-                toPincode
-            );
+    /**
+     * Suggest the nearest alternative start times at which at least one
+     * eligible vehicle is free, scanning forward and backward in steps
+     *
+     * @param {Object} criteria - Search criteria, as for findAvailableVehicles
+     * @param {Object} options - { stepMinutes, count, searchHours }
+     * @returns {Object} - { requestedStartTime, stepMinutes, searchHours, suggestions }
+     */
+    static async suggestAvailableSlots(criteria, options = {}) {
+        try {
+            const { capacityRequired, fromPincode, toPincode, requestedStartTime } = this.parseSearchCriteria(criteria);
 
-            const requestedEndTime = RideCalculationService.calculateEndTime(
-                requestedStartTime,
-                estimatedRideDurationHours
-            );
+            const stepMinutes = options.stepMinutes || bookingConfig.suggestionStepMinutes;
+            const count = options.count || bookingConfig.suggestionCount;
+            const searchHours = options.searchHours || bookingConfig.suggestionSearchHours;
+
+            const stepMs = stepMinutes * 60 * 1000;
+            const searchMs = searchHours * 60 * 60 * 1000;
+            const now = new Date();
+
+            const result = { requestedStartTime, stepMinutes, searchHours, suggestions: [] };
 
-            // Find vehicles with sufficient capacity and active status
             const eligibleVehicles = await Vehicle.find({
                 capacityKg: { $gte: capacityRequired },
                 status: 'active'
             });
 
             if (eligibleVehicles.length === 0) {
-                return [];
+                return result;
             }
 
-            // Check availability for each eligible vehicle
-            const availableVehicles = [];
+            // Load the bookings and maintenance of all eligible vehicles over
+            // the whole scan range once, with the same overlap queries used
+            // for a single slot
+            const scanStart = new Date(Math.max(requestedStartTime.getTime() - searchMs, now.getTime()));
+            const scanEnd = new Date(requestedStartTime.getTime() + searchMs);
 
-            for (const vehicle of eligibleVehicles) {
-                const overlappingBookings = await Booking.findOverlappingBookings(
-                    vehicle._id,
-                    requestedStartTime,
-                    requestedEndTime
-                );
+            const durations = eligibleVehicles.map(vehicle => RideCalculationService.calculateEstimatedDuration(
+                fromPincode,
+                toPincode,
+                vehicle.type
+            ) * 60 * 60 * 1000);
+            const rangeEnd = new Date(scanEnd.getTime() + Math.max(...durations));
+            const vehicleIds = eligibleVehicles.map(vehicle => vehicle._id);
+
+            const [bookings, maintenanceWindows] = await Promise.all([
+                Booking.findOverlappingBookings(vehicleIds, scanStart, rangeEnd),
+                MaintenanceWindow.findOverlappingWindows(vehicleIds, scanStart, rangeEnd)
+            ]);
+
+            const busyByVehicle = new Map(vehicleIds.map(vehicleId => [vehicleId.toString(), []]));
+            for (const entry of [...bookings, ...maintenanceWindows]) {
+                busyByVehicle.get(entry.vehicleId.toString()).push(entry);
+            }
 
-                // If no overlapping bookings, vehicle is available
-                if (overlappingBookings.length === 0) {
-                    // Add route information
-                    const routeInfo = RideCalculationService.getRouteInfo(
-                        fromPincode,
-                        toPincode,
-                        vehicle.capacityKg
-                    );
-
-                    availableVehicles.push({
-                        ...vehicle.toObject(),
-                        estimatedRideDurationHours,
-                        routeInfo,
-                        searchCriteria: {
-                            fromPincode,
-                            toPincode,
-                            requestedStartTime,
-                            requestedEndTime
-                        }
+            const vehicles = eligibleVehicles.map((vehicle, index) => ({
+                vehicle,
+                durationMs: durations[index],
+                busy: busyByVehicle.get(vehicle._id.toString())
+            }));
+
+            // Nearest first: +1 step, -1 step, +2 steps, -2 steps, ...
+            const maxSteps = Math.floor(searchMs / stepMs);
+            for (let step = 1; step <= maxSteps && result.suggestions.length < count; step++) {
+                for (const direction of [1, -1]) {
+                    const offsetMs = direction * step * stepMs;
+                    const slotStart = new Date(requestedStartTime.getTime() + offsetMs);
+
+                    if (slotStart <= now || result.suggestions.length >= count) {
+                        continue;
+                    }
+
+                    const freeVehicles = vehicles.filter(({ durationMs, busy }) => {
+                        const slotEnd = slotStart.getTime() + durationMs;
+                        return !busy.some(entry => entry.startTime < slotEnd && entry.endTime > slotStart);
                     });
+
+                    if (freeVehicles.length > 0) {
+                        result.suggestions.push({
+                            startTime: slotStart,
+                            offsetMinutes: offsetMs / (60 * 1000),
+                            availableVehicles: freeVehicles.length,
+                            vehicleIds: freeVehicles.map(({ vehicle }) => vehicle._id)
+                        });
+                    }
                 }
             }
 
-            return availableVehicles;
+            return result;
 
         } catch (error) {
-            throw new Error(`Error finding available vehicles: ${error.message}`);
+            throw new Error(`Error suggesting available slots: ${error.message}`);
         }
     }
 
+    /**
+     * Validate availability search criteria
+     *
+     * @param {Object} criteria - { capacityRequired, fromPincode, toPincode, startTime }
+     * @returns {Object} - Criteria with the start time parsed as requestedStartTime
+     */
+    static parseSearchCriteria(criteria) {
+        const { capacityRequired, fromPincode, toPincode, startTime } = criteria;
+
+        // Validate input
+        if (!capacityRequired || !fromPincode || !toPincode || !startTime) {
+            throw new Error('All search criteria are required');
+        }
+
+        // Validate pincodes
+        if (!RideCalculationService.isValidPincode(fromPincode) ||
+            !RideCalculationService.isValidPincode(toPincode)) {
+            throw new Error('Invalid pincode format. Pincodes must be 6 digits.');
+        }
+
+        // Fail fast on pincodes missing from the directory
+        PincodeService.getPincode(fromPincode);
+        PincodeService.getPincode(toPincode);
+
+        // Validate start time
+        const requestedStartTime = new Date(startTime);
+        if (isNaN(requestedStartTime.getTime())) {
+            throw new Error('Invalid start time format');
+        }
+
+        if (requestedStartTime <= new Date()) {
+            throw new Error('Start time must be in the future');
+        }
+
+        return { capacityRequired, fromPincode, toPincode, requestedStartTime };
+    }
+
     /**
      * Update vehicle status
      * 
@@ -178,6 +430,8 @@ class VehicleService {
                 throw new Error('Vehicle not found');
             }
 
+            this.publishStatusChanged(vehicle);
+
             return vehicle;
         } catch (error) {
             throw new Error(`Error updating vehicle status: ${error.message}`);
@@ -254,11 +508,27 @@ class VehicleService {
                 throw new Error('Vehicle not found');
             }
 
+            this.publishStatusChanged(vehicle);
+
             return vehicle;
         } catch (error) {
             throw new Error(`Error deleting vehicle: ${error.message}`);
         }
     }
+
+    /**
+     * Publish a vehicle.status_changed event
+     *
+     * @param {Object} vehicle - Updated vehicle
+     */
+    static publishStatusChanged(vehicle) {
+        EventService.publish(EVENT_TYPES.VEHICLE_STATUS_CHANGED, {
+            vehicleId: vehicle._id.toString(),
+            vehicleName: vehicle.name,
+            registrationNumber: vehicle.registrationNumber,
+            status: vehicle.status
+        }, { vehicleId: vehicle._id });
+    }
 }
 
 module.exports = VehicleService;
\ No newline at end of file
@@ -0,0 +1,240 @@
+const { Readable } = require('stream');
+const Vehicle = require('../models/Vehicle');
+const VehicleService = require('./vehicleService');
+const { readImportFile } = require('../utils/importFile');
+const { formatCsvRow, unescapeCsvFormula } = require('../utils/csv');
+const { validateVehicleData } = require('../utils/validation');
+
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+
+// Columns of an export; an exported file can be imported again as it is
+const EXPORT_COLUMNS = ['id', 'registrationNumber', 'name', 'capacityKg', 'tyres', 'status', 'type', 'createdAt', 'updatedAt'];
+
+// Fields an import sets, keyed on registrationNumber; status is optional
+const IMPORT_FIELDS = ['name', 'capacityKg', 'tyres', 'status'];
+const REQUIRED_COLUMNS = ['registrationNumber', 'name', 'capacityKg', 'tyres'];
+
+/**
+ * Trimmed text of an imported value, without the formula escape of an export
+ */
+const toText = (value) => (value === undefined || value === null ? '' : unescapeCsvFormula(String(value).trim()));
+
+/**
+ * Vehicle fields of an imported row, with numbers parsed from text
+ */
+const toVehicleData = (record) => {
+    const data = {
+        registrationNumber: toText(record.registrationNumber),
+        name: toText(record.name)
+    };
+
+    ['capacityKg', 'tyres'].forEach((field) => {
+        const text = toText(record[field]);
+        data[field] = text === '' ? undefined : Number(text);
+    });
+
+    // A blank status keeps the current one (active for new vehicles)
+    const status = toText(record.status);
+    if (status) {
+        data.status = status;
+    }
+
+    return data;
+};
+
+/**
+ * Exported fields of a vehicle
+ */
+const toExportRecord = (vehicle) => {
+    const record = {};
+    EXPORT_COLUMNS.forEach((column) => {
+        record[column] = column === 'id' ? vehicle._id.toString() : vehicle[column];
+    });
+    return record;
+};
+
+class VehicleSyncService {
+    /**
+     * Read vehicle rows from an uploaded .csv, .xlsx or .json file
+     *
+     * @param {Object} file - { buffer, originalname }
+     * @returns {Array} - Row objects keyed by column
+     */
+    static async parseFile(file) {
+        try {
+            return await readImportFile(file, REQUIRED_COLUMNS);
+        } catch (error) {
+            throw new Error(`Error reading import file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create or update vehicles by registrationNumber, or check the rows with dryRun
+     * Every row is checked with validateVehicleData; invalid rows are
+     * reported and left out while the other rows are applied. Vehicles
+     * the file does not mention are left alone
+     *
+     * @param {Array} records - Rows with registrationNumber and the IMPORT_FIELDS
+     * @param {Object} options - { dryRun }
+     * @returns {Object} - { dryRun, summary, rows }
+     */
+    static async importVehicles(records, options = {}) {
+        try {
+            const { dryRun = false } = options;
+
+            const rows = await this.checkRows(records);
+
+            if (!dryRun) {
+                await this.applyRows(rows);
+            }
+
+            const count = (status) => rows.filter(row => row.status === status).length;
+            const invalid = count('invalid');
+
+            return {
+                dryRun,
+                summary: {
+                    total: rows.length,
+                    valid: rows.length - invalid,
+                    invalid,
+                    created: count('created'),
+                    updated: count('updated'),
+                    unchanged: count('unchanged'),
+                    failed: count('failed')
+                },
+                rows: rows.map(({ data, vehicle, ...row }) => row)
+            };
+        } catch (error) {
+            throw new Error(`Error importing vehicles: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check every row and work out what it would change, without writing
+     *
+     * @param {Array} records - Imported rows
+     * @returns {Array} - { row, registrationNumber, status: valid | invalid, action: create | update | none, changes, errors }
+     */
+    static async checkRows(records) {
+        const rows = records.map((record, index) => {
+            const data = toVehicleData(record);
+            // Header row is row 1
+            return { row: index + 2, registrationNumber: data.registrationNumber, status: 'invalid', errors: [], data };
+        });
+
+        const registrationNumbers = [...new Set(rows.map(row => row.registrationNumber).filter(Boolean))];
+        const existing = await Vehicle.find({ registrationNumber: { $in: registrationNumbers } });
+        const vehiclesByRegistration = new Map(existing.map(vehicle => [vehicle.registrationNumber, vehicle]));
+
+        const seen = new Map();
+
+        rows.forEach((result) => {
+            const { data } = result;
+
+            if (!data.registrationNumber) {
+                result.errors.push('Registration number is required');
+            } else if (seen.has(data.registrationNumber)) {
+                result.errors.push(`Registration number repeats row ${seen.get(data.registrationNumber)}`);
+            } else {
+                seen.set(data.registrationNumber, result.row);
+            }
+
+            result.errors.push(...validateVehicleData(data).errors);
+            if (result.errors.length > 0) {
+                return;
+            }
+
+            const vehicle = vehiclesByRegistration.get(data.registrationNumber);
+            result.status = 'valid';
+
+            if (!vehicle) {
+                result.action = 'create';
+                result.changes = IMPORT_FIELDS.filter(field => data[field] !== undefined);
+                return;
+            }
+
+            result.vehicle = vehicle;
+            result.vehicleId = vehicle._id;
+            result.changes = IMPORT_FIELDS.filter(field => data[field] !== undefined && data[field] !== vehicle[field]);
+            result.action = result.changes.length > 0 ? 'update' : 'none';
+        });
+
+        return rows;
+    }
+
+    /**
+     * Write the valid rows in file order; a failed row does not stop the others
+     *
+     * @param {Array} rows - Checked rows
+     */
+    static async applyRows(rows) {
+        for (const row of rows.filter(candidate => candidate.status === 'valid')) {
+            try {
+                if (row.action === 'create') {
+                    const vehicle = await VehicleService.createVehicle(row.data);
+                    row.vehicleId = vehicle._id;
+                    row.status = 'created';
+                } else if (row.action === 'update') {
+                    const { vehicle } = row;
+                    row.changes.forEach((field) => { vehicle[field] = row.data[field]; });
+                    await vehicle.save();
+
+                    if (row.changes.includes('status')) {
+                        VehicleService.publishStatusChanged(vehicle);
+                    }
+                    row.status = 'updated';
+                } else {
+                    row.status = 'unchanged';
+                }
+            } catch (error) {
+                row.status = 'failed';
+                row.errors = [error.message];
+            }
+        }
+    }
+
+    /**
+     * Stream the vehicles getAllVehicles returns as CSV, a JSON array or NDJSON
+     *
+     * @param {Object} filters - Filtering options, as for getAllVehicles
+     * @param {string} format - csv, json or ndjson
+     * @returns {Object} - Readable stream of the export text
+     */
+    static exportVehicles(filters = {}, format = 'csv') {
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw new Error(`Invalid format: use one of ${EXPORT_FORMATS.join(', ')}`);
+        }
+
+        const cursor = VehicleService.streamVehicles(filters);
+
+        async function* lines() {
+            if (format === 'csv') {
+                yield formatCsvRow(EXPORT_COLUMNS);
+            } else if (format === 'json') {
+                yield '[';
+            }
+
+            let first = true;
+            for await (const vehicle of cursor) {
+                const record = toExportRecord(vehicle);
+
+                if (format === 'csv') {
+                    yield formatCsvRow(EXPORT_COLUMNS.map(column => record[column]));
+                } else if (format === 'json') {
+                    yield `${first ? '' : ','}\n${JSON.stringify(record)}`;
+                } else {
+                    yield `${JSON.stringify(record)}\n`;
+                }
+                first = false;
+            }
+
+            if (format === 'json') {
+                yield '\n]\n';
+            }
+        }
+
+        return Readable.from(lines());
+    }
+}
+
+module.exports = VehicleSyncService;
@@ -0,0 +1,529 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Booking = require('../models/Booking');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookConfig = require('../config/webhooks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A claimed delivery is not picked up again while its attempt can still be in flight
+const CLAIM_LEASE_MS = webhookConfig.timeoutMs * 2;
+
+// Outbox events younger than this are left to the change that wrote them
+const OUTBOX_GRACE_MS = 60 * 1000;
+
+// Fields a webhook can be updated with; the secret is fixed when created
+const UPDATABLE_FIELDS = ['url', 'eventTypes', 'customerId', 'description', 'isActive'];
+
+let dispatcherTimer = null;
+let dispatching = false;
+
+/**
+ * POST a JSON body, resolving with the response status or the error
+ * Never rejects; a failed request is a failed attempt
+ */
+const postJson = (url, body, headers) => new Promise((resolve) => {
+    const startedAt = Date.now();
+    const finish = (result) => resolve({ ...result, durationMs: Date.now() - startedAt });
+
+    let request;
+    try {
+        const client = new URL(url).protocol === 'https:' ? https : http;
+        request = client.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }
+        }, (response) => {
+            // Drain the body so the socket is released
+            response.resume();
+            finish({ statusCode: response.statusCode });
+        });
+    } catch (error) {
+        finish({ error: error.message });
+        return;
+    }
+
+    request.setTimeout(webhookConfig.timeoutMs, () => {
+        request.destroy(new Error(`Timed out after ${webhookConfig.timeoutMs} ms`));
+    });
+    request.on('error', error => finish({ error: error.message }));
+    request.end(body);
+});
+
+class WebhookService {
+    /**
+     * Register a webhook and generate its signing secret
+     *
+     * @param {Object} webhookData - { url, eventTypes, customerId, description }
+     * @param {Object} actor - User creating the webhook (optional)
+     * @returns {Object} - { webhook, secret }; the secret cannot be retrieved again
+     */
+    static async createWebhook(webhookData, actor = null) {
+        try {
+            const { url, eventTypes, customerId, description } = webhookData;
+            const secret = crypto.randomBytes(webhookConfig.secretBytes).toString('hex');
+
+            const webhook = new Webhook({
+                url,
+                eventTypes,
+                secret,
+                ...(customerId && { customerId }),
+                description,
+                ...(actor && { createdBy: actor._id })
+            });
+            await webhook.save();
+
+            return { webhook, secret };
+
+        } catch (error) {
+            throw new Error(`Error creating webhook: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get webhooks with optional filtering
+     *
+     * @param {Object} filters - { isActive, customerId }
+     * @returns {Array} - Webhooks
+     */
+    static async getWebhooks(filters = {}) {
+        try {
+            const query = {};
+            if (filters.isActive !== undefined) query.isActive = filters.isActive;
+            if (filters.customerId) query.customerId = filters.customerId;
+
+            return await Webhook.find(query).sort({ createdAt: -1 });
+        } catch (error) {
+            throw new Error(`Error fetching webhooks: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get webhook by ID
+     *
+     * @param {string} webhookId - Webhook ID
+     * @returns {Object} - Webhook
+     */
+    static async getWebhookById(webhookId) {
+        try {
+            const webhook = await Webhook.findById(webhookId);
+            if (!webhook) {
+                throw new Error('Webhook not found');
+            }
+            return webhook;
+        } catch (error) {
+            throw new Error(`Error fetching webhook: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a webhook
+     *
+     * @param {string} webhookId - Webhook ID
+     * @param {Object} updateData - Any of url, eventTypes, customerId, description, isActive
+     * @returns {Object} - Updated webhook
+     */
+    static async updateWebhook(webhookId, updateData) {
+        try {
+            const update = { $set: {}, $unset: {} };
+            UPDATABLE_FIELDS
+                .filter(field => updateData[field] !== undefined)
+                .forEach(field => {
+                    // An empty customerId removes the customer filter
+                    if (field === 'customerId' && !updateData.customerId) {
+                        update.$unset.customerId = 1;
+                    } else {
+                        update.$set[field] = updateData[field];
+                    }
+                });
+
+            Object.keys(update)
+                .filter(operator => Object.keys(update[operator]).length === 0)
+                .forEach(operator => delete update[operator]);
+
+            const webhook = await Webhook.findByIdAndUpdate(
+                webhookId,
+                update,
+                { new: true, runValidators: true }
+            );
+
+            if (!webhook) {
+                throw new Error('Webhook not found');
+            }
+
+            return webhook;
+        } catch (error) {
+            throw new Error(`Error updating webhook: ${error.message}`);
+        }
+    }
+
+    /**
+     * Deactivate a webhook (soft delete); its pending deliveries are dead-lettered
+     * when they come up
+     *
+     * @param {string} webhookId - Webhook ID
+     * @returns {Object} - Updated webhook
+     */
+    static async deactivateWebhook(webhookId) {
+        return this.updateWebhook(webhookId, { isActive: false });
+    }
+
+    /**
+     * Queue deliveries of an event to every active webhook subscribed to it
+     *
+     * @param {Object} event - Event from EventService.publish
+     * @returns {number} - Deliveries queued
+     */
+    static async enqueueEvent(event) {
+        try {
+            if (!webhookConfig.WEBHOOK_EVENT_TYPES.includes(event.type)) {
+                return 0;
+            }
+
+            // Webhooks without a customer filter match every customer
+            const webhooks = await Webhook.find({
+                isActive: true,
+                eventTypes: event.type,
+                customerId: { $in: [null, event.customerId] }
+            });
+
+            if (webhooks.length === 0) {
+                return 0;
+            }
+
+            try {
+                await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+                    webhookId: webhook._id,
+                    eventId: event.id,
+                    eventType: event.type,
+                    payload: {
+                        id: event.id,
+                        type: event.type,
+                        occurredAt: event.occurredAt,
+                        data: event.data
+                    }
+                })), { ordered: false });
+            } catch (error) {
+                // Deliveries already queued for the event are kept as they are
+                if (error.code !== 11000) {
+                    throw error;
+                }
+            }
+
+            return webhooks.length;
+        } catch (error) {
+            throw new Error(`Error queueing webhook deliveries: ${error.message}`);
+        }
+    }
+
+    /**
+     * Queue deliveries for events from a booking's webhook outbox, then
+     * remove the events from the outbox
+     * The outbox entry ID is the event ID, so an event queued twice (by the
+     * change and by the sweep) is only delivered once
+     *
+     * @param {string} bookingId - Booking ID
+     * @param {Array} events - Outbox entries { _id, type, data, occurredAt }
+     */
+    static async queueOutboxEvents(bookingId, events) {
+        for (const event of events) {
+            await this.enqueueEvent({
+                id: event._id.toString(),
+                type: event.type,
+                occurredAt: event.occurredAt,
+                customerId: event.data.customerId,
+                data: event.data
+            });
+        }
+
+        await Booking.updateOne(
+            { _id: bookingId },
+            { $pull: { webhookOutbox: { _id: { $in: events.map(event => event._id) } } } }
+        );
+    }
+
+    /**
+     * Queue outbox events a booking change left behind, e.g. when queueing
+     * failed or the process stopped after the change was saved
+     *
+     * @param {number} limit - Most bookings to sweep
+     * @returns {number} - Events queued
+     */
+    static async sweepOutbox(limit = webhookConfig.batchSize) {
+        try {
+            const cutoff = new Date(Date.now() - OUTBOX_GRACE_MS);
+            const bookings = await Booking.find({ 'webhookOutbox.occurredAt': { $lte: cutoff } })
+                .select('webhookOutbox')
+                .limit(limit)
+                .lean();
+
+            let queued = 0;
+            for (const booking of bookings) {
+                const events = booking.webhookOutbox.filter(event => event.occurredAt <= cutoff);
+                await this.queueOutboxEvents(booking._id, events);
+                queued += events.length;
+            }
+
+            return queued;
+        } catch (error) {
+            throw new Error(`Error sweeping the webhook outbox: ${error.message}`);
+        }
+    }
+
+    /**
+     * Send due deliveries from the outbox, one at a time
+     *
+     * @param {number} limit - Most deliveries to send
+     * @returns {Object} - { processed, delivered, failed }
+     */
+    static async processDueDeliveries(limit = webhookConfig.batchSize) {
+        const summary = { processed: 0, delivered: 0, failed: 0 };
+
+        while (summary.processed < limit) {
+            const delivery = await this.claimNextDelivery();
+            if (!delivery) {
+                break;
+            }
+
+            const result = await this.attemptDelivery(delivery);
+            summary.processed += 1;
+            if (result.status === 'delivered') {
+                summary.delivered += 1;
+            } else {
+                summary.failed += 1;
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Claim the oldest due delivery so no other dispatcher sends it
+     *
+     * @returns {Object|null} - Claimed delivery
+     */
+    static async claimNextDelivery() {
+        const now = new Date();
+
+        return WebhookDelivery.findOneAndUpdate(
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        );
+    }
+
+    /**
+     * Send a claimed delivery once and record the outcome
+     * A failed attempt is retried with exponential backoff until the
+     * attempts run out, then the delivery is dead-lettered
+     *
+     * @param {Object} delivery - Claimed WebhookDelivery
+     * @param {Object} options - { manual }
+     * @returns {Object} - Updated delivery
+     */
+    static async attemptDelivery(delivery, options = {}) {
+        const now = new Date();
+        const expiresAt = new Date(now.getTime() + webhookConfig.deliveryRetentionDays * DAY_MS);
+
+        const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+        if (!webhook || !webhook.isActive) {
+            return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+                $set: { status: 'dead', lastError: 'Webhook is inactive', expiresAt }
+            }, { new: true });
+        }
+
+        const result = await this.send(webhook, delivery);
+        const attempts = delivery.attempts + 1;
+        const succeeded = result.statusCode >= 200 && result.statusCode < 300;
+        const error = succeeded ? null : (result.error || `Receiver responded with status ${result.statusCode}`);
+
+        const update = {
+            status: 'pending',
+            attempts,
+            lastAttemptAt: now,
+            lastStatusCode: result.statusCode || null,
+            lastError: error
+        };
+
+        if (succeeded) {
+            Object.assign(update, { status: 'delivered', deliveredAt: new Date(), expiresAt });
+        } else if (attempts >= webhookConfig.maxAttempts) {
+            Object.assign(update, { status: 'dead', expiresAt });
+        } else {
+            update.nextAttemptAt = new Date(now.getTime() + this.getRetryDelayMs(attempts));
+        }
+
+        return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+            $set: update,
+            $push: {
+                attemptLog: {
+                    attemptedAt: now,
+                    statusCode: result.statusCode,
+                    error: error || undefined,
+                    durationMs: result.durationMs,
+                    manual: Boolean(options.manual)
+                }
+            }
+        }, { new: true });
+    }
+
+    /**
+     * POST a delivery to its webhook, signed with the webhook's secret
+     *
+     * @param {Object} webhook - Webhook with its secret selected
+     * @param {Object} delivery - WebhookDelivery
+     * @returns {Object} - { statusCode, error, durationMs }
+     */
+    static async send(webhook, delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        return postJson(webhook.url, body, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'FleetLink-Webhooks/1.0',
+            'X-FleetLink-Event': delivery.eventType,
+            'X-FleetLink-Delivery': delivery._id.toString(),
+            'X-FleetLink-Signature': `t=${timestamp},v1=${this.signPayload(webhook.secret, timestamp, body)}`
+        });
+    }
+
+    /**
+     * HMAC-SHA256 signature of a delivery body
+     * Receivers recompute it over "<t>.<raw body>" with their secret and
+     * compare it to v1 in the X-FleetLink-Signature header
+     *
+     * @param {string} secret - Webhook secret
+     * @param {number} timestamp - Unix seconds, the header's t value
+     * @param {string} body - Raw request body
+     * @returns {string} - Hex signature
+     */
+    static signPayload(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    /**
+     * Delay before retrying after a number of failed attempts
+     *
+     * @param {number} attempts - Failed attempts so far
+     * @returns {number} - Milliseconds
+     */
+    static getRetryDelayMs(attempts) {
+        const seconds = webhookConfig.retryBaseSeconds * Math.pow(2, attempts - 1);
+        return Math.min(seconds, webhookConfig.retryMaxSeconds) * 1000;
+    }
+
+    /**
+     * Delivery log of a webhook, newest first
+     *
+     * @param {string} webhookId - Webhook ID
+     * @param {Object} options - { status, limit, offset }
+     * @returns {Object} - { deliveries, total, hasMore }
+     */
+    static async getDeliveries(webhookId, options = {}) {
+        try {
+            const { status, limit = 20, offset = 0 } = options;
+
+            if (status && !WebhookDelivery.DELIVERY_STATUSES.includes(status)) {
+                throw new Error(`Invalid delivery status: must be one of ${WebhookDelivery.DELIVERY_STATUSES.join(', ')}`);
+            }
+
+            const webhook = await Webhook.findById(webhookId);
+            if (!webhook) {
+                throw new Error('Webhook not found');
+            }
+
+            const query = { webhookId: webhook._id };
+            if (status) query.status = status;
+
+            const [deliveries, total] = await Promise.all([
+                WebhookDelivery.find(query).sort({ createdAt: -1 }).skip(offset).limit(limit),
+                WebhookDelivery.countDocuments(query)
+            ]);
+
+            return { deliveries, total, hasMore: offset + deliveries.length < total };
+        } catch (error) {
+            throw new Error(`Error fetching webhook deliveries: ${error.message}`);
+        }
+    }
+
+    /**
+     * Send a delivery again now, whatever its status
+     * A dead delivery that fails again stays dead; any other failure is
+     * retried on the usual schedule
+     *
+     * @param {string} webhookId - Webhook ID
+     * @param {string} deliveryId - Delivery ID
+     * @returns {Object} - Updated delivery
+     */
+    static async redeliver(webhookId, deliveryId) {
+        try {
+            const webhook = await Webhook.findById(webhookId);
+            if (!webhook) {
+                throw new Error('Webhook not found');
+            }
+
+            if (!webhook.isActive) {
+                throw new Error('Cannot redeliver to an inactive webhook');
+            }
+
+            // Claimed like the dispatcher does, so it is not sent twice at once
+            const delivery = await WebhookDelivery.findOneAndUpdate(
+                { _id: deliveryId, webhookId: webhook._id },
+                {
+                    $set: { status: 'pending', nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS) },
+                    $unset: { expiresAt: 1 }
+                },
+                { new: true }
+            );
+
+            if (!delivery) {
+                throw new Error('Webhook delivery not found');
+            }
+
+            return await this.attemptDelivery(delivery, { manual: true });
+        } catch (error) {
+            throw new Error(`Error redelivering webhook: ${error.message}`);
+        }
+    }
+
+    /**
+     * Start sweeping the booking outbox and sending due deliveries in the
+     * background
+     */
+    static startDispatcher() {
+        if (dispatcherTimer) {
+            return;
+        }
+
+        dispatcherTimer = setInterval(async () => {
+            // Skip a tick while the previous run is still sending
+            if (dispatching) {
+                return;
+            }
+
+            dispatching = true;
+            try {
+                await this.sweepOutbox();
+                await this.processDueDeliveries();
+            } catch (error) {
+                console.error('Webhook dispatch failed:', error.message);
+            } finally {
+                dispatching = false;
+            }
+        }, webhookConfig.pollIntervalMs);
+
+        // Do not keep the process alive just for the dispatcher
+        dispatcherTimer.unref();
+    }
+
+    /**
+     * Stop the background dispatcher
+     */
+    static stopDispatcher() {
+        clearInterval(dispatcherTimer);
+        dispatcherTimer = null;
+    }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,105 @@
+/**
+ * CSV utility functions
+ */
+
+/**
+ * Split CSV text into rows of raw field values.
+ * Supports quoted fields, escaped quotes ("") and CRLF line endings.
+ */
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field.length > 0 || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim().length > 0));
+};
+
+/**
+ * Turn rows of field values, the first holding the headers, into an array of objects
+ */
+const rowsToRecords = (rows) => {
+    if (rows.length === 0) {
+        return [];
+    }
+
+    const headers = rows[0].map(header => header.trim());
+
+    return rows.slice(1).map(values => {
+        const record = {};
+        headers.forEach((header, index) => {
+            record[header] = values[index] !== undefined ? values[index].trim() : '';
+        });
+        return record;
+    });
+};
+
+/**
+ * Parse CSV text with a header row into an array of objects
+ */
+const parseCsv = (text) => rowsToRecords(parseCsvRows(text.replace(/^\uFEFF/, '')));
+
+// Leading characters spreadsheets read as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format one CSV line, quoting fields that hold commas, quotes or line breaks.
+ * Null and undefined become empty fields and dates ISO strings. Text that
+ * a spreadsheet would run as a formula is prefixed with ' so it stays text
+ */
+const formatCsvRow = (values) => values.map(value => {
+    if (value === null || value === undefined) return '';
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',') + '\r\n';
+
+/**
+ * Undo the ' formatCsvRow puts before formula-like text
+ */
+const unescapeCsvFormula = (text) => (text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text);
+
+module.exports = {
+    parseCsvRows,
+    rowsToRecords,
+    parseCsv,
+    formatCsvRow,
+    unescapeCsvFormula
+};
@@ -0,0 +1,152 @@
+const pricingConfig = require('../config/pricing');
+
+/**
+ * Fare calculation utilities
+ * Pure functions shared by route estimates, quotes and bookings
+ */
+
+/**
+ * Round an amount to 2 decimal places
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Convert a date to the pricing time zone, read through getUTC* methods
+ */
+const toLocalTime = (date, offsetMinutes = pricingConfig.timezoneOffsetMinutes) => {
+    return new Date(new Date(date).getTime() + offsetMinutes * 60 * 1000);
+};
+
+/**
+ * Check whether a time falls in the night surcharge window
+ * The window may wrap past midnight (e.g. 22:00 - 06:00)
+ */
+const isNightTime = (date, nightSurcharge) => {
+    const { startHour, endHour } = nightSurcharge;
+    const hour = toLocalTime(date).getUTCHours();
+
+    if (startHour === endHour) return false;
+    if (startHour < endHour) return hour >= startHour && hour < endHour;
+    return hour >= startHour || hour < endHour;
+};
+
+/**
+ * Check whether a time falls on a Saturday or Sunday
+ */
+const isWeekend = (date) => {
+    const day = toLocalTime(date).getUTCDay();
+    return day === 0 || day === 6;
+};
+
+/**
+ * Find an applicable discount on a tariff by code
+ */
+const findDiscount = (tariff, code, at) => {
+    const normalizedCode = String(code).trim().toUpperCase();
+    const time = new Date(at);
+
+    return (tariff.discounts || []).find(discount =>
+        discount.code === normalizedCode &&
+        discount.isActive !== false &&
+        (!discount.validFrom || discount.validFrom <= time) &&
+        (!discount.validTo || discount.validTo >= time)
+    );
+};
+
+/**
+ * Calculate a fare with its line-item breakdown
+ *
+ * @param {Object} tariff - Tariff document or plain tariff object
+ * @param {Object} trip - { distanceKm, startTime, waitingMinutes, discountCode }
+ *   Night and weekend surcharges are skipped when startTime is omitted
+ * @returns {Object} - { currency, lineItems, subtotal, discount, taxableAmount, taxes, total }
+ */
+const calculateFare = (tariff, trip) => {
+    const { distanceKm, startTime, waitingMinutes = 0, discountCode } = trip;
+
+    if (typeof distanceKm !== 'number' || distanceKm < 0) {
+        throw new Error('Distance must be a non-negative number');
+    }
+
+    const start = startTime ? new Date(startTime) : null;
+    if (start && isNaN(start.getTime())) {
+        throw new Error('Invalid start time format');
+    }
+
+    const lineItems = [];
+    const addLineItem = (code, label, amount) => {
+        if (amount > 0) {
+            lineItems.push({ code, label, amount: roundCurrency(amount) });
+        }
+    };
+
+    addLineItem('BASE_FARE', 'Base fare', tariff.baseFare);
+    addLineItem('DISTANCE', `Distance charge (${distanceKm} km @ ${tariff.perKmRate}/km)`, distanceKm * tariff.perKmRate);
+
+    // Top up short trips to the minimum fare
+    const rideFare = tariff.baseFare + distanceKm * tariff.perKmRate;
+    const minimumFare = tariff.minimumFare || 0;
+    addLineItem('MINIMUM_FARE_ADJUSTMENT', 'Minimum fare adjustment', minimumFare - rideFare);
+    const fare = Math.max(rideFare, minimumFare);
+
+    const nightSurcharge = tariff.nightSurcharge || {};
+    if (start && nightSurcharge.percent > 0 && isNightTime(start, nightSurcharge)) {
+        addLineItem('NIGHT_SURCHARGE', `Night surcharge (${nightSurcharge.percent}%)`, fare * nightSurcharge.percent / 100);
+    }
+
+    if (start && tariff.weekendSurchargePercent > 0 && isWeekend(start)) {
+        addLineItem('WEEKEND_SURCHARGE', `Weekend surcharge (${tariff.weekendSurchargePercent}%)`, fare * tariff.weekendSurchargePercent / 100);
+    }
+
+    const billableWaitingMinutes = Math.max(0, waitingMinutes - (tariff.freeWaitingMinutes || 0));
+    if (tariff.waitingChargePerHour > 0 && billableWaitingMinutes > 0) {
+        addLineItem(
+            'WAITING',
+            `Waiting charge (${billableWaitingMinutes} min @ ${tariff.waitingChargePerHour}/hr)`,
+            billableWaitingMinutes / 60 * tariff.waitingChargePerHour
+        );
+    }
+
+    const subtotal = roundCurrency(lineItems.reduce((sum, item) => sum + item.amount, 0));
+
+    let discount = null;
+    if (discountCode) {
+        const applicableDiscount = findDiscount(tariff, discountCode, start || new Date());
+        if (!applicableDiscount) {
+            throw new Error(`Invalid or expired discount code: ${discountCode}`);
+        }
+
+        let amount = subtotal * applicableDiscount.percent / 100;
+        if (applicableDiscount.maxAmount) {
+            amount = Math.min(amount, applicableDiscount.maxAmount);
+        }
+        discount = { code: applicableDiscount.code, percent: applicableDiscount.percent, amount: roundCurrency(amount) };
+    }
+
+    const taxableAmount = roundCurrency(subtotal - (discount ? discount.amount : 0));
+    const gstPercent = tariff.gstPercent || 0;
+    const taxes = gstPercent > 0
+        ? [{ code: 'GST', label: `GST (${gstPercent}%)`, rate: gstPercent, amount: roundCurrency(taxableAmount * gstPercent / 100) }]
+        : [];
+
+    const total = roundCurrency(taxableAmount + taxes.reduce((sum, tax) => sum + tax.amount, 0));
+
+    return {
+        currency: tariff.currency || 'INR',
+        lineItems,
+        subtotal,
+        discount,
+        taxableAmount,
+        taxes,
+        total
+    };
+};
+
+module.exports = {
+    roundCurrency,
+    toLocalTime,
+    isNightTime,
+    isWeekend,
+    findDiscount,
+    calculateFare
+};
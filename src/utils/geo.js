@@ -0,0 +1,44 @@
+/**
+ * Geographic utility functions
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Convert degrees to radians
+ */
+const toRadians = (degrees) => degrees * (Math.PI / 180);
+
+/**
+ * Great-circle distance between two coordinates using the haversine formula
+ *
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} - Distance in kilometers
+ */
+const haversineDistanceKm = (from, to) => {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) *
+        Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Validate latitude/longitude pair
+ */
+const isValidCoordinate = (latitude, longitude) => {
+    return typeof latitude === 'number' && typeof longitude === 'number' &&
+        latitude >= -90 && latitude <= 90 &&
+        longitude >= -180 && longitude <= 180;
+};
+
+module.exports = {
+    EARTH_RADIUS_KM,
+    toRadians,
+    haversineDistanceKm,
+    isValidCoordinate
+};
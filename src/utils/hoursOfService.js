@@ -0,0 +1,160 @@
+const driverConfig = require('../config/drivers');
+
+/**
+ * Driver hours-of-service utilities
+ * Pure functions over trip intervals ({ start, end } Dates)
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Round hours to 2 decimal places
+ */
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+/**
+ * Time zone offset of a policy, defaulting to the configured one
+ */
+const getOffset = (policy) => (
+    policy.timezoneOffsetMinutes !== undefined ? policy.timezoneOffsetMinutes : driverConfig.timezoneOffsetMinutes
+);
+
+/**
+ * Driving interval of a booking: actual times where the trip has started,
+ * the planned slot otherwise
+ */
+const getTripInterval = (booking, now = new Date()) => {
+    const plannedMs = booking.estimatedRideDurationHours * HOUR_MS;
+
+    if (booking.actualStartTime) {
+        const start = new Date(booking.actualStartTime);
+        if (booking.actualEndTime) {
+            return { start, end: new Date(booking.actualEndTime) };
+        }
+        // Still driving: at least the planned duration, longer if it has overrun
+        return { start, end: new Date(Math.max(start.getTime() + plannedMs, now.getTime())) };
+    }
+
+    const start = new Date(booking.startTime);
+    return { start, end: new Date(start.getTime() + plannedMs) };
+};
+
+/**
+ * Start of the local calendar day containing a date
+ */
+const startOfDay = (date, offsetMinutes = driverConfig.timezoneOffsetMinutes) => {
+    const offsetMs = offsetMinutes * 60 * 1000;
+    const local = new Date(date).getTime() + offsetMs;
+    return new Date(local - (local % DAY_MS) - offsetMs);
+};
+
+/**
+ * Start of the local calendar week (Monday) containing a date
+ */
+const startOfWeek = (date, offsetMinutes = driverConfig.timezoneOffsetMinutes) => {
+    const dayStart = startOfDay(date, offsetMinutes);
+    const localDay = new Date(dayStart.getTime() + offsetMinutes * 60 * 1000).getUTCDay();
+    const daysSinceMonday = (localDay + 6) % 7;
+    return new Date(dayStart.getTime() - daysSinceMonday * DAY_MS);
+};
+
+/**
+ * Hours of the intervals that fall inside [from, to)
+ */
+const hoursWithin = (intervals, from, to) => {
+    const overlapMs = intervals.reduce((sum, { start, end }) => {
+        const overlap = Math.min(end.getTime(), to.getTime()) - Math.max(start.getTime(), from.getTime());
+        return sum + Math.max(overlap, 0);
+    }, 0);
+    return overlapMs / HOUR_MS;
+};
+
+/**
+ * Consecutive periods of a given length covering [from, to)
+ */
+const getPeriods = (from, to, periodStart, lengthMs) => {
+    const periods = [];
+    for (let start = periodStart(from); start < to; start = new Date(start.getTime() + lengthMs)) {
+        periods.push({ start, end: new Date(start.getTime() + lengthMs) });
+    }
+    return periods;
+};
+
+/**
+ * Hours used and remaining per local day and week of a date range
+ *
+ * @param {Array} intervals - Driving intervals
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {Object} policy - { maxDailyHours, maxWeeklyHours }
+ * @returns {Object} - { totalHours, days, weeks }
+ */
+const summariseHours = (intervals, from, to, policy = driverConfig) => {
+    const offset = getOffset(policy);
+    const summarise = (periods, limit) => periods.map(({ start, end }) => {
+        const hoursUsed = roundHours(hoursWithin(intervals, start, end));
+        return {
+            start,
+            end,
+            hoursUsed,
+            hoursRemaining: roundHours(Math.max(limit - hoursUsed, 0))
+        };
+    });
+
+    return {
+        totalHours: roundHours(hoursWithin(intervals, from, to)),
+        days: summarise(getPeriods(from, to, date => startOfDay(date, offset), DAY_MS), policy.maxDailyHours),
+        weeks: summarise(getPeriods(from, to, date => startOfWeek(date, offset), 7 * DAY_MS), policy.maxWeeklyHours)
+    };
+};
+
+/**
+ * Check a new trip against a driver's other trips
+ *
+ * @param {Array} intervals - Driving intervals of the driver's other trips
+ * @param {Object} trip - Interval of the new trip
+ * @param {Object} policy - { maxDailyHours, maxWeeklyHours, minRestHours }
+ * @returns {Array} - Violation messages (empty when allowed)
+ */
+const findViolations = (intervals, trip, policy = driverConfig) => {
+    const violations = [];
+    const offset = getOffset(policy);
+    const minRestMs = policy.minRestHours * HOUR_MS;
+
+    const tooClose = intervals.some(({ start, end }) =>
+        start.getTime() < trip.end.getTime() + minRestMs &&
+        end.getTime() > trip.start.getTime() - minRestMs
+    );
+
+    if (tooClose) {
+        violations.push(`at least ${policy.minRestHours} hours of rest are required between trips`);
+    }
+
+    const allTrips = [...intervals, trip];
+    const checkPeriods = (periodStart, lengthMs, limit, label) => {
+        for (const { start, end } of getPeriods(trip.start, trip.end, periodStart, lengthMs)) {
+            const hours = hoursWithin(allTrips, start, end);
+            if (hours > limit) {
+                const localDate = new Date(start.getTime() + offset * 60 * 1000);
+                violations.push(`${roundHours(hours)} driving hours exceed the ${label} limit of ${limit} ` +
+                    `(${label === 'daily' ? 'day' : 'week'} of ${localDate.toISOString().slice(0, 10)})`);
+            }
+        }
+    };
+
+    checkPeriods(date => startOfDay(date, offset), DAY_MS, policy.maxDailyHours, 'daily');
+    checkPeriods(date => startOfWeek(date, offset), 7 * DAY_MS, policy.maxWeeklyHours, 'weekly');
+
+    return violations;
+};
+
+module.exports = {
+    getTripInterval,
+    startOfDay,
+    startOfWeek,
+    hoursWithin,
+    summariseHours,
+    findViolations,
+    roundHours
+};
@@ -0,0 +1,103 @@
+/**
+ * iCalendar (RFC 5545) utilities
+ * Pure functions building a VCALENDAR document from plain event objects
+ */
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value
+ */
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format a date as a UTC DATE-TIME, e.g. 20300109T040000Z
+ */
+const formatDateTime = (date) => new Date(date).toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line at 75 octets, never splitting a multi-byte character
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+    let limit = MAX_LINE_OCTETS;
+
+    for (const char of line) {
+        const octets = Buffer.byteLength(char);
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+            // Continuation lines start with a space, which counts towards the limit
+            limit = MAX_LINE_OCTETS - 1;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    parts.push(current);
+
+    return parts.join(`${CRLF} `);
+};
+
+/**
+ * Content lines of one VEVENT
+ *
+ * @param {Object} event - { uid, stamp, start, end, summary, description, location, status, sequence, lastModified }
+ * @returns {Array} - Unfolded content lines
+ */
+const eventLines = (event) => {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatDateTime(event.stamp)}`,
+        `DTSTART:${formatDateTime(event.start)}`,
+        `DTEND:${formatDateTime(event.end)}`,
+        `SUMMARY:${escapeText(event.summary)}`
+    ];
+
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.sequence !== undefined) lines.push(`SEQUENCE:${event.sequence}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+/**
+ * Build a VCALENDAR document
+ *
+ * @param {Object} calendar - { name, events }
+ * @returns {string} - iCalendar text with CRLF line endings
+ */
+const buildCalendar = ({ name, events }) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//FleetLink//Bookings//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...events.flatMap(eventLines),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+module.exports = {
+    escapeText,
+    formatDateTime,
+    foldLine,
+    buildCalendar
+};
@@ -0,0 +1,70 @@
+const path = require('path');
+const importConfig = require('../config/imports');
+const { parseCsv } = require('./csv');
+const { parseXlsx } = require('./xlsx');
+
+/**
+ * Bulk import file utility functions
+ */
+
+/**
+ * Parse JSON text holding an array of objects
+ */
+const parseJsonRecords = (text) => {
+    let records;
+    try {
+        records = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+        throw new Error('A .json file must hold an array of objects');
+    }
+
+    return records;
+};
+
+/**
+ * Read the records of an uploaded .csv, .xlsx or .json file and check
+ * that there are some, not too many, and that the first has every required column
+ *
+ * @param {Object} file - { buffer, originalname }
+ * @param {Array} requiredColumns - Columns every file must have
+ * @returns {Array} - Row objects keyed by column
+ */
+const readImportFile = async (file, requiredColumns = []) => {
+    const format = importConfig.formats[path.extname(file.originalname).toLowerCase()];
+    if (!format) {
+        throw new Error(`Invalid file type: use one of ${Object.keys(importConfig.formats).join(', ')}`);
+    }
+
+    let records;
+    if (format === 'xlsx') {
+        records = await parseXlsx(file.buffer);
+    } else if (format === 'json') {
+        records = parseJsonRecords(file.buffer.toString('utf8'));
+    } else {
+        records = parseCsv(file.buffer.toString('utf8'));
+    }
+
+    if (records.length === 0) {
+        throw new Error('Invalid file: it has no rows below the header row');
+    }
+
+    if (records.length > importConfig.maxRows) {
+        throw new Error(`Invalid file: at most ${importConfig.maxRows} rows can be imported at once, got ${records.length}`);
+    }
+
+    const missing = requiredColumns.filter(column => !(column in records[0]));
+    if (missing.length > 0) {
+        throw new Error(`Invalid file: missing column(s) ${missing.join(', ')}`);
+    }
+
+    return records;
+};
+
+module.exports = {
+    parseJsonRecords,
+    readImportFile
+};
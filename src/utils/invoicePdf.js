@@ -0,0 +1,179 @@
+const { buildPdf } = require('./pdf');
+const { toLocalTime } = require('./fareCalculator');
+
+/**
+ * Invoice PDF layout
+ * Lays an invoice out on A4 pages, continuing line items onto new pages
+ */
+
+const LEFT = 50;
+const RIGHT = 545;
+const RATE_COLUMN = 440;
+const TOP = 800;
+const BOTTOM = 60;
+const LINE_HEIGHT = 14;
+
+/**
+ * Format an amount with Indian digit grouping, e.g. 1,23,456.50
+ */
+const formatAmount = (amount) => Number(amount).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+});
+
+/**
+ * Format a date as YYYY-MM-DD in the local (pricing) time zone
+ */
+const formatDate = (date) => toLocalTime(date).toISOString().slice(0, 10);
+
+/**
+ * Address as printable lines
+ */
+const addressLines = (address) => {
+    if (!address || !address.line1) return [];
+    return [
+        address.line1,
+        address.line2,
+        [address.city, address.state, address.pincode].filter(Boolean).join(', '),
+        address.country
+    ].filter(Boolean);
+};
+
+/**
+ * Page cursor that starts a new page when the next block does not fit
+ */
+const createCursor = () => {
+    const pages = [[]];
+    let y = TOP;
+
+    return {
+        pages,
+        get y() { return y; },
+        ensureSpace(height) {
+            if (y - height < BOTTOM) {
+                pages.push([]);
+                y = TOP;
+            }
+        },
+        add(item) {
+            pages[pages.length - 1].push({ y, ...item });
+        },
+        rule() {
+            pages[pages.length - 1].push({ line: [LEFT, y + 4, RIGHT, y + 4] });
+        },
+        advance(lines = 1) {
+            y -= lines * LINE_HEIGHT;
+        }
+    };
+};
+
+/**
+ * Render an invoice as a PDF
+ *
+ * @param {Object} invoice - Invoice document
+ * @param {Object} supplier - { name, gstin, address } of the seller
+ * @returns {Buffer} - PDF file contents
+ */
+const renderInvoicePdf = (invoice, supplier) => {
+    const cursor = createCursor();
+    const isVoid = invoice.status === 'void';
+
+    // Seller on the left, invoice details on the right
+    cursor.add({ text: supplier.name, x: LEFT, size: 16, bold: true });
+    cursor.add({ text: isVoid ? 'TAX INVOICE - VOID' : 'TAX INVOICE', x: RIGHT, size: 16, bold: true, align: 'right' });
+    cursor.advance(1.5);
+
+    const details = [
+        `Invoice no: ${invoice.number}`,
+        `Issue date: ${formatDate(invoice.issueDate)}`,
+        `Due date: ${formatDate(invoice.dueDate)}`
+    ];
+    if (invoice.kind === 'period') {
+        details.push(`Period: ${formatDate(invoice.periodStart)} to ${formatDate(invoice.periodEnd)}`);
+    }
+
+    const sellerLines = [supplier.address, supplier.gstin && `GSTIN: ${supplier.gstin}`].filter(Boolean);
+    for (let i = 0; i < Math.max(sellerLines.length, details.length); i++) {
+        if (sellerLines[i]) cursor.add({ text: sellerLines[i], x: LEFT, size: 9 });
+        if (details[i]) cursor.add({ text: details[i], x: RIGHT, size: 9, align: 'right' });
+        cursor.advance();
+    }
+    cursor.advance();
+
+    // Customer
+    const customer = invoice.customer || {};
+    cursor.add({ text: 'Bill to', x: LEFT, bold: true });
+    cursor.advance();
+    [customer.name, ...addressLines(customer.billingAddress), customer.gstin && `GSTIN: ${customer.gstin}`]
+        .filter(Boolean)
+        .forEach((line) => {
+            cursor.add({ text: line, x: LEFT, size: 9 });
+            cursor.advance();
+        });
+    cursor.advance();
+
+    // Line items, grouped by booking
+    cursor.add({ text: 'Description', x: LEFT, bold: true });
+    cursor.add({ text: 'GST %', x: RATE_COLUMN, bold: true, align: 'right' });
+    cursor.add({ text: `Amount (${invoice.currency})`, x: RIGHT, bold: true, align: 'right' });
+    cursor.advance();
+    cursor.rule();
+
+    (invoice.bookings || []).forEach((booking) => {
+        const lines = invoice.lineItems.filter(item => String(item.bookingId) === String(booking.bookingId));
+
+        cursor.ensureSpace(LINE_HEIGHT * 2);
+        const trip = `${booking.fromPincode} to ${booking.toPincode}, ${formatDate(booking.actualStartTime || booking.startTime)}`;
+        cursor.add({ text: `Booking ${booking.bookingId} - ${trip}`, x: LEFT, size: 9, bold: true });
+        cursor.advance();
+
+        lines.forEach((item) => {
+            cursor.ensureSpace(LINE_HEIGHT);
+            cursor.add({ text: item.label, x: LEFT + 10, size: 9 });
+            cursor.add({ text: String(item.taxRate), x: RATE_COLUMN, size: 9, align: 'right' });
+            cursor.add({ text: formatAmount(item.amount), x: RIGHT, size: 9, align: 'right' });
+            cursor.advance();
+        });
+    });
+
+    // Totals
+    cursor.ensureSpace(LINE_HEIGHT * (invoice.taxes.length + 3));
+    cursor.rule();
+    const totalLine = (label, amount, bold = false) => {
+        cursor.add({ text: label, x: RATE_COLUMN, size: 9, bold, align: 'right' });
+        cursor.add({ text: formatAmount(amount), x: RIGHT, size: 9, bold, align: 'right' });
+        cursor.advance();
+    };
+    totalLine('Taxable amount', invoice.taxableAmount);
+    invoice.taxes.forEach(tax => totalLine(`${tax.label} on ${formatAmount(tax.taxableAmount)}`, tax.amount));
+    totalLine(`Total (${invoice.currency})`, invoice.total, true);
+
+    if (isVoid) {
+        cursor.advance();
+        cursor.ensureSpace(LINE_HEIGHT);
+        cursor.add({
+            text: `Voided on ${formatDate(invoice.voidedAt)}${invoice.voidReason ? `: ${invoice.voidReason}` : ''}`,
+            x: LEFT,
+            size: 9,
+            bold: true
+        });
+    }
+
+    // Page numbers once the page count is known
+    cursor.pages.forEach((items, index) => {
+        items.push({
+            text: `${invoice.number} - page ${index + 1} of ${cursor.pages.length}`,
+            x: RIGHT,
+            y: BOTTOM - 30,
+            size: 8,
+            align: 'right'
+        });
+    });
+
+    return buildPdf(cursor.pages, { title: `Invoice ${invoice.number}` });
+};
+
+module.exports = {
+    formatAmount,
+    renderInvoicePdf
+};
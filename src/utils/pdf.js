@@ -0,0 +1,96 @@
+/**
+ * PDF (1.4) utilities
+ * Pure functions writing text and rules onto A4 pages with the built-in
+ * Helvetica fonts, so documents need no renderer or font files
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Helvetica advance widths in 1/1000 em; other characters use the digit width
+const CHAR_WIDTHS = {
+    ' ': 278, ',': 278, '.': 278, ':': 278, '/': 278, '-': 333, '(': 333, ')': 333, '%': 889
+};
+const DEFAULT_CHAR_WIDTH = 556;
+
+/**
+ * Escape a string for a PDF literal; characters outside printable ASCII become '?'
+ */
+const escapeText = (value) => String(value)
+    .replace(/[^\x20-\x7e]/g, '?')
+    .replace(/[\\()]/g, '\\$&');
+
+/**
+ * Approximate width of a string in points, enough to right-align figures
+ */
+const textWidth = (value, size) => [...String(value)]
+    .reduce((sum, char) => sum + (CHAR_WIDTHS[char] || DEFAULT_CHAR_WIDTH), 0) * size / 1000;
+
+/**
+ * Content stream of one page
+ *
+ * @param {Array} items - { text, x, y, size, bold, align } or { line: [x1, y1, x2, y2] }
+ * @returns {string} - Page content operators
+ */
+const pageContent = (items) => items.map((item) => {
+    if (item.line) {
+        const [x1, y1, x2, y2] = item.line;
+        return `0.5 w ${x1} ${y1} m ${x2} ${y2} l S`;
+    }
+
+    const size = item.size || 10;
+    const x = item.align === 'right' ? item.x - textWidth(item.text, size) : item.x;
+    return `BT /${item.bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${item.y} Td (${escapeText(item.text)}) Tj ET`;
+}).join('\n');
+
+/**
+ * Build a PDF document
+ *
+ * @param {Array} pages - One array of items per page (see pageContent); y is measured from the bottom
+ * @param {Object} info - { title }
+ * @returns {Buffer} - PDF file contents
+ */
+const buildPdf = (pages, info = {}) => {
+    const pageCount = Math.max(pages.length, 1);
+    const firstPageObject = 6;
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${Array.from({ length: pageCount }, (_, i) => `${firstPageObject + i * 2} 0 R`).join(' ')}] /Count ${pageCount} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Title (${escapeText(info.title || '')}) /Producer (FleetLink) >>`
+    ];
+
+    for (let i = 0; i < pageCount; i++) {
+        const content = pageContent(pages[i] || []);
+        objects.push(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${firstPageObject + i * 2 + 1} 0 R >>`,
+            `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+        );
+    }
+
+    // The cross-reference table needs the byte offset of every object
+    let body = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(body, 'latin1');
+        body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(body, 'latin1');
+    body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(body, 'latin1');
+};
+
+module.exports = {
+    PAGE_WIDTH,
+    PAGE_HEIGHT,
+    escapeText,
+    textWidth,
+    buildPdf
+};
@@ -0,0 +1,243 @@
+const recurringConfig = require('../config/recurring');
+
+/**
+ * Recurrence utilities
+ * Pure functions over RRULE-style schedules:
+ * { frequency, interval, byDay, byMonthDay, time } where time is the local
+ * 'HH:mm' start of every occurrence
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// RRULE weekday codes, in Date#getUTCDay order
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Longest gap between occurrences, in frequency units
+const MAX_INTERVAL = 52;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Local day number (days since 1970-01-01 in the local time zone) of a date
+ */
+const toLocalDay = (date, offsetMinutes) => Math.floor((new Date(date).getTime() + offsetMinutes * MINUTE_MS) / DAY_MS);
+
+/**
+ * Local calendar date of a day number, read through getUTC* methods
+ */
+const toCalendarDate = (day) => new Date(day * DAY_MS);
+
+/**
+ * Day number of the Monday of a day's week (RRULE's default WKST=MO)
+ */
+const weekStart = (day) => day - ((toCalendarDate(day).getUTCDay() + 6) % 7);
+
+/**
+ * Parse a 'YYYY-MM-DD' local date into the instant of its local midnight
+ *
+ * @param {string} value - Local calendar date
+ * @param {number} offsetMinutes - Time zone offset from UTC
+ * @returns {Date|null} - Local midnight, or null for an invalid date
+ */
+const parseLocalDate = (value, offsetMinutes = recurringConfig.timezoneOffsetMinutes) => {
+    const match = DATE_PATTERN.exec(String(value));
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const midnight = Date.UTC(year, month - 1, day);
+    const check = new Date(midnight);
+    if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+        return null;
+    }
+
+    return new Date(midnight - offsetMinutes * MINUTE_MS);
+};
+
+/**
+ * Format the local calendar date of an instant as 'YYYY-MM-DD'
+ */
+const formatLocalDate = (date, offsetMinutes = recurringConfig.timezoneOffsetMinutes) => (
+    toCalendarDate(toLocalDay(date, offsetMinutes)).toISOString().slice(0, 10)
+);
+
+/**
+ * Parse an RRULE such as 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR' into a schedule
+ * Only FREQ, INTERVAL, BYDAY and BYMONTHDAY are supported; the series'
+ * startDate and endDate take the place of DTSTART, UNTIL and COUNT
+ *
+ * @param {string} rule - RRULE, with or without the 'RRULE:' prefix
+ * @returns {Object} - { frequency, interval, byDay, byMonthDay }
+ */
+const parseRule = (rule) => {
+    const schedule = { interval: 1, byDay: [], byMonthDay: [] };
+
+    String(rule).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach((part) => {
+        const [name, value = ''] = part.split('=');
+
+        switch (name.trim().toUpperCase()) {
+            case 'FREQ':
+                schedule.frequency = value.trim().toLowerCase();
+                break;
+            case 'INTERVAL':
+                schedule.interval = Number(value);
+                break;
+            case 'BYDAY':
+                schedule.byDay = value.split(',').map(day => day.trim().toUpperCase());
+                break;
+            case 'BYMONTHDAY':
+                schedule.byMonthDay = value.split(',').map(Number);
+                break;
+            default:
+                throw new Error(`Unsupported RRULE part: ${name.trim()}`);
+        }
+    });
+
+    return schedule;
+};
+
+/**
+ * Format a schedule as an RRULE (without the start time)
+ */
+const formatRule = (schedule) => {
+    const parts = [`FREQ=${String(schedule.frequency).toUpperCase()}`];
+    if (schedule.interval && schedule.interval !== 1) parts.push(`INTERVAL=${schedule.interval}`);
+    if (schedule.byDay && schedule.byDay.length > 0) parts.push(`BYDAY=${schedule.byDay.join(',')}`);
+    if (schedule.byMonthDay && schedule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${schedule.byMonthDay.join(',')}`);
+    return parts.join(';');
+};
+
+/**
+ * Check a schedule
+ *
+ * @param {Object} schedule - { frequency, interval, byDay, byMonthDay, time }
+ * @returns {Array} - Error messages, empty when valid
+ */
+const validateSchedule = (schedule) => {
+    const errors = [];
+
+    if (!schedule || typeof schedule !== 'object') {
+        return ['Schedule is required'];
+    }
+
+    const { frequency, interval = 1, byDay = [], byMonthDay = [], time } = schedule;
+
+    if (!FREQUENCIES.includes(frequency)) {
+        errors.push(`Schedule frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+        errors.push(`Schedule interval must be a whole number between 1 and ${MAX_INTERVAL}`);
+    }
+
+    if (!Array.isArray(byDay) || byDay.some(day => !WEEKDAYS.includes(day))) {
+        errors.push(`Schedule byDay must be a list of: ${WEEKDAYS.join(', ')}`);
+    } else if (byDay.length > 0 && frequency !== 'weekly') {
+        errors.push('Schedule byDay only applies to weekly schedules');
+    }
+
+    if (!Array.isArray(byMonthDay) ||
+        byMonthDay.some(day => !Number.isInteger(day) || day === 0 || day < -31 || day > 31)) {
+        errors.push('Schedule byMonthDay must be a list of days from 1 to 31, or -1 to -31 counting from the month end');
+    } else if (byMonthDay.length > 0 && frequency !== 'monthly') {
+        errors.push('Schedule byMonthDay only applies to monthly schedules');
+    }
+
+    if (!TIME_PATTERN.test(time || '')) {
+        errors.push('Schedule time must be a local time in HH:mm format');
+    }
+
+    return errors;
+};
+
+/**
+ * Whether a local day has an occurrence
+ *
+ * @param {Object} schedule - Valid schedule
+ * @param {number} day - Local day number
+ * @param {number} firstDay - Local day number of the series start
+ */
+const occursOn = (schedule, day, firstDay) => {
+    const interval = schedule.interval || 1;
+    const date = toCalendarDate(day);
+
+    switch (schedule.frequency) {
+        case 'daily':
+            return (day - firstDay) % interval === 0;
+
+        case 'weekly': {
+            const byDay = schedule.byDay && schedule.byDay.length > 0
+                ? schedule.byDay
+                : [WEEKDAYS[toCalendarDate(firstDay).getUTCDay()]];
+            const weeks = (weekStart(day) - weekStart(firstDay)) / 7;
+            return weeks % interval === 0 && byDay.includes(WEEKDAYS[date.getUTCDay()]);
+        }
+
+        case 'monthly': {
+            const first = toCalendarDate(firstDay);
+            const months = (date.getUTCFullYear() - first.getUTCFullYear()) * 12 +
+                date.getUTCMonth() - first.getUTCMonth();
+            if (months % interval !== 0) return false;
+
+            const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+            const byMonthDay = schedule.byMonthDay && schedule.byMonthDay.length > 0
+                ? schedule.byMonthDay
+                : [first.getUTCDate()];
+            // Days the month does not have are skipped, as in RRULE
+            return byMonthDay.some(monthDay => (
+                monthDay > 0 ? monthDay === date.getUTCDate() : daysInMonth + monthDay + 1 === date.getUTCDate()
+            ));
+        }
+
+        default:
+            return false;
+    }
+};
+
+/**
+ * Start times of a series' occurrences within [from, to)
+ *
+ * @param {Object} series - { schedule, startDate, endDate } where the dates
+ *   are local midnights and endDate (optional) is the last day included
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {number} offsetMinutes - Time zone offset from UTC
+ * @returns {Array} - Occurrence start times in order
+ */
+const listOccurrences = (series, from, to, offsetMinutes = recurringConfig.timezoneOffsetMinutes) => {
+    const { schedule, startDate, endDate } = series;
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    const timeMs = (hours * 60 + minutes) * MINUTE_MS;
+
+    const firstDay = toLocalDay(startDate, offsetMinutes);
+    const lastDay = Math.min(
+        endDate ? toLocalDay(endDate, offsetMinutes) : Infinity,
+        toLocalDay(to, offsetMinutes)
+    );
+
+    const occurrences = [];
+    for (let day = Math.max(firstDay, toLocalDay(from, offsetMinutes)); day <= lastDay; day++) {
+        if (!occursOn(schedule, day, firstDay)) continue;
+
+        const start = new Date(day * DAY_MS + timeMs - offsetMinutes * MINUTE_MS);
+        if (start >= from && start < to) {
+            occurrences.push(start);
+        }
+    }
+
+    return occurrences;
+};
+
+module.exports = {
+    WEEKDAYS,
+    FREQUENCIES,
+    parseLocalDate,
+    formatLocalDate,
+    parseRule,
+    formatRule,
+    validateSchedule,
+    listOccurrences
+};
@@ -0,0 +1,72 @@
+const { hoursWithin, roundHours } = require('./hoursOfService');
+
+/**
+ * Vehicle timeline utilities
+ * Pure functions over busy periods ({ type, start, end, ... } with Date bounds)
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * A free gap between busy periods
+ */
+const freePeriod = (start, end) => ({
+    type: 'free',
+    start,
+    end,
+    durationHours: roundHours((end - start) / HOUR_MS)
+});
+
+/**
+ * Order busy periods by start time and fill the gaps of [from, to) between
+ * them with free periods. Overlapping busy periods are kept as they are
+ *
+ * @param {Array} periods - Busy periods, in any order
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array} - Ordered timeline of busy and free periods
+ */
+const buildTimeline = (periods, from, to) => {
+    const sorted = [...periods].sort((a, b) => (a.start - b.start) || (a.end - b.end));
+    const timeline = [];
+    let cursor = from;
+
+    for (const period of sorted) {
+        if (period.start > cursor) {
+            timeline.push(freePeriod(cursor, period.start < to ? period.start : to));
+        }
+        timeline.push(period);
+        if (period.end > cursor) {
+            cursor = period.end;
+        }
+    }
+
+    if (cursor < to) {
+        timeline.push(freePeriod(cursor, to));
+    }
+
+    return timeline;
+};
+
+/**
+ * Hours of [from, to) spent in each kind of period of a timeline
+ *
+ * @param {Array} timeline - Timeline from buildTimeline
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Object} - { bookedHours, blockedHours, freeHours }
+ */
+const summariseTimeline = (timeline, from, to) => {
+    const hoursOf = (type) => roundHours(hoursWithin(timeline.filter(period => period.type === type), from, to));
+
+    return {
+        bookedHours: hoursOf('booking'),
+        blockedHours: hoursOf('maintenance'),
+        freeHours: hoursOf('free')
+    };
+};
+
+module.exports = {
+    buildTimeline,
+    summariseTimeline
+};
@@ -0,0 +1,69 @@
+const { haversineDistanceKm } = require('./geo');
+
+/**
+ * Vehicle tracking utilities
+ * Pure functions over coordinates ({ latitude, longitude })
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Round to 2 decimal places
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Distance travelled along a trail of points, in order
+ *
+ * @param {Array} points - [{ latitude, longitude }]
+ * @returns {number} - Kilometres
+ */
+const trailDistanceKm = (points) => points.reduce((sum, point, index) => (
+    index === 0 ? sum : sum + haversineDistanceKm(points[index - 1], point)
+), 0);
+
+/**
+ * Progress of a trip from the vehicle's position
+ * The current leg is the one the position adds the smallest detour to;
+ * what remains is the road distance to the end of that leg plus every
+ * later leg, driven at the class average speed with a dwell at each stop
+ *
+ * @param {Object} trip - { position: { latitude, longitude, recordedAt }, legs: [{ from, to, distanceKm }],
+ *                          averageSpeedKmph, roadFactor, stopDwellMinutes }
+ * @returns {Object} - { currentLegIndex, totalDistanceKm, remainingDistanceKm, progressPercent, eta }
+ */
+const estimateProgress = ({ position, legs, averageSpeedKmph, roadFactor, stopDwellMinutes = 0 }) => {
+    const roadDistanceKm = (from, to) => haversineDistanceKm(from, to) * roadFactor;
+    const totalDistanceKm = legs.reduce((sum, leg) => sum + leg.distanceKm, 0);
+
+    let currentLegIndex = 0;
+    let smallestDetour = Infinity;
+    legs.forEach((leg, index) => {
+        const detour = roadDistanceKm(leg.from, position) + roadDistanceKm(position, leg.to) - leg.distanceKm;
+        if (detour < smallestDetour) {
+            smallestDetour = detour;
+            currentLegIndex = index;
+        }
+    });
+
+    const remainingDistanceKm = roadDistanceKm(position, legs[currentLegIndex].to) +
+        legs.slice(currentLegIndex + 1).reduce((sum, leg) => sum + leg.distanceKm, 0);
+
+    const remainingStops = legs.length - 1 - currentLegIndex;
+    const remainingHours = remainingDistanceKm / averageSpeedKmph + remainingStops * stopDwellMinutes / 60;
+
+    const travelled = totalDistanceKm > 0 ? (totalDistanceKm - remainingDistanceKm) / totalDistanceKm : 0;
+
+    return {
+        currentLegIndex,
+        totalDistanceKm: round2(totalDistanceKm),
+        remainingDistanceKm: round2(remainingDistanceKm),
+        progressPercent: round2(Math.min(Math.max(travelled, 0), 1) * 100),
+        eta: new Date(new Date(position.recordedAt).getTime() + remainingHours * HOUR_MS)
+    };
+};
+
+module.exports = {
+    trailDistanceKm,
+    estimateProgress
+};
@@ -51,6 +51,27 @@ const isValidPhoneNumber = (phone) => {
     return typeof phone === 'string' && phoneRegex.test(phone);
 };
 
+/**
+ * Validate GSTIN format (15 characters: state code, PAN, entity number, Z, checksum)
+ */
+const isValidGstin = (gstin) => {
+    const gstinRegex = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+    return typeof gstin === 'string' && gstinRegex.test(gstin);
+};
+
+/**
+ * Validate an absolute http(s) URL
+ */
+const isValidHttpUrl = (url) => {
+    if (typeof url !== 'string') return false;
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+};
+
 /**
  * Sanitize string input
  */
@@ -104,6 +125,47 @@ const isValidPaginationParams = (limit, offset) => {
     return isValidLimit && isValidOffset;
 };
 
+/**
+ * Validate an ordered stops array for multi-stop bookings
+ * Returns a list of error messages (empty when valid)
+ */
+const validateStops = (stops) => {
+    const errors = [];
+
+    if (!Array.isArray(stops) || stops.length < 2) {
+        return ['Stops must be an array with at least 2 stops'];
+    }
+
+    stops.forEach((stop, index) => {
+        const label = `Stop ${index + 1}`;
+
+        if (!stop || typeof stop !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+
+        if (!isValidPincode(stop.pincode)) {
+            errors.push(`${label}: pincode must be exactly 6 digits`);
+        }
+
+        if (!['pickup', 'drop'].includes(stop.type)) {
+            errors.push(`${label}: type must be pickup or drop`);
+        }
+
+        if (stop.loadKg !== undefined && (isNaN(Number(stop.loadKg)) || Number(stop.loadKg) < 0)) {
+            errors.push(`${label}: loadKg must be a non-negative number`);
+        }
+
+        ['windowStart', 'windowEnd'].forEach(field => {
+            if (stop[field] && isNaN(new Date(stop[field]).getTime())) {
+                errors.push(`${label}: ${field} must be a valid ISO date string`);
+            }
+        });
+    });
+
+    return errors;
+};
+
 /**
  * Comprehensive vehicle data validation
  */
@@ -150,8 +212,8 @@ const validateBookingData = (bookingData) => {
         errors.push('Vehicle ID must be a valid MongoDB ObjectId');
     }
 
-    if (!customerId || typeof customerId !== 'string' || customerId.trim().length === 0) {
-        errors.push('Customer ID is required and must be a non-empty string');
+    if (!isValidObjectId(customerId)) {
+        errors.push('Customer ID must be a valid MongoDB ObjectId');
     }
 
     if (!isValidPincode(fromPincode)) {
@@ -183,12 +245,15 @@ module.exports = {
     isFutureDate,
     isValidEmail,
     isValidPhoneNumber,
+    isValidGstin,
+    isValidHttpUrl,
     sanitizeString,
     isValidCapacity,
     isValidTyreCount,
     isValidVehicleStatus,
     isValidBookingStatus,
     isValidPaginationParams,
+    validateStops,
     validateVehicleData,
     validateBookingData
 };
\ No newline at end of file
@@ -0,0 +1,55 @@
+const ExcelJS = require('exceljs');
+const { rowsToRecords } = require('./csv');
+
+/**
+ * Excel workbook utility functions
+ */
+
+/**
+ * Text of a cell value: dates as ISO strings, formulas as their result
+ * and rich text or hyperlinks as their text
+ */
+const cellToText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+
+    if (typeof value === 'object') {
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return cellToText(value.text);
+        if (value.result !== undefined) return cellToText(value.result);
+        return '';
+    }
+
+    return String(value);
+};
+
+/**
+ * Parse the first worksheet of an .xlsx workbook with a header row into an array of objects
+ */
+const parseXlsx = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw new Error('The file is not a valid .xlsx workbook');
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+        return [];
+    }
+
+    // Row values start at index 1; blank rows are skipped
+    const rows = [];
+    sheet.eachRow((row) => {
+        rows.push(Array.from(row.values.slice(1), cellToText));
+    });
+
+    return rowsToRecords(rows.filter(values => values.some(value => value.trim().length > 0)));
+};
+
+module.exports = {
+    cellToText,
+    parseXlsx
+};
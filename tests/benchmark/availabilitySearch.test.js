@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const VehicleService = require('../../src/services/vehicleService');
+const RideCalculationService = require('../../src/services/rideCalculationService');
+const Vehicle = require('../../src/models/Vehicle');
+const Booking = require('../../src/models/Booking');
+const MaintenanceWindow = require('../../src/models/MaintenanceWindow');
+
+const VEHICLE_COUNT = 2000;
+const BOOKINGS_PER_VEHICLE = 4;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * The previous availability check: one booking and one maintenance
+ * lookup per eligible vehicle
+ */
+const findAvailableVehiclesPerVehicle = async ({ capacityRequired, fromPincode, toPincode, startTime }) => {
+    const requestedStartTime = new Date(startTime);
+    const eligibleVehicles = await Vehicle.find({ capacityKg: { $gte: capacityRequired }, status: 'active' });
+
+    const available = [];
+    for (const vehicle of eligibleVehicles) {
+        const duration = RideCalculationService.calculateEstimatedDuration(fromPincode, toPincode, vehicle.type);
+        const requestedEndTime = RideCalculationService.calculateEndTime(requestedStartTime, duration);
+
+        const bookings = await Booking.findOverlappingBookings(vehicle._id, requestedStartTime, requestedEndTime);
+        const windows = await MaintenanceWindow.findOverlappingWindows(vehicle._id, requestedStartTime, requestedEndTime);
+
+        if (bookings.length === 0 && windows.length === 0) {
+            available.push(vehicle);
+        }
+    }
+
+    return available;
+};
+
+const timed = async (fn) => {
+    const started = process.hrtime.bigint();
+    const result = await fn();
+    return { result, ms: Number(process.hrtime.bigint() - started) / 1e6 };
+};
+
+describe('Availability search benchmark', () => {
+    test(`should find the same vehicles as per-vehicle lookups across ${VEHICLE_COUNT} vehicles, faster`, async () => {
+        const searchStart = testUtils.getFutureDate(48);
+
+        const vehicles = Array.from({ length: VEHICLE_COUNT }, (_, i) => ({
+            _id: new mongoose.Types.ObjectId(),
+            name: `Truck ${i}`,
+            capacityKg: 500 + (i % 40) * 500,
+            tyres: 6,
+            status: i % 25 === 0 ? 'maintenance' : 'active',
+            registrationNumber: `BENCH-${i}`,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        }));
+
+        const customerIds = Array.from({ length: 50 }, () => new mongoose.Types.ObjectId());
+
+        // Bookings spread around the searched slot, so some vehicles clash
+        const bookings = vehicles.flatMap((vehicle, i) => Array.from({ length: BOOKINGS_PER_VEHICLE }, (_, n) => {
+            const startTime = new Date(searchStart.getTime() + ((i + n * 7) % 24 - 12) * HOUR_MS);
+            return {
+                vehicleId: vehicle._id,
+                customerId: customerIds[i % 50],
+                fromPincode: '110001',
+                toPincode: '110002',
+                startTime,
+                endTime: new Date(startTime.getTime() + 2 * HOUR_MS),
+                estimatedRideDurationHours: 2,
+                status: n === 0 && i % 3 === 0 ? 'cancelled' : 'confirmed'
+            };
+        }));
+
+        const maintenanceWindows = vehicles
+            .filter((vehicle, i) => i % 10 === 0)
+            .map(vehicle => ({
+                vehicleId: vehicle._id,
+                startTime: new Date(searchStart.getTime() - HOUR_MS),
+                endTime: new Date(searchStart.getTime() + HOUR_MS),
+                type: 'service'
+            }));
+
+        await Vehicle.collection.insertMany(vehicles);
+        await Booking.collection.insertMany(bookings);
+        await MaintenanceWindow.collection.insertMany(maintenanceWindows);
+        await Promise.all([Vehicle.syncIndexes(), Booking.syncIndexes(), MaintenanceWindow.syncIndexes()]);
+
+        const criteria = {
+            capacityRequired: 1000,
+            fromPincode: '110001',
+            toPincode: '110002',
+            startTime: searchStart.toISOString()
+        };
+
+        const perVehicle = await timed(() => findAvailableVehiclesPerVehicle(criteria));
+        const aggregated = await timed(() => VehicleService.findAvailableVehicles(criteria));
+
+        process.stdout.write(
+            `\nAvailability search over ${VEHICLE_COUNT} vehicles and ${bookings.length} bookings:\n` +
+            `  per-vehicle lookups: ${perVehicle.ms.toFixed(0)} ms\n` +
+            `  single aggregation:  ${aggregated.ms.toFixed(0)} ms\n`
+        );
+
+        const ids = (list) => list.map(vehicle => vehicle._id.toString()).sort();
+
+        expect(aggregated.result.length).toBeGreaterThan(0);
+        expect(aggregated.result.length).toBeLessThan(VEHICLE_COUNT);
+        expect(ids(aggregated.result)).toEqual(ids(perVehicle.result));
+        // Two queries per vehicle against one aggregation: the gap is wide,
+        // so only assert the direction to keep slow machines from flaking
+        expect(aggregated.ms).toBeLessThan(perVehicle.ms);
+
+        // Pages of a sorted search add up to the full result
+        const { total } = await VehicleService.searchAvailableVehicles(criteria, { limit: 1 });
+        const pages = [];
+        for (let offset = 0; offset < total; offset += 100) {
+            const page = await VehicleService.searchAvailableVehicles(criteria, {
+                sortBy: 'estimatedCost',
+                limit: 100,
+                offset
+            });
+            pages.push(...page.vehicles);
+        }
+
+        expect(total).toBe(aggregated.result.length);
+        expect(ids(pages)).toEqual(ids(aggregated.result));
+    }, 120000);
+});
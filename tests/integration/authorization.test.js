@@ -0,0 +1,237 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const VehicleService = require('../../src/services/vehicleService');
+const BookingService = require('../../src/services/bookingService');
+const AuthService = require('../../src/services/authService');
+const DriverService = require('../../src/services/driverService');
+
+describe('API authorization', () => {
+    let vehicle;
+
+    beforeEach(async () => {
+        vehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+    });
+
+    test('should reject requests without a token', async () => {
+        const res = await request(app).get('/api/vehicles');
+
+        expect(res.status).toBe(401);
+    });
+
+    test('should let users log in and call the API with the issued token', async () => {
+        const userData = testUtils.createValidUserData({ role: 'dispatcher' });
+        await AuthService.createUser(userData);
+
+        const login = await request(app)
+            .post('/api/auth/login')
+            .send({ email: userData.email, password: userData.password });
+
+        expect(login.status).toBe(200);
+
+        const res = await request(app)
+            .get('/api/vehicles')
+            .set('Authorization', `Bearer ${login.body.data.accessToken}`);
+
+        expect(res.status).toBe(200);
+    });
+
+    test('should forbid customers from retiring vehicles', async () => {
+        const authHeader = await testUtils.createAuthHeader({ role: 'customer', customerId: testUtils.TEST_CUSTOMER_ID });
+
+        const res = await request(app)
+            .patch(`/api/vehicles/${vehicle._id}/status`)
+            .set('Authorization', authHeader)
+            .send({ status: 'retired' });
+
+        expect(res.status).toBe(403);
+    });
+
+    test('should keep the fleet list from customers', async () => {
+        const authHeader = await testUtils.createAuthHeader({ role: 'customer', customerId: testUtils.TEST_CUSTOMER_ID });
+
+        const list = await request(app).get('/api/vehicles').set('Authorization', authHeader);
+        const single = await request(app).get(`/api/vehicles/${vehicle._id}`).set('Authorization', authHeader);
+
+        expect(list.status).toBe(403);
+        expect(single.status).toBe(403);
+    });
+
+    test('should let customers search for free vehicles', async () => {
+        const authHeader = await testUtils.createAuthHeader({ role: 'customer', customerId: testUtils.TEST_CUSTOMER_ID });
+
+        const res = await request(app)
+            .get('/api/vehicles/available')
+            .query({
+                capacityRequired: 500,
+                fromPincode: '110001',
+                toPincode: '110002',
+                startTime: testUtils.getFutureDate(24).toISOString()
+            })
+            .set('Authorization', authHeader);
+
+        expect(res.status).toBe(200);
+    });
+
+    test('should only let admins delete bookings', async () => {
+        const dispatcherHeader = await testUtils.createAuthHeader({ role: 'dispatcher' });
+        const booking = await BookingService.createBooking(testUtils.createValidBookingData(vehicle._id));
+
+        const res = await request(app)
+            .delete(`/api/bookings/${booking._id}`)
+            .set('Authorization', dispatcherHeader);
+
+        expect(res.status).toBe(403);
+    });
+
+    describe('driver scoping', () => {
+        let booking;
+        let driverHeader;
+        let otherDriverHeader;
+
+        beforeEach(async () => {
+            const driverUser = await AuthService.createUser(testUtils.createValidUserData({ role: 'driver' }));
+            driverHeader = `Bearer ${AuthService.generateTokens(driverUser).accessToken}`;
+            otherDriverHeader = await testUtils.createAuthHeader({ role: 'driver' });
+
+            const driver = await DriverService.createDriver(testUtils.createValidDriverData({ userId: driverUser._id }));
+            booking = await BookingService.createBooking(testUtils.createValidBookingData(vehicle._id));
+            await BookingService.assignDriver(booking._id, driver._id);
+        });
+
+        test('should only let the assigned driver read a booking', async () => {
+            const assigned = await request(app)
+                .get(`/api/bookings/${booking._id}`)
+                .set('Authorization', driverHeader);
+            const other = await request(app)
+                .get(`/api/bookings/${booking._id}`)
+                .set('Authorization', otherDriverHeader);
+
+            expect(assigned.status).toBe(200);
+            expect(other.status).toBe(403);
+        });
+
+        test('should only let the assigned driver change the status', async () => {
+            const other = await request(app)
+                .patch(`/api/bookings/${booking._id}/status`)
+                .set('Authorization', otherDriverHeader)
+                .send({ status: 'cancelled' });
+
+            expect(other.status).toBe(403);
+
+            const assigned = await request(app)
+                .patch(`/api/bookings/${booking._id}/status`)
+                .set('Authorization', driverHeader)
+                .send({ status: 'in-progress' });
+
+            expect(assigned.status).toBe(200);
+            expect(assigned.body.data.status).toBe('in-progress');
+        });
+
+        test('should not let devices read bookings', async () => {
+            const deviceHeader = await testUtils.createAuthHeader({ role: 'device', vehicleId: vehicle._id });
+
+            const res = await request(app)
+                .get(`/api/bookings/${booking._id}`)
+                .set('Authorization', deviceHeader);
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe('position reporting', () => {
+        const ping = () => ({ lat: 28.6139, lng: 77.209, speed: 40, heading: 90, timestamp: new Date().toISOString() });
+
+        test('should only let a device report for the vehicle it is bound to', async () => {
+            const otherVehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+            const deviceHeader = await testUtils.createAuthHeader({ role: 'device', vehicleId: vehicle._id });
+
+            const own = await request(app)
+                .post(`/api/vehicles/${vehicle._id}/positions`)
+                .set('Authorization', deviceHeader)
+                .send(ping());
+            const other = await request(app)
+                .post(`/api/vehicles/${otherVehicle._id}/positions`)
+                .set('Authorization', deviceHeader)
+                .send(ping());
+
+            expect(own.status).toBe(201);
+            expect(other.status).toBe(403);
+        });
+
+        test('should only let the driver of the in-progress booking report', async () => {
+            const driverUser = await AuthService.createUser(testUtils.createValidUserData({ role: 'driver' }));
+            const driverHeader = `Bearer ${AuthService.generateTokens(driverUser).accessToken}`;
+            const driver = await DriverService.createDriver(testUtils.createValidDriverData({ userId: driverUser._id }));
+            const booking = await BookingService.createBooking(testUtils.createValidBookingData(vehicle._id));
+            await BookingService.assignDriver(booking._id, driver._id);
+
+            const beforeStart = await request(app)
+                .post(`/api/vehicles/${vehicle._id}/positions`)
+                .set('Authorization', driverHeader)
+                .send(ping());
+
+            expect(beforeStart.status).toBe(403);
+
+            await BookingService.updateBookingStatus(booking._id, 'in-progress');
+
+            const driving = await request(app)
+                .post(`/api/vehicles/${vehicle._id}/positions`)
+                .set('Authorization', driverHeader)
+                .send(ping());
+
+            expect(driving.status).toBe(201);
+        });
+    });
+
+    describe('customer scoping', () => {
+        let customerHeader;
+        let customer;
+        let otherCustomer;
+        let otherBooking;
+
+        beforeEach(async () => {
+            customer = await testUtils.createCustomer();
+            otherCustomer = await testUtils.createCustomer();
+            customerHeader = await testUtils.createAuthHeader({ role: 'customer', customerId: customer._id.toString() });
+            otherBooking = await BookingService.createBooking(
+                testUtils.createValidBookingData(vehicle._id, { customerId: otherCustomer._id.toString() })
+            );
+        });
+
+        test('should take customerId from the token when booking', async () => {
+            const bookingData = testUtils.createValidBookingData(vehicle._id, {
+                customerId: otherCustomer._id.toString(),
+                startTime: testUtils.getFutureDate(48).toISOString()
+            });
+
+            const res = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', customerHeader)
+                .send(bookingData);
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.customerId).toBe(customer._id.toString());
+        });
+
+        test('should only list the customer\'s own bookings', async () => {
+            const res = await request(app)
+                .get(`/api/bookings?customerId=${otherCustomer._id}`)
+                .set('Authorization', customerHeader);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toHaveLength(0);
+        });
+
+        test('should forbid access to other customers\' bookings', async () => {
+            const byId = await request(app)
+                .get(`/api/bookings/${otherBooking._id}`)
+                .set('Authorization', customerHeader);
+            const byCustomer = await request(app)
+                .get(`/api/bookings/customer/${otherCustomer._id}`)
+                .set('Authorization', customerHeader);
+
+            expect(byId.status).toBe(403);
+            expect(byCustomer.status).toBe(403);
+        });
+    });
+});
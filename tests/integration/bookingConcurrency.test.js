@@ -0,0 +1,53 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const VehicleService = require('../../src/services/vehicleService');
+const Booking = require('../../src/models/Booking');
+
+describe('POST /api/bookings concurrency', () => {
+    const PARALLEL_REQUESTS = 10;
+    let authHeader;
+
+    beforeEach(async () => {
+        authHeader = await testUtils.createAuthHeader({ role: 'dispatcher' });
+    });
+
+    test('should allow exactly one of many parallel bookings for the same slot', async () => {
+        const vehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+        const bookingData = testUtils.createValidBookingData(vehicle._id);
+        const customers = await Promise.all(
+            Array.from({ length: PARALLEL_REQUESTS }, () => testUtils.createCustomer())
+        );
+
+        const responses = await Promise.all(
+            Array.from({ length: PARALLEL_REQUESTS }, (_, i) =>
+                request(app)
+                    .post('/api/bookings')
+                    .set('Authorization', authHeader)
+                    .send({ ...bookingData, customerId: customers[i]._id.toString() })
+            )
+        );
+
+        const statuses = responses.map(res => res.status);
+
+        expect(statuses.filter(status => status === 201)).toHaveLength(1);
+        expect(statuses.filter(status => status === 409)).toHaveLength(PARALLEL_REQUESTS - 1);
+        expect(await Booking.countDocuments({ vehicleId: vehicle._id })).toBe(1);
+    });
+
+    test('should allow parallel bookings for different vehicles', async () => {
+        const vehicles = await Promise.all(
+            Array.from({ length: 3 }, (_, i) => VehicleService.createVehicle(
+                testUtils.createValidVehicleData({ name: `Vehicle ${i}` })
+            ))
+        );
+
+        const responses = await Promise.all(vehicles.map(vehicle =>
+            request(app)
+                .post('/api/bookings')
+                .set('Authorization', authHeader)
+                .send(testUtils.createValidBookingData(vehicle._id))
+        ));
+
+        expect(responses.every(res => res.status === 201)).toBe(true);
+    });
+});
@@ -3,6 +3,9 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 
 let mongoServer;
 
+// Customer that bookings from createValidBookingData belong to
+const TEST_CUSTOMER_ID = new mongoose.Types.ObjectId();
+
 // Setup before all tests
 beforeAll(async () => {
     // Create in-memory MongoDB instance
@@ -16,6 +19,12 @@ beforeAll(async () => {
     });
 });
 
+// Recreate the default test customer, as collections are cleared after each test
+beforeEach(async () => {
+    const Customer = require('../../src/models/Customer');
+    await Customer.create({ _id: TEST_CUSTOMER_ID, name: 'Test Customer' });
+});
+
 // Cleanup after each test
 afterEach(async () => {
     // Clear all collections
@@ -48,6 +57,9 @@ global.console = {
 
 // Test utilities
 global.testUtils = {
+    // ID of the customer created before each test
+    TEST_CUSTOMER_ID: TEST_CUSTOMER_ID.toString(),
+
     // Create a valid vehicle data object
     createValidVehicleData: (overrides = {}) => ({
         name: 'Test Vehicle',
@@ -59,13 +71,54 @@ global.testUtils = {
     // Create a valid booking data object
     createValidBookingData: (vehicleId, overrides = {}) => ({
         vehicleId: vehicleId.toString(),
-        customerId: 'TEST_CUSTOMER_001',
+        customerId: TEST_CUSTOMER_ID.toString(),
         fromPincode: '110001',
         toPincode: '110002',
         startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // Tomorrow
         ...overrides
     }),
 
+    // Create a valid customer data object
+    createValidCustomerData: (overrides = {}) => ({
+        name: `Test Customer ${Date.now()}_${Math.floor(Math.random() * 100000)}`,
+        contacts: [{ name: 'Test Contact', email: 'contact@fleetlink.test', phone: '9876543210' }],
+        ...overrides
+    }),
+
+    // Create a customer and return it
+    createCustomer: async (overrides = {}) => {
+        const CustomerService = require('../../src/services/customerService');
+        return CustomerService.createCustomer(testUtils.createValidCustomerData(overrides));
+    },
+
+    // Create a valid driver data object
+    createValidDriverData: (overrides = {}) => ({
+        name: 'Test Driver',
+        phone: '9876543210',
+        licenceNumber: `DL${Date.now()}${Math.floor(Math.random() * 100000)}`,
+        licenceClass: 'HGV',
+        licenceExpiry: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(), // Next year
+        homePincode: '110001',
+        ...overrides
+    }),
+
+    // Create a valid user data object
+    createValidUserData: (overrides = {}) => ({
+        name: 'Test User',
+        email: `user_${Date.now()}_${Math.floor(Math.random() * 100000)}@fleetlink.test`,
+        password: 'Password123!',
+        role: 'dispatcher',
+        ...overrides
+    }),
+
+    // Create a user and return an Authorization header value for it
+    createAuthHeader: async (overrides = {}) => {
+        const AuthService = require('../../src/services/authService');
+        const user = await AuthService.createUser(testUtils.createValidUserData(overrides));
+        const { accessToken } = AuthService.generateTokens(user);
+        return `Bearer ${accessToken}`;
+    },
+
     // Wait for a specified amount of time
     wait: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
 
@@ -0,0 +1,172 @@
+const jwt = require('jsonwebtoken');
+const AuthService = require('../../src/services/authService');
+const User = require('../../src/models/User');
+const authConfig = require('../../src/config/auth');
+
+describe('AuthService', () => {
+    describe('createUser', () => {
+        test('should create a user with a hashed password', async () => {
+            const userData = testUtils.createValidUserData();
+
+            const user = await AuthService.createUser(userData);
+            const stored = await User.findById(user._id).select('+passwordHash');
+
+            expect(user.role).toBe('dispatcher');
+            expect(stored.passwordHash).toBeTruthy();
+            expect(stored.passwordHash).not.toBe(userData.password);
+            expect(user.toJSON().passwordHash).toBeUndefined();
+        });
+
+        test('should require a customerId for customer accounts', async () => {
+            const userData = testUtils.createValidUserData({ role: 'customer' });
+
+            await expect(AuthService.createUser(userData))
+                .rejects.toThrow('Invalid user data');
+        });
+
+        test('should reject customer accounts for unknown customers', async () => {
+            const userData = testUtils.createValidUserData({ role: 'customer', customerId: '507f1f77bcf86cd799439011' });
+
+            await expect(AuthService.createUser(userData)).rejects.toMatchObject({ statusCode: 404 });
+        });
+
+        test('should bind device accounts to a known vehicle', async () => {
+            const withoutVehicle = testUtils.createValidUserData({ role: 'device' });
+            const unknownVehicle = testUtils.createValidUserData({ role: 'device', vehicleId: '507f1f77bcf86cd799439011' });
+
+            await expect(AuthService.createUser(withoutVehicle)).rejects.toMatchObject({ statusCode: 400 });
+            await expect(AuthService.createUser(unknownVehicle)).rejects.toMatchObject({ statusCode: 404 });
+        });
+
+        test('should reject unknown roles and short passwords', async () => {
+            const userData = testUtils.createValidUserData({ role: 'superuser', password: 'short' });
+
+            await expect(AuthService.createUser(userData)).rejects.toMatchObject({
+                statusCode: 400,
+                details: expect.arrayContaining([
+                    expect.stringContaining('Role must be one of'),
+                    expect.stringContaining('Password must be at least')
+                ])
+            });
+        });
+
+        test('should reject duplicate emails', async () => {
+            const userData = testUtils.createValidUserData();
+            await AuthService.createUser(userData);
+
+            await expect(AuthService.createUser(userData)).rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+
+    describe('login', () => {
+        let userData;
+
+        beforeEach(async () => {
+            userData = testUtils.createValidUserData({ role: 'customer', customerId: testUtils.TEST_CUSTOMER_ID });
+            await AuthService.createUser(userData);
+        });
+
+        test('should issue HS256 tokens for valid credentials', async () => {
+            const result = await AuthService.login(userData.email, userData.password);
+
+            const decoded = jwt.decode(result.accessToken, { complete: true });
+
+            expect(decoded.header.alg).toBe('HS256');
+            expect(decoded.payload.role).toBe('customer');
+            expect(decoded.payload.customerId).toBe(testUtils.TEST_CUSTOMER_ID);
+            expect(result.refreshToken).toBeTruthy();
+        });
+
+        test('should reject a wrong password', async () => {
+            await expect(AuthService.login(userData.email, 'wrong-password'))
+                .rejects.toThrow('Invalid email or password');
+        });
+
+        test('should reject disabled users', async () => {
+            await User.updateOne({ email: userData.email }, { status: 'disabled' });
+
+            await expect(AuthService.login(userData.email, userData.password))
+                .rejects.toThrow('User account is disabled');
+        });
+    });
+
+    describe('tokens', () => {
+        let user;
+
+        beforeEach(async () => {
+            user = await AuthService.createUser(testUtils.createValidUserData());
+        });
+
+        test('should authenticate a valid access token', async () => {
+            const { accessToken } = AuthService.generateTokens(user);
+
+            const authenticated = await AuthService.authenticateAccessToken(accessToken);
+
+            expect(authenticated._id.toString()).toBe(user._id.toString());
+        });
+
+        test('should not accept a refresh token as an access token', async () => {
+            const { refreshToken } = AuthService.generateTokens(user);
+
+            await expect(AuthService.authenticateAccessToken(refreshToken))
+                .rejects.toThrow('Invalid token type');
+        });
+
+        test('should reject tokens signed with another secret', async () => {
+            const forged = jwt.sign(
+                { type: 'access', role: 'admin', tokenVersion: 0 },
+                'not-the-secret',
+                { subject: user._id.toString(), issuer: authConfig.jwtIssuer }
+            );
+
+            await expect(AuthService.authenticateAccessToken(forged))
+                .rejects.toThrow('Invalid token');
+        });
+
+        test('should exchange a refresh token for a new pair', async () => {
+            const { refreshToken } = AuthService.generateTokens(user);
+
+            const result = await AuthService.refreshTokens(refreshToken);
+
+            expect(result.accessToken).toBeTruthy();
+            expect(result.user._id.toString()).toBe(user._id.toString());
+        });
+
+        test('should reject tokens after revocation', async () => {
+            const { accessToken, refreshToken } = AuthService.generateTokens(user);
+
+            await AuthService.revokeTokens(user._id);
+
+            await expect(AuthService.authenticateAccessToken(accessToken))
+                .rejects.toThrow('Token has been revoked');
+            await expect(AuthService.refreshTokens(refreshToken))
+                .rejects.toThrow('Token has been revoked');
+        });
+    });
+
+    describe('readSecret', () => {
+        const env = { ...process.env };
+
+        afterEach(() => {
+            process.env = { ...env };
+        });
+
+        test('should prefer the first variable that is set', () => {
+            process.env.QUOTE_SECRET = '';
+            process.env.JWT_SECRET = 'jwt-secret';
+
+            expect(authConfig.readSecret(['QUOTE_SECRET', 'JWT_SECRET'], 'dev')).toBe('jwt-secret');
+        });
+
+        test('should only fall back to the development value in development and test', () => {
+            delete process.env.JWT_SECRET;
+
+            process.env.NODE_ENV = 'test';
+            expect(authConfig.readSecret(['JWT_SECRET'], 'dev')).toBe('dev');
+
+            process.env.NODE_ENV = 'production';
+            expect(() => authConfig.readSecret(['JWT_SECRET'], 'dev'))
+                .toThrow('JWT_SECRET must be set when NODE_ENV is production');
+        });
+    });
+});
@@ -0,0 +1,134 @@
+const BookingImportService = require('../../src/services/bookingImportService');
+const BookingService = require('../../src/services/bookingService');
+const VehicleService = require('../../src/services/vehicleService');
+const Booking = require('../../src/models/Booking');
+
+describe('BookingImportService', () => {
+    let testVehicle;
+    let otherVehicle;
+
+    const row = (vehicle, overrides = {}) => testUtils.createValidBookingData(vehicle._id, overrides);
+
+    beforeEach(async () => {
+        testVehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+        otherVehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData({ name: 'Other Vehicle' }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('parseFile', () => {
+        test('should read CSV rows keyed by the header row', async () => {
+            const records = await BookingImportService.parseFile({
+                originalname: 'bookings.CSV',
+                buffer: Buffer.from('vehicleId,customerId,fromPincode,toPincode,startTime\nabc,def,110001,110002,2026-11-02T06:00:00Z\n')
+            });
+
+            expect(records).toEqual([{
+                vehicleId: 'abc',
+                customerId: 'def',
+                fromPincode: '110001',
+                toPincode: '110002',
+                startTime: '2026-11-02T06:00:00Z'
+            }]);
+        });
+
+        test('should reject files missing required columns', async () => {
+            await expect(BookingImportService.parseFile({
+                originalname: 'bookings.csv',
+                buffer: Buffer.from('vehicleId,fromPincode\nabc,110001\n')
+            })).rejects.toThrow('Invalid file: missing column(s) toPincode, startTime');
+        });
+    });
+
+    describe('importBookings', () => {
+        test('should report every row without booking on a dry run', async () => {
+            const report = await BookingImportService.importBookings([
+                row(testVehicle),
+                row(otherVehicle, { fromPincode: '12' })
+            ], { dryRun: true });
+
+            expect(report.committed).toBe(false);
+            expect(report.summary).toMatchObject({ total: 2, valid: 1, invalid: 1, created: 0 });
+            expect(report.rows[0]).toMatchObject({ row: 2, status: 'valid', errors: [] });
+            expect(report.rows[1].status).toBe('invalid');
+            expect(report.rows[1].errors[0]).toContain('pincode');
+            expect(await Booking.countDocuments()).toBe(0);
+        });
+
+        test('should report rows that overlap earlier rows of the file or existing bookings', async () => {
+            const startTime = testUtils.getFutureDate(48).toISOString();
+            await BookingService.createBooking(row(otherVehicle, { startTime }));
+
+            const report = await BookingImportService.importBookings([
+                row(testVehicle),
+                row(testVehicle),
+                row(otherVehicle, { startTime })
+            ], { dryRun: true });
+
+            expect(report.rows.map(result => result.status)).toEqual(['valid', 'invalid', 'invalid']);
+            expect(report.rows[1].errors).toEqual([
+                'Conflicts with row 2, which books the same vehicle for an overlapping time slot'
+            ]);
+            expect(report.rows[2].errors).toEqual(['Vehicle is no longer available for the requested time slot']);
+        });
+
+        test('should book nothing in all-or-nothing mode when a row is invalid', async () => {
+            const report = await BookingImportService.importBookings([
+                row(testVehicle),
+                row(otherVehicle, { startTime: 'soon' })
+            ]);
+
+            expect(report.committed).toBe(false);
+            expect(report.rows.map(result => result.status)).toEqual(['skipped', 'invalid']);
+            expect(await Booking.countDocuments()).toBe(0);
+        });
+
+        test('should book the valid rows in best-effort mode', async () => {
+            const report = await BookingImportService.importBookings([
+                row(testVehicle),
+                row(otherVehicle, { startTime: 'soon' })
+            ], { mode: 'best-effort' });
+
+            expect(report.committed).toBe(true);
+            expect(report.summary).toMatchObject({ total: 2, invalid: 1, created: 1 });
+            expect(report.rows[0].status).toBe('created');
+            expect(report.rows[0].deliveryOtp).toMatch(/^\d+$/);
+            expect((await Booking.findById(report.rows[0].bookingId)).status).toBe('confirmed');
+        });
+
+        test('should cancel bookings already made when a later one fails in all-or-nothing mode', async () => {
+            const createBooking = BookingService.createBooking.bind(BookingService);
+            jest.spyOn(BookingService, 'createBooking')
+                .mockImplementationOnce(createBooking)
+                .mockRejectedValueOnce(new Error('Error creating booking: Vehicle is already booked for this time slot'));
+
+            const report = await BookingImportService.importBookings([
+                row(testVehicle),
+                row(otherVehicle),
+                row(otherVehicle, { startTime: testUtils.getFutureDate(72).toISOString() })
+            ]);
+
+            expect(report.committed).toBe(false);
+            expect(report.rows.map(result => result.status)).toEqual(['rolled-back', 'failed', 'skipped']);
+            expect(report.rows[1].errors).toEqual(['Vehicle is already booked for this time slot']);
+            expect(report.rows[0].deliveryOtp).toBeUndefined();
+
+            const rolledBack = await Booking.findById(report.rows[0].bookingId);
+            expect(rolledBack.status).toBe('cancelled');
+            expect(rolledBack.statusHistory[rolledBack.statusHistory.length - 1].reason)
+                .toBe('Import rolled back: row 3 failed');
+        });
+
+        test('should book every row for the given customer', async () => {
+            const customer = await testUtils.createCustomer();
+
+            const report = await BookingImportService.importBookings([row(testVehicle)], { customerId: customer._id });
+
+            expect(report.committed).toBe(true);
+            expect((await Booking.findById(report.rows[0].bookingId)).customerId.toString())
+                .toBe(customer._id.toString());
+        });
+    });
+});
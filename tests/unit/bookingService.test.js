@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 const BookingService = require('../../src/services/bookingService');
 const VehicleService = require('../../src/services/vehicleService');
+const PricingService = require('../../src/services/pricingService');
+const CustomerService = require('../../src/services/customerService');
+const DriverService = require('../../src/services/driverService');
+const LockService = require('../../src/services/lockService');
+const Lock = require('../../src/models/Lock');
+const bookingConfig = require('../../src/config/booking');
 const Booking = require('../../src/models/Booking');
 
 describe('BookingService', () => {
@@ -21,7 +27,7 @@ describe('BookingService', () => {
 
             expect(booking).toBeTruthy();
             expect(booking.vehicleId.toString()).toBe(testVehicle._id.toString());
-            expect(booking.customerId).toBe(bookingData.customerId);
+            expect(booking.customerId.toString()).toBe(bookingData.customerId);
             expect(booking.fromPincode).toBe(bookingData.fromPincode);
             expect(booking.toPincode).toBe(bookingData.toPincode);
             expect(booking.status).toBe('confirmed');
@@ -40,7 +46,7 @@ describe('BookingService', () => {
 
             // Try to create overlapping booking
             const bookingData2 = testUtils.createValidBookingData(testVehicle._id, {
-                startTime: new Date(startTime.getTime() + 30 * 60 * 1000).toISOString() // 30 minutes later
+                startTime: new Date(startTime.getTime() + 15 * 60 * 1000).toISOString() // 15 minutes later
             });
 
             await expect(BookingService.createBooking(bookingData2))
@@ -85,14 +91,74 @@ describe('BookingService', () => {
 
         test('should calculate ride duration correctly', async () => {
             const bookingData = testUtils.createValidBookingData(testVehicle._id, {
-                fromPincode: '110001',
-                toPincode: '110005'
+                fromPincode: '400001',
+                toPincode: '411001'
             });
 
             const booking = await BookingService.createBooking(bookingData);
 
-            // Expected duration: Math.abs(110005 - 110001) % 24 = 4 hours
-            expect(booking.estimatedRideDurationHours).toBe(4);
+            // Test vehicle is a Light Vehicle: ~152 road km at 50 km/h
+            expect(booking.estimatedRideDurationHours).toBeCloseTo(3.05, 1);
+        });
+
+        test('should reject unknown pincodes', async () => {
+            const bookingData = testUtils.createValidBookingData(testVehicle._id, {
+                toPincode: '999999'
+            });
+
+            await expect(BookingService.createBooking(bookingData))
+                .rejects.toThrow('Unknown pincode: 999999');
+        });
+    });
+
+    describe('createBooking with stops', () => {
+        const stops = [
+            { pincode: '400001', type: 'pickup', loadKg: 400 },
+            { pincode: '400070', type: 'pickup', loadKg: 300 },
+            { pincode: '411001', type: 'drop', loadKg: 200 },
+            { pincode: '411014', type: 'drop', loadKg: 500 }
+        ];
+
+        test('should create a multi-stop booking with a per-leg breakdown', async () => {
+            const bookingData = testUtils.createValidBookingData(testVehicle._id, { stops });
+
+            const booking = await BookingService.createBooking(bookingData);
+
+            expect(booking.fromPincode).toBe('400001');
+            expect(booking.toPincode).toBe('411014');
+            expect(booking.stops).toHaveLength(4);
+            expect(booking.legs).toHaveLength(3);
+            expect(booking.peakLoadKg).toBe(700);
+            expect(booking.endTime.getTime()).toBe(booking.legs[2].arrivalTime.getTime());
+            expect(booking.toJSON().legs[0]).toHaveProperty('distanceKm');
+        });
+
+        test('should reject routes whose peak load exceeds vehicle capacity', async () => {
+            const bookingData = testUtils.createValidBookingData(testVehicle._id, {
+                stops: [
+                    { pincode: '400001', type: 'pickup', loadKg: 700 },
+                    { pincode: '400070', type: 'pickup', loadKg: 700 },
+                    { pincode: '411001', type: 'drop', loadKg: 1400 }
+                ]
+            });
+
+            await expect(BookingService.createBooking(bookingData))
+                .rejects.toThrow('Peak on-board load of 1400 kg exceeds vehicle capacity of 1000 kg');
+        });
+
+        test('should check availability for the whole multi-stop span', async () => {
+            const startTime = testUtils.getFutureDate(24);
+            await BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id, {
+                stops,
+                startTime: startTime.toISOString()
+            }));
+
+            // Starts after the first leg, well before the last drop
+            const laterStart = new Date(startTime.getTime() + 2 * 60 * 60 * 1000);
+
+            await expect(BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id, {
+                startTime: laterStart.toISOString()
+            }))).rejects.toThrow('Vehicle is no longer available for the requested time slot');
         });
     });
 
@@ -103,7 +169,7 @@ describe('BookingService', () => {
 
             const retrievedBooking = await BookingService.getBookingById(createdBooking._id);
 
-            expect(retrievedBooking.customerId).toBe(bookingData.customerId);
+            expect(retrievedBooking.customerId.toString()).toBe(bookingData.customerId);
             expect(retrievedBooking.vehicleId.name).toBe(testVehicle.name);
         });
 
@@ -133,14 +199,51 @@ describe('BookingService', () => {
             const bookingData = testUtils.createValidBookingData(testVehicle._id);
             const booking = await BookingService.createBooking(bookingData);
 
+            await BookingService.updateBookingStatus(booking._id, 'in-progress');
             const updatedBooking = await BookingService.updateBookingStatus(
                 booking._id,
-                'completed'
+                'completed',
+                {},
+                { otp: booking.$locals.deliveryOtp }
             );
 
             expect(updatedBooking.status).toBe('completed');
             expect(updatedBooking.actualEndTime).toBeTruthy();
         });
+
+        test('should reject invalid status transitions', async () => {
+            const bookingData = testUtils.createValidBookingData(testVehicle._id);
+            const booking = await BookingService.createBooking(bookingData);
+
+            await expect(BookingService.updateBookingStatus(booking._id, 'completed'))
+                .rejects.toThrow('Invalid status transition from confirmed to completed');
+
+            await BookingService.updateBookingStatus(booking._id, 'in-progress');
+            await BookingService.updateBookingStatus(booking._id, 'completed', {}, { otp: booking.$locals.deliveryOtp });
+
+            await expect(BookingService.updateBookingStatus(booking._id, 'confirmed'))
+                .rejects.toThrow('Invalid status transition from completed to confirmed');
+        });
+
+        test('should record every transition in statusHistory', async () => {
+            const bookingData = testUtils.createValidBookingData(testVehicle._id);
+            const booking = await BookingService.createBooking(bookingData);
+            const actor = { _id: new mongoose.Types.ObjectId() };
+
+            await BookingService.updateBookingStatus(booking._id, 'in-progress', {}, { actor });
+            const updatedBooking = await BookingService.updateBookingStatus(
+                booking._id,
+                'completed',
+                {},
+                { actor, reason: 'Delivered', otp: booking.$locals.deliveryOtp }
+            );
+
+            expect(updatedBooking.statusHistory).toHaveLength(2);
+            expect(updatedBooking.statusHistory[0]).toMatchObject({ from: 'confirmed', to: 'in-progress' });
+            expect(updatedBooking.statusHistory[1]).toMatchObject({ from: 'in-progress', to: 'completed', reason: 'Delivered' });
+            expect(updatedBooking.statusHistory[1].changedBy.toString()).toBe(actor._id.toString());
+            expect(updatedBooking.statusHistory[1].changedAt).toBeInstanceOf(Date);
+        });
     });
 
     describe('cancelBooking', () => {
@@ -154,7 +257,21 @@ describe('BookingService', () => {
             );
 
             expect(cancelledBooking.status).toBe('cancelled');
-            expect(cancelledBooking.notes).toContain('Customer request');
+            expect(cancelledBooking.statusHistory[0]).toMatchObject({
+                from: 'confirmed',
+                to: 'cancelled',
+                reason: 'Customer request'
+            });
+        });
+
+        test('should not overwrite notes with the cancellation reason', async () => {
+            const bookingData = testUtils.createValidBookingData(testVehicle._id);
+            const booking = await BookingService.createBooking(bookingData);
+            await Booking.updateOne({ _id: booking._id }, { notes: 'Fragile goods' });
+
+            const cancelledBooking = await BookingService.cancelBooking(booking._id, 'Customer request');
+
+            expect(cancelledBooking.notes).toBe('Fragile goods');
         });
 
         test('should prevent cancellation of completed booking', async () => {
@@ -162,7 +279,8 @@ describe('BookingService', () => {
             const booking = await BookingService.createBooking(bookingData);
 
             // Update to completed status
-            await BookingService.updateBookingStatus(booking._id, 'completed');
+            await BookingService.updateBookingStatus(booking._id, 'in-progress');
+            await BookingService.updateBookingStatus(booking._id, 'completed', {}, { otp: booking.$locals.deliveryOtp });
 
             await expect(BookingService.cancelBooking(booking._id))
                 .rejects.toThrow('Cannot cancel completed booking');
@@ -180,14 +298,212 @@ describe('BookingService', () => {
         });
     });
 
+    describe('rescheduleBooking', () => {
+        test('should move booking to a new slot and record the previous one', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+            const newStartTime = testUtils.getFutureDate(48);
+            const quote = await PricingService.createQuote({
+                customerId: testUtils.TEST_CUSTOMER_ID,
+                vehicleId: testVehicle._id,
+                fromPincode: '110001',
+                toPincode: '110010',
+                startTime: newStartTime.toISOString()
+            });
+
+            const rescheduled = await BookingService.rescheduleBooking(booking._id, {
+                startTime: newStartTime.toISOString(),
+                toPincode: '110010',
+                quoteId: quote._id.toString(),
+                reason: 'Customer request'
+            });
+
+            expect(rescheduled.startTime.getTime()).toBe(newStartTime.getTime());
+            expect(rescheduled.toPincode).toBe('110010');
+            expect(rescheduled.pricing.quoteId.toString()).toBe(quote._id.toString());
+            expect(rescheduled.pricing.total).toBe(quote.pricing.total);
+            expect(rescheduled.endTime.getTime()).toBe(
+                newStartTime.getTime() + rescheduled.estimatedRideDurationHours * 60 * 60 * 1000
+            );
+            expect(rescheduled.rescheduleHistory).toHaveLength(1);
+            expect(rescheduled.rescheduleHistory[0]).toMatchObject({
+                fromPincode: '110001',
+                toPincode: '110002',
+                reason: 'Customer request'
+            });
+            expect(rescheduled.rescheduleHistory[0].startTime.getTime()).toBe(booking.startTime.getTime());
+        });
+
+        test('should keep the agreed price when only the time moves', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+            await PricingService.createTariff({
+                name: 'Price rise', vehicleType: testVehicle.type, baseFare: 5000, perKmRate: 100,
+                effectiveFrom: testUtils.getPastDate(1)
+            });
+
+            const rescheduled = await BookingService.rescheduleBooking(booking._id, {
+                startTime: testUtils.getFutureDate(48).toISOString()
+            });
+
+            expect(rescheduled.pricing.total).toBe(booking.pricing.total);
+        });
+
+        test('should require a quote to change the route', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+
+            await expect(BookingService.rescheduleBooking(booking._id, {
+                startTime: testUtils.getFutureDate(48).toISOString(),
+                toPincode: '110010'
+            })).rejects.toThrow('pass quoteId with a quote for the new terms');
+        });
+
+        test('should credit-check a re-quoted price increase', async () => {
+            const customer = await testUtils.createCustomer();
+            const booking = await BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id, {
+                customerId: customer._id.toString()
+            }));
+            await CustomerService.updateCustomer(customer._id, { creditLimit: booking.pricing.total });
+
+            const newStartTime = testUtils.getFutureDate(48);
+            const quote = await PricingService.createQuote({
+                customerId: customer._id.toString(),
+                vehicleId: testVehicle._id,
+                fromPincode: '110001',
+                toPincode: '400001',
+                startTime: newStartTime.toISOString()
+            });
+
+            await expect(BookingService.rescheduleBooking(booking._id, {
+                startTime: newStartTime.toISOString(),
+                toPincode: '400001',
+                quoteId: quote._id.toString()
+            })).rejects.toThrow('credit limit');
+
+            expect((await Booking.findById(booking._id)).toPincode).toBe('110002');
+        });
+
+        test('should not conflict with its own slot', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+            const shiftedStart = new Date(booking.startTime.getTime() + 10 * 60 * 1000);
+
+            const rescheduled = await BookingService.rescheduleBooking(booking._id, {
+                startTime: shiftedStart.toISOString()
+            });
+
+            expect(rescheduled.startTime.getTime()).toBe(shiftedStart.getTime());
+        });
+
+        test('should not overwrite a status change made while rescheduling', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+            const assertSlotAvailable = BookingService.assertSlotAvailable.bind(BookingService);
+            jest.spyOn(BookingService, 'assertSlotAvailable').mockImplementationOnce(async (...args) => {
+                await BookingService.updateBookingStatus(booking._id, 'cancelled');
+                return assertSlotAvailable(...args);
+            });
+
+            await expect(BookingService.rescheduleBooking(booking._id, {
+                startTime: testUtils.getFutureDate(48).toISOString()
+            })).rejects.toThrow('Reschedule conflict');
+
+            const stored = await Booking.findById(booking._id);
+            expect(stored.status).toBe('cancelled');
+            expect(stored.startTime.getTime()).toBe(booking.startTime.getTime());
+        });
+
+        test('should hold the assigned driver\'s lock while moving the trip', async () => {
+            const driver = await DriverService.createDriver(testUtils.createValidDriverData());
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+            await BookingService.assignDriver(booking._id, driver._id);
+            await LockService.tryAcquire(Lock.LOCK_SCOPES.DRIVER, driver._id);
+
+            const waitTimeoutMs = bookingConfig.lockWaitTimeoutMs;
+            bookingConfig.lockWaitTimeoutMs = 100;
+            try {
+                await expect(BookingService.rescheduleBooking(booking._id, {
+                    startTime: testUtils.getFutureDate(48).toISOString()
+                })).rejects.toThrow('Lock conflict: the driver is busy');
+            } finally {
+                bookingConfig.lockWaitTimeoutMs = waitTimeoutMs;
+            }
+        });
+
+        test('should reject slots taken by another booking', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+            const otherStart = testUtils.getFutureDate(48);
+            await BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id, {
+                startTime: otherStart.toISOString()
+            }));
+
+            await expect(BookingService.rescheduleBooking(booking._id, {
+                startTime: otherStart.toISOString()
+            })).rejects.toThrow('Vehicle is no longer available for the requested time slot');
+        });
+
+        test('should move booking to another vehicle', async () => {
+            const otherVehicle = await VehicleService.createVehicle(
+                testUtils.createValidVehicleData({ name: 'Other Vehicle' })
+            );
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+
+            const rescheduled = await BookingService.rescheduleBooking(booking._id, {
+                startTime: booking.startTime.toISOString(),
+                vehicleId: otherVehicle._id.toString()
+            });
+
+            expect(rescheduled.vehicleId._id.toString()).toBe(otherVehicle._id.toString());
+            expect(rescheduled.rescheduleHistory[0].vehicleId.toString()).toBe(testVehicle._id.toString());
+        });
+
+        test('should prevent rescheduling too close to start time', async () => {
+            const booking = await BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id, {
+                startTime: testUtils.getFutureDate(1).toISOString()
+            }));
+
+            await expect(BookingService.rescheduleBooking(booking._id, {
+                startTime: testUtils.getFutureDate(48).toISOString()
+            })).rejects.toThrow('Cannot reschedule booking less than 2 hours before start time');
+        });
+
+        test('should prevent rescheduling cancelled bookings', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+            await BookingService.cancelBooking(booking._id);
+
+            await expect(BookingService.rescheduleBooking(booking._id, {
+                startTime: testUtils.getFutureDate(48).toISOString()
+            })).rejects.toThrow('Cannot reschedule cancelled booking');
+        });
+    });
+
     describe('getAllBookings', () => {
+        let customer1;
+
         beforeEach(async () => {
+            customer1 = await testUtils.createCustomer();
+            const customer2 = await testUtils.createCustomer();
+
             // Create multiple bookings for testing
             const booking1Data = testUtils.createValidBookingData(testVehicle._id, {
-                customerId: 'CUSTOMER_1'
+                customerId: customer1._id.toString()
             });
             const booking2Data = testUtils.createValidBookingData(testVehicle._id, {
-                customerId: 'CUSTOMER_2',
+                customerId: customer2._id.toString(),
                 startTime: testUtils.getFutureDate(48).toISOString()
             });
 
@@ -207,11 +523,11 @@ describe('BookingService', () => {
 
         test('should filter bookings by customer ID', async () => {
             const bookings = await BookingService.getAllBookings({
-                customerId: 'CUSTOMER_1'
+                customerId: customer1._id.toString()
             });
 
             expect(bookings).toHaveLength(1);
-            expect(bookings[0].customerId).toBe('CUSTOMER_1');
+            expect(bookings[0].customerId.toString()).toBe(customer1._id.toString());
         });
 
         test('should filter bookings by status', async () => {
@@ -226,7 +542,7 @@ describe('BookingService', () => {
 
     describe('getCustomerBookings', () => {
         test('should get customer bookings with pagination', async () => {
-            const customerId = 'CUSTOMER_TEST';
+            const customerId = (await testUtils.createCustomer())._id.toString();
 
             // Create multiple bookings for the same customer
             for (let i = 0; i < 3; i++) {
@@ -260,7 +576,8 @@ describe('BookingService', () => {
             const booking2 = await BookingService.createBooking(booking2Data);
 
             // Update statuses
-            await BookingService.updateBookingStatus(booking1._id, 'completed');
+            await BookingService.updateBookingStatus(booking1._id, 'in-progress');
+            await BookingService.updateBookingStatus(booking1._id, 'completed', {}, { otp: booking1.$locals.deliveryOtp });
             await BookingService.cancelBooking(booking2._id, 'Test');
 
             const analytics = await BookingService.getBookingAnalytics();
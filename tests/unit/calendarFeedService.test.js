@@ -0,0 +1,90 @@
+const CalendarFeedService = require('../../src/services/calendarFeedService');
+const BookingService = require('../../src/services/bookingService');
+const VehicleService = require('../../src/services/vehicleService');
+const CalendarFeed = require('../../src/models/CalendarFeed');
+
+describe('CalendarFeedService', () => {
+    let testVehicle;
+
+    beforeEach(async () => {
+        testVehicle = await VehicleService.createVehicle(
+            testUtils.createValidVehicleData({ name: 'FL truck' })
+        );
+    });
+
+    describe('createFeed', () => {
+        test('should store only a hash of the returned token', async () => {
+            const { feed, token } = await CalendarFeedService.createFeed({
+                scope: 'vehicle',
+                subjectId: testVehicle._id.toString()
+            });
+
+            expect(token).toMatch(/^[0-9a-f]{48}$/);
+            expect(feed.name).toBe('FleetLink FL truck');
+
+            const stored = await CalendarFeed.findById(feed._id).select('+tokenHash');
+            expect(stored.tokenHash).not.toBe(token);
+            expect(JSON.stringify(feed)).not.toContain('tokenHash');
+        });
+
+        test('should reject feeds for unknown vehicles', async () => {
+            await expect(CalendarFeedService.createFeed({
+                scope: 'vehicle',
+                subjectId: '507f1f77bcf86cd799439011'
+            })).rejects.toThrow('Vehicle not found');
+        });
+    });
+
+    describe('renderFeed', () => {
+        test('should render a vehicle feed with a stable UID per booking', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id, { toPincode: '560001' })
+            );
+            const { token } = await CalendarFeedService.createFeed({
+                scope: 'vehicle',
+                subjectId: testVehicle._id.toString()
+            });
+
+            const first = await CalendarFeedService.renderFeed(token);
+            const second = await CalendarFeedService.renderFeed(token);
+
+            expect(first.body).toContain(`UID:booking-${booking._id}@`);
+            expect(first.body).toContain('SUMMARY:FL FL truck → 560001');
+            expect(first.body).toContain('STATUS:CONFIRMED');
+            expect(second.body.match(/UID:.*/g)).toEqual(first.body.match(/UID:.*/g));
+        });
+
+        test('should emit cancelled bookings as cancelled events', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+            await BookingService.cancelBooking(booking._id, 'No longer needed');
+
+            const { token } = await CalendarFeedService.createFeed({
+                scope: 'customer',
+                subjectId: testUtils.TEST_CUSTOMER_ID
+            });
+
+            const { body } = await CalendarFeedService.renderFeed(token);
+
+            expect(body).toContain(`UID:booking-${booking._id}@`);
+            expect(body).toContain('STATUS:CANCELLED');
+            expect(body).toContain('SEQUENCE:1');
+        });
+
+        test('should reject unknown and revoked tokens', async () => {
+            const { feed, token } = await CalendarFeedService.createFeed({
+                scope: 'customer',
+                subjectId: testUtils.TEST_CUSTOMER_ID
+            });
+
+            await expect(CalendarFeedService.renderFeed('not-a-token'))
+                .rejects.toThrow('Calendar feed not found');
+
+            await CalendarFeedService.revokeFeed(feed._id);
+
+            await expect(CalendarFeedService.renderFeed(token))
+                .rejects.toThrow('Calendar feed not found');
+        });
+    });
+});
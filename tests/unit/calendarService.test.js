@@ -0,0 +1,94 @@
+const CalendarService = require('../../src/services/calendarService');
+const BookingService = require('../../src/services/bookingService');
+const MaintenanceService = require('../../src/services/maintenanceService');
+const VehicleService = require('../../src/services/vehicleService');
+
+describe('CalendarService', () => {
+    let testVehicle;
+
+    beforeEach(async () => {
+        testVehicle = await VehicleService.createVehicle(
+            testUtils.createValidVehicleData({ name: 'Calendar Truck', capacityKg: 3000 })
+        );
+    });
+
+    describe('getVehicleCalendar', () => {
+        test('should return bookings, maintenance and free gaps in order', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+            await MaintenanceService.createWindow(testVehicle._id, {
+                startTime: testUtils.getFutureDate(48).toISOString(),
+                endTime: testUtils.getFutureDate(52).toISOString(),
+                type: 'inspection'
+            });
+
+            const calendar = await CalendarService.getVehicleCalendar(testVehicle._id, {
+                from: testUtils.getFutureDate(1).toISOString(),
+                to: testUtils.getFutureDate(72).toISOString()
+            });
+
+            expect(calendar.vehicleName).toBe('Calendar Truck');
+            expect(calendar.timeline.map(({ type }) => type)).toEqual(['free', 'booking', 'free', 'maintenance', 'free']);
+            expect(calendar.timeline[1].bookingId.toString()).toBe(booking._id.toString());
+            expect(calendar.timeline[1].status).toBe('confirmed');
+            expect(calendar.timeline[3].maintenanceType).toBe('inspection');
+            expect(calendar.summary.blockedHours).toBeCloseTo(4, 5);
+            expect(calendar.summary.bookedHours + calendar.summary.blockedHours + calendar.summary.freeHours)
+                .toBeCloseTo(71, 1);
+        });
+
+        test('should leave cancelled bookings out of the timeline', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+            await BookingService.cancelBooking(booking._id, 'Customer changed plans');
+
+            const calendar = await CalendarService.getVehicleCalendar(testVehicle._id);
+
+            expect(calendar.timeline).toHaveLength(1);
+            expect(calendar.timeline[0].type).toBe('free');
+        });
+
+        test('should reject ranges longer than the configured maximum', async () => {
+            await expect(CalendarService.getVehicleCalendar(testVehicle._id, {
+                from: testUtils.getFutureDate(1).toISOString(),
+                to: testUtils.getFutureDate(24 * 60).toISOString()
+            })).rejects.toThrow('Date range cannot exceed');
+        });
+
+        test('should throw for a missing vehicle', async () => {
+            await expect(CalendarService.getVehicleCalendar('507f1f77bcf86cd799439011'))
+                .rejects.toThrow('Vehicle not found');
+        });
+    });
+
+    describe('getFleetCalendar', () => {
+        test('should return a calendar per vehicle, filtered by capacity and status', async () => {
+            await VehicleService.createVehicle(
+                testUtils.createValidVehicleData({ name: 'Small Van', capacityKg: 800 })
+            );
+            const retired = await VehicleService.createVehicle(
+                testUtils.createValidVehicleData({ name: 'Old Truck', capacityKg: 3000 })
+            );
+            await VehicleService.updateVehicleStatus(retired._id, 'retired');
+
+            await BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id));
+
+            const board = await CalendarService.getFleetCalendar({ minCapacity: 1000, maxCapacity: 5000 });
+
+            expect(board.vehicles).toHaveLength(1);
+            expect(board.vehicles[0].vehicleName).toBe('Calendar Truck');
+            expect(board.vehicles[0].timeline.some(({ type }) => type === 'booking')).toBe(true);
+
+            const retiredBoard = await CalendarService.getFleetCalendar({ status: 'retired' });
+
+            expect(retiredBoard.vehicles.map(({ vehicleName }) => vehicleName)).toEqual(['Old Truck']);
+        });
+
+        test('should reject an inverted capacity range', async () => {
+            await expect(CalendarService.getFleetCalendar({ minCapacity: 5000, maxCapacity: 1000 }))
+                .rejects.toThrow('Invalid capacity range');
+        });
+    });
+});
@@ -0,0 +1,25 @@
+const { parseCsv, formatCsvRow, unescapeCsvFormula } = require('../../src/utils/csv');
+
+describe('csv', () => {
+    describe('formatCsvRow', () => {
+        test('should quote fields with commas, quotes and line breaks', () => {
+            expect(formatCsvRow(['plain', 'a, b', 'say "hi"', null, new Date('2026-11-02T00:30:00.000Z')]))
+                .toBe('plain,"a, b","say ""hi""",,2026-11-02T00:30:00.000Z\r\n');
+        });
+
+        test('should keep formula-like text from running in spreadsheets', () => {
+            expect(formatCsvRow(['=HYPERLINK("http://x")', '+1', '-1', '@SUM(A1)', -1500]))
+                .toBe('"\'=HYPERLINK(""http://x"")",\'+1,\'-1,\'@SUM(A1),-1500\r\n');
+        });
+    });
+
+    describe('unescapeCsvFormula', () => {
+        test('should read escaped text back as written', () => {
+            const [record] = parseCsv(`name\r\n${formatCsvRow(['=1+2'])}`);
+
+            expect(unescapeCsvFormula(record.name)).toBe('=1+2');
+            expect(unescapeCsvFormula("O'Brien")).toBe("O'Brien");
+            expect(unescapeCsvFormula("'quoted")).toBe("'quoted");
+        });
+    });
+});
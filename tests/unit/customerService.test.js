@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const CustomerService = require('../../src/services/customerService');
+const BookingService = require('../../src/services/bookingService');
+const VehicleService = require('../../src/services/vehicleService');
+const Customer = require('../../src/models/Customer');
+const Booking = require('../../src/models/Booking');
+const { migrateCustomerReferences } = require('../../src/migrations/customerReferences');
+
+describe('CustomerService', () => {
+    describe('createCustomer', () => {
+        test('should create a customer with contacts and billing address', async () => {
+            const customer = await CustomerService.createCustomer(testUtils.createValidCustomerData({
+                name: 'Acme Logistics',
+                gstin: '27aapfu0939f1zv',
+                billingAddress: { line1: '1 Marine Drive', city: 'Mumbai', state: 'Maharashtra', pincode: '400001' },
+                creditLimit: 50000
+            }));
+
+            expect(customer.gstin).toBe('27AAPFU0939F1ZV');
+            expect(customer.status).toBe('active');
+            expect(customer.billingAddress.country).toBe('India');
+            expect(customer.toJSON().nameKey).toBeUndefined();
+        });
+
+        test('should treat names differing in case and spacing as the same customer', async () => {
+            await CustomerService.createCustomer({ name: 'ACME' });
+
+            await expect(CustomerService.createCustomer({ name: ' acme ' }))
+                .rejects.toThrow('Customer conflict: a customer with this name already exists');
+        });
+
+        test('should reject contacts with invalid email or phone', async () => {
+            await expect(CustomerService.createCustomer(testUtils.createValidCustomerData({
+                contacts: [{ name: 'Ops', email: 'not-an-email', phone: '12345' }]
+            }))).rejects.toThrow('Contact email must be a valid email address');
+
+            await expect(CustomerService.createCustomer(testUtils.createValidCustomerData({
+                contacts: [{ name: 'Ops' }]
+            }))).rejects.toThrow('needs an email or a phone number');
+        });
+    });
+
+    describe('booking checks', () => {
+        let testVehicle;
+
+        beforeEach(async () => {
+            testVehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+        });
+
+        test('should reject bookings for suspended customers', async () => {
+            const customer = await testUtils.createCustomer({ status: 'suspended' });
+
+            await expect(BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id, { customerId: customer._id.toString() })
+            )).rejects.toThrow('Cannot book for customer: account is suspended');
+        });
+
+        test('should reject bookings that exceed the credit limit', async () => {
+            const customer = await testUtils.createCustomer();
+            const first = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id, { customerId: customer._id.toString() })
+            );
+
+            // Room for half of another booking like the first
+            await CustomerService.updateCustomer(customer._id, { creditLimit: first.pricing.total * 1.5 });
+
+            await expect(BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id, {
+                customerId: customer._id.toString(),
+                startTime: testUtils.getFutureDate(72).toISOString()
+            }))).rejects.toThrow('credit limit');
+
+            const credit = await CustomerService.getCreditSummary(customer._id);
+            expect(credit.outstanding).toBe(first.pricing.total);
+            expect(credit.openBookings).toBe(1);
+        });
+
+        test('should not let concurrent bookings on different vehicles exceed the credit limit', async () => {
+            const customer = await testUtils.createCustomer();
+            const otherVehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+            const first = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id, { customerId: customer._id.toString() })
+            );
+            await CustomerService.updateCustomer(customer._id, { creditLimit: first.pricing.total * 2.5 });
+
+            const bookAt = (vehicle) => BookingService.createBooking(testUtils.createValidBookingData(vehicle._id, {
+                customerId: customer._id.toString(),
+                startTime: testUtils.getFutureDate(72).toISOString()
+            }));
+            const results = await Promise.allSettled([bookAt(testVehicle), bookAt(otherVehicle)]);
+
+            expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+            expect(results.find(result => result.status === 'rejected').reason.message).toContain('credit limit');
+        });
+
+        test('should count completed bookings until they are invoiced', async () => {
+            const customer = await testUtils.createCustomer();
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id, { customerId: customer._id.toString() })
+            );
+            await Booking.updateOne({ _id: booking._id }, { status: 'completed' });
+
+            expect((await CustomerService.getCreditSummary(customer._id)).outstanding).toBe(booking.pricing.total);
+
+            await Booking.updateOne({ _id: booking._id }, { invoiceId: new mongoose.Types.ObjectId() });
+
+            expect((await CustomerService.getCreditSummary(customer._id)).outstanding).toBe(0);
+        });
+
+        test('should free credit when a booking is cancelled', async () => {
+            const customer = await testUtils.createCustomer();
+            const first = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id, { customerId: customer._id.toString() })
+            );
+            await CustomerService.updateCustomer(customer._id, { creditLimit: first.pricing.total });
+            await BookingService.cancelBooking(first._id, 'Plans changed');
+
+            const second = await BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id, {
+                customerId: customer._id.toString(),
+                startTime: testUtils.getFutureDate(72).toISOString()
+            }));
+
+            expect(second.status).toBe('confirmed');
+        });
+    });
+
+    describe('migrateCustomerReferences', () => {
+        test('should map legacy customer ID strings to customers', async () => {
+            const db = mongoose.connection.db;
+            const booking = (customerId) => ({
+                vehicleId: new mongoose.Types.ObjectId(),
+                customerId,
+                fromPincode: '110001',
+                toPincode: '110002',
+                startTime: testUtils.getFutureDate(24),
+                endTime: testUtils.getFutureDate(26),
+                status: 'confirmed'
+            });
+
+            await db.collection('bookings').insertMany([
+                booking('ACME'),
+                booking('ACME'),
+                booking('acme '),
+                booking('Acme Ltd')
+            ]);
+            await db.collection('users').insertOne({ email: 'acme@fleetlink.test', role: 'customer', customerId: 'acme ' });
+
+            const summary = await migrateCustomerReferences(db);
+
+            expect(summary.customersCreated).toBe(2);
+            expect(summary.updated.bookings).toBe(4);
+            expect(summary.updated.users).toBe(1);
+
+            const acme = await Customer.findOne({ nameKey: 'acme' });
+            expect(acme.name).toBe('ACME');
+            expect(acme.legacyIds.sort()).toEqual(['ACME', 'acme ']);
+            expect(await db.collection('bookings').countDocuments({ customerId: acme._id })).toBe(3);
+
+            // Nothing left to migrate on a second run
+            const rerun = await migrateCustomerReferences(db);
+            expect(rerun.customersCreated).toBe(0);
+            expect(rerun.updated.bookings).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,94 @@
+const DeliveryOtpService = require('../../src/services/deliveryOtpService');
+const BookingService = require('../../src/services/bookingService');
+const VehicleService = require('../../src/services/vehicleService');
+const Booking = require('../../src/models/Booking');
+const bookingConfig = require('../../src/config/booking');
+
+describe('DeliveryOtpService', () => {
+    let booking;
+
+    // A code that differs from the booking's
+    const wrongOtp = (otp) => String((Number(otp) + 1) % 10 ** bookingConfig.deliveryOtpDigits)
+        .padStart(bookingConfig.deliveryOtpDigits, '0');
+
+    const complete = (otp) => BookingService.updateBookingStatus(booking._id, 'completed', {}, { otp });
+
+    beforeEach(async () => {
+        const vehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+        booking = await BookingService.createBooking(testUtils.createValidBookingData(vehicle._id));
+        await BookingService.updateBookingStatus(booking._id, 'in-progress');
+    });
+
+    test('should issue a numeric OTP and store only its hash', async () => {
+        const otp = booking.$locals.deliveryOtp;
+        const stored = await Booking.findById(booking._id);
+
+        expect(otp).toMatch(new RegExp(`^\\d{${bookingConfig.deliveryOtpDigits}}$`));
+        expect(stored.deliveryOtp.hash).not.toContain(otp);
+        expect(stored.toJSON().deliveryOtp.hash).toBeUndefined();
+    });
+
+    test('should complete the booking with the right OTP', async () => {
+        await expect(complete(undefined)).rejects.toThrow('Delivery OTP is required');
+
+        const completed = await complete(booking.$locals.deliveryOtp);
+
+        expect(completed.status).toBe('completed');
+        expect(completed.deliveryOtp.verifiedAt).toBeInstanceOf(Date);
+    });
+
+    test('should count wrong OTPs and lock after the last attempt', async () => {
+        const otp = booking.$locals.deliveryOtp;
+
+        await expect(complete(wrongOtp(otp)))
+            .rejects.toThrow(`Invalid delivery OTP: ${bookingConfig.deliveryOtpMaxAttempts - 1} attempts left`);
+
+        for (let attempt = 2; attempt < bookingConfig.deliveryOtpMaxAttempts; attempt++) {
+            await expect(complete(wrongOtp(otp))).rejects.toThrow('Invalid delivery OTP');
+        }
+        await expect(complete(wrongOtp(otp))).rejects.toThrow('Delivery OTP locked');
+
+        // Even the right code is refused during the lockout
+        await expect(complete(otp)).rejects.toThrow('Delivery OTP locked');
+
+        const stored = await Booking.findById(booking._id);
+        expect(stored.status).toBe('in-progress');
+        expect(stored.deliveryOtp.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should clear a lockout when a new OTP is issued', async () => {
+        await Booking.updateOne(
+            { _id: booking._id },
+            { $set: { 'deliveryOtp.lockedUntil': new Date(Date.now() + 60 * 60 * 1000) } }
+        );
+
+        const { otp } = await DeliveryOtpService.reissueOtp(booking._id);
+
+        const completed = await complete(otp);
+        expect(completed.status).toBe('completed');
+    });
+
+    test('should reissue OTPs for bookings whose start time has passed', async () => {
+        await Booking.updateOne({ _id: booking._id }, { $set: { startTime: testUtils.getPastDate(2) } });
+
+        const { otp } = await DeliveryOtpService.reissueOtp(booking._id);
+
+        const completed = await complete(otp);
+        expect(completed.status).toBe('completed');
+    });
+
+    test('should not issue OTPs for finished bookings', async () => {
+        await complete(booking.$locals.deliveryOtp);
+
+        await expect(DeliveryOtpService.reissueOtp(booking._id))
+            .rejects.toThrow('Cannot issue a delivery OTP for a completed booking');
+    });
+
+    test('should let bookings without an OTP complete', async () => {
+        await Booking.updateOne({ _id: booking._id }, { $unset: { deliveryOtp: 1 } });
+
+        const completed = await complete(undefined);
+
+        expect(completed.status).toBe('completed');
+    });
+});
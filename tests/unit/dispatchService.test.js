@@ -0,0 +1,166 @@
+const DispatchService = require('../../src/services/dispatchService');
+const VehicleService = require('../../src/services/vehicleService');
+const PricingService = require('../../src/services/pricingService');
+const BookingService = require('../../src/services/bookingService');
+const DriverService = require('../../src/services/driverService');
+const { registerStrategy, listStrategies } = require('../../src/services/dispatchStrategies');
+const Booking = require('../../src/models/Booking');
+
+describe('DispatchService', () => {
+    let smallVehicle, largeVehicle;
+    const startTime = () => testUtils.getFutureDate(48).toISOString();
+
+    const dispatchRequest = (overrides = {}) => ({
+        capacityRequired: 500,
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: startTime(),
+        customerId: testUtils.TEST_CUSTOMER_ID,
+        ...overrides
+    });
+
+    // Earlier trip that ends at the given pincode
+    const createEarlierTrip = (vehicle, toPincode, hoursFromNow = 24) => new Booking({
+        vehicleId: vehicle._id,
+        customerId: testUtils.TEST_CUSTOMER_ID,
+        fromPincode: '110001',
+        toPincode,
+        startTime: testUtils.getFutureDate(hoursFromNow),
+        endTime: testUtils.getFutureDate(hoursFromNow + 2),
+        estimatedRideDurationHours: 2,
+        status: 'confirmed'
+    }).save();
+
+    beforeEach(async () => {
+        smallVehicle = await VehicleService.createVehicle(
+            testUtils.createValidVehicleData({ name: 'Small', capacityKg: 800 })
+        );
+        largeVehicle = await VehicleService.createVehicle(
+            testUtils.createValidVehicleData({ name: 'Large', capacityKg: 3000, tyres: 6 })
+        );
+    });
+
+    test('should book the smallest vehicle that fits by default', async () => {
+        const { booking, dispatch } = await DispatchService.autoDispatch(dispatchRequest());
+
+        expect(booking.vehicleId._id.toString()).toBe(smallVehicle._id.toString());
+        expect(dispatch.strategy.name).toBe('smallest-fit');
+        expect(dispatch.chosen.score).toBe(300);
+        expect(dispatch.runnersUp).toHaveLength(1);
+        expect(dispatch.runnersUp[0]).toMatchObject({ vehicleName: 'Large', score: 2500 });
+    });
+
+    test('should skip vehicles that cannot carry the load', async () => {
+        const { booking, dispatch } = await DispatchService.autoDispatch(dispatchRequest({ capacityRequired: 1500 }));
+
+        expect(booking.vehicleId._id.toString()).toBe(largeVehicle._id.toString());
+        expect(dispatch.runnersUp).toHaveLength(0);
+    });
+
+    test('should book the cheapest vehicle with lowest-cost', async () => {
+        await PricingService.createTariff({
+            name: 'Expensive Light',
+            vehicleType: 'Light Vehicle',
+            baseFare: 50000,
+            perKmRate: 100,
+            effectiveFrom: new Date(Date.now() - 60 * 1000)
+        });
+
+        const { booking, dispatch } = await DispatchService.autoDispatch(dispatchRequest({ strategy: 'lowest-cost' }));
+
+        expect(booking.vehicleId._id.toString()).toBe(largeVehicle._id.toString());
+        expect(dispatch.chosen.score).toBeLessThan(dispatch.runnersUp[0].score);
+    });
+
+    test('should book the vehicle whose last drop-off is nearest with nearest', async () => {
+        await createEarlierTrip(smallVehicle, '400001');
+        await createEarlierTrip(largeVehicle, '110005');
+
+        const { booking, dispatch } = await DispatchService.autoDispatch(dispatchRequest({ strategy: 'nearest' }));
+
+        expect(booking.vehicleId._id.toString()).toBe(largeVehicle._id.toString());
+        expect(dispatch.runnersUp[0].score).toBeGreaterThan(1000);
+    });
+
+    test('should rank vehicles without a known position last with nearest', async () => {
+        await createEarlierTrip(largeVehicle, '400001');
+
+        const { booking, dispatch } = await DispatchService.autoDispatch(dispatchRequest({ strategy: 'nearest' }));
+
+        expect(booking.vehicleId._id.toString()).toBe(largeVehicle._id.toString());
+        expect(dispatch.runnersUp[0].score).toBeNull();
+    });
+
+    test('should book the least busy vehicle with least-utilised', async () => {
+        await createEarlierTrip(smallVehicle, '110002');
+
+        const { booking, dispatch } = await DispatchService.autoDispatch(dispatchRequest({ strategy: 'least-utilised' }));
+
+        expect(booking.vehicleId._id.toString()).toBe(largeVehicle._id.toString());
+        expect(dispatch.chosen.score).toBe(0);
+        expect(dispatch.runnersUp[0].score).toBe(2);
+    });
+
+    test('should support registered strategies', async () => {
+        registerStrategy('largest-first', {
+            description: 'Largest vehicle first',
+            unit: 'kg',
+            score: async (candidates) => candidates.map(candidate => -candidate.capacityKg)
+        });
+
+        const { booking } = await DispatchService.autoDispatch(dispatchRequest({ strategy: 'largest-first' }));
+
+        expect(booking.vehicleId._id.toString()).toBe(largeVehicle._id.toString());
+        expect(listStrategies().map(strategy => strategy.name)).toContain('largest-first');
+    });
+
+    test('should reject unknown strategies', async () => {
+        await expect(DispatchService.autoDispatch(dispatchRequest({ strategy: 'random' })))
+            .rejects.toThrow('Unknown dispatch strategy: random');
+    });
+
+    test('should fail when no vehicle is available', async () => {
+        await expect(DispatchService.autoDispatch(dispatchRequest({ capacityRequired: 5000 })))
+            .rejects.toThrow('No vehicle available for the requested load and time slot');
+    });
+
+    test('should book the requested driver with the vehicle', async () => {
+        const driver = await DriverService.createDriver(testUtils.createValidDriverData());
+
+        const { booking } = await DispatchService.autoDispatch(dispatchRequest({ driverId: driver._id.toString() }));
+
+        expect(booking.driverId._id.toString()).toBe(driver._id.toString());
+        expect(booking.$locals.deliveryOtp).toBeDefined();
+    });
+
+    test('should not book when the driver is taken before the booking is written', async () => {
+        const driver = await DriverService.createDriver(testUtils.createValidDriverData());
+        const otherVehicle = await VehicleService.createVehicle(
+            testUtils.createValidVehicleData({ name: 'Other', capacityKg: 1000 })
+        );
+        const request = dispatchRequest({ driverId: driver._id.toString() });
+
+        // The driver is given an overlapping trip between the search and the booking
+        const assertSlotAvailable = BookingService.assertSlotAvailable.bind(BookingService);
+        jest.spyOn(BookingService, 'assertSlotAvailable').mockImplementationOnce(async (...args) => {
+            await new Booking({
+                vehicleId: otherVehicle._id,
+                customerId: testUtils.TEST_CUSTOMER_ID,
+                driverId: driver._id,
+                fromPincode: '110001',
+                toPincode: '110002',
+                startTime: new Date(request.startTime),
+                endTime: new Date(new Date(request.startTime).getTime() + 60 * 60 * 1000),
+                estimatedRideDurationHours: 1,
+                status: 'confirmed'
+            }).save();
+            return assertSlotAvailable(...args);
+        });
+
+        await expect(DispatchService.autoDispatch(request))
+            .rejects.toThrow('Driver conflict');
+
+        const bookings = await Booking.find({ vehicleId: { $in: [smallVehicle._id, largeVehicle._id] } });
+        expect(bookings).toHaveLength(0);
+    });
+});
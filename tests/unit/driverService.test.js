@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const DriverService = require('../../src/services/driverService');
+const BookingService = require('../../src/services/bookingService');
+const VehicleService = require('../../src/services/vehicleService');
+
+describe('DriverService', () => {
+    describe('createDriver', () => {
+        test('should create a driver successfully', async () => {
+            const driver = await DriverService.createDriver(testUtils.createValidDriverData());
+
+            expect(driver._id).toBeDefined();
+            expect(driver.status).toBe('active');
+            expect(driver.vehicleTypes).toEqual(['Light Vehicle', 'Medium Vehicle', 'Heavy Vehicle']);
+        });
+
+        test('should validate phone number', async () => {
+            await expect(DriverService.createDriver(testUtils.createValidDriverData({ phone: '12345' })))
+                .rejects.toThrow('Phone must be a valid 10-digit mobile number');
+        });
+
+        test('should reject unknown home pincodes', async () => {
+            await expect(DriverService.createDriver(testUtils.createValidDriverData({ homePincode: '999999' })))
+                .rejects.toThrow('Unknown pincode');
+        });
+
+        test('should handle duplicate licence number', async () => {
+            const driverData = testUtils.createValidDriverData();
+            await DriverService.createDriver(driverData);
+
+            await expect(DriverService.createDriver(driverData))
+                .rejects.toThrow('Driver with this licence number already exists');
+        });
+    });
+
+    describe('deactivateDriver', () => {
+        test('should prevent deactivation of a driver with active bookings', async () => {
+            const vehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+            const driver = await DriverService.createDriver(testUtils.createValidDriverData());
+            const booking = await BookingService.createBooking(testUtils.createValidBookingData(vehicle._id));
+            await BookingService.assignDriver(booking._id, driver._id);
+
+            await expect(DriverService.deactivateDriver(driver._id))
+                .rejects.toThrow('Cannot deactivate driver with active bookings');
+        });
+    });
+});
+
+describe('DriverService.getDriverHours', () => {
+    test('should report hours used and remaining for a date range', async () => {
+        const vehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+        const driver = await DriverService.createDriver(testUtils.createValidDriverData());
+        const booking = await BookingService.createBooking(testUtils.createValidBookingData(vehicle._id));
+        await BookingService.assignDriver(booking._id, driver._id);
+
+        const hours = await DriverService.getDriverHours(driver._id, {
+            startDate: testUtils.getFutureDate(0).toISOString(),
+            endDate: testUtils.getFutureDate(72).toISOString()
+        });
+
+        expect(hours.policy).toEqual({ maxDailyHours: 10, maxWeeklyHours: 56, minRestHours: 1 });
+        expect(hours.totalHours).toBe(booking.estimatedRideDurationHours);
+        expect(hours.days.reduce((sum, day) => sum + day.hoursUsed, 0)).toBeCloseTo(booking.estimatedRideDurationHours, 2);
+        expect(hours.weeks.length).toBeGreaterThan(0);
+    });
+
+    test('should reject an inverted date range', async () => {
+        const driver = await DriverService.createDriver(testUtils.createValidDriverData());
+
+        await expect(DriverService.getDriverHours(driver._id, {
+            startDate: testUtils.getFutureDate(48).toISOString(),
+            endDate: testUtils.getFutureDate(24).toISOString()
+        })).rejects.toThrow('End date must be after start date');
+    });
+});
+
+describe('BookingService driver assignment', () => {
+    let lightVehicle, heavyVehicle;
+
+    beforeEach(async () => {
+        lightVehicle = await VehicleService.createVehicle(
+            testUtils.createValidVehicleData({ name: 'Light', capacityKg: 1000 })
+        );
+        heavyVehicle = await VehicleService.createVehicle(
+            testUtils.createValidVehicleData({ name: 'Heavy', capacityKg: 10000, tyres: 10 })
+        );
+    });
+
+    test('should assign a driver to a booking', async () => {
+        const driver = await DriverService.createDriver(testUtils.createValidDriverData());
+        const booking = await BookingService.createBooking(testUtils.createValidBookingData(lightVehicle._id));
+
+        const updatedBooking = await BookingService.assignDriver(booking._id, driver._id);
+
+        expect(updatedBooking.driverId._id.toString()).toBe(driver._id.toString());
+    });
+
+    test('should reject drivers whose licence class does not cover the vehicle', async () => {
+        const driver = await DriverService.createDriver(testUtils.createValidDriverData({ licenceClass: 'LMV' }));
+        const booking = await BookingService.createBooking(testUtils.createValidBookingData(heavyVehicle._id));
+
+        await expect(BookingService.assignDriver(booking._id, driver._id))
+            .rejects.toThrow('Driver licence class LMV does not cover Heavy Vehicle');
+    });
+
+    test('should reject drivers whose licence expires before the trip', async () => {
+        const driver = await DriverService.createDriver(testUtils.createValidDriverData({
+            licenceExpiry: testUtils.getFutureDate(12).toISOString()
+        }));
+        const booking = await BookingService.createBooking(testUtils.createValidBookingData(lightVehicle._id));
+
+        await expect(BookingService.assignDriver(booking._id, driver._id))
+            .rejects.toThrow('Driver licence is not valid on the trip date');
+    });
+
+    test('should reject drivers with an overlapping booking', async () => {
+        const driver = await DriverService.createDriver(testUtils.createValidDriverData());
+        const startTime = testUtils.getFutureDate(24).toISOString();
+        const first = await BookingService.createBooking(
+            testUtils.createValidBookingData(lightVehicle._id, { startTime })
+        );
+        const second = await BookingService.createBooking(
+            testUtils.createValidBookingData(heavyVehicle._id, { startTime })
+        );
+
+        await BookingService.assignDriver(first._id, driver._id);
+
+        await expect(BookingService.assignDriver(second._id, driver._id))
+            .rejects.toThrow('Driver conflict');
+    });
+
+    test('should enforce minimum rest between trips', async () => {
+        const driver = await DriverService.createDriver(testUtils.createValidDriverData());
+        const first = await BookingService.createBooking(testUtils.createValidBookingData(lightVehicle._id));
+        // Starts 15 minutes after the first trip ends
+        const second = await BookingService.createBooking(testUtils.createValidBookingData(heavyVehicle._id, {
+            startTime: new Date(first.endTime.getTime() + 15 * 60 * 1000).toISOString()
+        }));
+
+        await BookingService.assignDriver(first._id, driver._id);
+
+        await expect(BookingService.assignDriver(second._id, driver._id))
+            .rejects.toThrow('Hours-of-service conflict: at least 1 hours of rest are required between trips');
+    });
+
+    test('should reject trips beyond the daily driving limit', async () => {
+        const driver = await DriverService.createDriver(testUtils.createValidDriverData());
+        // Delhi to Mumbai runs well past 10 hours
+        const booking = await BookingService.createBooking(testUtils.createValidBookingData(lightVehicle._id, {
+            toPincode: '400001'
+        }));
+
+        await expect(BookingService.assignDriver(booking._id, driver._id))
+            .rejects.toThrow('exceed the daily limit');
+    });
+
+    test('should reject inactive drivers', async () => {
+        const driver = await DriverService.createDriver(testUtils.createValidDriverData({ status: 'on-leave' }));
+        const booking = await BookingService.createBooking(testUtils.createValidBookingData(lightVehicle._id));
+
+        await expect(BookingService.assignDriver(booking._id, driver._id))
+            .rejects.toThrow('Driver is not available for assignment');
+    });
+
+    test('should throw error for non-existent driver', async () => {
+        const booking = await BookingService.createBooking(testUtils.createValidBookingData(lightVehicle._id));
+
+        await expect(BookingService.assignDriver(booking._id, new mongoose.Types.ObjectId()))
+            .rejects.toThrow('Driver not found');
+    });
+
+    test('should unassign a driver', async () => {
+        const driver = await DriverService.createDriver(testUtils.createValidDriverData());
+        const booking = await BookingService.createBooking(testUtils.createValidBookingData(lightVehicle._id));
+        await BookingService.assignDriver(booking._id, driver._id);
+
+        const updatedBooking = await BookingService.unassignDriver(booking._id);
+
+        expect(updatedBooking.driverId).toBeUndefined();
+    });
+});
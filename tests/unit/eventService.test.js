@@ -0,0 +1,94 @@
+const EventService = require('../../src/services/eventService');
+const BookingService = require('../../src/services/bookingService');
+const VehicleService = require('../../src/services/vehicleService');
+const { EVENT_TYPES } = require('../../src/config/events');
+
+describe('EventService', () => {
+    // Events stay in the shared buffer between tests, so each test uses its own customer
+    let customerId;
+    let counter = 0;
+
+    beforeEach(() => {
+        counter += 1;
+        customerId = `EVENTS_CUSTOMER_${Date.now()}_${counter}`;
+    });
+
+    const collect = (filters, lastEventId) => {
+        const received = [];
+        const unsubscribe = EventService.subscribe(filters, event => received.push(event), lastEventId);
+        return { received, unsubscribe };
+    };
+
+    describe('subscribe', () => {
+        test('should deliver matching events only', () => {
+            const { received, unsubscribe } = collect({ customerId, types: [EVENT_TYPES.BOOKING_CANCELLED] });
+
+            EventService.publish(EVENT_TYPES.BOOKING_CREATED, {}, { customerId });
+            EventService.publish(EVENT_TYPES.BOOKING_CANCELLED, {}, { customerId: 'SOMEONE_ELSE' });
+            EventService.publish(EVENT_TYPES.BOOKING_CANCELLED, { n: 1 }, { customerId });
+            unsubscribe();
+            EventService.publish(EVENT_TYPES.BOOKING_CANCELLED, { n: 2 }, { customerId });
+
+            expect(received.map(event => event.data)).toEqual([{ n: 1 }]);
+        });
+
+        test('should replay buffered events after the last event ID', () => {
+            const first = EventService.publish(EVENT_TYPES.BOOKING_CREATED, { n: 1 }, { customerId });
+            EventService.publish(EVENT_TYPES.BOOKING_CREATED, { n: 2 }, { customerId });
+            EventService.publish(EVENT_TYPES.BOOKING_CREATED, { n: 3 }, { customerId });
+
+            const { received, unsubscribe } = collect({ customerId }, first.id);
+            EventService.publish(EVENT_TYPES.BOOKING_CREATED, { n: 4 }, { customerId });
+            unsubscribe();
+
+            expect(received.map(event => event.data.n)).toEqual([2, 3, 4]);
+        });
+
+        test('should send a reset when the last event ID cannot be resumed', () => {
+            const { received, unsubscribe } = collect({ customerId }, 'otherstream-42');
+            unsubscribe();
+
+            expect(received).toHaveLength(1);
+            expect(received[0].type).toBe('stream.reset');
+        });
+
+        test('should keep delivering when a subscriber throws', () => {
+            const failing = EventService.subscribe({ customerId }, () => {
+                throw new Error('broken client');
+            });
+            const { received, unsubscribe } = collect({ customerId });
+
+            expect(() => EventService.publish(EVENT_TYPES.BOOKING_CREATED, {}, { customerId })).not.toThrow();
+            expect(received).toHaveLength(1);
+
+            failing();
+            unsubscribe();
+        });
+    });
+
+    describe('published by services', () => {
+        test('should publish booking lifecycle and vehicle status events', async () => {
+            const vehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+            const customer = await testUtils.createCustomer();
+            const { received, unsubscribe } = collect({ vehicleId: vehicle._id.toString() });
+
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(vehicle._id, { customerId: customer._id.toString() })
+            );
+            await BookingService.cancelBooking(booking._id, 'Plans changed');
+            await VehicleService.updateVehicleStatus(vehicle._id, 'maintenance');
+            unsubscribe();
+
+            expect(received.map(event => event.type)).toEqual([
+                EVENT_TYPES.BOOKING_CREATED,
+                EVENT_TYPES.BOOKING_STATUS_CHANGED,
+                EVENT_TYPES.BOOKING_CANCELLED,
+                EVENT_TYPES.VEHICLE_STATUS_CHANGED
+            ]);
+            expect(received[0].data.bookingId).toBe(booking._id.toString());
+            expect(received[0].customerId).toBe(customer._id.toString());
+            expect(received[2].data.reason).toBe('Plans changed');
+            expect(received[3].data.status).toBe('maintenance');
+        });
+    });
+});
@@ -0,0 +1,122 @@
+const {
+    getTripInterval,
+    startOfDay,
+    startOfWeek,
+    summariseHours,
+    findViolations
+} = require('../../src/utils/hoursOfService');
+
+describe('hoursOfService', () => {
+    const policy = { maxDailyHours: 10, maxWeeklyHours: 20, minRestHours: 1, timezoneOffsetMinutes: 330 };
+    const interval = (start, end) => ({ start: new Date(start), end: new Date(end) });
+
+    describe('startOfDay / startOfWeek', () => {
+        test('should follow local (IST) day and Monday week boundaries', () => {
+            // Wednesday 2030-01-09 15:30 IST
+            const date = new Date('2030-01-09T10:00:00.000Z');
+
+            expect(startOfDay(date, 330).toISOString()).toBe('2030-01-08T18:30:00.000Z');
+            expect(startOfWeek(date, 330).toISOString()).toBe('2030-01-06T18:30:00.000Z');
+        });
+    });
+
+    describe('getTripInterval', () => {
+        test('should use the planned slot before the trip starts', () => {
+            const trip = getTripInterval({
+                startTime: new Date('2030-01-09T04:00:00.000Z'),
+                estimatedRideDurationHours: 2
+            });
+
+            expect(trip.end.toISOString()).toBe('2030-01-09T06:00:00.000Z');
+        });
+
+        test('should use actual times once the trip has run', () => {
+            const trip = getTripInterval({
+                startTime: new Date('2030-01-09T04:00:00.000Z'),
+                estimatedRideDurationHours: 2,
+                actualStartTime: new Date('2030-01-09T04:30:00.000Z'),
+                actualEndTime: new Date('2030-01-09T08:00:00.000Z')
+            });
+
+            expect(trip.start.toISOString()).toBe('2030-01-09T04:30:00.000Z');
+            expect(trip.end.toISOString()).toBe('2030-01-09T08:00:00.000Z');
+        });
+
+        test('should extend an overrunning trip to now', () => {
+            const now = new Date('2030-01-09T09:00:00.000Z');
+            const trip = getTripInterval({
+                startTime: new Date('2030-01-09T04:00:00.000Z'),
+                estimatedRideDurationHours: 2,
+                actualStartTime: new Date('2030-01-09T04:00:00.000Z')
+            }, now);
+
+            expect(trip.end.getTime()).toBe(now.getTime());
+        });
+    });
+
+    describe('findViolations', () => {
+        const existing = [interval('2030-01-09T02:30:00.000Z', '2030-01-09T08:30:00.000Z')]; // 6h
+
+        test('should allow trips within limits', () => {
+            expect(findViolations(existing, interval('2030-01-09T10:00:00.000Z', '2030-01-09T12:00:00.000Z'), policy))
+                .toEqual([]);
+        });
+
+        test('should require minimum rest between trips', () => {
+            const violations = findViolations(
+                existing,
+                interval('2030-01-09T09:00:00.000Z', '2030-01-09T10:00:00.000Z'),
+                policy
+            );
+
+            expect(violations).toEqual(['at least 1 hours of rest are required between trips']);
+        });
+
+        test('should enforce the daily limit', () => {
+            const violations = findViolations(
+                existing,
+                interval('2030-01-09T10:00:00.000Z', '2030-01-09T15:00:00.000Z'),
+                policy
+            );
+
+            expect(violations).toHaveLength(1);
+            expect(violations[0]).toContain('exceed the daily limit of 10 (day of 2030-01-09)');
+        });
+
+        test('should split trips across local midnight', () => {
+            // 21:30 - 03:30 IST: 2.5h on one day, 3.5h on the next
+            const overnight = interval('2030-01-09T16:00:00.000Z', '2030-01-09T22:00:00.000Z');
+
+            expect(findViolations(existing, overnight, policy)).toEqual([]);
+        });
+
+        test('should enforce the weekly limit', () => {
+            const week = [
+                interval('2030-01-07T02:30:00.000Z', '2030-01-07T10:30:00.000Z'),
+                interval('2030-01-08T02:30:00.000Z', '2030-01-08T10:30:00.000Z')
+            ];
+
+            const violations = findViolations(week, interval('2030-01-10T02:30:00.000Z', '2030-01-10T07:30:00.000Z'), policy);
+
+            expect(violations).toHaveLength(1);
+            expect(violations[0]).toContain('exceed the weekly limit of 20');
+        });
+    });
+
+    describe('summariseHours', () => {
+        test('should report hours used and remaining per day and week', () => {
+            const summary = summariseHours(
+                [interval('2030-01-09T02:30:00.000Z', '2030-01-09T08:30:00.000Z')],
+                new Date('2030-01-08T18:30:00.000Z'),
+                new Date('2030-01-10T18:30:00.000Z'),
+                policy
+            );
+
+            expect(summary.totalHours).toBe(6);
+            expect(summary.days).toHaveLength(2);
+            expect(summary.days[0]).toMatchObject({ hoursUsed: 6, hoursRemaining: 4 });
+            expect(summary.days[1]).toMatchObject({ hoursUsed: 0, hoursRemaining: 10 });
+            expect(summary.weeks[0]).toMatchObject({ hoursUsed: 6, hoursRemaining: 14 });
+        });
+    });
+});
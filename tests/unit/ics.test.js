@@ -0,0 +1,58 @@
+const { escapeText, formatDateTime, foldLine, buildCalendar } = require('../../src/utils/ics');
+
+describe('ics', () => {
+    describe('escapeText', () => {
+        test('should escape backslashes, separators and newlines', () => {
+            expect(escapeText('a\\b;c,d\ne')).toBe('a\\\\b\\;c\\,d\\ne');
+        });
+    });
+
+    describe('formatDateTime', () => {
+        test('should format a UTC date-time without separators', () => {
+            expect(formatDateTime(new Date('2030-01-09T04:05:06.789Z'))).toBe('20300109T040506Z');
+        });
+    });
+
+    describe('foldLine', () => {
+        test('should leave short lines alone', () => {
+            expect(foldLine('SUMMARY:FL truck')).toBe('SUMMARY:FL truck');
+        });
+
+        test('should fold at 75 octets without splitting multi-byte characters', () => {
+            const line = `SUMMARY:${'→'.repeat(40)}`;
+            const folded = foldLine(line).split('\r\n');
+
+            folded.forEach(part => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+            expect(folded.slice(1).every(part => part.startsWith(' '))).toBe(true);
+            expect(folded.map((part, index) => (index === 0 ? part : part.slice(1))).join('')).toBe(line);
+        });
+    });
+
+    describe('buildCalendar', () => {
+        test('should build a VCALENDAR with CRLF line endings', () => {
+            const body = buildCalendar({
+                name: 'FleetLink Truck 1',
+                events: [{
+                    uid: 'booking-1@fleetlink.local',
+                    stamp: new Date('2030-01-01T00:00:00.000Z'),
+                    start: new Date('2030-01-09T04:00:00.000Z'),
+                    end: new Date('2030-01-09T06:00:00.000Z'),
+                    summary: 'FL Truck 1 → 560001',
+                    status: 'CANCELLED',
+                    sequence: 2
+                }]
+            });
+
+            const lines = body.split('\r\n');
+
+            expect(lines[0]).toBe('BEGIN:VCALENDAR');
+            expect(lines).toContain('UID:booking-1@fleetlink.local');
+            expect(lines).toContain('DTSTART:20300109T040000Z');
+            expect(lines).toContain('SUMMARY:FL Truck 1 → 560001');
+            expect(lines).toContain('STATUS:CANCELLED');
+            expect(lines).toContain('SEQUENCE:2');
+            expect(lines[lines.length - 2]).toBe('END:VCALENDAR');
+            expect(body.replace(/\r\n/g, '')).not.toMatch(/\n/);
+        });
+    });
+});
@@ -0,0 +1,149 @@
+const InvoiceService = require('../../src/services/invoiceService');
+const BookingService = require('../../src/services/bookingService');
+const VehicleService = require('../../src/services/vehicleService');
+const Booking = require('../../src/models/Booking');
+
+describe('InvoiceService', () => {
+    describe('calculateTotals', () => {
+        const lineItems = [
+            { code: 'BASE_FARE', label: 'Base fare', taxRate: 12, amount: 1000 },
+            { code: 'DISCOUNT', label: 'Discount (WELCOME10)', taxRate: 12, amount: -100 },
+            { code: 'TOLL', label: 'Toll', taxRate: 0, amount: 50 }
+        ];
+
+        test('should split GST into CGST and SGST within a state', () => {
+            const totals = InvoiceService.calculateTotals(lineItems, false);
+
+            expect(totals.taxableAmount).toBe(950);
+            expect(totals.taxes).toEqual([
+                { code: 'CGST', label: 'CGST (6%)', rate: 6, taxableAmount: 900, amount: 54 },
+                { code: 'SGST', label: 'SGST (6%)', rate: 6, taxableAmount: 900, amount: 54 }
+            ]);
+            expect(totals.total).toBe(1058);
+        });
+
+        test('should charge IGST across states', () => {
+            const totals = InvoiceService.calculateTotals(lineItems, true);
+
+            expect(totals.taxes).toEqual([
+                { code: 'IGST', label: 'IGST (12%)', rate: 12, taxableAmount: 900, amount: 108 }
+            ]);
+            expect(totals.taxTotal).toBe(108);
+        });
+    });
+
+    describe('invoicing completed bookings', () => {
+        let testVehicle;
+
+        beforeEach(async () => {
+            testVehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+        });
+
+        // Create a booking and run it, taking extraMinutes longer than estimated
+        const completeBooking = async (overrides = {}, extraMinutes = 0) => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id, overrides)
+            );
+            const actualStartTime = new Date();
+            const actualEndTime = new Date(
+                actualStartTime.getTime() + (booking.estimatedRideDurationHours * 60 + extraMinutes) * 60 * 1000
+            );
+
+            await BookingService.updateBookingStatus(booking._id, 'in-progress', { actualStartTime });
+            return BookingService.updateBookingStatus(booking._id, 'completed', { actualEndTime }, {
+                otp: booking.$locals.deliveryOtp
+            });
+        };
+
+        test('should invoice per-booking customers on completion, charging actual waiting time', async () => {
+            const booking = await completeBooking({}, 90);
+
+            const { invoices } = await InvoiceService.getInvoices({ customerId: testUtils.TEST_CUSTOMER_ID });
+            expect(invoices).toHaveLength(1);
+
+            const invoice = invoices[0];
+            expect(invoice.number).toMatch(/^INV\/\d{4}-\d{2}\/00001$/);
+            expect(invoice.kind).toBe('booking');
+            expect(invoice.bookingIds.map(String)).toEqual([booking._id.toString()]);
+            expect(invoice.dueDate.getTime()).toBeGreaterThan(invoice.issueDate.getTime());
+
+            // 90 minutes over the estimate, 30 of them free, at 200/hr
+            const waiting = invoice.lineItems.find(item => item.code === 'WAITING');
+            expect(waiting.amount).toBe(200);
+            expect(invoice.bookings[0].waitingMinutes).toBe(90);
+
+            expect(invoice.taxes.map(tax => tax.code)).toEqual(['CGST', 'SGST']);
+            expect(invoice.total).toBeCloseTo(invoice.taxableAmount + invoice.taxTotal, 2);
+
+            const updatedBooking = await Booking.findById(booking._id);
+            expect(updatedBooking.invoiceId.toString()).toBe(invoice._id.toString());
+        });
+
+        test('should not invoice a booking twice or before it is completed', async () => {
+            const booking = await completeBooking();
+            const confirmed = await BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id, {
+                startTime: testUtils.getFutureDate(72).toISOString()
+            }));
+
+            await expect(InvoiceService.createBookingInvoice(booking._id))
+                .rejects.toThrow('Cannot invoice booking: it is already on an invoice');
+            await expect(InvoiceService.createBookingInvoice(confirmed._id))
+                .rejects.toThrow('Cannot invoice a confirmed booking');
+        });
+
+        test('should keep numbering gap-free when invoices are voided', async () => {
+            const first = await completeBooking();
+            await completeBooking({ startTime: testUtils.getFutureDate(72).toISOString() });
+
+            const { invoices } = await InvoiceService.getInvoices();
+            const firstInvoice = invoices.find(invoice => invoice.bookingIds[0].equals(first._id));
+
+            const voided = await InvoiceService.voidInvoice(firstInvoice._id, 'Wrong billing address');
+            expect(voided.status).toBe('void');
+            await expect(InvoiceService.voidInvoice(firstInvoice._id, 'Again'))
+                .rejects.toThrow('Cannot void invoice: it is already void');
+
+            // The voided booking can be invoiced again, under the next number
+            const reissued = await InvoiceService.createBookingInvoice(first._id);
+
+            const sequences = (await InvoiceService.getInvoices()).invoices.map(invoice => invoice.sequence).sort();
+            expect(sequences).toEqual([1, 2, 3]);
+            expect(reissued.sequence).toBe(3);
+        });
+
+        test('should invoice periodic customers per billing period', async () => {
+            const customer = await testUtils.createCustomer({ billingCycle: 'periodic', paymentTermsDays: 30 });
+            const customerId = customer._id.toString();
+
+            await completeBooking({ customerId });
+            await completeBooking({ customerId, startTime: testUtils.getFutureDate(72).toISOString() });
+            expect((await InvoiceService.getInvoices({ customerId })).total).toBe(0);
+
+            const invoice = await InvoiceService.createPeriodInvoice(
+                customerId,
+                testUtils.getPastDate(24),
+                testUtils.getFutureDate(24)
+            );
+
+            expect(invoice.kind).toBe('period');
+            expect(invoice.bookingIds).toHaveLength(2);
+            expect(Math.round((invoice.dueDate - invoice.issueDate) / (24 * 60 * 60 * 1000))).toBe(30);
+
+            await expect(InvoiceService.createPeriodInvoice(
+                customerId,
+                testUtils.getPastDate(24),
+                testUtils.getFutureDate(24)
+            )).rejects.toThrow('no completed bookings left to invoice');
+        });
+
+        test('should render an invoice as a PDF', async () => {
+            await completeBooking();
+            const { invoices } = await InvoiceService.getInvoices();
+
+            const { pdf } = await InvoiceService.renderPdf(invoices[0]._id);
+
+            expect(pdf.toString('latin1', 0, 8)).toBe('%PDF-1.4');
+            expect(pdf.toString('latin1')).toContain(`(Invoice no: ${invoices[0].number}) Tj`);
+        });
+    });
+});
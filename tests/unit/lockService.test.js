@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const LockService = require('../../src/services/lockService');
+const Lock = require('../../src/models/Lock');
+const bookingConfig = require('../../src/config/booking');
+
+const { VEHICLE, CUSTOMER } = Lock.LOCK_SCOPES;
+
+describe('LockService', () => {
+    let vehicleId;
+    let lockKey;
+
+    beforeEach(() => {
+        vehicleId = new mongoose.Types.ObjectId();
+        lockKey = { scope: VEHICLE, key: vehicleId.toString() };
+    });
+
+    describe('tryAcquire', () => {
+        test('should acquire a free lock', async () => {
+            const token = await LockService.tryAcquire(VEHICLE, vehicleId);
+
+            expect(token).toBeTruthy();
+            expect(await Lock.countDocuments(lockKey)).toBe(1);
+        });
+
+        test('should not acquire a lock that is already held', async () => {
+            await LockService.tryAcquire(VEHICLE, vehicleId);
+
+            const secondToken = await LockService.tryAcquire(VEHICLE, vehicleId);
+
+            expect(secondToken).toBeNull();
+        });
+
+        test('should take over a stale lock', async () => {
+            await Lock.create({
+                ...lockKey,
+                token: 'stale-token',
+                expiresAt: testUtils.getPastDate(1)
+            });
+
+            const token = await LockService.tryAcquire(VEHICLE, vehicleId);
+
+            expect(token).toBeTruthy();
+            expect(token).not.toBe('stale-token');
+        });
+
+        test('should only let one of many concurrent attempts win', async () => {
+            const tokens = await Promise.all(
+                Array.from({ length: 10 }, () => LockService.tryAcquire(VEHICLE, vehicleId))
+            );
+
+            expect(tokens.filter(Boolean)).toHaveLength(1);
+        });
+
+        test('should keep locks of different scopes apart', async () => {
+            expect(await LockService.tryAcquire(VEHICLE, vehicleId)).toBeTruthy();
+            expect(await LockService.tryAcquire(CUSTOMER, vehicleId)).toBeTruthy();
+        });
+    });
+
+    describe('acquire', () => {
+        test('should time out while the lock is held', async () => {
+            await LockService.tryAcquire(VEHICLE, vehicleId);
+
+            await expect(LockService.acquire(VEHICLE, vehicleId, { waitTimeoutMs: 100, retryDelayMs: 10 }))
+                .rejects.toThrow('Lock conflict');
+        });
+    });
+
+    describe('release', () => {
+        test('should only release with the owning token', async () => {
+            const token = await LockService.tryAcquire(VEHICLE, vehicleId);
+
+            expect(await LockService.release(VEHICLE, vehicleId, 'other-token')).toBe(false);
+            expect(await LockService.release(VEHICLE, vehicleId, token)).toBe(true);
+            expect(await LockService.tryAcquire(VEHICLE, vehicleId)).toBeTruthy();
+        });
+    });
+
+    describe('assertHeld', () => {
+        test('should fail once the lease has been taken over', async () => {
+            const token = await LockService.tryAcquire(VEHICLE, vehicleId);
+            await LockService.assertHeld(VEHICLE, vehicleId, token);
+
+            // The lease runs out and another request takes the lock
+            await Lock.updateOne(lockKey, { expiresAt: testUtils.getPastDate(1) });
+            const otherToken = await LockService.tryAcquire(VEHICLE, vehicleId);
+
+            await expect(LockService.assertHeld(VEHICLE, vehicleId, token)).rejects.toThrow('Lock conflict');
+            await LockService.assertHeld(VEHICLE, vehicleId, otherToken);
+        });
+    });
+
+    describe('withLock', () => {
+        test('should renew the lease while a long critical section runs', async () => {
+            const leaseMs = bookingConfig.lockLeaseMs;
+            bookingConfig.lockLeaseMs = 150;
+
+            try {
+                await LockService.withLock(VEHICLE, vehicleId, async (lock) => {
+                    await testUtils.wait(400);
+
+                    expect(await LockService.tryAcquire(VEHICLE, vehicleId)).toBeNull();
+                    await lock.assertHeld();
+                });
+            } finally {
+                bookingConfig.lockLeaseMs = leaseMs;
+            }
+        });
+
+        test('should run critical sections one at a time', async () => {
+            let active = 0;
+            let maxActive = 0;
+
+            const criticalSection = async () => {
+                active++;
+                maxActive = Math.max(maxActive, active);
+                await testUtils.wait(20);
+                active--;
+            };
+
+            await Promise.all(
+                Array.from({ length: 5 }, () => LockService.withLock(VEHICLE, vehicleId, criticalSection))
+            );
+
+            expect(maxActive).toBe(1);
+        });
+
+        test('should release the lock when the function throws', async () => {
+            await expect(LockService.withLock(VEHICLE, vehicleId, async () => {
+                throw new Error('boom');
+            })).rejects.toThrow('boom');
+
+            expect(await Lock.countDocuments(lockKey)).toBe(0);
+        });
+    });
+});
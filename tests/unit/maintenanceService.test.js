@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const MaintenanceService = require('../../src/services/maintenanceService');
+const BookingService = require('../../src/services/bookingService');
+const VehicleService = require('../../src/services/vehicleService');
+
+describe('MaintenanceService', () => {
+    let testVehicle;
+
+    beforeEach(async () => {
+        testVehicle = await VehicleService.createVehicle(
+            testUtils.createValidVehicleData()
+        );
+    });
+
+    describe('createWindow', () => {
+        test('should create a maintenance window', async () => {
+            const { maintenanceWindow, conflictingBookings } = await MaintenanceService.createWindow(
+                testVehicle._id,
+                {
+                    startTime: testUtils.getFutureDate(24).toISOString(),
+                    endTime: testUtils.getFutureDate(30).toISOString(),
+                    type: 'repair',
+                    notes: 'Brake pads'
+                }
+            );
+
+            expect(maintenanceWindow._id).toBeDefined();
+            expect(maintenanceWindow.type).toBe('repair');
+            expect(maintenanceWindow.durationHours).toBeCloseTo(6, 5);
+            expect(conflictingBookings).toHaveLength(0);
+        });
+
+        test('should return overlapping confirmed bookings', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+
+            const { conflictingBookings } = await MaintenanceService.createWindow(testVehicle._id, {
+                startTime: testUtils.getFutureDate(23).toISOString(),
+                endTime: testUtils.getFutureDate(26).toISOString()
+            });
+
+            expect(conflictingBookings).toHaveLength(1);
+            expect(conflictingBookings[0]._id.toString()).toBe(booking._id.toString());
+        });
+
+        test('should reject windows overlapping another window', async () => {
+            await MaintenanceService.createWindow(testVehicle._id, {
+                startTime: testUtils.getFutureDate(24).toISOString(),
+                endTime: testUtils.getFutureDate(30).toISOString()
+            });
+
+            await expect(MaintenanceService.createWindow(testVehicle._id, {
+                startTime: testUtils.getFutureDate(28).toISOString(),
+                endTime: testUtils.getFutureDate(32).toISOString()
+            })).rejects.toThrow('Maintenance conflict');
+        });
+
+        test('should validate the time range', async () => {
+            await expect(MaintenanceService.createWindow(testVehicle._id, {
+                startTime: testUtils.getFutureDate(30).toISOString(),
+                endTime: testUtils.getFutureDate(24).toISOString()
+            })).rejects.toThrow('End time must be after start time');
+        });
+
+        test('should validate vehicle exists', async () => {
+            await expect(MaintenanceService.createWindow(new mongoose.Types.ObjectId(), {
+                startTime: testUtils.getFutureDate(24).toISOString(),
+                endTime: testUtils.getFutureDate(30).toISOString()
+            })).rejects.toThrow('Vehicle not found');
+        });
+    });
+
+    describe('bookings during maintenance', () => {
+        test('should reject bookings that overlap a maintenance window', async () => {
+            await MaintenanceService.createWindow(testVehicle._id, {
+                startTime: testUtils.getFutureDate(23).toISOString(),
+                endTime: testUtils.getFutureDate(26).toISOString()
+            });
+
+            await expect(BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id)))
+                .rejects.toThrow('vehicle is scheduled for maintenance during the requested time slot');
+        });
+
+        test('should allow bookings once the window is deleted', async () => {
+            const { maintenanceWindow } = await MaintenanceService.createWindow(testVehicle._id, {
+                startTime: testUtils.getFutureDate(23).toISOString(),
+                endTime: testUtils.getFutureDate(26).toISOString()
+            });
+
+            await MaintenanceService.deleteWindow(testVehicle._id, maintenanceWindow._id);
+
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+
+            expect(booking.status).toBe('confirmed');
+        });
+    });
+
+    describe('updateWindow', () => {
+        test('should move a window and report newly overlapping bookings', async () => {
+            await BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id));
+            const { maintenanceWindow } = await MaintenanceService.createWindow(testVehicle._id, {
+                startTime: testUtils.getFutureDate(48).toISOString(),
+                endTime: testUtils.getFutureDate(50).toISOString()
+            });
+
+            const { maintenanceWindow: updated, conflictingBookings } = await MaintenanceService.updateWindow(
+                testVehicle._id,
+                maintenanceWindow._id,
+                { startTime: testUtils.getFutureDate(23).toISOString() }
+            );
+
+            expect(updated.startTime.getTime()).toBeLessThan(maintenanceWindow.startTime.getTime());
+            expect(conflictingBookings).toHaveLength(1);
+        });
+
+        test('should throw error for a window of another vehicle', async () => {
+            const { maintenanceWindow } = await MaintenanceService.createWindow(testVehicle._id, {
+                startTime: testUtils.getFutureDate(24).toISOString(),
+                endTime: testUtils.getFutureDate(30).toISOString()
+            });
+
+            await expect(MaintenanceService.updateWindow(new mongoose.Types.ObjectId(), maintenanceWindow._id, {
+                notes: 'Moved'
+            })).rejects.toThrow('Maintenance window not found');
+        });
+    });
+
+    describe('getWindows', () => {
+        test('should list windows of a vehicle by start time', async () => {
+            await MaintenanceService.createWindow(testVehicle._id, {
+                startTime: testUtils.getFutureDate(72).toISOString(),
+                endTime: testUtils.getFutureDate(74).toISOString()
+            });
+            await MaintenanceService.createWindow(testVehicle._id, {
+                startTime: testUtils.getFutureDate(24).toISOString(),
+                endTime: testUtils.getFutureDate(26).toISOString()
+            });
+
+            const windows = await MaintenanceService.getWindows(testVehicle._id);
+            const filtered = await MaintenanceService.getWindows(testVehicle._id, {
+                to: testUtils.getFutureDate(48).toISOString()
+            });
+
+            expect(windows).toHaveLength(2);
+            expect(windows[0].startTime.getTime()).toBeLessThan(windows[1].startTime.getTime());
+            expect(filtered).toHaveLength(1);
+        });
+    });
+});
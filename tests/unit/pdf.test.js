@@ -0,0 +1,44 @@
+const { escapeText, textWidth, buildPdf } = require('../../src/utils/pdf');
+
+describe('pdf', () => {
+    describe('escapeText', () => {
+        test('should escape delimiters and replace non-ASCII characters', () => {
+            expect(escapeText('a (b) \\ c')).toBe('a \\(b\\) \\\\ c');
+            expect(escapeText('₹100')).toBe('?100');
+        });
+    });
+
+    describe('textWidth', () => {
+        test('should measure figures with Helvetica widths', () => {
+            // Four digits at 556 and a full stop at 278, in 1/1000 em of a 10pt font
+            expect(textWidth('12.34', 10)).toBeCloseTo(25.02);
+        });
+    });
+
+    describe('buildPdf', () => {
+        test('should write a document with a valid cross-reference table', () => {
+            const pdf = buildPdf([
+                [{ text: 'Invoice (copy)', x: 50, y: 800, bold: true }, { line: [50, 790, 545, 790] }],
+                [{ text: '1,234.50', x: 545, y: 800, align: 'right' }]
+            ], { title: 'Invoice INV/2026-27/00001' });
+            const body = pdf.toString('latin1');
+
+            expect(body.startsWith('%PDF-1.4')).toBe(true);
+            expect(body.trimEnd().endsWith('%%EOF')).toBe(true);
+            expect(body).toContain('/Count 2');
+            expect(body).toContain('(Invoice \\(copy\\)) Tj');
+
+            // Every xref entry points at the start of its object
+            const xrefOffset = Number(body.match(/startxref\n(\d+)/)[1]);
+            expect(body.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+
+            const entries = body.slice(xrefOffset).split('\n').slice(3)
+                .filter(line => / 00000 n $/.test(line));
+            expect(entries).toHaveLength(9);
+            entries.forEach((entry, index) => {
+                const offset = Number(entry.slice(0, 10));
+                expect(body.slice(offset, offset + String(index + 1).length + 6)).toBe(`${index + 1} 0 obj`);
+            });
+        });
+    });
+});
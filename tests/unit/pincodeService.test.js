@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PincodeService = require('../../src/services/pincodeService');
+const routingConfig = require('../../src/config/routing');
+
+describe('PincodeService', () => {
+    afterAll(() => {
+        // Restore the bundled dataset for other suites
+        PincodeService.loadDataset();
+    });
+
+    describe('loadDataset', () => {
+        test('should load the bundled dataset', () => {
+            const count = PincodeService.loadDataset();
+
+            expect(count).toBeGreaterThan(50);
+            expect(PincodeService.isKnownPincode('110001')).toBe(true);
+        });
+
+        test('should skip rows with invalid pincodes or coordinates', () => {
+            const filePath = path.join(os.tmpdir(), `pincodes-${Date.now()}.csv`);
+            fs.writeFileSync(filePath, [
+                'pincode,officeName,district,state,latitude,longitude',
+                '123456,"Test, Office",Test,Test,12.5,77.5',
+                '12345,Bad Pincode,Test,Test,12.5,77.5',
+                '654321,Bad Coordinates,Test,Test,abc,77.5'
+            ].join('\n'));
+
+            try {
+                const count = PincodeService.loadDataset(filePath);
+
+                expect(count).toBe(1);
+                expect(PincodeService.getPincode('123456').officeName).toBe('Test, Office');
+            } finally {
+                fs.unlinkSync(filePath);
+            }
+        });
+
+        test('should report a missing dataset file', () => {
+            expect(() => {
+                PincodeService.loadDataset('/nonexistent/pincodes.csv');
+            }).toThrow('Error loading pincode dataset');
+        });
+    });
+
+    describe('getPincode', () => {
+        beforeAll(() => {
+            PincodeService.loadDataset();
+        });
+
+        test('should return coordinates for a known pincode', () => {
+            const record = PincodeService.getPincode('560001');
+
+            expect(record.state).toBe('Karnataka');
+            expect(record.latitude).toBeCloseTo(12.97, 1);
+            expect(record.longitude).toBeCloseTo(77.6, 1);
+        });
+
+        test('should reject valid pincodes missing from the directory by default', () => {
+            expect(PincodeService.isKnownPincode('110099')).toBe(false);
+            expect(() => PincodeService.getPincode('110099'))
+                .toThrow('Unknown pincode: 110099 is not in the pincode directory');
+        });
+
+        test('should estimate valid pincodes missing from the directory from their neighbours when enabled', () => {
+            routingConfig.estimateUnknownPincodes = true;
+            try {
+                // 110099 is not in the dataset; the 1100xx pincodes are all in central Delhi
+                const record = PincodeService.getPincode('110099');
+
+                expect(record.estimated).toBe(true);
+                expect(record.state).toBe('Delhi');
+                expect(record.latitude).toBeCloseTo(28.6, 0);
+                expect(record.longitude).toBeCloseTo(77.2, 0);
+            } finally {
+                routingConfig.estimateUnknownPincodes = false;
+            }
+        });
+
+        test('should throw a clear error for unknown pincodes', () => {
+            expect(() => PincodeService.getPincode('999999'))
+                .toThrow('Unknown pincode: 999999 is not in the pincode directory');
+        });
+    });
+
+    describe('getStraightLineDistanceKm', () => {
+        test('should calculate haversine distance between pincodes', () => {
+            // Mumbai GPO → Pune is roughly 117 km as the crow flies
+            const distance = PincodeService.getStraightLineDistanceKm('400001', '411001');
+
+            expect(distance).toBeGreaterThan(110);
+            expect(distance).toBeLessThan(125);
+        });
+
+        test('should return zero for the same pincode', () => {
+            expect(PincodeService.getStraightLineDistanceKm('110001', '110001')).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const PricingService = require('../../src/services/pricingService');
+const BookingService = require('../../src/services/bookingService');
+const VehicleService = require('../../src/services/vehicleService');
+const Quote = require('../../src/models/Quote');
+const pricingConfig = require('../../src/config/pricing');
+const { calculateFare } = require('../../src/utils/fareCalculator');
+
+describe('PricingService', () => {
+    describe('calculateFare', () => {
+        const tariff = {
+            ...pricingConfig.defaultTariffs['Light Vehicle'],
+            discounts: [{ code: 'SAVE10', percent: 10, maxAmount: 50 }]
+        };
+        const weekdayMorning = '2030-01-07T10:00:00+05:30'; // Monday
+        const weekdayNight = '2030-01-07T23:00:00+05:30';
+        const saturdayMorning = '2030-01-05T10:00:00+05:30';
+
+        test('should charge base fare, distance and GST', () => {
+            const fare = calculateFare(tariff, { distanceKm: 100, startTime: weekdayMorning });
+
+            expect(fare.lineItems.map(item => item.code)).toEqual(['BASE_FARE', 'DISTANCE']);
+            expect(fare.subtotal).toBe(1500);
+            expect(fare.taxes).toEqual([expect.objectContaining({ code: 'GST', rate: 12, amount: 180 })]);
+            expect(fare.total).toBe(1680);
+        });
+
+        test('should top up short trips to the minimum fare', () => {
+            const fare = calculateFare(tariff, { distanceKm: 5, startTime: weekdayMorning });
+
+            expect(fare.lineItems).toContainEqual(expect.objectContaining({ code: 'MINIMUM_FARE_ADJUSTMENT', amount: 250 }));
+            expect(fare.subtotal).toBe(800);
+        });
+
+        test('should apply the night surcharge inside the night window', () => {
+            const fare = calculateFare(tariff, { distanceKm: 100, startTime: weekdayNight });
+
+            expect(fare.lineItems).toContainEqual(expect.objectContaining({ code: 'NIGHT_SURCHARGE', amount: 150 }));
+        });
+
+        test('should apply weekend surcharge, waiting charge and discount', () => {
+            const fare = calculateFare(tariff, {
+                distanceKm: 100,
+                startTime: saturdayMorning,
+                waitingMinutes: 90,
+                discountCode: 'save10'
+            });
+
+            expect(fare.lineItems).toContainEqual(expect.objectContaining({ code: 'WEEKEND_SURCHARGE', amount: 75 }));
+            // 30 free minutes, 60 billable at 200/hr
+            expect(fare.lineItems).toContainEqual(expect.objectContaining({ code: 'WAITING', amount: 200 }));
+            // 10% capped at 50
+            expect(fare.discount).toEqual({ code: 'SAVE10', percent: 10, amount: 50 });
+            expect(fare.taxableAmount).toBe(1725);
+        });
+
+        test('should reject unknown discount codes', () => {
+            expect(() => calculateFare(tariff, { distanceKm: 100, discountCode: 'BOGUS' }))
+                .toThrow('Invalid or expired discount code');
+        });
+    });
+
+    describe('getActiveTariff', () => {
+        test('should fall back to the default tariff', async () => {
+            const tariff = await PricingService.getActiveTariff('Heavy Vehicle');
+
+            expect(tariff.isDefault).toBe(true);
+            expect(tariff.baseFare).toBe(pricingConfig.defaultTariffs['Heavy Vehicle'].baseFare);
+        });
+
+        test('should prefer the latest effective stored tariff', async () => {
+            await PricingService.createTariff({
+                name: 'Old', vehicleType: 'Light Vehicle', baseFare: 100, perKmRate: 1,
+                effectiveFrom: testUtils.getPastDate(48)
+            });
+            await PricingService.createTariff({
+                name: 'Current', vehicleType: 'Light Vehicle', baseFare: 200, perKmRate: 2,
+                effectiveFrom: testUtils.getPastDate(1)
+            });
+            await PricingService.createTariff({
+                name: 'Future', vehicleType: 'Light Vehicle', baseFare: 300, perKmRate: 3,
+                effectiveFrom: testUtils.getFutureDate(48)
+            });
+
+            const tariff = await PricingService.getActiveTariff('Light Vehicle');
+
+            expect(tariff.name).toBe('Current');
+        });
+    });
+
+    describe('updateTariff', () => {
+        test('should only update tariff fields', async () => {
+            const tariff = await PricingService.createTariff({
+                name: 'Standard', vehicleType: 'Light Vehicle', baseFare: 100, perKmRate: 1
+            });
+
+            const updated = await PricingService.updateTariff(tariff._id, {
+                baseFare: 150,
+                createdAt: testUtils.getPastDate(1000),
+                $unset: { perKmRate: 1 }
+            });
+
+            expect(updated.baseFare).toBe(150);
+            expect(updated.perKmRate).toBe(1);
+            expect(updated.createdAt.getTime()).toBe(tariff.createdAt.getTime());
+        });
+    });
+
+    describe('quotes', () => {
+        let vehicle;
+        let quoteData;
+
+        beforeEach(async () => {
+            vehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+            quoteData = {
+                customerId: testUtils.TEST_CUSTOMER_ID,
+                vehicleId: vehicle._id,
+                fromPincode: '400001',
+                toPincode: '411001',
+                startTime: testUtils.getFutureDate(24).toISOString()
+            };
+        });
+
+        test('should create a signed quote with an expiry', async () => {
+            const quote = await PricingService.createQuote(quoteData);
+
+            expect(quote.vehicleType).toBe('Light Vehicle');
+            expect(quote.pricing.total).toBeGreaterThan(0);
+            expect(quote.expiresAt.getTime()).toBeGreaterThan(Date.now());
+            expect(PricingService.verifyQuoteSignature(quote)).toBe(true);
+        });
+
+        test('should detect tampered quotes', async () => {
+            const quote = await PricingService.createQuote(quoteData);
+            await Quote.updateOne({ _id: quote._id }, { 'pricing.total': 1 });
+
+            const tampered = await Quote.findById(quote._id);
+
+            expect(PricingService.verifyQuoteSignature(tampered)).toBe(false);
+        });
+
+        test('should freeze the quoted price on the booking', async () => {
+            const quote = await PricingService.createQuote(quoteData);
+
+            // A later tariff change must not affect the agreed price
+            await PricingService.createTariff({
+                name: 'Price rise', vehicleType: 'Light Vehicle', baseFare: 5000, perKmRate: 100,
+                effectiveFrom: testUtils.getPastDate(1)
+            });
+
+            const booking = await BookingService.createBooking(testUtils.createValidBookingData(vehicle._id, {
+                ...quoteData,
+                quoteId: quote._id.toString()
+            }));
+
+            expect(booking.pricing.quoteId.toString()).toBe(quote._id.toString());
+            expect(booking.pricing.total).toBe(quote.pricing.total);
+            expect(booking.pricing.lineItems.length).toBeGreaterThan(0);
+
+            const acceptedQuote = await Quote.findById(quote._id);
+            expect(acceptedQuote.status).toBe('accepted');
+            expect(acceptedQuote.bookingId.toString()).toBe(booking._id.toString());
+        });
+
+        test('should price bookings without a quote from the current tariff', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(vehicle._id, quoteData)
+            );
+
+            expect(booking.pricing.quoteId).toBeUndefined();
+            expect(booking.pricing.total).toBeGreaterThan(0);
+        });
+
+        test('should reject a quote used twice', async () => {
+            const quote = await PricingService.createQuote(quoteData);
+            await BookingService.createBooking(testUtils.createValidBookingData(vehicle._id, {
+                ...quoteData,
+                quoteId: quote._id.toString()
+            }));
+
+            const otherVehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+
+            await expect(BookingService.createBooking(testUtils.createValidBookingData(otherVehicle._id, {
+                ...quoteData,
+                quoteId: quote._id.toString()
+            }))).rejects.toThrow('Quote has already been used');
+        });
+
+        test('should reject expired quotes', async () => {
+            const quote = await PricingService.createQuote(quoteData);
+            quote.expiresAt = testUtils.getPastDate(1);
+            quote.signature = PricingService.signQuote(quote);
+            await quote.save();
+
+            await expect(BookingService.createBooking(testUtils.createValidBookingData(vehicle._id, {
+                ...quoteData,
+                quoteId: quote._id.toString()
+            }))).rejects.toThrow('Quote has expired');
+        });
+
+        test('should reject quotes that do not match the booking', async () => {
+            const quote = await PricingService.createQuote(quoteData);
+
+            await expect(BookingService.createBooking(testUtils.createValidBookingData(vehicle._id, {
+                ...quoteData,
+                toPincode: '400070',
+                quoteId: quote._id.toString()
+            }))).rejects.toThrow('Quote does not match booking: toPincode');
+        });
+
+        test('should report missing quotes', async () => {
+            await expect(BookingService.createBooking(testUtils.createValidBookingData(vehicle._id, {
+                ...quoteData,
+                quoteId: new mongoose.Types.ObjectId().toString()
+            }))).rejects.toThrow('Quote not found');
+        });
+    });
+});
@@ -0,0 +1,118 @@
+const { Readable } = require('stream');
+const ProofOfDeliveryService = require('../../src/services/proofOfDeliveryService');
+const BookingService = require('../../src/services/bookingService');
+const VehicleService = require('../../src/services/vehicleService');
+const CustomerService = require('../../src/services/customerService');
+const { registerAdapter } = require('../../src/services/fileStorage');
+const podConfig = require('../../src/config/pod');
+
+describe('ProofOfDeliveryService', () => {
+    // Keep uploads in memory instead of on disk
+    const stored = new Map();
+    let configuredAdapter;
+
+    beforeAll(() => {
+        registerAdapter('memory', {
+            save: async (key, buffer) => { stored.set(key, buffer); },
+            read: async (key) => Readable.from([stored.get(key)]),
+            remove: async (key) => { stored.delete(key); }
+        });
+        configuredAdapter = podConfig.storageAdapter;
+        podConfig.storageAdapter = 'memory';
+    });
+
+    afterAll(() => {
+        podConfig.storageAdapter = configuredAdapter;
+    });
+
+    const image = (name) => ({
+        buffer: Buffer.from(`image-${name}`),
+        originalname: name,
+        mimetype: 'image/png',
+        size: `image-${name}`.length
+    });
+
+    const podData = { recipientName: 'R. Sharma', lat: '28.6139', lng: '77.2090' };
+
+    let testVehicle;
+    let booking;
+
+    beforeEach(async () => {
+        stored.clear();
+        testVehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+        booking = await BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id));
+    });
+
+    test('should store the files and record the proof on the booking', async () => {
+        await BookingService.updateBookingStatus(booking._id, 'in-progress');
+
+        const updated = await ProofOfDeliveryService.recordProofOfDelivery(
+            booking._id,
+            podData,
+            { signature: image('signature.png'), photos: [image('door.png'), image('pallet.png')] }
+        );
+
+        const pod = updated.proofOfDelivery;
+        expect(pod.recipientName).toBe('R. Sharma');
+        expect(pod.location.lat).toBeCloseTo(28.6139);
+        expect(pod.signature.key.startsWith(`${booking._id}/`)).toBe(true);
+        expect(pod.photos).toHaveLength(2);
+        expect(stored.size).toBe(3);
+
+        const { file, stream } = await ProofOfDeliveryService.getProofOfDeliveryFile(updated, pod.photos[1]._id);
+        const chunks = [];
+        for await (const chunk of stream) chunks.push(chunk);
+
+        expect(file.originalName).toBe('pallet.png');
+        expect(Buffer.concat(chunks).toString()).toBe('image-pallet.png');
+    });
+
+    test('should refuse a second proof and remove its files', async () => {
+        await BookingService.updateBookingStatus(booking._id, 'in-progress');
+        await ProofOfDeliveryService.recordProofOfDelivery(booking._id, podData, { signature: image('first.png') });
+
+        await expect(ProofOfDeliveryService.recordProofOfDelivery(
+            booking._id,
+            podData,
+            { signature: image('second.png') }
+        )).rejects.toThrow('Cannot record proof of delivery: one is already recorded');
+        expect(stored.size).toBe(1);
+    });
+
+    test('should only accept proofs for started bookings', async () => {
+        await expect(ProofOfDeliveryService.recordProofOfDelivery(
+            booking._id,
+            podData,
+            { signature: image('signature.png') }
+        )).rejects.toThrow('Cannot record proof of delivery for a confirmed booking');
+        expect(stored.size).toBe(0);
+    });
+
+    test('should gate completion on a proof when the customer requires one', async () => {
+        await CustomerService.updateCustomer(testUtils.TEST_CUSTOMER_ID, { requiresProofOfDelivery: true });
+        await BookingService.updateBookingStatus(booking._id, 'in-progress');
+
+        const otp = booking.$locals.deliveryOtp;
+        await expect(BookingService.updateBookingStatus(booking._id, 'completed', {}, { otp }))
+            .rejects.toThrow('Cannot complete booking: the customer requires a proof of delivery first');
+
+        await ProofOfDeliveryService.recordProofOfDelivery(booking._id, podData, { signature: image('signature.png') });
+        const completed = await BookingService.updateBookingStatus(booking._id, 'completed', {}, { otp });
+
+        expect(completed.status).toBe('completed');
+        expect(completed.proofOfDelivery.recipientName).toBe('R. Sharma');
+    });
+
+    test('should complete without a proof when the customer does not require one', async () => {
+        await BookingService.updateBookingStatus(booking._id, 'in-progress');
+        const completed = await BookingService.updateBookingStatus(
+            booking._id,
+            'completed',
+            {},
+            { otp: booking.$locals.deliveryOtp }
+        );
+
+        expect(completed.status).toBe('completed');
+        expect(completed.proofOfDelivery).toBeUndefined();
+    });
+});
@@ -0,0 +1,143 @@
+const {
+    parseLocalDate,
+    formatLocalDate,
+    parseRule,
+    formatRule,
+    validateSchedule,
+    listOccurrences
+} = require('../../src/utils/recurrence');
+
+describe('recurrence utils', () => {
+    const IST = 330;
+
+    // 2026-11-02 is a Monday
+    const series = (schedule, endDate) => ({
+        schedule: { interval: 1, byDay: [], byMonthDay: [], time: '06:00', ...schedule },
+        startDate: parseLocalDate('2026-11-02', IST),
+        endDate: endDate ? parseLocalDate(endDate, IST) : undefined
+    });
+
+    const days = (occurrences) => occurrences.map(date => formatLocalDate(date, IST));
+
+    describe('parseLocalDate', () => {
+        test('should return the local midnight of a date', () => {
+            expect(parseLocalDate('2026-11-02', IST).toISOString()).toBe('2026-11-01T18:30:00.000Z');
+        });
+
+        test('should reject malformed and impossible dates', () => {
+            expect(parseLocalDate('2026-02-30', IST)).toBeNull();
+            expect(parseLocalDate('02/11/2026', IST)).toBeNull();
+        });
+    });
+
+    describe('parseRule', () => {
+        test('should parse the supported RRULE parts', () => {
+            expect(parseRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE,FR')).toEqual({
+                frequency: 'weekly',
+                interval: 2,
+                byDay: ['MO', 'WE', 'FR'],
+                byMonthDay: []
+            });
+        });
+
+        test('should reject unsupported parts', () => {
+            expect(() => parseRule('FREQ=DAILY;COUNT=5')).toThrow('Unsupported RRULE part: COUNT');
+        });
+
+        test('should format a schedule back to an RRULE', () => {
+            expect(formatRule({ frequency: 'monthly', interval: 1, byDay: [], byMonthDay: [1, -1] }))
+                .toBe('FREQ=MONTHLY;BYMONTHDAY=1,-1');
+        });
+    });
+
+    describe('validateSchedule', () => {
+        test('should accept a weekday schedule', () => {
+            expect(validateSchedule({ frequency: 'weekly', byDay: ['MO', 'FR'], time: '06:00' })).toEqual([]);
+        });
+
+        test('should report every problem', () => {
+            const errors = validateSchedule({ frequency: 'daily', interval: 0, byDay: ['XX'], time: '25:00' });
+
+            expect(errors).toHaveLength(3);
+            expect(errors[0]).toContain('interval');
+            expect(errors[1]).toContain('byDay');
+            expect(errors[2]).toContain('time');
+        });
+
+        test('should reject days that do not apply to the frequency', () => {
+            expect(validateSchedule({ frequency: 'daily', byDay: ['MO'], time: '06:00' }))
+                .toEqual(['Schedule byDay only applies to weekly schedules']);
+        });
+    });
+
+    describe('listOccurrences', () => {
+        const from = parseLocalDate('2026-11-01', IST);
+        const to = parseLocalDate('2026-12-01', IST);
+
+        test('should place occurrences at the local start time', () => {
+            const [first] = listOccurrences(series({ frequency: 'daily' }), from, to, IST);
+
+            expect(first.toISOString()).toBe('2026-11-02T00:30:00.000Z');
+        });
+
+        test('should repeat daily with an interval', () => {
+            const occurrences = listOccurrences(series({ frequency: 'daily', interval: 3 }, '2026-11-12'), from, to, IST);
+
+            expect(days(occurrences)).toEqual(['2026-11-02', '2026-11-05', '2026-11-08', '2026-11-11']);
+        });
+
+        test('should repeat on weekdays', () => {
+            const occurrences = listOccurrences(
+                series({ frequency: 'weekly', byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] }),
+                from,
+                parseLocalDate('2026-11-10', IST),
+                IST
+            );
+
+            expect(days(occurrences)).toEqual([
+                '2026-11-02', '2026-11-03', '2026-11-04', '2026-11-05', '2026-11-06', '2026-11-09'
+            ]);
+        });
+
+        test('should skip weeks of a fortnightly schedule', () => {
+            const occurrences = listOccurrences(series({ frequency: 'weekly', interval: 2, byDay: ['WE'] }), from, to, IST);
+
+            expect(days(occurrences)).toEqual(['2026-11-04', '2026-11-18']);
+        });
+
+        test('should repeat monthly, counting negative days from the month end', () => {
+            const occurrences = listOccurrences(
+                series({ frequency: 'monthly', byMonthDay: [-1] }),
+                from,
+                parseLocalDate('2027-03-01', IST),
+                IST
+            );
+
+            expect(days(occurrences)).toEqual(['2026-11-30', '2026-12-31', '2027-01-31', '2027-02-28']);
+        });
+
+        test('should skip months without the day', () => {
+            const monthly = {
+                ...series({ frequency: 'monthly' }),
+                startDate: parseLocalDate('2027-01-31', IST)
+            };
+
+            const occurrences = listOccurrences(monthly, from, parseLocalDate('2027-06-01', IST), IST);
+
+            expect(days(occurrences)).toEqual(['2027-01-31', '2027-03-31', '2027-05-31']);
+        });
+
+        test('should only return occurrences inside the range', () => {
+            const rangeStart = new Date('2026-11-03T00:30:00.000Z');
+            const occurrences = listOccurrences(
+                series({ frequency: 'daily' }),
+                rangeStart,
+                new Date('2026-11-05T00:30:00.000Z'),
+                IST
+            );
+
+            expect(occurrences.map(date => date.toISOString()))
+                .toEqual(['2026-11-03T00:30:00.000Z', '2026-11-04T00:30:00.000Z']);
+        });
+    });
+});
@@ -0,0 +1,156 @@
+const RecurringBookingService = require('../../src/services/recurringBookingService');
+const BookingService = require('../../src/services/bookingService');
+const VehicleService = require('../../src/services/vehicleService');
+const CustomerService = require('../../src/services/customerService');
+const RecurringBooking = require('../../src/models/RecurringBooking');
+const Booking = require('../../src/models/Booking');
+const recurringConfig = require('../../src/config/recurring');
+const { formatLocalDate, parseLocalDate } = require('../../src/utils/recurrence');
+
+describe('RecurringBookingService', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Local date a number of days from today
+    const localDay = (daysFromToday) => formatLocalDate(new Date(Date.now() + daysFromToday * DAY_MS));
+
+    let testVehicle;
+
+    const createSeries = (overrides = {}) => RecurringBookingService.createRecurringBooking({
+        customerId: testUtils.TEST_CUSTOMER_ID,
+        fromPincode: '110001',
+        toPincode: '110002',
+        vehicleId: testVehicle._id.toString(),
+        schedule: { frequency: 'daily', time: '06:00' },
+        startDate: localDay(1),
+        ...overrides
+    });
+
+    const seriesBookings = (recurringBookingId, status) => Booking.find({
+        recurringBookingId,
+        ...(status && { status })
+    }).sort({ startTime: 1 });
+
+    beforeEach(async () => {
+        testVehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+    });
+
+    describe('createRecurringBooking', () => {
+        test('should book every occurrence up to the horizon, once', async () => {
+            const { recurringBooking, generation } = await createSeries();
+
+            expect(generation.conflicts).toEqual([]);
+            expect(generation.created.length).toBeGreaterThanOrEqual(recurringConfig.horizonDays - 1);
+            expect(recurringBooking.rrule).toBe('FREQ=DAILY');
+
+            const bookings = await seriesBookings(recurringBooking._id);
+            expect(bookings).toHaveLength(generation.created.length);
+            expect(formatLocalDate(bookings[0].startTime)).toBe(localDay(1));
+
+            const rerun = await RecurringBookingService.generateOccurrences(recurringBooking._id);
+            expect(rerun.created).toEqual([]);
+            expect(await seriesBookings(recurringBooking._id)).toHaveLength(bookings.length);
+        });
+
+        test('should report occurrences the preferred vehicle is taken for', async () => {
+            // Another booking takes the vehicle at the second occurrence
+            await BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id, {
+                startTime: new Date(parseLocalDate(localDay(2)).getTime() + 6 * 60 * 60 * 1000).toISOString()
+            }));
+
+            const { recurringBooking, generation } = await createSeries({ endDate: localDay(3) });
+
+            expect(generation.created).toHaveLength(2);
+            expect(generation.conflicts).toHaveLength(1);
+            expect(formatLocalDate(generation.conflicts[0].occurrenceStart)).toBe(localDay(2));
+            expect(recurringBooking.conflicts).toHaveLength(1);
+            expect(recurringBooking.generatedUntil.getTime()).toBe(parseLocalDate(localDay(4)).getTime());
+        });
+
+        test('should auto-assign another vehicle when the preferred one is taken', async () => {
+            const otherVehicle = await VehicleService.createVehicle(
+                testUtils.createValidVehicleData({ name: 'Spare Vehicle', capacityKg: 2000 })
+            );
+            await VehicleService.updateVehicleStatus(testVehicle._id, 'maintenance');
+
+            const { generation } = await createSeries({ endDate: localDay(2), capacityRequired: 500 });
+
+            expect(generation.conflicts).toEqual([]);
+            expect(generation.created).toHaveLength(2);
+            generation.created.forEach(created => {
+                expect(created.vehicleId.toString()).toBe(otherVehicle._id.toString());
+            });
+        });
+
+        test('should end a series once its last day has passed', async () => {
+            const { recurringBooking } = await createSeries({ endDate: localDay(2) });
+
+            const later = await RecurringBookingService.generateOccurrences(
+                recurringBooking._id,
+                new Date(Date.now() + 3 * DAY_MS)
+            );
+
+            expect(later.created).toEqual([]);
+            expect((await RecurringBooking.findById(recurringBooking._id)).status).toBe('ended');
+        });
+
+        test('should refuse series for suspended customers', async () => {
+            await CustomerService.updateCustomer(testUtils.TEST_CUSTOMER_ID, { status: 'suspended' });
+
+            await expect(createSeries()).rejects.toThrow('Error creating recurring booking');
+            expect(await RecurringBooking.countDocuments()).toBe(0);
+        });
+    });
+
+    describe('updateRecurringBooking', () => {
+        test('should apply changes to future occurrences only', async () => {
+            const { recurringBooking } = await createSeries({ endDate: localDay(4) });
+            const [first] = await seriesBookings(recurringBooking._id);
+            await BookingService.updateBookingStatus(first._id, 'in-progress');
+
+            const result = await RecurringBookingService.updateRecurringBooking(recurringBooking._id, { time: '07:30' });
+
+            expect(result.cancelledBookings).toBe(3);
+            expect(result.generation.created).toHaveLength(3);
+            expect(result.recurringBooking.schedule.time).toBe('07:30');
+
+            const active = await Booking.find({ recurringBookingId: recurringBooking._id, status: { $ne: 'cancelled' } })
+                .sort({ startTime: 1 });
+            expect(active).toHaveLength(4);
+            expect(active[0]._id.toString()).toBe(first._id.toString());
+            expect(active[0].status).toBe('in-progress');
+            active.slice(1).forEach(booking => {
+                expect(booking.startTime.getTime() - first.startTime.getTime()).toBeGreaterThan(DAY_MS);
+            });
+        });
+
+        test('should not rebook occurrences for a notes change', async () => {
+            const { recurringBooking } = await createSeries({ endDate: localDay(2) });
+
+            const result = await RecurringBookingService.updateRecurringBooking(recurringBooking._id, { notes: 'Gate 4' });
+
+            expect(result.cancelledBookings).toBe(0);
+            expect(result.generation).toBeNull();
+            expect(result.recurringBooking.notes).toBe('Gate 4');
+        });
+    });
+
+    describe('cancelRecurringBooking', () => {
+        test('should cancel future occurrences and stop generating', async () => {
+            const { recurringBooking } = await createSeries({ endDate: localDay(3) });
+            const [first] = await seriesBookings(recurringBooking._id);
+            await BookingService.updateBookingStatus(first._id, 'in-progress');
+
+            const result = await RecurringBookingService.cancelRecurringBooking(recurringBooking._id, 'Contract ended');
+
+            expect(result.recurringBooking.status).toBe('cancelled');
+            expect(result.cancelledBookings).toBe(2);
+            expect(await seriesBookings(recurringBooking._id, 'in-progress')).toHaveLength(1);
+
+            const rerun = await RecurringBookingService.generateOccurrences(recurringBooking._id);
+            expect(rerun.created).toEqual([]);
+
+            await expect(RecurringBookingService.cancelRecurringBooking(recurringBooking._id))
+                .rejects.toThrow('Cannot cancel a cancelled recurring booking');
+        });
+    });
+});
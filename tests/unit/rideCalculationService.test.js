@@ -1,31 +1,38 @@
 const RideCalculationService = require('../../src/services/rideCalculationService');
+const routingConfig = require('../../src/config/routing');
 
 describe('RideCalculationService', () => {
     describe('calculateEstimatedDuration', () => {
-        test('should calculate duration correctly for different pincodes', () => {
-            // Test case 1: Basic calculation
-            const duration1 = RideCalculationService.calculateEstimatedDuration('110001', '110005');
-            expect(duration1).toBe(4); // Math.abs(110005 - 110001) % 24 = 4
+        test('should derive duration from road distance and vehicle speed', () => {
+            // Delhi → Mumbai is ~1,166 km straight line, ~1,516 km by road
+            const heavy = RideCalculationService.calculateEstimatedDuration('110001', '400001', 'Heavy Vehicle');
+            const light = RideCalculationService.calculateEstimatedDuration('110001', '400001', 'Light Vehicle');
+
+            expect(heavy).toBeCloseTo(37.9, 1); // 1516 km / 40 km/h
+            expect(light).toBeCloseTo(30.32, 1); // 1516 km / 50 km/h
+            expect(heavy).toBeGreaterThan(light);
+        });
 
-            // Test case 2: Larger difference
-            const duration2 = RideCalculationService.calculateEstimatedDuration('110001', '110030');
-            expect(duration2).toBe(5); // Math.abs(110030 - 110001) % 24 = 29 % 24 = 5
+        test('should be symmetric for reversed routes', () => {
+            const forward = RideCalculationService.calculateEstimatedDuration('400001', '411001');
+            const reverse = RideCalculationService.calculateEstimatedDuration('411001', '400001');
 
-            // Test case 3: Reverse order
-            const duration3 = RideCalculationService.calculateEstimatedDuration('110030', '110001');
-            expect(duration3).toBe(5); // Math.abs(110001 - 110030) % 24 = 29 % 24 = 5
+            expect(forward).toBe(reverse);
         });
 
-        test('should return minimum duration of 0.5 hours', () => {
-            // Same pincode should return minimum duration
-            const duration = RideCalculationService.calculateEstimatedDuration('110001', '110001');
-            expect(duration).toBe(0.5);
+        test('should give longer durations for longer routes', () => {
+            const local = RideCalculationService.calculateEstimatedDuration('400001', '400070');
+            const intercity = RideCalculationService.calculateEstimatedDuration('400001', '411001');
+            const crossCountry = RideCalculationService.calculateEstimatedDuration('110001', '560001');
+
+            expect(intercity).toBeGreaterThan(local);
+            expect(crossCountry).toBeGreaterThan(intercity);
         });
 
-        test('should handle modulo operation correctly', () => {
-            // Test case where difference is greater than 24
-            const duration = RideCalculationService.calculateEstimatedDuration('110001', '110050');
-            expect(duration).toBe(1); // Math.abs(110050 - 110001) % 24 = 49 % 24 = 1
+        test('should return minimum duration of 0.5 hours', () => {
+            // Same pincode and neighbouring pincodes should return minimum duration
+            expect(RideCalculationService.calculateEstimatedDuration('110001', '110001')).toBe(0.5);
+            expect(RideCalculationService.calculateEstimatedDuration('110001', '110002')).toBe(0.5);
         });
 
         test('should validate pincode format', () => {
@@ -42,10 +49,16 @@ describe('RideCalculationService', () => {
             }).toThrow('Invalid pincode format');
         });
 
-        test('should handle string inputs correctly', () => {
-            const duration = RideCalculationService.calculateEstimatedDuration('110001', '110005');
-            expect(typeof duration).toBe('number');
-            expect(duration).toBe(4);
+        test('should reject pincodes missing from the directory', () => {
+            expect(() => {
+                RideCalculationService.calculateEstimatedDuration('110001', '999999');
+            }).toThrow('Unknown pincode: 999999');
+        });
+
+        test('should reject unknown vehicle types', () => {
+            expect(() => {
+                RideCalculationService.calculateEstimatedDuration('110001', '400001', 'Spaceship');
+            }).toThrow('Unknown vehicle type');
         });
     });
 
@@ -115,11 +128,12 @@ describe('RideCalculationService', () => {
     });
 
     describe('calculateEstimatedDistance', () => {
-        test('should calculate distance based on duration', () => {
-            const distance = RideCalculationService.calculateEstimatedDistance('110001', '110005');
+        test('should apply the road factor to the haversine distance', () => {
+            const distance = RideCalculationService.calculateEstimatedDistance('400001', '411001');
 
-            // Duration should be 4 hours, distance = 4 * 50 = 200 km
-            expect(distance).toBe(200);
+            // Mumbai → Pune is ~117 km straight line, x1.3 road factor
+            expect(distance).toBeGreaterThan(140);
+            expect(distance).toBeLessThan(165);
         });
 
         test('should return integer distance', () => {
@@ -131,8 +145,13 @@ describe('RideCalculationService', () => {
         test('should handle edge cases', () => {
             const distance = RideCalculationService.calculateEstimatedDistance('110001', '110001');
 
-            // Minimum duration of 0.5 hours = 25 km
-            expect(distance).toBe(25);
+            expect(distance).toBe(0);
+        });
+
+        test('should reject pincodes missing from the directory', () => {
+            expect(() => {
+                RideCalculationService.calculateEstimatedDistance('999999', '110001');
+            }).toThrow('Error calculating distance: Unknown pincode: 999999');
         });
     });
 
@@ -150,6 +169,7 @@ describe('RideCalculationService', () => {
             expect(typeof routeInfo.estimatedDurationHours).toBe('number');
             expect(typeof routeInfo.estimatedDistanceKm).toBe('number');
             expect(typeof routeInfo.estimatedCost).toBe('number');
+            expect(routeInfo.vehicleType).toBe('Light Vehicle');
         });
 
         test('should calculate cost based on capacity', () => {
@@ -176,6 +196,102 @@ describe('RideCalculationService', () => {
         });
     });
 
+    describe('planRoute', () => {
+        const startTime = '2030-01-07T04:30:00.000Z';
+        const stops = [
+            { pincode: '400001', type: 'pickup', loadKg: 500 },
+            { pincode: '400070', type: 'pickup', loadKg: 300 },
+            { pincode: '411001', type: 'drop', loadKg: 400 },
+            { pincode: '411014', type: 'drop', loadKg: 400 }
+        ];
+
+        test('should produce a leg per consecutive stop pair', () => {
+            const route = RideCalculationService.planRoute(stops, startTime, 'Light Vehicle');
+
+            expect(route.legs).toHaveLength(3);
+            expect(route.legs[1]).toMatchObject({ fromPincode: '400070', toPincode: '411001', onBoardLoadKg: 800 });
+            expect(route.totalDistanceKm).toBe(route.legs.reduce((sum, leg) => sum + leg.distanceKm, 0));
+        });
+
+        test('should compute end time across all legs including dwell at intermediate stops', () => {
+            const route = RideCalculationService.planRoute(stops, startTime, 'Light Vehicle');
+
+            const drivingHours = route.legs.reduce((sum, leg) => sum + leg.durationHours, 0);
+            const dwellHours = 2 * 15 / 60; // two intermediate stops
+
+            expect(route.estimatedRideDurationHours).toBeCloseTo(drivingHours + dwellHours, 2);
+            expect(route.endTime.toISOString()).toBe(route.legs[2].arrivalTime.toISOString());
+            expect(route.stops[3].estimatedArrival.toISOString()).toBe(route.endTime.toISOString());
+        });
+
+        test('should report the peak on-board load', () => {
+            const route = RideCalculationService.planRoute(stops, startTime, 'Light Vehicle');
+
+            expect(route.peakLoadKg).toBe(800);
+        });
+
+        test('should mark routes through estimated pincodes', () => {
+            routingConfig.estimateUnknownPincodes = true;
+            try {
+                // 110099 is not in the pincode directory
+                const estimated = RideCalculationService.planRoute([
+                    { pincode: '110001', type: 'pickup' },
+                    { pincode: '110099', type: 'drop' }
+                ], startTime, 'Light Vehicle');
+
+                expect(estimated.estimated).toBe(true);
+                expect(RideCalculationService.planRoute(stops, startTime, 'Light Vehicle').estimated).toBe(false);
+            } finally {
+                routingConfig.estimateUnknownPincodes = false;
+            }
+        });
+
+        test('should match the direct estimate for a two-stop route', () => {
+            const route = RideCalculationService.planRoute([
+                { pincode: '400001', type: 'pickup' },
+                { pincode: '411001', type: 'drop' }
+            ], startTime, 'Medium Vehicle');
+
+            expect(route.estimatedRideDurationHours)
+                .toBe(RideCalculationService.calculateEstimatedDuration('400001', '411001', 'Medium Vehicle'));
+        });
+
+        test('should wait for a stop time window to open', () => {
+            const windowStart = new Date('2030-01-07T08:00:00.000Z');
+            const route = RideCalculationService.planRoute([
+                { pincode: '400001', type: 'pickup', loadKg: 100 },
+                { pincode: '400070', type: 'pickup', loadKg: 100, windowStart },
+                { pincode: '400050', type: 'drop', loadKg: 200 }
+            ], startTime, 'Light Vehicle');
+
+            expect(route.stops[1].estimatedDeparture.getTime()).toBe(windowStart.getTime() + 15 * 60 * 1000);
+        });
+
+        test('should reject stops that cannot be reached within their window', () => {
+            expect(() => RideCalculationService.planRoute([
+                { pincode: '110001', type: 'pickup', loadKg: 100 },
+                { pincode: '400001', type: 'drop', loadKg: 100, windowEnd: '2030-01-07T06:00:00.000Z' }
+            ], startTime, 'Light Vehicle')).toThrow('cannot be reached before its time window closes');
+        });
+
+        test('should validate load and stop order', () => {
+            expect(() => RideCalculationService.planRoute([
+                { pincode: '400001', type: 'drop', loadKg: 100 },
+                { pincode: '411001', type: 'drop', loadKg: 100 }
+            ], startTime)).toThrow('The first stop must be a pickup');
+
+            expect(() => RideCalculationService.planRoute([
+                { pincode: '400001', type: 'pickup', loadKg: 100 },
+                { pincode: '411001', type: 'drop', loadKg: 200 }
+            ], startTime)).toThrow('drops more load than is on board');
+
+            expect(() => RideCalculationService.planRoute([
+                { pincode: '400001', type: 'pickup', loadKg: 300 },
+                { pincode: '411001', type: 'drop', loadKg: 200 }
+            ], startTime)).toThrow('100 kg picked up is never dropped');
+        });
+    });
+
     describe('Error handling', () => {
         test('should provide descriptive error messages', () => {
             expect(() => {
@@ -0,0 +1,56 @@
+const { buildTimeline, summariseTimeline } = require('../../src/utils/timeline');
+
+describe('timeline', () => {
+    const from = new Date('2030-01-09T00:00:00.000Z');
+    const to = new Date('2030-01-10T00:00:00.000Z');
+    const period = (type, start, end) => ({ type, start: new Date(start), end: new Date(end) });
+
+    describe('buildTimeline', () => {
+        test('should order busy periods and fill the gaps with free periods', () => {
+            const timeline = buildTimeline([
+                period('maintenance', '2030-01-09T14:00:00.000Z', '2030-01-09T16:00:00.000Z'),
+                period('booking', '2030-01-09T06:00:00.000Z', '2030-01-09T10:00:00.000Z')
+            ], from, to);
+
+            expect(timeline.map(({ type }) => type)).toEqual(['free', 'booking', 'free', 'maintenance', 'free']);
+            expect(timeline[0].end.toISOString()).toBe('2030-01-09T06:00:00.000Z');
+            expect(timeline[2].durationHours).toBe(4);
+            expect(timeline[4].start.toISOString()).toBe('2030-01-09T16:00:00.000Z');
+            expect(timeline[4].end).toEqual(to);
+        });
+
+        test('should not open a gap inside overlapping or range-spanning periods', () => {
+            const timeline = buildTimeline([
+                period('booking', '2030-01-08T22:00:00.000Z', '2030-01-09T05:00:00.000Z'),
+                period('maintenance', '2030-01-09T04:00:00.000Z', '2030-01-09T08:00:00.000Z'),
+                period('booking', '2030-01-09T06:00:00.000Z', '2030-01-09T07:00:00.000Z'),
+                period('booking', '2030-01-09T20:00:00.000Z', '2030-01-10T02:00:00.000Z')
+            ], from, to);
+
+            expect(timeline.map(({ type }) => type)).toEqual(['booking', 'maintenance', 'booking', 'free', 'booking']);
+            expect(timeline[3].start.toISOString()).toBe('2030-01-09T08:00:00.000Z');
+            expect(timeline[3].end.toISOString()).toBe('2030-01-09T20:00:00.000Z');
+        });
+
+        test('should return one free period for an empty range', () => {
+            const timeline = buildTimeline([], from, to);
+
+            expect(timeline).toEqual([{ type: 'free', start: from, end: to, durationHours: 24 }]);
+        });
+    });
+
+    describe('summariseTimeline', () => {
+        test('should count hours inside the range only', () => {
+            const timeline = buildTimeline([
+                period('booking', '2030-01-08T22:00:00.000Z', '2030-01-09T05:00:00.000Z'),
+                period('maintenance', '2030-01-09T12:00:00.000Z', '2030-01-09T15:00:00.000Z')
+            ], from, to);
+
+            expect(summariseTimeline(timeline, from, to)).toEqual({
+                bookedHours: 5,
+                blockedHours: 3,
+                freeHours: 16
+            });
+        });
+    });
+});
@@ -0,0 +1,78 @@
+const { trailDistanceKm, estimateProgress } = require('../../src/utils/tracking');
+const { haversineDistanceKm } = require('../../src/utils/geo');
+
+describe('tracking', () => {
+    const delhi = { latitude: 28.6328, longitude: 77.2197 };
+    const mumbai = { latitude: 18.9388, longitude: 72.8354 };
+    const bangalore = { latitude: 12.9762, longitude: 77.6033 };
+    const midpoint = (a, b) => ({
+        latitude: (a.latitude + b.latitude) / 2,
+        longitude: (a.longitude + b.longitude) / 2
+    });
+
+    describe('trailDistanceKm', () => {
+        test('should add up the distance between consecutive points', () => {
+            const expected = haversineDistanceKm(delhi, mumbai) + haversineDistanceKm(mumbai, bangalore);
+
+            expect(trailDistanceKm([delhi, mumbai, bangalore])).toBeCloseTo(expected, 5);
+            expect(trailDistanceKm([delhi])).toBe(0);
+        });
+    });
+
+    describe('estimateProgress', () => {
+        const leg = (from, to) => ({ from, to, distanceKm: haversineDistanceKm(from, to) });
+        const recordedAt = new Date('2030-01-09T04:00:00.000Z');
+
+        test('should report halfway progress and an ETA from the remaining distance', () => {
+            const trip = leg(delhi, mumbai);
+            const progress = estimateProgress({
+                position: { ...midpoint(delhi, mumbai), recordedAt },
+                legs: [trip],
+                averageSpeedKmph: 50,
+                roadFactor: 1
+            });
+
+            expect(progress.currentLegIndex).toBe(0);
+            expect(progress.progressPercent).toBeCloseTo(50, 0);
+            expect(progress.eta.getTime() - recordedAt.getTime())
+                .toBeCloseTo((progress.remainingDistanceKm / 50) * 60 * 60 * 1000, -4);
+        });
+
+        test('should find the current leg of a multi-stop trip and add dwell time for stops ahead', () => {
+            const legs = [leg(delhi, mumbai), leg(mumbai, bangalore)];
+            const onFirstLeg = estimateProgress({
+                position: { ...midpoint(delhi, mumbai), recordedAt },
+                legs,
+                averageSpeedKmph: 50,
+                roadFactor: 1,
+                stopDwellMinutes: 30
+            });
+            const onSecondLeg = estimateProgress({
+                position: { ...midpoint(mumbai, bangalore), recordedAt },
+                legs,
+                averageSpeedKmph: 50,
+                roadFactor: 1,
+                stopDwellMinutes: 30
+            });
+
+            expect(onFirstLeg.currentLegIndex).toBe(0);
+            expect(onFirstLeg.remainingDistanceKm).toBeGreaterThan(legs[1].distanceKm);
+            expect(onSecondLeg.currentLegIndex).toBe(1);
+            expect(onSecondLeg.progressPercent).toBeGreaterThan(onFirstLeg.progressPercent);
+
+            const drivingMs = (onFirstLeg.remainingDistanceKm / 50) * 60 * 60 * 1000;
+            expect(onFirstLeg.eta.getTime() - recordedAt.getTime()).toBeCloseTo(drivingMs + 30 * 60 * 1000, -4);
+        });
+
+        test('should clamp progress when the vehicle is off the planned route', () => {
+            const progress = estimateProgress({
+                position: { ...bangalore, recordedAt },
+                legs: [leg(delhi, delhi)],
+                averageSpeedKmph: 50,
+                roadFactor: 1
+            });
+
+            expect(progress.progressPercent).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,152 @@
+const TrackingService = require('../../src/services/trackingService');
+const BookingService = require('../../src/services/bookingService');
+const VehicleService = require('../../src/services/vehicleService');
+
+describe('TrackingService', () => {
+    let testVehicle;
+    const ping = (minutesAgo, overrides = {}) => ({
+        lat: 28.6328,
+        lng: 77.2197,
+        speed: 40,
+        heading: 90,
+        timestamp: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString(),
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        testVehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+    });
+
+    describe('recordPositions', () => {
+        test('should store pings and skip ones already stored', async () => {
+            const first = await TrackingService.recordPositions(testVehicle._id, [ping(10), ping(5)]);
+            const retry = await TrackingService.recordPositions(testVehicle._id, [ping(5), ping(1)]);
+
+            expect(first).toEqual({ accepted: 2, duplicates: 0 });
+            expect(retry).toEqual({ accepted: 1, duplicates: 1 });
+        });
+
+        test('should throw for a missing vehicle', async () => {
+            await expect(TrackingService.recordPositions('507f1f77bcf86cd799439011', [ping(1)]))
+                .rejects.toThrow('Vehicle not found');
+        });
+    });
+
+    describe('getLastKnownPosition', () => {
+        test('should return the latest ping by recorded time', async () => {
+            await TrackingService.recordPositions(testVehicle._id, [
+                ping(1, { lat: 28.6448, lng: 77.2410 }),
+                ping(30)
+            ]);
+
+            const location = await TrackingService.getLastKnownPosition(testVehicle._id);
+
+            expect(location.position.latitude).toBe(28.6448);
+            expect(location.position.longitude).toBe(77.2410);
+            expect(location.stale).toBe(false);
+            expect(location.activeBooking).toBeNull();
+        });
+
+        test('should report progress and a revised ETA for an in-progress booking', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+            await BookingService.updateBookingStatus(booking._id, 'in-progress', { actualStartTime: new Date() });
+
+            // Halfway between 110001 and 110002
+            await TrackingService.recordPositions(testVehicle._id, [ping(0, { lat: 28.6388, lng: 77.23035 })]);
+
+            const { activeBooking } = await TrackingService.getLastKnownPosition(testVehicle._id);
+
+            expect(activeBooking.bookingId.toString()).toBe(booking._id.toString());
+            expect(activeBooking.destinationPincode).toBe('110002');
+            expect(activeBooking.progressPercent).toBeGreaterThan(40);
+            expect(activeBooking.progressPercent).toBeLessThan(60);
+            expect(activeBooking.revisedEta).toBeInstanceOf(Date);
+            expect(typeof activeBooking.delayMinutes).toBe('number');
+        });
+
+        test('should throw when the vehicle has never reported', async () => {
+            await expect(TrackingService.getLastKnownPosition(testVehicle._id))
+                .rejects.toThrow('No position has been reported');
+        });
+    });
+
+    describe('getTrack', () => {
+        test('should return the trail in order with the distance travelled', async () => {
+            await TrackingService.recordPositions(testVehicle._id, [
+                ping(5, { lat: 28.6448, lng: 77.2410 }),
+                ping(20),
+                ping(60 * 30)
+            ]);
+
+            const track = await TrackingService.getTrack(testVehicle._id, {
+                from: testUtils.getPastDate(1).toISOString()
+            });
+
+            expect(track.pointCount).toBe(2);
+            expect(track.points[0].latitude).toBe(28.6328);
+            expect(track.distanceKm).toBeGreaterThan(2);
+            expect(track.truncated).toBe(false);
+        });
+
+        test('should reject ranges longer than the configured maximum', async () => {
+            await expect(TrackingService.getTrack(testVehicle._id, {
+                from: testUtils.getPastDate(24 * 30).toISOString()
+            })).rejects.toThrow('Date range cannot exceed');
+        });
+    });
+
+    describe('getPublicTracking', () => {
+        test('should show status and schedule of a confirmed booking without IDs', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+
+            const tracking = await TrackingService.getPublicTracking(booking.trackingToken);
+
+            expect(tracking).toMatchObject({
+                status: 'confirmed',
+                vehicleType: testVehicle.type,
+                toPincode: '110002',
+                lastLocation: null
+            });
+            expect(tracking.eta.getTime()).toBe(booking.endTime.getTime());
+
+            const serialized = JSON.stringify(tracking);
+            expect(serialized).not.toContain(booking._id.toString());
+            expect(serialized).not.toContain(testVehicle._id.toString());
+            expect(serialized).not.toContain(testUtils.TEST_CUSTOMER_ID.toString());
+        });
+
+        test('should show the last location and ETA while in progress', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+            await BookingService.updateBookingStatus(booking._id, 'in-progress', { actualStartTime: new Date() });
+            await TrackingService.recordPositions(testVehicle._id, [ping(0, { lat: 28.6388, lng: 77.23035 })]);
+
+            const tracking = await TrackingService.getPublicTracking(booking.trackingToken);
+
+            expect(tracking.status).toBe('in-progress');
+            expect(tracking.lastLocation.latitude).toBe(28.6388);
+            expect(tracking.lastLocation.stale).toBe(false);
+            expect(tracking.eta).toBeInstanceOf(Date);
+            expect(tracking.progressPercent).toBeGreaterThan(40);
+            expect(JSON.stringify(tracking)).not.toContain(booking._id.toString());
+        });
+
+        test('should revoke the old link when the token is rotated', async () => {
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+
+            const rotated = await TrackingService.rotatePublicToken(booking._id);
+
+            expect(rotated.trackingToken).not.toBe(booking.trackingToken);
+            await expect(TrackingService.getPublicTracking(booking.trackingToken))
+                .rejects.toThrow('Tracking link not found');
+            await expect(TrackingService.getPublicTracking(rotated.trackingToken)).resolves.toBeTruthy();
+        });
+    });
+});
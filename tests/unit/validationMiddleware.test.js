@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const {
+    validateBookingCreation,
+    validateAutoDispatch,
+    validateAvailabilityQuery
+} = require('../../src/middleware/validationMiddleware');
+
+describe('validationMiddleware', () => {
+    const startTime = () => testUtils.getFutureDate(24).toISOString();
+
+    // Run a middleware and report whether it passed, with the 400 response otherwise
+    const run = (middleware, req) => {
+        const res = {
+            status: jest.fn(function (code) { this.statusCode = code; return this; }),
+            json: jest.fn(function (body) { this.body = body; return this; })
+        };
+        const next = jest.fn();
+
+        middleware({ user: { role: 'dispatcher' }, body: {}, query: {}, ...req }, res, next);
+
+        return { passed: next.mock.calls.length === 1, res };
+    };
+
+    describe('validateBookingCreation', () => {
+        const booking = (overrides = {}) => ({
+            vehicleId: new mongoose.Types.ObjectId().toString(),
+            customerId: new mongoose.Types.ObjectId().toString(),
+            fromPincode: '110001',
+            toPincode: '400001',
+            startTime: startTime(),
+            ...overrides
+        });
+
+        test('should accept a valid booking', () => {
+            expect(run(validateBookingCreation, { body: booking() }).passed).toBe(true);
+        });
+
+        test('should reject non-string pincodes and start times', () => {
+            const { passed, res } = run(validateBookingCreation, {
+                body: booking({ fromPincode: 110001, toPincode: ['400001'], startTime: Date.now() + 60000 })
+            });
+
+            expect(passed).toBe(false);
+            expect(res.statusCode).toBe(400);
+            expect(res.body.details).toEqual([
+                'FromPincode is required and must be a string of exactly 6 digits',
+                'ToPincode is required and must be a string of exactly 6 digits',
+                'StartTime must be a valid ISO date string'
+            ]);
+        });
+    });
+
+    describe('validateAutoDispatch', () => {
+        test('should reject non-string pincodes and start times', () => {
+            const { passed, res } = run(validateAutoDispatch, {
+                body: {
+                    capacityRequired: 500,
+                    customerId: new mongoose.Types.ObjectId().toString(),
+                    fromPincode: 110001,
+                    toPincode: '400001',
+                    startTime: { $gt: '' }
+                }
+            });
+
+            expect(passed).toBe(false);
+            expect(res.statusCode).toBe(400);
+            expect(res.body.details).toContain('FromPincode is required and must be a string of exactly 6 digits');
+            expect(res.body.details).toContain('StartTime must be a valid ISO date string');
+        });
+    });
+
+    describe('validateAvailabilityQuery', () => {
+        test('should reject repeated query parameters', () => {
+            const { passed, res } = run(validateAvailabilityQuery, {
+                query: {
+                    capacityRequired: '500',
+                    fromPincode: ['110001', '110002'],
+                    toPincode: '400001',
+                    startTime: [startTime(), startTime()]
+                }
+            });
+
+            expect(passed).toBe(false);
+            expect(res.statusCode).toBe(400);
+            expect(res.body.details).toEqual([
+                'fromPincode is required and must be exactly 6 digits',
+                'startTime must be a valid ISO date string'
+            ]);
+        });
+    });
+});
@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const VehicleService = require('../../src/services/vehicleService');
 const Vehicle = require('../../src/models/Vehicle');
 const Booking = require('../../src/models/Booking');
+const MaintenanceWindow = require('../../src/models/MaintenanceWindow');
 
 describe('VehicleService', () => {
   describe('createVehicle', () => {
@@ -81,7 +82,7 @@ describe('VehicleService', () => {
       // Create a booking for vehicle1
       await new Booking({
         vehicleId: vehicle1._id,
-        customerId: 'TEST_CUSTOMER',
+        customerId: testUtils.TEST_CUSTOMER_ID,
         fromPincode: '110001',
         toPincode: '110002',
         startTime,
@@ -103,6 +104,73 @@ describe('VehicleService', () => {
       expect(availableVehicles[0].name).toBe('Vehicle 2');
     });
 
+    test('should exclude vehicles with overlapping maintenance windows', async () => {
+      const startTime = testUtils.getFutureDate(24);
+
+      await new MaintenanceWindow({
+        vehicleId: vehicle1._id,
+        startTime: testUtils.getFutureDate(23),
+        endTime: testUtils.getFutureDate(27),
+        type: 'service'
+      }).save();
+
+      const criteria = {
+        capacityRequired: 500,
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: startTime.toISOString()
+      };
+
+      const availableVehicles = await VehicleService.findAvailableVehicles(criteria);
+
+      expect(availableVehicles).toHaveLength(1);
+      expect(availableVehicles[0].name).toBe('Vehicle 2');
+    });
+
+    test('should sort and paginate available vehicles', async () => {
+      const criteria = {
+        capacityRequired: 500,
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: testUtils.getFutureDate(24).toISOString()
+      };
+
+      const firstPage = await VehicleService.searchAvailableVehicles(criteria, {
+        sortBy: 'capacityKg',
+        sortOrder: 'desc',
+        limit: 1
+      });
+
+      expect(firstPage.total).toBe(2);
+      expect(firstPage.hasMore).toBe(true);
+      expect(firstPage.vehicles).toHaveLength(1);
+      expect(firstPage.vehicles[0].name).toBe('Vehicle 2');
+      expect(firstPage.vehicles[0].type).toBe('Medium Vehicle');
+      expect(firstPage.vehicles[0].searchCriteria.requestedEndTime).toBeInstanceOf(Date);
+
+      const secondPage = await VehicleService.searchAvailableVehicles(criteria, {
+        sortBy: 'capacityKg',
+        sortOrder: 'desc',
+        limit: 1,
+        offset: 1
+      });
+
+      expect(secondPage.hasMore).toBe(false);
+      expect(secondPage.vehicles[0].name).toBe('Vehicle 1');
+    });
+
+    test('should reject an unknown sort field', async () => {
+      const criteria = {
+        capacityRequired: 500,
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: testUtils.getFutureDate(24).toISOString()
+      };
+
+      await expect(VehicleService.searchAvailableVehicles(criteria, { sortBy: 'tyres' }))
+        .rejects.toThrow('Invalid sort field');
+    });
+
     test('should validate pincode format', async () => {
       const criteria = {
         capacityRequired: 500,
@@ -128,6 +196,84 @@ describe('VehicleService', () => {
     });
   });
 
+  describe('suggestAvailableSlots', () => {
+    let vehicle;
+    const criteria = (startTime) => ({
+      capacityRequired: 500,
+      fromPincode: '110001',
+      toPincode: '110002',
+      startTime: startTime.toISOString()
+    });
+
+    beforeEach(async () => {
+      vehicle = await VehicleService.createVehicle(
+        testUtils.createValidVehicleData({ name: 'Only Vehicle', capacityKg: 1000 })
+      );
+    });
+
+    test('should return the nearest free slots either side of a busy one', async () => {
+      const startTime = testUtils.getFutureDate(24);
+
+      // Vehicle busy from 1 hour before to 1 hour after the requested start
+      await new Booking({
+        vehicleId: vehicle._id,
+        customerId: testUtils.TEST_CUSTOMER_ID,
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: new Date(startTime.getTime() - 60 * 60 * 1000),
+        endTime: new Date(startTime.getTime() + 60 * 60 * 1000),
+        estimatedRideDurationHours: 2,
+        status: 'confirmed'
+      }).save();
+
+      const result = await VehicleService.suggestAvailableSlots(criteria(startTime), { count: 2 });
+
+      expect(result.suggestions).toHaveLength(2);
+      expect(result.suggestions.map(slot => slot.offsetMinutes)).toEqual([60, 90]);
+      expect(result.suggestions[0].availableVehicles).toBe(1);
+      expect(result.suggestions[0].vehicleIds[0].toString()).toBe(vehicle._id.toString());
+    });
+
+    test('should skip slots blocked by maintenance', async () => {
+      const startTime = testUtils.getFutureDate(24);
+
+      await new MaintenanceWindow({
+        vehicleId: vehicle._id,
+        startTime: new Date(startTime.getTime() - 60 * 60 * 1000),
+        endTime: new Date(startTime.getTime() + 3 * 60 * 60 * 1000)
+      }).save();
+
+      const result = await VehicleService.suggestAvailableSlots(criteria(startTime), {
+        count: 1,
+        stepMinutes: 60
+      });
+
+      expect(result.suggestions[0].offsetMinutes).toBe(-120);
+    });
+
+    test('should not suggest slots in the past', async () => {
+      const startTime = testUtils.getFutureDate(1);
+
+      const result = await VehicleService.suggestAvailableSlots(criteria(startTime), {
+        count: 10,
+        stepMinutes: 60,
+        searchHours: 5
+      });
+
+      expect(result.suggestions.every(slot => slot.startTime > new Date())).toBe(true);
+      expect(result.suggestions.map(slot => slot.offsetMinutes)).toEqual([60, 120, 180, 240, 300]);
+    });
+
+    test('should return no suggestions when no vehicle can carry the load', async () => {
+      const result = await VehicleService.suggestAvailableSlots({
+        ...criteria(testUtils.getFutureDate(24)),
+        capacityRequired: 5000
+      });
+
+      expect(result.suggestions).toEqual([]);
+    });
+  });
+
   describe('getVehicleById', () => {
     test('should retrieve vehicle by ID', async () => {
       const vehicleData = testUtils.createValidVehicleData();
@@ -182,7 +328,7 @@ describe('VehicleService', () => {
       // Create an active booking
       await new Booking({
         vehicleId: vehicle._id,
-        customerId: 'TEST_CUSTOMER',
+        customerId: testUtils.TEST_CUSTOMER_ID,
         fromPincode: '110001',
         toPincode: '110002',
         startTime: testUtils.getFutureDate(24),
@@ -203,7 +349,7 @@ describe('VehicleService', () => {
       // Create some bookings
       await new Booking({
         vehicleId: vehicle._id,
-        customerId: 'TEST_CUSTOMER_1',
+        customerId: new mongoose.Types.ObjectId(),
         fromPincode: '110001',
         toPincode: '110002',
         startTime: testUtils.getFutureDate(24),
@@ -214,7 +360,7 @@ describe('VehicleService', () => {
 
       await new Booking({
         vehicleId: vehicle._id,
-        customerId: 'TEST_CUSTOMER_2',
+        customerId: new mongoose.Types.ObjectId(),
         fromPincode: '110003',
         toPincode: '110004',
         startTime: testUtils.getFutureDate(48),
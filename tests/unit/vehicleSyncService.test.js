@@ -0,0 +1,138 @@
+const VehicleSyncService = require('../../src/services/vehicleSyncService');
+const VehicleService = require('../../src/services/vehicleService');
+const Vehicle = require('../../src/models/Vehicle');
+const { parseCsv } = require('../../src/utils/csv');
+
+describe('VehicleSyncService', () => {
+    const record = (overrides = {}) => ({
+        registrationNumber: 'DL01AB1234',
+        name: 'Depot Truck',
+        capacityKg: '1500',
+        tyres: '6',
+        status: '',
+        ...overrides
+    });
+
+    const readExport = async (filters, format) => {
+        let text = '';
+        for await (const chunk of VehicleSyncService.exportVehicles(filters, format)) {
+            text += chunk;
+        }
+        return text;
+    };
+
+    describe('parseFile', () => {
+        test('should read a JSON array of vehicles', async () => {
+            const records = await VehicleSyncService.parseFile({
+                originalname: 'fleet.json',
+                buffer: Buffer.from(JSON.stringify([{ registrationNumber: 'DL01AB1234', name: 'Truck', capacityKg: 1500, tyres: 6 }]))
+            });
+
+            expect(records).toHaveLength(1);
+            expect(records[0].capacityKg).toBe(1500);
+        });
+
+        test('should reject JSON that is not an array of objects', async () => {
+            await expect(VehicleSyncService.parseFile({
+                originalname: 'fleet.json',
+                buffer: Buffer.from('{"vehicles": []}')
+            })).rejects.toThrow('A .json file must hold an array of objects');
+        });
+    });
+
+    describe('importVehicles', () => {
+        test('should report creates and updates without writing on a dry run', async () => {
+            await VehicleService.createVehicle(testUtils.createValidVehicleData({ registrationNumber: 'DL01AB1234' }));
+
+            const report = await VehicleSyncService.importVehicles([
+                record(),
+                record({ registrationNumber: 'DL01AB5678' })
+            ], { dryRun: true });
+
+            expect(report.summary).toMatchObject({ total: 2, valid: 2, invalid: 0, created: 0, updated: 0 });
+            expect(report.rows[0]).toMatchObject({ row: 2, status: 'valid', action: 'update', changes: ['name', 'capacityKg', 'tyres'] });
+            expect(report.rows[1]).toMatchObject({ row: 3, status: 'valid', action: 'create' });
+            expect(await Vehicle.countDocuments()).toBe(1);
+        });
+
+        test('should report every invalid row and import the rest', async () => {
+            const report = await VehicleSyncService.importVehicles([
+                record(),
+                record({ capacityKg: 'heavy', tyres: '1' }),
+                record({ registrationNumber: '' }),
+                record({ name: 'Duplicate' })
+            ]);
+
+            expect(report.rows.map(row => row.status)).toEqual(['created', 'invalid', 'invalid', 'invalid']);
+            expect(report.rows[1].errors).toEqual(['Capacity must be between 1 and 50,000 kg', 'Tyres must be between 2 and 18']);
+            expect(report.rows[2].errors).toEqual(['Registration number is required']);
+            expect(report.rows[3].errors).toEqual(['Registration number repeats row 2']);
+
+            const vehicle = await Vehicle.findById(report.rows[0].vehicleId);
+            expect(vehicle).toMatchObject({ registrationNumber: 'DL01AB1234', capacityKg: 1500, tyres: 6, status: 'active' });
+        });
+
+        test('should update vehicles by registration number and leave matching ones alone', async () => {
+            const existing = await VehicleService.createVehicle(testUtils.createValidVehicleData({ registrationNumber: 'DL01AB1234' }));
+            await VehicleService.createVehicle(testUtils.createValidVehicleData({ registrationNumber: 'DL01AB5678' }));
+
+            const report = await VehicleSyncService.importVehicles([
+                record({ status: 'maintenance' }),
+                record({ registrationNumber: 'DL01AB5678', name: 'Test Vehicle', capacityKg: '1000', tyres: '4' })
+            ]);
+
+            expect(report.summary).toMatchObject({ updated: 1, unchanged: 1, created: 0 });
+            expect(report.rows[0].changes).toEqual(['name', 'capacityKg', 'tyres', 'status']);
+
+            const updated = await Vehicle.findById(existing._id);
+            expect(updated).toMatchObject({ name: 'Depot Truck', capacityKg: 1500, status: 'maintenance' });
+            expect(await Vehicle.countDocuments()).toBe(2);
+        });
+    });
+
+    describe('exportVehicles', () => {
+        beforeEach(async () => {
+            await VehicleService.createVehicle(testUtils.createValidVehicleData({ name: 'Small, "city" van', registrationNumber: 'DL01AB1111' }));
+            await VehicleService.createVehicle(testUtils.createValidVehicleData({ capacityKg: 8000, registrationNumber: 'DL01AB2222' }));
+            const retired = await VehicleService.createVehicle(testUtils.createValidVehicleData({ registrationNumber: 'DL01AB3333' }));
+            await VehicleService.updateVehicleStatus(retired._id, 'retired');
+        });
+
+        test('should export CSV that can be imported again', async () => {
+            const records = parseCsv(await readExport({ status: 'active' }, 'csv'));
+
+            expect(records.map(row => row.registrationNumber).sort()).toEqual(['DL01AB1111', 'DL01AB2222']);
+            expect(records.find(row => row.registrationNumber === 'DL01AB1111').name).toBe('Small, "city" van');
+
+            const report = await VehicleSyncService.importVehicles(records, { dryRun: true });
+            expect(report.rows.map(row => row.action)).toEqual(['none', 'none']);
+        });
+
+        test('should escape formula-like names and import them back unchanged', async () => {
+            await VehicleService.createVehicle(testUtils.createValidVehicleData({ name: '=cmd|calc', registrationNumber: 'DL01AB4444' }));
+
+            const text = await readExport({ status: 'active' }, 'csv');
+            expect(text).toContain(",'=cmd|calc,");
+
+            const report = await VehicleSyncService.importVehicles(parseCsv(text), { dryRun: true });
+            expect(report.rows.map(row => row.action)).toEqual(['none', 'none', 'none']);
+        });
+
+        test('should honour the getAllVehicles filters in JSON and NDJSON', async () => {
+            const json = JSON.parse(await readExport({ minCapacity: 5000 }, 'json'));
+            expect(json).toHaveLength(1);
+            expect(json[0]).toMatchObject({ registrationNumber: 'DL01AB2222', type: 'Heavy Vehicle' });
+
+            const lines = (await readExport({}, 'ndjson')).trim().split('\n').map(line => JSON.parse(line));
+            expect(lines).toHaveLength(3);
+        });
+
+        test('should export an empty JSON array when nothing matches', async () => {
+            expect(JSON.parse(await readExport({ status: 'maintenance' }, 'json'))).toEqual([]);
+        });
+
+        test('should reject unknown formats', () => {
+            expect(() => VehicleSyncService.exportVehicles({}, 'xml')).toThrow('Invalid format: use one of csv, json, ndjson');
+        });
+    });
+});
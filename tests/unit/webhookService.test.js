@@ -0,0 +1,229 @@
+const http = require('http');
+const WebhookService = require('../../src/services/webhookService');
+const BookingService = require('../../src/services/bookingService');
+const VehicleService = require('../../src/services/vehicleService');
+const Booking = require('../../src/models/Booking');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+const webhookConfig = require('../../src/config/webhooks');
+
+describe('WebhookService', () => {
+    let stub;
+    let stubUrl;
+    let received;
+    let responseStatus;
+
+    // Local receiver recording every request and answering with responseStatus
+    beforeAll(async () => {
+        stub = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.statusCode = responseStatus;
+                res.end();
+            });
+        });
+        await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+        stubUrl = `http://127.0.0.1:${stub.address().port}/hooks`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => stub.close(resolve));
+    });
+
+    beforeEach(() => {
+        received = [];
+        responseStatus = 200;
+    });
+
+    describe('send', () => {
+        test('should POST the payload with a verifiable signature', async () => {
+            const webhook = { url: stubUrl, secret: 'shared-secret' };
+            const delivery = {
+                _id: 'delivery-1',
+                eventType: 'booking.created',
+                payload: { id: 'evt-1', type: 'booking.created', data: { bookingId: 'b1' } }
+            };
+
+            const result = await WebhookService.send(webhook, delivery);
+
+            expect(result.statusCode).toBe(200);
+            expect(received).toHaveLength(1);
+
+            const { headers, body } = received[0];
+            const [, timestamp, signature] = headers['x-fleetlink-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+
+            expect(JSON.parse(body)).toEqual(delivery.payload);
+            expect(headers['x-fleetlink-event']).toBe('booking.created');
+            expect(headers['x-fleetlink-delivery']).toBe('delivery-1');
+            expect(signature).toBe(WebhookService.signPayload('shared-secret', Number(timestamp), body));
+        });
+
+        test('should report connection errors instead of throwing', async () => {
+            const result = await WebhookService.send(
+                { url: 'http://127.0.0.1:1/hooks', secret: 'shared-secret' },
+                { _id: 'delivery-2', eventType: 'booking.created', payload: {} }
+            );
+
+            expect(result.statusCode).toBeUndefined();
+            expect(result.error).toBeDefined();
+        });
+    });
+
+    describe('getRetryDelayMs', () => {
+        test('should double the delay after every attempt up to the cap', () => {
+            const base = webhookConfig.retryBaseSeconds * 1000;
+
+            expect(WebhookService.getRetryDelayMs(1)).toBe(base);
+            expect(WebhookService.getRetryDelayMs(3)).toBe(base * 4);
+            expect(WebhookService.getRetryDelayMs(30)).toBe(webhookConfig.retryMaxSeconds * 1000);
+        });
+    });
+
+    describe('outbox', () => {
+        let testVehicle;
+
+        beforeEach(async () => {
+            testVehicle = await VehicleService.createVehicle(testUtils.createValidVehicleData());
+        });
+
+        test('should queue and deliver booking lifecycle events to subscribed webhooks', async () => {
+            const { webhook, secret } = await WebhookService.createWebhook({
+                url: stubUrl,
+                eventTypes: ['booking.created', 'booking.cancelled']
+            });
+            await WebhookService.createWebhook({
+                url: stubUrl,
+                eventTypes: ['booking.created'],
+                customerId: (await testUtils.createCustomer())._id.toString()
+            });
+
+            const booking = await BookingService.createBooking(
+                testUtils.createValidBookingData(testVehicle._id)
+            );
+            await BookingService.cancelBooking(booking._id, 'No longer needed');
+
+            const summary = await WebhookService.processDueDeliveries();
+
+            expect(summary).toEqual({ processed: 2, delivered: 2, failed: 0 });
+            expect(received.map(request => JSON.parse(request.body).type))
+                .toEqual(['booking.created', 'booking.cancelled']);
+            expect(JSON.parse(received[1].body).data.bookingId).toBe(booking._id.toString());
+
+            const { body, headers } = received[0];
+            const [, timestamp] = headers['x-fleetlink-signature'].match(/^t=(\d+)/);
+            expect(headers['x-fleetlink-signature'])
+                .toContain(`v1=${WebhookService.signPayload(secret, Number(timestamp), body)}`);
+
+            const { deliveries } = await WebhookService.getDeliveries(webhook._id);
+            expect(deliveries.every(delivery => delivery.status === 'delivered')).toBe(true);
+        });
+
+        test('should retry failed deliveries with backoff and dead-letter them', async () => {
+            responseStatus = 500;
+            const { webhook } = await WebhookService.createWebhook({
+                url: stubUrl,
+                eventTypes: ['booking.created']
+            });
+            await BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id));
+
+            await WebhookService.processDueDeliveries();
+
+            let delivery = await WebhookDelivery.findOne({ webhookId: webhook._id });
+            expect(delivery.status).toBe('pending');
+            expect(delivery.attempts).toBe(1);
+            expect(delivery.lastStatusCode).toBe(500);
+            expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+            // Not due yet
+            expect((await WebhookService.processDueDeliveries()).processed).toBe(0);
+
+            await WebhookDelivery.updateOne(
+                { _id: delivery._id },
+                { attempts: webhookConfig.maxAttempts - 1, nextAttemptAt: new Date() }
+            );
+            await WebhookService.processDueDeliveries();
+
+            delivery = await WebhookDelivery.findById(delivery._id);
+            expect(delivery.status).toBe('dead');
+            expect(delivery.attemptLog).toHaveLength(2);
+        });
+
+        test('should redeliver a dead delivery on request', async () => {
+            responseStatus = 500;
+            const { webhook } = await WebhookService.createWebhook({
+                url: stubUrl,
+                eventTypes: ['booking.created']
+            });
+            await BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id));
+            await WebhookDelivery.updateMany({ webhookId: webhook._id }, { attempts: webhookConfig.maxAttempts - 1 });
+            await WebhookService.processDueDeliveries();
+
+            const dead = await WebhookDelivery.findOne({ webhookId: webhook._id });
+            expect(dead.status).toBe('dead');
+
+            responseStatus = 204;
+            const redelivered = await WebhookService.redeliver(webhook._id, dead._id);
+
+            expect(redelivered.status).toBe('delivered');
+            expect(redelivered.attemptLog[redelivered.attemptLog.length - 1].manual).toBe(true);
+        });
+
+        test('should queue events left in the booking outbox when queueing failed', async () => {
+            const { webhook } = await WebhookService.createWebhook({
+                url: stubUrl,
+                eventTypes: ['booking.created']
+            });
+            jest.spyOn(WebhookService, 'enqueueEvent').mockRejectedValueOnce(new Error('Connection lost'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const booking = await BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id));
+
+            expect(await WebhookDelivery.countDocuments({ webhookId: webhook._id })).toBe(0);
+
+            // Recent events are left to the change that wrote them
+            expect(await WebhookService.sweepOutbox()).toBe(0);
+
+            await Booking.updateOne(
+                { _id: booking._id },
+                { $set: { 'webhookOutbox.$[].occurredAt': testUtils.getPastDate(1) } }
+            );
+
+            expect(await WebhookService.sweepOutbox()).toBe(1);
+            expect(await WebhookService.sweepOutbox()).toBe(0);
+
+            const delivery = await WebhookDelivery.findOne({ webhookId: webhook._id });
+            expect(delivery.payload.data.bookingId).toBe(booking._id.toString());
+
+            const stored = await Booking.findById(booking._id).select('+webhookOutbox');
+            expect(stored.webhookOutbox).toHaveLength(0);
+        });
+
+        test('should deliver an event queued twice only once', async () => {
+            const { webhook } = await WebhookService.createWebhook({
+                url: stubUrl,
+                eventTypes: ['booking.created']
+            });
+            const event = { id: 'evt-1', type: 'booking.created', occurredAt: new Date(), data: {} };
+
+            await WebhookService.enqueueEvent(event);
+            await WebhookService.enqueueEvent(event);
+
+            expect(await WebhookDelivery.countDocuments({ webhookId: webhook._id })).toBe(1);
+        });
+
+        test('should not queue events for inactive webhooks', async () => {
+            const { webhook } = await WebhookService.createWebhook({
+                url: stubUrl,
+                eventTypes: ['booking.created']
+            });
+            await WebhookService.deactivateWebhook(webhook._id);
+
+            await BookingService.createBooking(testUtils.createValidBookingData(testVehicle._id));
+
+            expect(await WebhookDelivery.countDocuments({ webhookId: webhook._id })).toBe(0);
+            await expect(WebhookService.redeliver(webhook._id, webhook._id))
+                .rejects.toThrow('Cannot redeliver to an inactive webhook');
+        });
+    });
+});
@@ -0,0 +1,41 @@
+const ExcelJS = require('exceljs');
+const { cellToText, parseXlsx } = require('../../src/utils/xlsx');
+
+describe('xlsx', () => {
+    const workbookBuffer = async (rows) => {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Bookings');
+        rows.forEach(row => sheet.addRow(row));
+        return Buffer.from(await workbook.xlsx.writeBuffer());
+    };
+
+    describe('cellToText', () => {
+        test('should read dates, formulas and rich text as text', () => {
+            expect(cellToText(new Date('2026-11-02T00:30:00.000Z'))).toBe('2026-11-02T00:30:00.000Z');
+            expect(cellToText({ formula: 'A1+1', result: 110002 })).toBe('110002');
+            expect(cellToText({ richText: [{ text: 'Gate ' }, { text: '4' }] })).toBe('Gate 4');
+            expect(cellToText(null)).toBe('');
+        });
+    });
+
+    describe('parseXlsx', () => {
+        test('should read the first worksheet into records keyed by the header row', async () => {
+            const buffer = await workbookBuffer([
+                ['vehicleId', 'fromPincode', 'toPincode', 'startTime'],
+                ['abc', 110001, '110002', new Date('2026-11-02T00:30:00.000Z')],
+                [],
+                ['def', '110003']
+            ]);
+
+            expect(await parseXlsx(buffer)).toEqual([
+                { vehicleId: 'abc', fromPincode: '110001', toPincode: '110002', startTime: '2026-11-02T00:30:00.000Z' },
+                { vehicleId: 'def', fromPincode: '110003', toPincode: '', startTime: '' }
+            ]);
+        });
+
+        test('should reject files that are not workbooks', async () => {
+            await expect(parseXlsx(Buffer.from('vehicleId,fromPincode\n')))
+                .rejects.toThrow('The file is not a valid .xlsx workbook');
+        });
+    });
+});